@@ -0,0 +1,70 @@
+// ------------------------------------------------------------
+// Message catalogue check: `npm run i18n:check`. Fails on
+// - keys used in src but missing from English
+// - keys in another locale that English no longer has, or whose
+//   {placeholders} differ from the English text
+// - keys a locale hasn't translated yet, so every locale ships
+//   complete and new English text needs its translations too
+// Keys are found as string literals that look like "area.name"
+// for an area the English catalogue has, so t(cond ? "a.b" : "a.c")
+// counts too; keys built at runtime (`unit.${id}`) aren't seen.
+// ------------------------------------------------------------
+
+import { readFileSync, readdirSync } from "node:fs";
+import { join, relative } from "node:path";
+import { fileURLToPath } from "node:url";
+import en from "../src/locales/en.js";
+import mi from "../src/locales/mi.js";
+
+const LOCALES = { mi };
+const root = fileURLToPath(new URL("..", import.meta.url));
+const src = join(root, "src");
+
+const stem = (k) => k.replace(/_(zero|one|two|few|many|other)$/, "");
+const placeholders = (text) => Array.from(text.matchAll(/\{(\w+)\}/g), (m) => m[1]).sort().join();
+
+const enStems = new Set(Object.keys(en).map(stem));
+const areas = new Set(Object.keys(en).map((k) => k.split(".")[0]));
+
+const sourceFiles = (dir) =>
+  readdirSync(dir, { withFileTypes: true }).flatMap((e) =>
+    e.isDirectory() ? (e.name === "locales" ? [] : sourceFiles(join(dir, e.name))) : /\.jsx?$/.test(e.name) ? [join(dir, e.name)] : []
+  );
+
+/** "file:line" for every key-like literal in src that English doesn't have. */
+const missing = new Map();
+for (const file of sourceFiles(src)) {
+  readFileSync(file, "utf8").split("\n").forEach((line, i) => {
+    for (const [, key] of line.matchAll(/"([a-z][A-Za-z]*(?:\.[A-Za-z0-9-]+)+)"/g)) {
+      if (!areas.has(key.split(".")[0]) || enStems.has(stem(key))) continue;
+      missing.set(key, [...(missing.get(key) || []), `${relative(root, file)}:${i + 1}`]);
+    }
+  });
+}
+
+let failed = false;
+const report = (title, lines) => {
+  if (!lines.length) return;
+  console.log(`${title} (${lines.length})`);
+  for (const line of lines) console.log(`  ${line}`);
+};
+
+report("Used in src but missing from en", Array.from(missing, ([key, at]) => `${key}  ${at.join(", ")}`));
+failed ||= missing.size > 0;
+
+for (const [id, messages] of Object.entries(LOCALES)) {
+  const stale = Object.keys(messages).filter((k) => !enStems.has(stem(k)));
+  const mismatched = Object.keys(messages).filter((k) => {
+    const base = en[k] ?? en[`${stem(k)}_other`] ?? en[stem(k)];
+    return base != null && placeholders(base) !== placeholders(messages[k]);
+  });
+  const have = new Set(Object.keys(messages).map(stem));
+  const todo = Array.from(enStems).filter((k) => !have.has(k));
+  report(`${id}: not in en`, stale);
+  report(`${id}: placeholders differ from en`, mismatched.map((k) => `${k}  "${messages[k]}"`));
+  report(`${id}: untranslated, shown in English`, todo);
+  console.log(`${id}: ${enStems.size - todo.length} of ${enStems.size} messages translated`);
+  failed ||= stale.length > 0 || mismatched.length > 0 || todo.length > 0;
+}
+
+process.exit(failed ? 1 : 0);
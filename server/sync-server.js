@@ -0,0 +1,95 @@
+// ------------------------------------------------------------
+// Tiny sync server for trying multi-device sync at home.
+//   npm run sync-server              → http://localhost:8787, data in server/data/sync.json (git-ignored)
+//   PORT=9000 SYNC_TOKEN=secret SYNC_FILE=/path/sync.json npm run sync-server
+// Then put http://<this-computer's-address>:8787 in Settings → Sync on each device.
+// Each garden can have its own space: http://…:8787/mara-kai serves /mara-kai/changes.
+// No dependencies; everything lives in one JSON file.
+// ------------------------------------------------------------
+
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createSyncHub } from "../src/syncHub.js";
+
+const PORT = Number(process.env.PORT || 8787);
+const TOKEN = process.env.SYNC_TOKEN || "";
+const FILE = process.env.SYNC_FILE || path.join(path.dirname(fileURLToPath(import.meta.url)), "data", "sync.json");
+const MAX_BODY = 10 * 1024 * 1024;
+
+// { spaces: { [name]: hub state } }; "" is the space at the root.
+const load = () => {
+  try {
+    return JSON.parse(fs.readFileSync(FILE, "utf8")).spaces;
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw e;
+  }
+};
+const hubs = new Map(Object.entries(load()).map(([space, state]) => [space, createSyncHub(state)]));
+const hubFor = (space) => {
+  if (!hubs.has(space)) hubs.set(space, createSyncHub());
+  return hubs.get(space);
+};
+
+// Write to a temp file and rename, so a crash never leaves half a file.
+const persist = () => {
+  fs.mkdirSync(path.dirname(FILE), { recursive: true });
+  fs.writeFileSync(`${FILE}.tmp`, JSON.stringify({ spaces: Object.fromEntries([...hubs].map(([space, hub]) => [space, hub.dump()])) }));
+  fs.renameSync(`${FILE}.tmp`, FILE);
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY) return void chunks.push(chunk);
+      // Stop reading; the handler answers 413 and then drops the connection.
+      req.pause();
+      reject(Object.assign(new Error("Body too large"), { status: 413 }));
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "Unauthorised" });
+  const url = new URL(req.url, "http://localhost");
+  const route = url.pathname.replace(/\/+$/, "").match(/^(?:\/([\w-]+))?\/changes$/);
+  if (!route) return send(res, 404, { error: "Not found" });
+  const space = route[1] || "";
+  const hub = hubFor(space);
+  try {
+    if (req.method === "GET") {
+      return send(res, 200, hub.pull(Number(url.searchParams.get("since") || 0), Number(url.searchParams.get("limit") || 200)));
+    }
+    if (req.method === "POST") {
+      const { deviceId, changes } = JSON.parse(await readBody(req));
+      if (!Array.isArray(changes)) return send(res, 400, { error: "changes must be a list" });
+      const result = hub.push(deviceId, changes);
+      if (result.accepted.length) persist();
+      console.log(`${new Date().toISOString()} ${space || "/"} ${deviceId}: ${result.accepted.length} accepted, ${result.rejected.length} rejected`);
+      return send(res, 200, result);
+    }
+    send(res, 405, { error: "Method not allowed" });
+  } catch (e) {
+    if (e.status === 413) res.once("finish", () => req.destroy());
+    send(res, e.status || (e instanceof SyntaxError ? 400 : 500), { error: e.message });
+  }
+});
+
+server.listen(PORT, () => console.log(`Kai Keeper sync server on http://localhost:${PORT} (data: ${FILE}${TOKEN ? ", token required" : ""})`));
@@ -1,6 +1,34 @@
-import { save, load } from "./storage";
+import { save, load, saveGarden, loadGarden, removeGarden } from "./storage";
+import { uid } from "./ids";
+import { toISO, todayISO, addDays, daysBetween, isISODate } from "./dates";
+import { phaseFor as computePhase } from "./phase";
+import { CLIMATE_PROFILES, DEFAULT_CLIMATE, monthlyMeansFor } from "./climate";
+import { MONTH_NUMBERS, SOWING_KINDS, monthOf, windowFor, sowNow, sowingWarning } from "./calendar";
+import { MAX_SUCCESSIONS, planSuccession, supplyGaps, suggestedInterval } from "./succession";
+import { AGENDA_KINDS, DEFAULT_AGENDA, OVERDUE_GRACE_DAYS, emptyReminders, agendaLabel, agendaEvents, visibleEvents, dueForNotification, pruneReminders } from "./agenda";
+import { notificationsSupported, requestNotificationPermission, showNotification } from "./notify";
+import { DATE_FORMATS, toCSV, parseCSV, nzDateCell, detectDateFormat } from "./csv";
+import { CSV_FIELDS, guessMapping, planCsvImport } from "./csvImport";
+import { IMPORT_MODES, BACKUP_COLLECTIONS, COLLECTION_LABELS, validateBackup, planImport, applyImport, planCounts } from "./backup";
+import { DEFAULT_SNAPSHOTS, takeSnapshot, addSnapshot, latestSnapshot, needsDailySnapshot, snapshotCounts, diffSnapshot } from "./snapshots";
+import { GARDEN_KEYS, emptyGardens, newGarden, gardenName, gardenSlug, copyPlantTypes, compareGardens } from "./gardens";
+import { DEFAULT_SYNC, emptySyncState, trackChanges, pendingCount, syncOnce } from "./sync";
+import { createHttpAdapter } from "./syncHttp";
+import { UNITS, ESTIMATED_UNITS, isUnit, unitLabel, formatAmount, exactKg, toKg, parseQuantity } from "./units";
+import { DEFAULT_AUTO_ARCHIVE_DAYS, archivePlantings, trashPlantings, movePlantings, retypePlantings, trashHarvests, moveHarvests, finishedPlantings } from "./bulk";
+import { DEFAULT_TRACKER_QUERY, DEFAULT_LEDGER_QUERY, PHASES, phaseStage, TRACKER_SORTS, LEDGER_SORTS, readQuery, queryParams, activeFilters, queryPlantings, queryHarvests, paginate } from "./query";
+import { DEFAULT_REPORT_FILTER, NZ_SEASONS, GROWING_YEAR_MONTHS, seasonFor, periodYearLabel, periodYears, filterFor, filterRange, inRange, filterLabel, comparisonFor, yearOverYear, cropYields } from "./periods";
+import { registerServiceWorker, watchForUpdates, storageStatus, requestPersistentStorage } from "./pwa";
+import { MIN_SAMPLES, DEFAULT_LEARNING, FIELD_LABELS, SOWING_SEASONS, timingSamples, suggestTimings } from "./learning";
+import { OBSERVATION_TYPES, observationLabel, plantCount, germinationStats } from "./observations";
+import { PLANT_FAMILIES, DEFAULT_ROTATION, familyLabel, seasonOf, seasonLabel, rotationHistory, rotationConflict, suggestRotation } from "./rotation";
+import { BED_TYPES, GRID_M, snap, newBed, findBedByName, normaliseName, occupiesOn, planSize } from "./beds";
+import { emptyHistory, pushEntry, undo, redo, canUndo, canRedo } from "./history";
+import { DEFAULT_PLANT_TYPES, plantName, isBuiltIn, diffWithDefaults, mergeDefaults, withDefaultFields, varietyOf, resolveTiming, expectedYieldFor } from "./catalogue";
+import { DEFAULT_TRASH_RETENTION_DAYS, toTrash, expiresAt, purgeExpired, restoreFromTrash } from "./trash";
+import { LOCALES, t, setLocale, isLocale, localeFromLanguages, untranslated, formatNumber, formatDate, formatDateTime, monthName } from "./i18n";
 
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   Leaf,
@@ -13,6 +41,23 @@ import {
   Trash2,
   Check,
   Edit3,
+  Undo2,
+  Redo2,
+  CalendarDays,
+  AlertTriangle,
+  Layers,
+  LayoutGrid,
+  Eye,
+  Bell,
+  FileSpreadsheet,
+  RotateCcw,
+  History,
+  RefreshCw,
+  Home,
+  Filter,
+  Search,
+  ShoppingBasket,
+  Languages,
 } from "lucide-react";
 import {
   ResponsiveContainer,
@@ -35,41 +80,122 @@ import {
 // ------------------------------------------------------------
 // Features
 // - Seed/plant catalogue with sensible NZ-friendly defaults
-// - Add plantings: select plant type, plant date, location, qty
-// - Phase estimations (Germination → Growth → Harvest Window)
+//   (varieties, direct sow vs transplant, spacing, expected yield)
+// - Add plantings: select plant type, plant date, bed (and part of it), qty
+// - Garden beds: plan editor and "what's in the ground" on any date
+// - Crop rotation: plant families, per-bed history, warnings and a next-season plan
+// - Observation log per planting (emerged, thinned, lost, pests…); emergence re-anchors phases
+// - Learned timings: catalogue suggestions from your own harvest dates
+// - Agenda: upcoming germination/harvest dates, snooze/dismiss, optional notifications
+// - Installable PWA: works offline, prompts when an update is ready
+// - CSV export (harvests, plantings, catalogue) and CSV import with column mapping
+// - Sowing calendar: NZ sowing windows, "sow now" list, out-of-window warnings
+// - Succession planner: staggered sowings with a harvest-window timeline
+// - Phase estimations (Germination → Growth → Harvest Window),
+//   heat-based (growing degree days) for the chosen NZ climate region
 // - Visual progress bars and expected date ranges
-// - Log harvests (by kg or count) and review a ledger
-// - Reports: totals by month and by plant type (separate for kg/count)
-// - LocalStorage persistence + JSON import/export
+// - Log harvests (kg, g, count, bunch, punnet or litre — "1.2kg" and "12 heads" are understood) and review a ledger
+// - Tracker and ledger query bar: search, plant, bed, stage, archived, dates and sort, kept in
+//   the URL for bookmarks; the ledger is paged
+// - Today's pick: every planting in its harvest window on one screen, "same as last time"
+// - Bulk actions on ticked plantings/harvests (archive, move, change plant, delete — one undo),
+//   and auto-archive for plantings finished a while ago
+// - Reports: totals by month and by plant type, by unit or all as kg (counts and bunches
+//   estimated from each plant's average weights, and marked ≈)
+// - One report period for every view (all time, growing year, NZ season or dates), with
+//   year-over-year months side by side and yield per planting / per plant by crop
+// - Versioned local persistence (IndexedDB via localforage) + JSON import/export
+//   (validated; replace, merge or append with a conflict preview)
+// - Restore points: daily and before imports/resets, with diff, restore and download
+// - Gardens: separate workspaces with their own data, a header switcher, per-garden export,
+//   catalogue copying and a side-by-side comparison report
+// - Sync between devices through a pluggable adapter (HTTP reference + small local server),
+//   with tombstones, incremental/resumable transfer and a conflict review
+// - Undo/redo for every change, and a Trash for deleted records
+// - English and te reo Māori: every UI string comes from ./locales (t() in ./i18n), Māori
+//   plant names as catalogue aliases, locale-aware dates and numbers (npm run i18n:check)
 // ------------------------------------------------------------
 
 // --------------------- Types -------------------------------
-const uid = () => (window.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random()}`);
+/** @typedef {import("./units").Unit} Unit */
+/** @typedef {"direct" | "transplant"} SowMethod */
 
-/** @typedef {"kg" | "count"} Unit */
+/**
+ * @typedef Variety
+ * @prop {string} id
+ * @prop {string} name
+ * @prop {number | null} maturityDays // overrides the plant type when set
+ * @prop {number | null} transplantMaturityDays
+ * @prop {number | null} harvestWindowDays
+ * @prop {number | null} yieldPerPlant
+ */
 
 /**
  * @typedef PlantType
  * @prop {string} id
  * @prop {string} name
+ * @prop {Record<string, string>} [aliases] // name in other UI languages, by locale id ({ mi: "Kūmara" })
+ * @prop {string} family // botanical family id from ./rotation ("" = not set)
  * @prop {number} germinationMinDays
  * @prop {number} germinationMaxDays
  * @prop {number} maturityDays // from sow/plant to first harvest
  * @prop {number} harvestWindowDays // how long best-quality harvest typically lasts
  * @prop {Unit} defaultUnit
+ * @prop {Partial<Record<Unit, number>>} unitWeightsKg // average kg per count, bunch, punnet or litre — for estimates
+ * @prop {SowMethod} defaultMethod
+ * @prop {number | null} transplantMaturityDays // from transplanting seedlings to first harvest
+ * @prop {number | null} spacingInRowCm
+ * @prop {number | null} spacingRowCm // between rows
+ * @prop {number | null} yieldPerPlant // in defaultUnit
+ * @prop {number | null} yieldPerM2 // in defaultUnit; used when there's no per-plant figure
+ * @prop {number | null} baseTempC // no growth below this
+ * @prop {number | null} gddGermination // degree-days above baseTempC, sow → emergence
+ * @prop {number | null} gddMaturity // sow → first harvest
+ * @prop {number | null} gddHarvestWindow // first → last harvest
+ * @prop {{ direct: number[], indoor: number[], transplant: number[] }} sowingWindows // months, 1 = Jan
+ * @prop {Variety[]} varieties
  */
 
 /**
  * @typedef Planting
  * @prop {string} id
  * @prop {string} plantTypeId
- * @prop {string} plantedAt // ISO date
- * @prop {string} location
+ * @prop {string} [varietyId]
+ * @prop {SowMethod} [method] // missing on older plantings = direct
+ * @prop {string} plantedAt // ISO date (sow or transplant date)
+ * @prop {string | null} bedId
+ * @prop {BedRegion | null} region // part of the bed; null = whole bed
  * @prop {number} quantityPlanted
  * @prop {string} notes
  * @prop {boolean} archived
+ * @prop {Observation[]} [observations] // dated log of what actually happened
+ * @prop {string} [successionId] // shared by plantings created together by the succession planner
+ * @prop {number} [successionIndex] // 0-based position in that series
+ */
+
+/**
+ * @typedef Observation
+ * @prop {string} id
+ * @prop {string} date // ISO date
+ * @prop {import("./observations").ObservationType} type
+ * @prop {number | null} count // meaning depends on type (plants up, left, moved or lost)
+ * @prop {string} notes
+ */
+
+/**
+ * @typedef Bed
+ * @prop {string} id
+ * @prop {string} name
+ * @prop {import("./beds").BedType} type
+ * @prop {number} widthM
+ * @prop {number} lengthM
+ * @prop {number} x // position on the garden plan, metres
+ * @prop {number} y
+ * @prop {string} notes
  */
 
+/** @typedef {{ x: number, y: number, w: number, h: number }} BedRegion // metres from the bed's top-left */
+
 /**
  * @typedef Harvest
  * @prop {string} id
@@ -81,51 +207,72 @@ const uid = () => (window.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random
  */
 
 // --------------------- Defaults ----------------------------
-/** @type {PlantType[]} */
-const DEFAULT_PLANT_TYPES = [
-  { id: uid(), name: "Kūmara (Sweet Potato)", germinationMinDays: 10, germinationMaxDays: 20, maturityDays: 140, harvestWindowDays: 21, defaultUnit: "kg" },
-  { id: uid(), name: "Potato", germinationMinDays: 14, germinationMaxDays: 21, maturityDays: 100, harvestWindowDays: 28, defaultUnit: "kg" },
-  { id: uid(), name: "Lettuce", germinationMinDays: 7, germinationMaxDays: 14, maturityDays: 50, harvestWindowDays: 21, defaultUnit: "count" },
-  { id: uid(), name: "Tomato", germinationMinDays: 6, germinationMaxDays: 14, maturityDays: 85, harvestWindowDays: 35, defaultUnit: "kg" },
-  { id: uid(), name: "Broccoli", germinationMinDays: 7, germinationMaxDays: 14, maturityDays: 70, harvestWindowDays: 14, defaultUnit: "count" },
-  { id: uid(), name: "Silverbeet (Chard)", germinationMinDays: 7, germinationMaxDays: 14, maturityDays: 55, harvestWindowDays: 45, defaultUnit: "kg" },
-  { id: uid(), name: "Corn (Sweet)", germinationMinDays: 7, germinationMaxDays: 10, maturityDays: 85, harvestWindowDays: 14, defaultUnit: "count" },
-  { id: uid(), name: "Beans (Bush)", germinationMinDays: 7, germinationMaxDays: 14, maturityDays: 55, harvestWindowDays: 21, defaultUnit: "kg" },
-  { id: uid(), name: "Carrot", germinationMinDays: 14, germinationMaxDays: 21, maturityDays: 80, harvestWindowDays: 21, defaultUnit: "kg" },
-  { id: uid(), name: "Capsicum (Pepper)", germinationMinDays: 10, germinationMaxDays: 21, maturityDays: 110, harvestWindowDays: 35, defaultUnit: "kg" },
-];
-
-// --------------------- Storage -----------------------------
-const LS_KEYS = {
-  plantTypes: "kaiKeeper_plantTypes",
-  plantings: "kaiKeeper_plantings",
-  harvests: "kaiKeeper_harvests",
-};
+// Built-in plant types live in ./catalogue (stable ids).
 
-const loadLS = (key, fallback) => {
-  try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
+const DEFAULT_SETTINGS = {
+  trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
+  phaseModel: "gdd", // "gdd" | "days"
+  climate: DEFAULT_CLIMATE,
+  rotation: DEFAULT_ROTATION, // { yearsBetween } — same family, same bed
+  learning: DEFAULT_LEARNING, // { byBed, bySeason, rejected: suggestion keys }
+  agenda: DEFAULT_AGENDA, // { horizonDays, notifications, leadDays: { [kind]: days } }
+  snapshots: DEFAULT_SNAPSHOTS, // { keep: restore points stored, daily }
+  sync: DEFAULT_SYNC, // { url, token, auto } — this device's sync server
+  reportUnits: "unit", // "unit" (kg, count, bunch… apart) | "kg" (all in kg, some estimated)
+  autoArchiveDays: DEFAULT_AUTO_ARCHIVE_DAYS, // "Auto-archive" takes plantings whose harvest window ended longer ago
 };
-const saveLS = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+
+// What a garden that has never been opened starts with.
+const gardenFallbacks = () => ({ plantTypes: DEFAULT_PLANT_TYPES, plantings: [], harvests: [], trash: [], beds: [], settings: DEFAULT_SETTINGS, reminders: emptyReminders(), snapshots: [], sync: null });
 
 // --------------------- Date helpers ------------------------
-const toISO = (d) => new Date(d).toISOString().slice(0, 10);
-const todayISO = () => toISO(new Date());
-const addDays = (iso, days) => {
-  const d = new Date(iso);
-  d.setDate(d.getDate() + days);
-  return toISO(d);
+const numOrNull = (v) => (v === "" || v == null ? null : Number(v));
+const nameOf = (pt) => plantName(pt) || t("common.unknown");
+// t() with React elements in place of {placeholders}: tNodes("sync.serverHint", { command: <code>…</code> }).
+const tNodes = (key, nodes, vars) =>
+  t(key, vars).split(/(\{\w+\})/).map((part, i) => <React.Fragment key={i}>{nodes[part.slice(1, -1)] ?? part}</React.Fragment>);
+
+const downloadFile = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+const fileStamp = () => toISO(new Date()).replaceAll("-", "");
+
+// --------------------- Validation --------------------------
+// Each returns { field: message } — an empty object means valid.
+const validatePlanting = (p, plantTypeById) => {
+  const errors = {};
+  const pt = plantTypeById[p.plantTypeId];
+  if (!pt) errors.plantTypeId = t("validate.plantType");
+  else if (p.varietyId && !varietyOf(pt, p)) errors.varietyId = t("validate.variety");
+  if (p.method && p.method !== "direct" && p.method !== "transplant") errors.method = t("validate.method");
+  if (!isISODate(p.plantedAt)) errors.plantedAt = t("validate.date");
+  else if (p.plantedAt > addDays(todayISO(), 365)) errors.plantedAt = t("validate.dateTooFar");
+  if (!Number.isInteger(Number(p.quantityPlanted)) || Number(p.quantityPlanted) < 1) errors.quantityPlanted = t("validate.quantity");
+  return errors;
+};
+
+const validateHarvest = (h, planting) => {
+  const errors = {};
+  if (!(Number(h.amount) > 0)) errors.amount = t("validate.amount");
+  if (!isISODate(h.date)) errors.date = t("validate.date");
+  else if (planting?.plantedAt && h.date < planting.plantedAt) errors.date = t("validate.beforePlanting");
+  if (!isUnit(h.unit)) errors.unit = t("validate.unit");
+  return errors;
 };
-const daysBetween = (fromISO, toISODate) => {
-  const a = new Date(fromISO);
-  const b = new Date(toISODate);
-  return Math.floor((b - a) / (24 * 3600 * 1000));
+
+// Bed names are matched ignoring case and spacing (see findBedByName), so they must differ that way too.
+const validateBed = (bed, beds) => {
+  const errors = {};
+  const other = findBedByName(beds.filter((b) => b.id !== bed.id), bed.name);
+  if (!normaliseName(bed.name)) errors.name = t("validate.bedName");
+  else if (other) errors.name = t("validate.bedNameTaken", { name: other.name });
+  return errors;
 };
-const nzDate = (iso) => new Date(iso + "T12:00:00").toLocaleDateString("en-NZ", { year: "numeric", month: "short", day: "numeric" });
 
 // --------------------- UI bits -----------------------------
 const Section = ({ title, icon, children, actions }) => (
@@ -157,8 +304,8 @@ const Progress = ({ value, label }) => (
   </div>
 );
 
-const Button = ({ children, onClick, kind = "solid", className = "", type = "button" }) => {
-  const base = "inline-flex items-center gap-2 px-3 py-2 rounded-xl text-sm transition border";
+const Button = ({ children, onClick, kind = "solid", className = "", type = "button", disabled = false }) => {
+  const base = "inline-flex items-center gap-2 px-3 py-2 rounded-xl text-sm transition border disabled:opacity-50 disabled:pointer-events-none";
   const styles =
     kind === "solid"
       ? "bg-emerald-600 text-white border-emerald-600 hover:bg-emerald-700"
@@ -166,7 +313,7 @@ const Button = ({ children, onClick, kind = "solid", className = "", type = "but
       ? "bg-white text-slate-700 border-slate-200 hover:bg-slate-50"
       : "bg-amber-600 text-white border-amber-600 hover:bg-amber-700";
   return (
-    <button type={type} onClick={onClick} className={`${base} ${styles} ${className}`}>{children}</button>
+    <button type={type} onClick={onClick} disabled={disabled} className={`${base} ${styles} ${className}`}>{children}</button>
   );
 };
 
@@ -178,121 +325,1814 @@ const Select = (props) => (
   <select {...props} className={`w-full px-3 py-2 border rounded-xl bg-white focus:outline-none focus:ring-2 focus:ring-emerald-500 ${props.className || ""}`} />
 );
 
+const FieldError = ({ children }) => (children ? <div className="mt-1 text-xs text-red-600">{children}</div> : null);
+
 const TextArea = (props) => (
   <textarea {...props} className={`w-full px-3 py-2 border rounded-xl bg-white focus:outline-none focus:ring-2 focus:ring-emerald-500 ${props.className || ""}`} />
 );
 
+// --------------------- Beds ------------------------------
+// Click one cell then another to mark a rectangle of the bed.
+const BedRegionPicker = ({ bed, region, onChange }) => {
+  const [anchor, setAnchor] = useState(null);
+  const cols = Math.max(1, Math.round(bed.widthM / GRID_M));
+  const rows = Math.max(1, Math.round(bed.lengthM / GRID_M));
+  const inRegion = (c, r) => region && c * GRID_M >= region.x && c * GRID_M < region.x + region.w && r * GRID_M >= region.y && r * GRID_M < region.y + region.h;
+  const pick = (c, r) => {
+    if (!anchor) return setAnchor({ c, r });
+    const [c0, c1] = [Math.min(anchor.c, c), Math.max(anchor.c, c)];
+    const [r0, r1] = [Math.min(anchor.r, r), Math.max(anchor.r, r)];
+    setAnchor(null);
+    onChange({ x: c0 * GRID_M, y: r0 * GRID_M, w: (c1 - c0 + 1) * GRID_M, h: (r1 - r0 + 1) * GRID_M });
+  };
+  return (
+    <div>
+      <div className="inline-grid gap-px bg-slate-200 border rounded overflow-hidden" style={{ gridTemplateColumns: `repeat(${cols}, 1rem)` }}>
+        {Array.from({ length: rows * cols }, (_, i) => {
+          const c = i % cols;
+          const r = Math.floor(i / cols);
+          const isAnchor = anchor?.c === c && anchor?.r === r;
+          return (
+            <button
+              key={i}
+              type="button"
+              onClick={() => pick(c, r)}
+              className={`w-4 h-4 ${isAnchor ? "bg-amber-400" : inRegion(c, r) ? "bg-emerald-500" : "bg-white hover:bg-emerald-100"}`}
+            />
+          );
+        })}
+      </div>
+      <div className="text-xs text-slate-500 mt-1">
+        {anchor ? t("region.oppositeCorner") : region ? t("region.size", { w: region.w, h: region.h, x: region.x, y: region.y }) : t("region.wholeHint")}
+        {region && !anchor && <button type="button" className="ml-2 underline" onClick={() => onChange(null)}>{t("region.whole")}</button>}
+      </div>
+    </div>
+  );
+};
+
+const GardenPlan = ({ beds, plantings, plantTypeById, lastDayOf, onAddBed, onUpdateBed, onDeleteBed }) => {
+  const [selectedId, setSelectedId] = useState(beds[0]?.id || null);
+  const [date, setDate] = useState(todayISO());
+  const [drag, setDrag] = useState(null); // { id, startX, startY, dx, dy }
+  const [nameDraft, setNameDraft] = useState(null); // { id, name } while a bed name is being typed
+  const svgRef = useRef(null);
+  const { width, height } = planSize(beds);
+  const selected = beds.find((b) => b.id === selectedId);
+  const selectedName = nameDraft && nameDraft.id === selectedId ? nameDraft.name : selected?.name;
+  const nameError = selected && validateBed({ id: selected.id, name: selectedName }, beds).name;
+
+  // Only valid names are saved; an invalid one stays in the box until it's fixed or the box loses focus.
+  const renameBed = (name) => {
+    setNameDraft({ id: selected.id, name });
+    if (!validateBed({ id: selected.id, name }, beds).name) onUpdateBed(selected.id, { name: name.trim().replace(/\s+/g, " ") });
+  };
+
+  const toMetres = (e) => {
+    const r = svgRef.current.getBoundingClientRect();
+    return { x: ((e.clientX - r.left) / r.width) * width, y: ((e.clientY - r.top) / r.height) * height };
+  };
+  const startDrag = (e, bed) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const m = toMetres(e);
+    setSelectedId(bed.id);
+    setDrag({ id: bed.id, startX: m.x, startY: m.y, dx: 0, dy: 0 });
+  };
+  const moveDrag = (e) => {
+    if (!drag) return;
+    const m = toMetres(e);
+    setDrag((d) => ({ ...d, dx: m.x - d.startX, dy: m.y - d.startY }));
+  };
+  const endDrag = () => {
+    if (!drag) return;
+    const bed = beds.find((b) => b.id === drag.id);
+    const x = Math.max(0, snap(bed.x + drag.dx));
+    const y = Math.max(0, snap(bed.y + drag.dy));
+    setDrag(null);
+    if (x !== bed.x || y !== bed.y) onUpdateBed(bed.id, { x, y });
+  };
+  const posOf = (bed) => (drag?.id === bed.id ? { x: Math.max(0, snap(bed.x + drag.dx)), y: Math.max(0, snap(bed.y + drag.dy)) } : { x: bed.x, y: bed.y });
+
+  const occupants = (bed) => plantings.filter((p) => p.bedId === bed.id && occupiesOn(p, lastDayOf(p), date));
+
+  return (
+    <div className="grid xl:grid-cols-3 gap-4">
+      <div className="xl:col-span-2">
+        <Section
+          title={t("plan.title")}
+          icon={<LayoutGrid className="w-5 h-5 text-emerald-600" />}
+          actions={
+            <>
+              <Input type="date" value={date} onChange={(e) => setDate(e.target.value || todayISO())} className="w-auto" />
+              <Button kind="ghost" onClick={() => { const name = prompt(t("plan.bedName")); if (name?.trim()) setSelectedId(onAddBed(name)); }}><Plus className="w-4 h-4" /> {t("plan.addBed")}</Button>
+            </>
+          }
+        >
+          <div>
+            {beds.length === 0 ? (
+              <div className="text-sm text-slate-600">{t("plan.empty")}</div>
+            ) : (
+              <svg
+                ref={svgRef}
+                viewBox={`0 0 ${width} ${height}`}
+                className="w-full bg-white border rounded-xl touch-none select-none"
+                onPointerMove={moveDrag}
+                onPointerUp={endDrag}
+                onPointerCancel={() => setDrag(null)}
+              >
+                {Array.from({ length: Math.floor(width) + 1 }, (_, i) => <line key={`v${i}`} x1={i} y1={0} x2={i} y2={height} stroke="#e2e8f0" strokeWidth={0.02} />)}
+                {Array.from({ length: Math.floor(height) + 1 }, (_, i) => <line key={`h${i}`} x1={0} y1={i} x2={width} y2={i} stroke="#e2e8f0" strokeWidth={0.02} />)}
+                {beds.map((bed) => {
+                  const { x, y } = posOf(bed);
+                  const occ = occupants(bed);
+                  const whole = occ.filter((p) => !p.region);
+                  return (
+                    <g key={bed.id}>
+                      <rect
+                        x={x}
+                        y={y}
+                        width={bed.widthM}
+                        height={bed.lengthM}
+                        rx={0.08}
+                        fill={BED_TYPES.find((bt) => bt.id === bed.type)?.color || "#e5e7eb"}
+                        stroke={bed.id === selectedId ? "#059669" : "#94a3b8"}
+                        strokeWidth={bed.id === selectedId ? 0.08 : 0.03}
+                        className="cursor-move"
+                        onPointerDown={(e) => startDrag(e, bed)}
+                      />
+                      {/* Plantings without a region share the bed in strips */}
+                      {whole.map((p, i) => (
+                        <rect key={p.id} x={x + 0.05} y={y + (bed.lengthM / whole.length) * i + 0.05} width={bed.widthM - 0.1} height={bed.lengthM / whole.length - 0.1} fill="#10b981" fillOpacity={0.35} pointerEvents="none" />
+                      ))}
+                      {occ.filter((p) => p.region).map((p) => (
+                        <rect key={p.id} x={x + p.region.x} y={y + p.region.y} width={p.region.w} height={p.region.h} fill="#059669" fillOpacity={0.5} pointerEvents="none" />
+                      ))}
+                      <text x={x + 0.1} y={y - 0.1} fontSize={0.35} fill="#334155" pointerEvents="none">{bed.name}</text>
+                    </g>
+                  );
+                })}
+              </svg>
+            )}
+            <div className="text-xs text-slate-500 mt-2">{t("plan.hint", { grid: GRID_M, date: formatDate(date) })}</div>
+          </div>
+        </Section>
+      </div>
+
+      <div className="space-y-4">
+        {selected && (
+          <Section title={t("plan.bed")} icon={<Edit3 className="w-5 h-5 text-emerald-600" />}>
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              <label className="col-span-2 text-slate-600">{t("plan.name")}
+                <Input value={selectedName} onChange={(e) => renameBed(e.target.value)} onBlur={() => setNameDraft(null)} />
+                <FieldError>{nameError}</FieldError>
+              </label>
+              <label className="col-span-2 text-slate-600">{t("plan.type")}
+                <Select value={selected.type} onChange={(e) => onUpdateBed(selected.id, { type: e.target.value })}>
+                  {BED_TYPES.map((bt) => <option key={bt.id} value={bt.id}>{bt.label}</option>)}
+                </Select>
+              </label>
+              <label className="text-slate-600">{t("plan.width")}<Input type="number" min={GRID_M} step={GRID_M} value={selected.widthM} onChange={(e) => onUpdateBed(selected.id, { widthM: Math.max(GRID_M, Number(e.target.value || GRID_M)) })} /></label>
+              <label className="text-slate-600">{t("plan.length")}<Input type="number" min={GRID_M} step={GRID_M} value={selected.lengthM} onChange={(e) => onUpdateBed(selected.id, { lengthM: Math.max(GRID_M, Number(e.target.value || GRID_M)) })} /></label>
+              <label className="col-span-2 text-slate-600">{t("common.notes")}<TextArea rows={2} value={selected.notes} onChange={(e) => onUpdateBed(selected.id, { notes: e.target.value })} /></label>
+            </div>
+            <div className="flex justify-end mt-2">
+              <button className="p-2 text-slate-500 hover:text-red-600" title={t("plan.deleteBed")} onClick={() => onDeleteBed(selected.id)}><Trash2 className="w-4 h-4" /></button>
+            </div>
+          </Section>
+        )}
+        <Section title={t("plan.inTheGround", { date: formatDate(date) })} icon={<Sprout className="w-5 h-5 text-emerald-600" />}>
+          <ul className="space-y-2 text-sm">
+            {beds.map((bed) => {
+              const occ = occupants(bed);
+              return (
+                <li key={bed.id}>
+                  <button className={`font-medium ${bed.id === selectedId ? "text-emerald-700" : ""}`} onClick={() => setSelectedId(bed.id)}>{bed.name}</button>
+                  <span className="text-slate-500"> — {occ.length ? occ.map((p) => `${nameOf(plantTypeById[p.plantTypeId])} (${p.quantityPlanted})`).join(", ") : t("plan.bedEmpty")}</span>
+                </li>
+              );
+            })}
+          </ul>
+        </Section>
+      </div>
+    </div>
+  );
+};
+
+const RotationPlan = ({ beds, plantings, plantTypeById, rule }) => {
+  const next = seasonOf(todayISO()) + 1;
+  const seasons = [next - 1, next - 2, next - 3];
+  const plan = suggestRotation(beds, plantings, plantTypeById, next, rule);
+  return (
+    <Section title={t("rotation.title", { season: seasonLabel(next) })} icon={<Layers className="w-5 h-5 text-emerald-600" />}>
+      {beds.length === 0 ? (
+        <div className="text-sm text-slate-600">{t("rotation.noBeds")}</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="py-2">{t("rotation.bed")}</th>
+                {seasons.map((y) => <th key={y} className="py-2">{seasonLabel(y)}</th>)}
+                <th className="py-2">{t("rotation.suggested")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.map(({ bed, blocked, suggested }) => {
+                const history = rotationHistory(bed.id, plantings, plantTypeById);
+                return (
+                  <tr key={bed.id} className="border-t align-top">
+                    <td className="py-2 font-medium">{bed.name}</td>
+                    {seasons.map((y) => (
+                      <td key={y} className="py-2 text-slate-600">
+                        {history.find((h) => h.season === y)?.families.map((f) => familyLabel(f.family)).join(", ") || "—"}
+                      </td>
+                    ))}
+                    <td className="py-2">
+                      {suggested ? <Tag>{familyLabel(suggested)}</Tag> : <span className="text-amber-700">{t("rotation.rest")}</span>}
+                      {blocked.length > 0 && <div className="text-xs text-slate-500 mt-1">{t("rotation.avoid", { families: blocked.map(familyLabel).join(", ") })}</div>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="text-xs text-slate-500 mt-2">
+        {t("rotation.hint", { count: rule.yearsBetween })}
+      </div>
+    </Section>
+  );
+};
+
+// --------------------- CSV import ------------------------
+const CsvImport = ({ plantTypes, plantings, beds, onImport, onClose }) => {
+  const [target, setTarget] = useState("harvests");
+  const [fileName, setFileName] = useState("");
+  const [table, setTable] = useState(null); // string[][] including the header
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState("dmy");
+
+  const load = async (file) => {
+    const rows = parseCSV(await file.text());
+    setFileName(file.name);
+    setTable(rows);
+    const guessed = guessMapping(target, rows[0] || []);
+    setMapping(guessed);
+    const dateCol = guessed.date ?? guessed.plantedAt;
+    if (dateCol >= 0) setDateFormat(detectDateFormat(rows.slice(1).map((r) => r[dateCol])));
+  };
+  const switchTarget = (next) => {
+    setTarget(next);
+    if (table) setMapping(guessMapping(next, table[0]));
+  };
+
+  const fields = CSV_FIELDS[target];
+  const missing = fields.filter((f) => f.required && !(mapping[f.id] >= 0));
+  const plan = useMemo(
+    () => (table && !missing.length ? planCsvImport({ target, rows: table.slice(1), mapping, dateFormat }, { plantTypes, plantings, beds }) : null),
+    [table, target, mapping, dateFormat, missing.length, plantTypes, plantings, beds]
+  );
+  const counts = plan ? Object.fromEntries(["match", "create", "reject"].map((k) => [k, plan.rows.filter((r) => r.status === k).length])) : null;
+  const STATUS = { match: "text-emerald-700", create: "text-sky-700", reject: "text-red-600" };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl p-4 md:p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <FileSpreadsheet className="w-5 h-5 text-emerald-600" />
+            <div className="font-semibold">{t("csv.title")}</div>
+          </div>
+          <button className="p-2" onClick={onClose}>✕</button>
+        </div>
+        <div className="grid md:grid-cols-3 gap-3 text-sm">
+          <label className="text-slate-600">{t("csv.rowsAre")}
+            <Select value={target} onChange={(e) => switchTarget(e.target.value)}>
+              <option value="harvests">{t("csv.harvests")}</option>
+              <option value="plantings">{t("csv.plantings")}</option>
+            </Select>
+          </label>
+          <label className="text-slate-600">{t("csv.datesLookLike")}
+            <Select value={dateFormat} onChange={(e) => setDateFormat(e.target.value)}>
+              {DATE_FORMATS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+            </Select>
+          </label>
+          <label className="text-slate-600">{t("csv.file")}
+            <label className="flex items-center gap-2 px-3 py-2 rounded-xl border bg-white cursor-pointer">
+              <Upload className="w-4 h-4" /> <span className="truncate">{fileName || t("csv.choose")}</span>
+              <input type="file" accept=".csv,text/csv" className="hidden" onChange={(e) => e.target.files?.[0] && load(e.target.files[0])} />
+            </label>
+          </label>
+        </div>
+
+        {table && (
+          <>
+            <div className="mt-4 text-sm font-medium text-slate-600">{t("csv.columns")}</div>
+            <div className="grid md:grid-cols-3 gap-3 mt-1 text-sm">
+              {fields.map((f) => (
+                <label key={f.id} className="text-slate-600">{f.label}{f.required && " *"}
+                  <Select value={mapping[f.id] ?? -1} onChange={(e) => setMapping((m) => ({ ...m, [f.id]: Number(e.target.value) }))}>
+                    <option value={-1}>—</option>
+                    {table[0].map((h, i) => <option key={i} value={i}>{h || t("csv.column", { n: i + 1 })}</option>)}
+                  </Select>
+                </label>
+              ))}
+            </div>
+            {missing.length > 0 && <FieldError>{t("csv.chooseColumn", { fields: missing.map((f) => f.label).join(", ") })}</FieldError>}
+            {target === "harvests" && <div className="text-xs text-slate-500 mt-2">{t("csv.unitsHint")}</div>}
+          </>
+        )}
+
+        {plan && (
+          <>
+            <div className="mt-4 flex flex-wrap gap-3 text-sm">
+              <span className={STATUS.match}>{t("csv.matched", { count: counts.match })}</span>
+              <span className={STATUS.create}>{t("csv.created", { count: counts.create })}</span>
+              <span className={STATUS.reject}>{t("csv.rejected", { count: counts.reject })}</span>
+            </div>
+            <div className="mt-2 max-h-72 overflow-y-auto border rounded-xl">
+              <table className="w-full text-sm">
+                <thead className="sticky top-0 bg-white">
+                  <tr className="text-left text-slate-500">
+                    <th className="py-2 px-2">{t("csv.line")}</th>
+                    <th className="py-2">{t("csv.plant")}</th>
+                    <th className="py-2">{t("csv.result")}</th>
+                    <th className="py-2">{t("csv.details")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.rows.map((r) => (
+                    <tr key={r.line} className="border-t">
+                      <td className="py-1 px-2 text-slate-500">{r.line}</td>
+                      <td className="py-1">{r.plant || "—"}</td>
+                      <td className={`py-1 ${STATUS[r.status]}`}>{t(`csv.status.${r.status}`)}</td>
+                      <td className="py-1 text-slate-600">{r.reason || r.summary}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {(plan.additions.beds.length > 0 || plan.additions.plantTypes.length > 0) && (
+              <div className="text-xs text-slate-500 mt-2">
+                {t(target === "harvests" ? "csv.alsoAddsHarvests" : "csv.alsoAdds", {
+                  types: t("csv.plantTypes", { count: plan.additions.plantTypes.length }),
+                  beds: t("csv.beds", { count: plan.additions.beds.length }),
+                  plantings: t("csv.newPlantings", { count: plan.additions.plantings.length }),
+                })}
+              </div>
+            )}
+          </>
+        )}
+
+        <div className="flex justify-end gap-2 mt-4">
+          <Button kind="ghost" onClick={onClose}>{t("common.cancel")}</Button>
+          <Button onClick={() => plan && counts.match + counts.create > 0 && onImport(plan.additions, counts.match + counts.create)}>
+            <Check className="w-4 h-4" /> {t("csv.importRows", { count: plan ? counts.match + counts.create : 0 })}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --------------------- JSON import -----------------------
+// `file` is { name, errors, warnings, data } from validateBackup; `current` includes trash.
+const JsonImport = ({ file, current, onImport, onClose }) => {
+  const [mode, setMode] = useState("merge");
+  const [choices, setChoices] = useState({}); // conflict key → "mine" | "theirs"
+  const plan = useMemo(() => (file.data ? planImport(current, file.data, mode) : null), [file, current, mode]);
+  const counts = plan ? planCounts(plan) : null;
+
+  const typeName = (id) => nameOf(current.plantTypes.find((p) => p.id === id) || file.data?.plantTypes.find((p) => p.id === id));
+  const describe = (collection, r) =>
+    collection === "plantings" ? t("json.plantingPlanted", { name: typeName(r.plantTypeId), date: formatDate(r.plantedAt) })
+    : collection === "harvests" ? t("json.harvestOn", { amount: formatAmount(r.amount, r.unit), date: formatDate(r.date) })
+    : r.name;
+  const showValue = (v) => (Array.isArray(v) ? t("json.items", { count: v.length }) : v != null && typeof v === "object" ? JSON.stringify(v) : String(v ?? "—"));
+  const chooseAll = (side) => setChoices(Object.fromEntries(plan.conflicts.map((k) => [k.key, side])));
+  const canImport = plan && (mode === "replace" || counts.added + counts.updated + counts.conflicts > 0);
+
+  return (
+    <div className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl p-4 md:p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <Upload className="w-5 h-5 text-emerald-600" />
+            <div className="font-semibold">{t("json.title", { name: file.name })}</div>
+          </div>
+          <button className="p-2" onClick={onClose}>✕</button>
+        </div>
+
+        {file.errors.length > 0 ? (
+          <>
+            <div className="text-sm text-red-700">{t("json.cantImport")}</div>
+            <ul className="mt-2 max-h-72 overflow-y-auto border border-red-200 bg-red-50 rounded-xl p-3 text-xs font-mono text-red-700 space-y-1">
+              {file.errors.map((e, i) => <li key={i}>{e}</li>)}
+            </ul>
+          </>
+        ) : (
+          <>
+            <div className="grid md:grid-cols-3 gap-2 text-sm">
+              {IMPORT_MODES.map((m) => (
+                <label key={m.id} className={`border rounded-xl p-3 cursor-pointer ${mode === m.id ? "border-emerald-500 bg-emerald-50" : "border-slate-200"}`}>
+                  <div className="flex items-center gap-2 font-medium">
+                    <input type="radio" name="import-mode" checked={mode === m.id} onChange={() => setMode(m.id)} /> {m.label}
+                  </div>
+                  <div className="text-xs text-slate-500 mt-1">{m.hint}</div>
+                </label>
+              ))}
+            </div>
+            {file.warnings.map((w, i) => (
+              <div key={i} className="mt-2 text-xs text-amber-700 flex items-start gap-1"><AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" /> {w}</div>
+            ))}
+
+            <div className="mt-4 flex flex-wrap gap-3 text-sm">
+              <span className="text-emerald-700">{t("json.toAdd", { count: counts.added })}</span>
+              <span className="text-sky-700">{t("json.toUpdate", { count: counts.updated })}</span>
+              <span className="text-amber-700">{t("json.conflicts", { count: counts.conflicts })}</span>
+              <span className="text-slate-500">{t("json.unchanged", { count: counts.unchanged })}</span>
+              {counts.skipped > 0 && <span className="text-slate-500">{t("json.skipped", { count: counts.skipped })}</span>}
+            </div>
+            {mode === "replace" && (
+              <div className="mt-2 text-sm text-red-700">
+                {t("json.removes", { list: BACKUP_COLLECTIONS.map((c) => `${plan.removed[c]} ${COLLECTION_LABELS[c]}`).join(", ") })}
+              </div>
+            )}
+
+            <div className="mt-3 grid md:grid-cols-2 gap-3 text-sm">
+              {BACKUP_COLLECTIONS.filter((c) => plan.added[c].length || plan.updated[c].length).map((c) => (
+                <div key={c} className="border rounded-xl p-3">
+                  <div className="font-medium capitalize">{COLLECTION_LABELS[c]}</div>
+                  <ul className="mt-1 max-h-40 overflow-y-auto text-xs space-y-0.5">
+                    {plan.added[c].map((r) => <li key={r.id} className="text-emerald-700">+ {describe(c, r)}</li>)}
+                    {plan.updated[c].map((u) => (
+                      <li key={u.current.id} className="text-sky-700">~ {describe(c, u.current)} <span className="text-slate-500">({u.fields.join(", ")})</span></li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+
+            {plan.conflicts.length > 0 && (
+              <div className="mt-4">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-sm font-medium">{t("json.conflictsTitle")}</div>
+                  <div className="flex gap-2">
+                    <Button kind="ghost" onClick={() => chooseAll("mine")}>{t("json.keepAllMine")}</Button>
+                    <Button kind="ghost" onClick={() => chooseAll("theirs")}>{t("json.useAllTheirs")}</Button>
+                  </div>
+                </div>
+                <div className="mt-2 space-y-2 max-h-80 overflow-y-auto">
+                  {plan.conflicts.map((k) => (
+                    <div key={k.key} className="border border-amber-200 rounded-xl p-3 text-sm">
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <div className="font-medium">{describe(k.collection, k.current)}</div>
+                        <div className="flex gap-3 text-xs">
+                          {["mine", "theirs"].map((side) => (
+                            <label key={side} className="flex items-center gap-1">
+                              <input type="radio" name={k.key} checked={(choices[k.key] || "mine") === side} onChange={() => setChoices((c) => ({ ...c, [k.key]: side }))} />
+                              {side === "mine" ? t("json.keepMine") : t("json.useTheirs")}
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                      <table className="w-full text-xs mt-2">
+                        <thead>
+                          <tr className="text-left text-slate-500"><th className="py-1">{t("json.field")}</th><th className="py-1">{t("json.mine")}</th><th className="py-1">{t("json.file")}</th></tr>
+                        </thead>
+                        <tbody>
+                          {k.fields.map((f) => (
+                            <tr key={f.field} className="border-t">
+                              <td className="py-1 text-slate-600">{f.field}</td>
+                              <td className="py-1">{showValue(f.mine)}</td>
+                              <td className="py-1">{showValue(f.theirs)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+            <div className="text-xs text-slate-500 mt-3">{t("json.restoreHint")}</div>
+          </>
+        )}
+
+        <div className="flex justify-end gap-2 mt-4">
+          <Button kind="ghost" onClick={onClose}>{file.errors.length ? t("common.close") : t("common.cancel")}</Button>
+          {plan && (
+            <Button onClick={() => canImport && onImport(plan, choices)}>
+              <Check className="w-4 h-4" /> {mode === "replace" ? t("json.replace") : t("json.importRecords", { count: counts.added + counts.updated + counts.conflicts })}
+            </Button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --------------------- Sync ------------------------------
+// Lives outside the App so the half-typed server address survives App re-renders.
+const SyncPanel = ({ config, state, status, describe, onConfig, onSyncNow, onResolve }) => {
+  const [url, setUrl] = useState(config.url);
+  const [token, setToken] = useState(config.token);
+  const edited = url.trim() !== config.url || token.trim() !== config.token;
+  const pending = pendingCount(state);
+  const showValue = (v) => (Array.isArray(v) ? t("json.items", { count: v.length }) : v != null && typeof v === "object" ? JSON.stringify(v) : String(v ?? "—"));
+
+  return (
+    <Section
+      title={t("sync.title")}
+      icon={<RefreshCw className="w-5 h-5 text-emerald-600" />}
+      actions={config.url && <Button kind="ghost" onClick={onSyncNow}><RefreshCw className={`w-4 h-4 ${status.running ? "animate-spin" : ""}`} /> {t("sync.now")}</Button>}
+    >
+      <div className="grid md:grid-cols-[2fr_1fr_auto] gap-3 items-end text-sm">
+        <label className="text-slate-600">{t("sync.server")}
+          <Input placeholder="http://192.168.1.20:8787" value={url} onChange={(e) => setUrl(e.target.value)} />
+        </label>
+        <label className="text-slate-600">{t("sync.token")}
+          <Input type="password" placeholder={t("common.optional")} value={token} onChange={(e) => setToken(e.target.value)} />
+        </label>
+        <Button onClick={() => onConfig({ url: url.trim(), token: token.trim() })} className={edited ? "" : "opacity-50"}>
+          <Check className="w-4 h-4" /> {url.trim() ? t("common.save") : t("sync.turnOff")}
+        </Button>
+      </div>
+      <label className="flex items-center gap-2 text-sm text-slate-700 mt-3">
+        <input type="checkbox" checked={config.auto} onChange={(e) => onConfig({ auto: e.target.checked })} />
+        {t("sync.auto")}
+      </label>
+      <div className="text-xs text-slate-500 mt-2">
+        {t("sync.thisDevice", { id: state.deviceId.slice(0, 8) })} •{" "}
+        {state.lastSyncAt ? t("sync.lastSynced", { when: formatDateTime(state.lastSyncAt) }) : t("sync.never")} •{" "}
+        {t("sync.pending", { count: pending })}
+        {status.error && <span className="text-red-600"> • {status.error}</span>}
+      </div>
+      <div className="text-xs text-slate-500 mt-1">
+        {t("sync.sharedHint")} {t("sync.gardenHint")} {tNodes("sync.serverHint", { command: <code>npm run sync-server</code> })}
+      </div>
+
+      {state.conflicts.length > 0 && (
+        <div className="mt-4">
+          <div className="text-sm font-medium">{t("sync.conflicts", { count: state.conflicts.length })}</div>
+          <div className="text-xs text-slate-500">{t("sync.conflictsHint")}</div>
+          <div className="mt-2 space-y-2">
+            {state.conflicts.map((k) => (
+              <div key={k.id} className="border border-amber-200 rounded-xl p-3 text-sm">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div className="font-medium">{describe(k.collection, k.local || k.remote)}</div>
+                  <div className="flex gap-2">
+                    <Button kind={k.kept === "local" ? "solid" : "ghost"} onClick={() => onResolve(k, "local")}>{t("sync.keepLocal")}</Button>
+                    <Button kind={k.kept === "remote" ? "solid" : "ghost"} onClick={() => onResolve(k, "remote")}>{t("sync.keepRemote")}</Button>
+                  </div>
+                </div>
+                {!k.local || !k.remote ? (
+                  <div className="text-xs text-slate-600 mt-1">{k.local ? t("sync.deletedRemotely") : t("sync.deletedLocally")}</div>
+                ) : (
+                  <table className="w-full text-xs mt-2">
+                    <thead>
+                      <tr className="text-left text-slate-500"><th className="py-1">{t("json.field")}</th><th className="py-1">{t("sync.local")}</th><th className="py-1">{t("sync.remote")}</th></tr>
+                    </thead>
+                    <tbody>
+                      {k.fields.map((f) => (
+                        <tr key={f.field} className="border-t">
+                          <td className="py-1 text-slate-600">{f.field}</td>
+                          <td className="py-1">{showValue(f.local)}</td>
+                          <td className="py-1">{showValue(f.remote)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </Section>
+  );
+};
+
+// --------------------- Gardens ---------------------------
+// Both live outside the App: they keep form state and load other gardens' data asynchronously.
+const GARDEN_COLORS = ["#059669", "#0284c7", "#d97706", "#7c3aed", "#dc2626", "#475569"];
+
+const GardenManager = ({ gardens, loadCatalogue, onSwitch, onAdd, onRename, onDelete, onExport, onCopy }) => {
+  const [name, setName] = useState("");
+  const [catalogueFrom, setCatalogueFrom] = useState(""); // "" = built-ins, otherwise a garden id
+  const [copy, setCopy] = useState({ from: gardens.active, to: gardens.list.find((g) => g.id !== gardens.active)?.id || "", ids: [] });
+  const [source, setSource] = useState([]); // plant types of copy.from
+
+  useEffect(() => {
+    let live = true;
+    loadCatalogue(copy.from).then((list) => live && setSource(list));
+    return () => { live = false; };
+  }, [copy.from]);
+
+  const add = () => {
+    if (!name.trim()) return;
+    onAdd(name, catalogueFrom || null);
+    setName("");
+  };
+  const toggle = (id) => setCopy((c) => ({ ...c, ids: c.ids.includes(id) ? c.ids.filter((x) => x !== id) : [...c.ids, id] }));
+  const doCopy = () => {
+    if (!copy.to || copy.to === copy.from || !copy.ids.length) return;
+    onCopy(copy.from, copy.to, source.filter((p) => copy.ids.includes(p.id)));
+    setCopy((c) => ({ ...c, ids: [] }));
+  };
+
+  return (
+    <Section title={t("gardens.title")} icon={<Home className="w-5 h-5 text-emerald-600" />}>
+      <div className="text-xs text-slate-500 mb-2">{t("gardens.hint")}</div>
+      <ul className="divide-y text-sm">
+        {gardens.list.map((g) => (
+          <li key={g.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+            <Input className="max-w-xs" value={g.name} onChange={(e) => onRename(g.id, e.target.value)} />
+            <div className="flex items-center gap-2">
+              {g.id === gardens.active ? <Tag>{t("gardens.open")}</Tag> : <Button kind="ghost" onClick={() => onSwitch(g.id)}>{t("gardens.open")}</Button>}
+              <button className="p-2 text-slate-500 hover:text-emerald-700" title={t("gardens.export")} onClick={() => onExport(g.id)}><Download className="w-4 h-4" /></button>
+              {g.id !== gardens.active && (
+                <button className="p-2 text-slate-500 hover:text-red-600" title={t("gardens.delete")} onClick={() => onDelete(g.id)}><Trash2 className="w-4 h-4" /></button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="grid md:grid-cols-[2fr_2fr_auto] gap-3 items-end text-sm mt-3">
+        <label className="text-slate-600">{t("gardens.new")}
+          <Input placeholder={t("gardens.newPlaceholder")} value={name} onChange={(e) => setName(e.target.value)} />
+        </label>
+        <label className="text-slate-600">{t("gardens.catalogueFrom")}
+          <Select value={catalogueFrom} onChange={(e) => setCatalogueFrom(e.target.value)}>
+            <option value="">{t("gardens.builtIn")}</option>
+            {gardens.list.map((g) => <option key={g.id} value={g.id}>{t("gardens.copyOf", { name: g.name })}</option>)}
+          </Select>
+        </label>
+        <Button onClick={add}><Plus className="w-4 h-4" /> {t("common.add")}</Button>
+      </div>
+
+      {gardens.list.length > 1 && (
+        <div className="mt-4 text-sm">
+          <div className="font-medium">{t("gardens.copyTitle")}</div>
+          <div className="grid grid-cols-2 gap-3 mt-1">
+            <label className="text-slate-600">{t("gardens.from")}
+              <Select value={copy.from} onChange={(e) => setCopy({ from: e.target.value, to: copy.to === e.target.value ? copy.from : copy.to, ids: [] })}>
+                {gardens.list.map((g) => <option key={g.id} value={g.id}>{g.name}</option>)}
+              </Select>
+            </label>
+            <label className="text-slate-600">{t("gardens.to")}
+              <Select value={copy.to} onChange={(e) => setCopy((c) => ({ ...c, to: e.target.value }))}>
+                {gardens.list.filter((g) => g.id !== copy.from).map((g) => <option key={g.id} value={g.id}>{g.name}</option>)}
+              </Select>
+            </label>
+          </div>
+          <div className="mt-2 max-h-48 overflow-y-auto border rounded-xl p-2 grid sm:grid-cols-2 gap-1">
+            {source.map((p) => (
+              <label key={p.id} className="flex items-center gap-2">
+                <input type="checkbox" checked={copy.ids.includes(p.id)} onChange={() => toggle(p.id)} /> {nameOf(p)}
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center justify-between gap-2 mt-2">
+            <span className="text-xs text-slate-500">{t("gardens.copyHint")}</span>
+            <Button kind="ghost" onClick={doCopy}>{t("gardens.copy", { count: copy.ids.length })}</Button>
+          </div>
+        </div>
+      )}
+    </Section>
+  );
+};
+
+// Filter + sort bar for the Tracker and Harvest Ledger; the query itself lives in App (and the URL).
+// `countKey` is a plural message for the records: "count.plantings" → "1 planting" / "3 plantings".
+const QueryBar = ({ query, defaults, onChange, plantTypes, beds, sorts, dateLabel, shown, total, countKey }) => {
+  const set = (key, value) => onChange({ ...query, [key]: value, ...("page" in defaults && key !== "page" ? { page: defaults.page } : {}) });
+  const filters = activeFilters(query, defaults);
+  return (
+    <div className="bg-white/70 backdrop-blur border rounded-2xl shadow-sm p-3 grid gap-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-1 min-w-[12rem]">
+          <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <Input className="pl-9" placeholder={t("query.search")} value={query.q} onChange={(e) => set("q", e.target.value)} />
+        </div>
+        <Select className="flex-1 min-w-[9rem]" value={query.plant} onChange={(e) => set("plant", e.target.value)}>
+          <option value="">{t("query.allPlants")}</option>
+          {plantTypes.map((p) => ({ id: p.id, name: nameOf(p) })).sort((a, b) => a.name.localeCompare(b.name)).map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </Select>
+        <Select className="flex-1 min-w-[9rem]" value={query.bed} onChange={(e) => set("bed", e.target.value)}>
+          <option value="">{t("query.allBeds")}</option>
+          {beds.map((b) => <option key={b.id} value={b.id}>{b.name}</option>)}
+          <option value="none">{t("common.noBed")}</option>
+        </Select>
+        {"phase" in defaults && (
+          <Select className="flex-1 min-w-[9rem]" value={query.phase} onChange={(e) => set("phase", e.target.value)}>
+            <option value="">{t("query.anyStage")}</option>
+            {PHASES.map((p) => <option key={p.id} value={p.id}>{p.label}</option>)}
+          </Select>
+        )}
+        {"show" in defaults && (
+          <Select className="flex-1 min-w-[9rem]" value={query.show} onChange={(e) => set("show", e.target.value)}>
+            <option value="active">{t("query.show.active")}</option>
+            <option value="archived">{t("query.show.archived")}</option>
+            <option value="all">{t("query.show.all")}</option>
+          </Select>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-slate-600">{dateLabel}</span>
+        <Input type="date" className="flex-1 min-w-[9rem]" value={query.from} max={query.to || undefined} onChange={(e) => set("from", e.target.value)} />
+        <span className="text-slate-500">{t("common.to")}</span>
+        <Input type="date" className="flex-1 min-w-[9rem]" value={query.to} min={query.from || undefined} onChange={(e) => set("to", e.target.value)} />
+        <Select className="flex-1 min-w-[9rem]" value={query.sort} onChange={(e) => set("sort", e.target.value)}>
+          {sorts.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </Select>
+        <span className="ml-auto text-slate-500">
+          {shown === total ? t(countKey, { count: total }) : t("query.shownOf", { shown, total: t(countKey, { count: total }) })}
+          {filters > 0 && <> · <button type="button" className="underline" onClick={() => onChange({ ...defaults, sort: query.sort })}>{t("query.clear")}</button></>}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+// --------------------- Today's pick ----------------------
+// Every planting in its harvest window with an amount box each; only rows with an amount are
+// saved, all in one go. "Same as last time" copies that planting's previous harvest.
+const TodaysPick = ({ rows, onSave, onOpenTracker }) => {
+  const [date, setDate] = useState(todayISO);
+  const [entries, setEntries] = useState({}); // plantingId → { amount (text), unit }
+  const [errors, setErrors] = useState({}); // plantingId → message
+  const entryFor = (r) => entries[r.planting.id] || { amount: "", unit: r.defaultUnit };
+  const setEntry = (id, patch) => setEntries((s) => ({ ...s, [id]: { ...(s[id] || { amount: "", unit: rows.find((r) => r.planting.id === id)?.defaultUnit }), ...patch } }));
+
+  const filled = rows.filter((r) => entryFor(r).amount.trim());
+  const save = () => {
+    const nextErrors = {};
+    const list = [];
+    for (const r of filled) {
+      const entry = entryFor(r);
+      const quantity = parseQuantity(entry.amount, entry.unit);
+      const input = quantity.error ? { ...entry, amount: 0, date } : { amount: quantity.amount, unit: quantity.unit, date };
+      const problems = validateHarvest(input, r.planting);
+      if (quantity.error) problems.amount = quantity.error;
+      if (Object.keys(problems).length) nextErrors[r.planting.id] = Object.values(problems).join(" • ");
+      else list.push({ plantingId: r.planting.id, amount: input.amount, unit: input.unit });
+    }
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length || !list.length) return;
+    onSave(list, date);
+    setEntries({});
+  };
+
+  return (
+    <Section
+      title={t("pick.title")}
+      icon={<ShoppingBasket className="w-5 h-5 text-emerald-600" />}
+      actions={
+        <div className="w-40">
+          <Input type="date" value={date} max={todayISO()} onChange={(e) => setDate(e.target.value || todayISO())} />
+        </div>
+      }
+    >
+      {rows.length === 0 ? (
+        <div className="text-sm text-slate-600">
+          {t("pick.empty")} <button type="button" className="underline" onClick={onOpenTracker}>{t("pick.seeTracker")}</button>
+        </div>
+      ) : (
+        <div className="grid gap-2">
+          {rows.map((r) => {
+            const entry = entryFor(r);
+            const id = r.planting.id;
+            return (
+              <div key={id} className="border rounded-xl p-3 bg-white grid md:grid-cols-[1fr_auto] gap-2 items-center">
+                <div>
+                  <div className="font-medium">{r.name}</div>
+                  <div className="text-xs text-slate-500">
+                    {r.bed || t("common.noBed")} • {t("pick.through", { pct: Math.round(r.harvestPct) })} •{" "}
+                    {r.last ? t("pick.last", { amount: formatAmount(r.last.amount, r.last.unit), date: formatDate(r.last.date) }) : t("pick.notYet")}
+                  </div>
+                  <FieldError>{errors[id]}</FieldError>
+                </div>
+                <div className="flex items-center gap-2">
+                  <div className="w-32">
+                    <Input
+                      inputMode="decimal"
+                      placeholder={t("pick.amount")}
+                      value={entry.amount}
+                      onChange={(e) => {
+                        const quantity = parseQuantity(e.target.value, null);
+                        setEntry(id, { amount: e.target.value, ...(quantity.unitGiven ? { unit: quantity.unit } : {}) });
+                      }}
+                    />
+                  </div>
+                  <div className="w-28">
+                    <Select value={entry.unit} onChange={(e) => setEntry(id, { unit: e.target.value })}>
+                      {UNITS.map((u) => <option key={u.id} value={u.id}>{unitLabel(u.id)}</option>)}
+                    </Select>
+                  </div>
+                  {r.last && (
+                    <Button kind="ghost" onClick={() => setEntry(id, { amount: String(r.last.amount), unit: r.last.unit })}>
+                      <RotateCcw className="w-4 h-4" /> {t("pick.sameAsLast")}
+                    </Button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          <div className="flex items-center justify-end gap-2 mt-2">
+            <span className="text-sm text-slate-500">{t("pick.filled", { filled: filled.length, total: rows.length })}</span>
+            <Button onClick={save}><Check className="w-4 h-4" /> {filled.length ? t("pick.save", { count: filled.length }) : t("pick.saveNone")}</Button>
+          </div>
+        </div>
+      )}
+    </Section>
+  );
+};
+
+// Shown while Tracker cards or ledger rows are ticked. A select is reset after each pick,
+// so choosing the same bed twice in a row still fires.
+const BulkBar = ({ count, countKey, total, onSelectAll, onClear, children }) => (
+  <div className="sticky top-2 z-20 bg-emerald-50 border border-emerald-200 rounded-2xl shadow-sm p-3 flex flex-wrap items-center gap-2 text-sm">
+    <span className="font-medium">{t("bulk.selected", { what: t(countKey, { count }) })}</span>
+    {count < total && <button type="button" className="underline text-slate-600" onClick={onSelectAll}>{t("bulk.selectAll", { count: total })}</button>}
+    <button type="button" className="underline text-slate-600" onClick={onClear}>{t("bulk.clear")}</button>
+    <div className="ml-auto flex flex-wrap items-center gap-2">{children}</div>
+  </div>
+);
+
+const PickAction = ({ placeholder, onPick, children }) => (
+  <Select className="flex-1 min-w-[10rem]" value="" onChange={(e) => e.target.value && onPick(e.target.value)}>
+    <option value="">{placeholder}</option>
+    {children}
+  </Select>
+);
+
+const AutoArchive = ({ days, onDays, found, onArchive }) => (
+  <div className="flex flex-wrap items-center gap-2 text-sm text-slate-600">
+    <span>{t("autoArchive.before")}</span>
+    <div className="w-20">
+      <Input type="number" min={0} value={days} onChange={(e) => onDays(Math.max(0, Math.round(Number(e.target.value || 0))))} />
+    </div>
+    <span>{t("autoArchive.after")}</span>
+    <Button kind="ghost" disabled={found === 0} onClick={onArchive}>{found === 0 ? t("autoArchive.none") : t("autoArchive.archive", { count: found })}</Button>
+  </div>
+);
+
+// The one period filter every report view uses, plus how harvests are measured.
+const ReportFilters = ({ filter, onChange, units, onUnits, dates }) => {
+  const today = todayISO();
+  const season = seasonFor(filter.season);
+  const years = filter.kind === "growing" ? periodYears([...dates, today], 7) : filter.kind === "season" ? periodYears([...dates, today], season.months[0]) : [];
+  return (
+    <div className="bg-white/70 backdrop-blur border rounded-2xl shadow-sm p-3 flex flex-wrap items-center gap-2 text-sm">
+      <Filter className="w-4 h-4 text-emerald-600" />
+      <Select className="flex-1 min-w-[9rem]" value={filter.kind} onChange={(e) => onChange(filterFor(e.target.value, today))}>
+        <option value="all">{t("period.all")}</option>
+        <option value="growing">{t("reportFilter.growing")}</option>
+        <option value="season">{t("reportFilter.season")}</option>
+        <option value="range">{t("reportFilter.range")}</option>
+      </Select>
+      {filter.kind === "season" && (
+        <Select className="flex-1 min-w-[9rem]" value={filter.season} onChange={(e) => onChange({ ...filter, season: e.target.value })}>
+          {NZ_SEASONS.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </Select>
+      )}
+      {years.length > 0 && (
+        <Select className="flex-1 min-w-[9rem]" value={filter.year} onChange={(e) => onChange({ ...filter, year: Number(e.target.value) })}>
+          {years.map((y) => <option key={y} value={y}>{periodYearLabel(filter.kind === "season" ? season.months : GROWING_YEAR_MONTHS, y)}</option>)}
+        </Select>
+      )}
+      {filter.kind === "range" && (
+        <>
+          <Input type="date" className="flex-1 min-w-[9rem]" value={filter.from} max={filter.to || undefined} onChange={(e) => onChange({ ...filter, from: e.target.value })} />
+          <span className="text-slate-500">{t("common.to")}</span>
+          <Input type="date" className="flex-1 min-w-[9rem]" value={filter.to} min={filter.from || undefined} onChange={(e) => onChange({ ...filter, to: e.target.value })} />
+        </>
+      )}
+      <span className="ml-auto flex items-center gap-2">
+        <span className="text-slate-600">{t("reportFilter.show")}</span>
+        <Select value={units} onChange={(e) => onUnits(e.target.value)}>
+          <option value="unit">{t("reportFilter.byUnit")}</option>
+          <option value="kg">{t("reportFilter.asKg")}</option>
+        </Select>
+      </span>
+    </div>
+  );
+};
+
+const GardenComparison = ({ gardens, loadData, filter }) => {
+  const [data, setData] = useState(null); // [{ id, name, plantTypes, plantings, harvests }]
+
+  useEffect(() => {
+    let live = true;
+    Promise.all(gardens.list.map(async (g) => ({ id: g.id, name: g.name, ...(await loadData(g.id)) }))).then((rows) => live && setData(rows));
+    return () => { live = false; };
+  }, [gardens]);
+
+  const report = useMemo(() => (data ? compareGardens(data, filterRange(filter)) : null), [data, filter]);
+
+  return (
+    <Section title={t("compare.title")} icon={<BarChart3 className="w-5 h-5 text-emerald-600" />} actions={<span className="text-sm text-slate-500">{filterLabel(filter)}</span>}>
+      {!report ? (
+        <div className="text-sm text-slate-500">{t("compare.loading")}</div>
+      ) : (
+        <div className="grid xl:grid-cols-2 gap-4">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="py-2">{t("compare.garden")}</th>
+                  <th className="py-2">{t("compare.plantings")}</th>
+                  <th className="py-2">{t("compare.harvests")}</th>
+                  <th className="py-2">{t("compare.kg")}</th>
+                  <th className="py-2">{t("compare.estimatedKg")}</th>
+                  <th className="py-2">{t("compare.unweighed")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.totals.map((g, i) => (
+                  <tr key={g.id} className="border-t">
+                    <td className="py-2 flex items-center gap-2"><span className="w-3 h-3 rounded-full" style={{ background: GARDEN_COLORS[i % GARDEN_COLORS.length] }} />{g.name}</td>
+                    <td className="py-2">{g.plantings}</td>
+                    <td className="py-2">{g.harvests}</td>
+                    <td className="py-2">{g.kg}</td>
+                    <td className="py-2 text-slate-500">{g.estimatedKg ? `≈ ${g.estimatedKg}` : "—"}</td>
+                    <td className="py-2 text-slate-500">{g.unweighed || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="text-xs text-slate-500 mt-2">{t("compare.hint")}</div>
+          </div>
+          {report.byPlant.length === 0 ? <div className="text-sm text-slate-600">{t("compare.empty")}</div> : (
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={report.byPlant.slice(0, 12)}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis />
+                  <Tooltip />
+                  <Legend />
+                  {report.totals.map((g, i) => <Bar key={g.id} dataKey={g.id} name={t("compare.series", { name: g.name })} fill={GARDEN_COLORS[i % GARDEN_COLORS.length]} />)}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </div>
+      )}
+    </Section>
+  );
+};
+
+// --------------------- Observations ----------------------
+const ObservationLog = ({ planting, plantType, onAdd, onDelete, onClose }) => {
+  const blank = () => ({ type: "emerged", date: todayISO(), count: "", notes: "" });
+  const [form, setForm] = useState(blank);
+  const [error, setError] = useState("");
+  const kind = OBSERVATION_TYPES.find((o) => o.id === form.type);
+  const log = [...(planting.observations || [])].sort((a, b) => (a.date < b.date ? 1 : -1));
+
+  const add = () => {
+    if (!isISODate(form.date)) return setError(t("observe.error.date"));
+    if (form.date < planting.plantedAt) return setError(t("observe.error.beforePlanting"));
+    if (form.count !== "" && !(Number(form.count) >= 0)) return setError(t("observe.error.negative"));
+    if (!kind.count && !form.notes.trim()) return setError(t("observe.error.note"));
+    setError("");
+    onAdd({ id: uid(), type: form.type, date: form.date, count: kind.count && form.count !== "" ? Math.round(Number(form.count)) : null, notes: form.notes.trim() });
+    setForm(blank());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl p-4 md:p-6 w-full max-w-md max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <Eye className="w-5 h-5 text-emerald-600" />
+            <div className="font-semibold">{t("observe.title", { name: nameOf(plantType) })}</div>
+          </div>
+          <button className="p-2" onClick={onClose}>✕</button>
+        </div>
+        <div className="text-xs text-slate-500 mb-3">
+          {t("observe.summary", { date: formatDate(planting.plantedAt), growing: plantCount(planting), planted: planting.quantityPlanted })}
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <label className="text-sm text-slate-600">{t("observe.what")}
+            <Select value={form.type} onChange={(e) => setForm((f) => ({ ...f, type: e.target.value }))}>
+              {OBSERVATION_TYPES.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+            </Select>
+          </label>
+          <label className="text-sm text-slate-600">{t("common.date")}
+            <Input type="date" value={form.date} onChange={(e) => setForm((f) => ({ ...f, date: e.target.value }))} />
+          </label>
+          {kind.count && (
+            <label className="col-span-2 text-sm text-slate-600">{kind.count}
+              <Input type="number" min={0} placeholder={t("common.optional")} value={form.count} onChange={(e) => setForm((f) => ({ ...f, count: e.target.value }))} />
+            </label>
+          )}
+          <label className="col-span-2 text-sm text-slate-600">{t("common.notes")}
+            <TextArea rows={2} value={form.notes} onChange={(e) => setForm((f) => ({ ...f, notes: e.target.value }))} />
+          </label>
+        </div>
+        <FieldError>{error}</FieldError>
+        <div className="flex justify-end mt-3">
+          <Button onClick={add}><Plus className="w-4 h-4" /> {t("observe.log")}</Button>
+        </div>
+        <ul className="mt-4 space-y-2 text-sm">
+          {log.length === 0 && <li className="text-slate-500">{t("observe.empty")}</li>}
+          {log.map((o) => (
+            <li key={o.id} className="flex items-start justify-between gap-2 border-t pt-2">
+              <div>
+                <span className="font-medium">{observationLabel(o.type)}</span>
+                <span className="text-slate-500"> • {formatDate(o.date)}{o.count != null ? ` • ${o.count}` : ""}</span>
+                {o.notes && <div className="text-xs text-slate-600">{o.notes}</div>}
+              </div>
+              <button className="p-1 text-slate-500 hover:text-red-600" title={t("common.delete")} onClick={() => onDelete(o.id)}><Trash2 className="w-4 h-4" /></button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+// --------------------- Succession planner ----------------
+// Lives outside the App so its form state survives App re-renders.
+const SuccessionPlanner = ({ plantTypes, plantTypeById, beds, monthlyMeans, onCreate, onCancel }) => {
+  const [form, setForm] = useState(() => ({
+    plantTypeId: plantTypes[0]?.id || "",
+    varietyId: "",
+    method: plantTypes[0]?.defaultMethod || "direct",
+    start: todayISO(),
+    intervalDays: 21,
+    count: 4,
+    bedId: "",
+    quantityPlanted: 10,
+  }));
+  const set = (patch) => setForm((f) => ({ ...f, ...patch }));
+  const pt = plantTypeById[form.plantTypeId];
+  const count = Math.min(MAX_SUCCESSIONS, Math.max(1, Math.round(Number(form.count) || 1)));
+  const intervalDays = Math.max(1, Math.round(Number(form.intervalDays) || 1));
+  const template = { plantTypeId: form.plantTypeId, varietyId: form.varietyId, method: form.method };
+  const valid = pt && isISODate(form.start) && Number(form.quantityPlanted) >= 1;
+  const windows = valid ? planSuccession({ plantType: pt, template, start: form.start, intervalDays, count }, { monthlyMeans }) : [];
+  const gaps = supplyGaps(windows);
+  const suggestion = suggestedInterval(windows);
+
+  const rangeStart = windows[0]?.plantedAt;
+  const rangeEnd = windows.reduce((max, w) => (w.lastHarvest > max ? w.lastHarvest : max), rangeStart || "");
+  const span = rangeStart ? Math.max(1, daysBetween(rangeStart, rangeEnd)) : 1;
+  const pos = (iso) => `${(daysBetween(rangeStart, iso) / span) * 100}%`;
+  const width = (from, to) => `${(Math.max(1, daysBetween(from, to)) / span) * 100}%`;
+
+  const create = () => {
+    if (!valid) return;
+    const successionId = uid();
+    onCreate(
+      windows.map((w) => ({
+        id: uid(),
+        archived: false,
+        ...template,
+        plantedAt: w.plantedAt,
+        bedId: form.bedId || null,
+        region: null,
+        quantityPlanted: Math.round(Number(form.quantityPlanted)),
+        notes: t("succession.note", { n: w.index + 1, count }),
+        successionId,
+        successionIndex: w.index,
+      }))
+    );
+  };
+
+  return (
+    <Section
+      title={t("succession.title")}
+      icon={<Layers className="w-5 h-5 text-emerald-600" />}
+      actions={<Button kind="ghost" onClick={onCancel}>{t("common.back")}</Button>}
+    >
+      <div className="grid md:grid-cols-4 gap-4">
+        <label className="text-sm text-slate-600 md:col-span-2">{t("common.plantType")}
+          <Select value={form.plantTypeId} onChange={(e) => set({ plantTypeId: e.target.value, varietyId: "", method: plantTypeById[e.target.value]?.defaultMethod || "direct" })}>
+            {plantTypes.map((p) => (
+              <option key={p.id} value={p.id}>{nameOf(p)}</option>
+            ))}
+          </Select>
+        </label>
+        <label className="text-sm text-slate-600">{t("common.variety")}
+          <Select value={form.varietyId} onChange={(e) => set({ varietyId: e.target.value })}>
+            <option value="">—</option>
+            {(pt?.varieties || []).map((v) => (
+              <option key={v.id} value={v.id}>{v.name}</option>
+            ))}
+          </Select>
+        </label>
+        <label className="text-sm text-slate-600">{t("common.method")}
+          <Select value={form.method} onChange={(e) => set({ method: e.target.value })}>
+            <option value="direct">{t("method.direct")}</option>
+            <option value="transplant">{t("method.transplant")}</option>
+          </Select>
+        </label>
+        <label className="text-sm text-slate-600">{t("succession.start")}
+          <Input type="date" value={form.start} onChange={(e) => set({ start: e.target.value })} />
+        </label>
+        <label className="text-sm text-slate-600">{t("succession.every")}
+          <Input type="number" min={1} value={form.intervalDays} onChange={(e) => set({ intervalDays: e.target.value })} />
+        </label>
+        <label className="text-sm text-slate-600">{t("succession.sowings")}
+          <Input type="number" min={1} max={MAX_SUCCESSIONS} value={form.count} onChange={(e) => set({ count: e.target.value })} />
+        </label>
+        <label className="text-sm text-slate-600">{t("succession.qty")}
+          <Input type="number" min={1} value={form.quantityPlanted} onChange={(e) => set({ quantityPlanted: e.target.value })} />
+        </label>
+        <label className="text-sm text-slate-600 md:col-span-4">{t("common.bed")}
+          <Select value={form.bedId} onChange={(e) => set({ bedId: e.target.value })}>
+            <option value="">{t("common.noBed")}</option>
+            {beds.map((b) => <option key={b.id} value={b.id}>{b.name}</option>)}
+          </Select>
+        </label>
+      </div>
+
+      {windows.length > 0 && (
+        <div className="mt-6 space-y-2">
+          <div className="flex items-center justify-between text-xs text-slate-500">
+            <span>{formatDate(rangeStart)}</span>
+            <span>{formatDate(rangeEnd)}</span>
+          </div>
+          {windows.map((w) => {
+            const warning = sowingWarning(pt, form.method, w.plantedAt);
+            return (
+              <div key={w.index} className="flex items-center gap-3 text-xs">
+                <div className="w-28 shrink-0 text-slate-600" title={warning || ""}>
+                  {warning && <AlertTriangle className="inline w-3 h-3 mr-1 text-amber-600" />}
+                  {formatDate(w.plantedAt)}
+                </div>
+                <div className="relative flex-1 h-4 bg-slate-50 rounded-full">
+                  <div className="absolute h-full bg-emerald-100 rounded-full" style={{ left: pos(w.plantedAt), width: width(w.plantedAt, w.firstHarvest) }} />
+                  <div className="absolute h-full bg-emerald-500 rounded-full" style={{ left: pos(w.firstHarvest), width: width(w.firstHarvest, w.lastHarvest) }} title={`${formatDate(w.firstHarvest)} – ${formatDate(w.lastHarvest)}`} />
+                </div>
+              </div>
+            );
+          })}
+          <div className="flex items-center gap-3 text-xs">
+            <div className="w-28 shrink-0 font-medium text-slate-600">{t("succession.gapsRow")}</div>
+            <div className="relative flex-1 h-4 bg-emerald-50 rounded-full">
+              {gaps.map((g) => (
+                <div key={g.from} className="absolute h-full bg-red-400 rounded-full" style={{ left: pos(g.from), width: width(g.from, g.to) }} title={t("common.days", { count: g.days })} />
+              ))}
+            </div>
+          </div>
+          <div className="text-sm mt-3">
+            {gaps.length === 0 ? (
+              <span className="text-emerald-700">{t("succession.continuous", { date: formatDate(windows[0].firstHarvest) })}</span>
+            ) : (
+              <span className="text-amber-700">
+                {t("succession.gaps", { count: gaps.length, list: gaps.map((g) => `${formatDate(g.from)}, ${t("common.days", { count: g.days })}`).join("; ") })}
+                {suggestion && intervalDays > suggestion && <> {t("succession.tryEvery", { count: suggestion })}</>}
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="flex items-center justify-end gap-2 mt-4">
+        <Button kind="ghost" onClick={onCancel}>{t("common.cancel")}</Button>
+        <Button onClick={create}><Plus className="w-4 h-4" /> {t("succession.create", { count })}</Button>
+      </div>
+    </Section>
+  );
+};
+
 // --------------------- App -------------------------------
 export default function KaiKeeperApp() {
 const [plantTypes, setPlantTypes] = useState(DEFAULT_PLANT_TYPES);
 const [plantings, setPlantings] = useState([]);
 const [harvests, setHarvests]   = useState([]);
+const [trash, setTrash]         = useState([]);
+const [beds, setBeds]           = useState([]);
+const [settings, setSettings]   = useState(DEFAULT_SETTINGS);
+const [reminders, setReminders] = useState(emptyReminders); // agenda dismiss/snooze/notified state
+const [snapshots, setSnapshots] = useState([]); // restore points, newest first (see ./snapshots)
+const [syncState, setSyncState] = useState(emptySyncState); // record versions, tombstones, cursor, conflicts (see ./sync)
 
+// Nothing is written until the stored data has loaded, so defaults never overwrite it.
+const [hydrated, setHydrated] = useState(false);
+const [loadError, setLoadError] = useState(null);
 
+// ?tab= lets a notification open straight onto the Agenda.
+const [tab, setTab] = useState(() => new URLSearchParams(window.location.search).get("tab") || "track"); // "plant" | "track" | "pick" | "agenda" | "calendar" | "garden" | "succession" | "harvest" | "reports" | "settings"
 
-const [tab, setTab] = useState("track"); // "plant" | "track" | "harvest" | "reports" | "settings"
+// Tracker and ledger queries; the open tab's one is mirrored into the URL so a view can be
+// bookmarked (?tab=harvest&plant=tomato&sort=amount-desc).
+const urlQuery = (forTab, defaults) => (tab === forTab ? readQuery(window.location.search, defaults) : defaults);
+const [trackerQuery, setTrackerQuery] = useState(() => urlQuery("track", DEFAULT_TRACKER_QUERY));
+const [ledgerQuery, setLedgerQuery] = useState(() => urlQuery("harvest", DEFAULT_LEDGER_QUERY));
+useEffect(() => {
+  const params = new URLSearchParams([["tab", tab]]);
+  if (tab === "track") queryParams(trackerQuery, DEFAULT_TRACKER_QUERY).forEach(([k, v]) => params.set(k, v));
+  if (tab === "harvest") queryParams(ledgerQuery, DEFAULT_LEDGER_QUERY).forEach(([k, v]) => params.set(k, v));
+  window.history.replaceState(window.history.state, "", `${window.location.pathname}?${params}${window.location.hash}`);
+}, [tab, trackerQuery, ledgerQuery]);
 
-// Load once on startup
-useEffect(() => { load("plantTypes", DEFAULT_PLANT_TYPES).then(setPlantTypes); }, []);
-useEffect(() => { load("plantings", []).then(setPlantings); }, []);
-useEffect(() => { load("harvests", []).then(setHarvests); }, []);
+// UI language: one choice for the device, not per garden. Until one is saved it follows the
+// browser. Set before anything renders so every t() below sees it.
+const [locale, setLocaleState] = useState(() => localeFromLanguages(navigator.languages));
+setLocale(locale);
+useEffect(() => {
+  load("locale", null).then((id) => isLocale(id) && setLocaleState(id));
+}, []);
+useEffect(() => { document.documentElement.lang = locale; }, [locale]);
+const changeLocale = (id) => {
+  setLocaleState(id);
+  save("locale", id);
+};
 
-// Save whenever changes happen
-useEffect(() => { save("plantTypes", plantTypes); }, [plantTypes]);
-useEffect(() => { save("plantings", plantings); }, [plantings]);
-useEffect(() => { save("harvests",  harvests ); }, [harvests]);
+// Gardens: the registry loads first (running storage migrations), then the open garden's
+// data — again whenever another garden is opened. See ./gardens.
+const [gardens, setGardens] = useState(null);
+useEffect(() => {
+  load("gardens", null).then((g) => setGardens(g || emptyGardens())).catch(setLoadError);
+}, []);
+useEffect(() => { if (gardens) save("gardens", gardens); }, [gardens]);
+const gardenId = gardens?.active;
+
+useEffect(() => {
+  if (!gardenId) return;
+  let active = true;
+  setHydrated(false);
+  loadGarden(gardenId, gardenFallbacks())
+    .then((data) => {
+      if (!active) return;
+      const loadedSettings = { ...DEFAULT_SETTINGS, ...data.settings };
+      setPlantTypes(withDefaultFields(data.plantTypes));
+      setPlantings(data.plantings);
+      setHarvests(data.harvests);
+      setTrash(purgeExpired(data.trash, loadedSettings.trashRetentionDays));
+      setBeds(data.beds);
+      setSettings(loadedSettings);
+      setReminders(pruneReminders({ ...emptyReminders(), ...data.reminders }, todayISO()));
+      setSnapshots(data.snapshots);
+      setSyncState(data.sync ? { ...emptySyncState(), ...data.sync } : emptySyncState());
+      setHydrated(true);
+    })
+    .catch((e) => active && setLoadError(e));
+  return () => { active = false; };
+}, [gardenId]);
 
+// Save whenever changes happen
+useEffect(() => { if (hydrated) saveGarden(gardenId, "plantTypes", plantTypes); }, [hydrated, plantTypes]);
+useEffect(() => { if (hydrated) saveGarden(gardenId, "plantings", plantings); }, [hydrated, plantings]);
+useEffect(() => { if (hydrated) saveGarden(gardenId, "harvests",  harvests ); }, [hydrated, harvests]);
+useEffect(() => { if (hydrated) saveGarden(gardenId, "trash",     trash    ); }, [hydrated, trash]);
+useEffect(() => { if (hydrated) saveGarden(gardenId, "beds",      beds     ); }, [hydrated, beds]);
+useEffect(() => { if (hydrated) saveGarden(gardenId, "settings",  settings ); }, [hydrated, settings]);
+useEffect(() => { if (hydrated) saveGarden(gardenId, "reminders", reminders); }, [hydrated, reminders]);
+useEffect(() => { if (hydrated) saveGarden(gardenId, "snapshots", snapshots); }, [hydrated, snapshots]);
+useEffect(() => { if (hydrated) saveGarden(gardenId, "sync",      syncState); }, [hydrated, syncState]);
 
   // -------- Derived maps --------
   const plantTypeById = useMemo(() => Object.fromEntries(plantTypes.map((p) => [p.id, p])), [plantTypes]);
+  const plantingById = useMemo(() => Object.fromEntries(plantings.map((p) => [p.id, p])), [plantings]);
+  const bedById = useMemo(() => Object.fromEntries(beds.map((b) => [b.id, b])), [beds]);
+  const bedName = (planting) => bedById[planting?.bedId]?.name || null;
+
+  // -------- History (undo / redo) --------
+  // Every change to the record collections goes through commit() so it can be undone.
+  const setters = { plantTypes: setPlantTypes, plantings: setPlantings, harvests: setHarvests, trash: setTrash, beds: setBeds };
+  const dataRef = useRef(null);
+  dataRef.current = { plantTypes, plantings, harvests, trash, beds };
+  const [history, setHistory] = useState(emptyHistory);
+  useEffect(() => setHistory(emptyHistory()), [gardenId]); // undo never reaches into another garden
+  const [toast, setToast] = useState(null); // { id, message, action: "undo" | "redo" | null }
 
-  // -------- Add Planting --------
-  const [newPlanting, setNewPlanting] = useState({ plantTypeId: plantTypes[0]?.id || "", plantedAt: todayISO(), location: "", quantityPlanted: 1, notes: "" });
+  const writeData = (patch) => {
+    dataRef.current = { ...dataRef.current, ...patch };
+    for (const [key, value] of Object.entries(patch)) setters[key](value);
+  };
+
+  /** change(data) returns only the collections it replaces. */
+  const commit = (label, change, { coalesceKey, notify = false } = {}) => {
+    const current = dataRef.current;
+    const after = change(current);
+    if (!after || Object.keys(after).length === 0) return;
+    const before = Object.fromEntries(Object.keys(after).map((k) => [k, current[k]]));
+    writeData(after);
+    setHistory((h) => pushEntry(h, { label, before, after, coalesceKey }));
+    if (notify) setToast({ id: uid(), message: label, action: "undo" });
+  };
+
+  const undoLast = () => {
+    const { history: next, entry } = undo(history);
+    if (!entry) return;
+    writeData(entry.before);
+    setHistory(next);
+    setToast({ id: uid(), message: t("history.undone", { label: entry.label }), action: "redo" });
+  };
+  const redoLast = () => {
+    const { history: next, entry } = redo(history);
+    if (!entry) return;
+    writeData(entry.after);
+    setHistory(next);
+    setToast({ id: uid(), message: t("history.redone", { label: entry.label }), action: "undo" });
+  };
+
+  // Ctrl/⌘+Z undo, Ctrl/⌘+Shift+Z or Ctrl+Y redo. Form fields keep their own undo.
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest?.("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undoLast();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redoLast();
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  // -------- Add / Edit Planting --------
+  const blankPlanting = () => ({ plantTypeId: plantTypes[0]?.id || "", varietyId: "", method: plantTypes[0]?.defaultMethod || "direct", plantedAt: todayISO(), bedId: "", region: null, quantityPlanted: 1, notes: "" });
+  const [newPlanting, setNewPlanting] = useState(blankPlanting);
+  const [editingPlantingId, setEditingPlantingId] = useState(null); // plantingId | null
+  const [plantingErrors, setPlantingErrors] = useState({});
+
+  const resetPlantingForm = () => {
+    setNewPlanting(blankPlanting());
+    setEditingPlantingId(null);
+    setPlantingErrors({});
+  };
+
+  const startEditPlanting = (planting) => {
+    const { plantTypeId, varietyId = "", method = "direct", plantedAt, bedId, region = null, quantityPlanted, notes } = planting;
+    setNewPlanting({ plantTypeId, varietyId, method, plantedAt, bedId: bedId || "", region, quantityPlanted, notes });
+    setEditingPlantingId(planting.id);
+    setPlantingErrors({});
+    setTab("plant");
+  };
 
   const addPlanting = (e) => {
     e?.preventDefault?.();
-    if (!newPlanting.plantTypeId || !newPlanting.plantedAt) return;
-    const planting = { id: uid(), archived: false, ...newPlanting };
-    setPlantings((arr) => [planting, ...arr]);
-    setNewPlanting({ plantTypeId: plantTypes[0]?.id || "", plantedAt: todayISO(), location: "", quantityPlanted: 1, notes: "" });
+    const errors = validatePlanting(newPlanting, plantTypeById);
+    setPlantingErrors(errors);
+    if (Object.keys(errors).length) return;
+    const fields = { ...newPlanting, bedId: newPlanting.bedId || null, region: newPlanting.bedId ? newPlanting.region : null, quantityPlanted: Number(newPlanting.quantityPlanted) };
+    if (editingPlantingId) {
+      // Keep the id so harvests linked by plantingId stay attached.
+      commit(t("history.editPlanting"), (d) => ({ plantings: d.plantings.map((p) => (p.id === editingPlantingId ? { ...p, ...fields } : p)) }));
+    } else {
+      commit(t("history.addPlanting"), (d) => ({ plantings: [{ id: uid(), archived: false, observations: [], ...fields }, ...d.plantings] }));
+    }
+    resetPlantingForm();
     setTab("track");
   };
 
   // -------- Harvest Modal --------
-  const [harvestTarget, setHarvestTarget] = useState(null); // plantingId | null
-  const [harvestInput, setHarvestInput] = useState({ amount: 0, unit: /** @type {Unit} */("kg"), date: todayISO(), notes: "" });
+  const [harvestTarget, setHarvestTarget] = useState(null); // Planting | null
+  // amount is the text as typed: "1.2", "1.2kg" or "12 heads" (a unit in the text wins).
+  const [harvestInput, setHarvestInput] = useState({ amount: "", unit: /** @type {Unit} */("kg"), date: todayISO(), notes: "" });
+  const [editingHarvestId, setEditingHarvestId] = useState(null); // harvestId | null
+  const [harvestErrors, setHarvestErrors] = useState({});
 
   const openHarvest = (planting) => {
     const defaultUnit = plantTypeById[planting.plantTypeId]?.defaultUnit || "kg";
-    setHarvestInput({ amount: 0, unit: defaultUnit, date: todayISO(), notes: "" });
+    setHarvestInput({ amount: "", unit: defaultUnit, date: todayISO(), notes: "" });
+    setEditingHarvestId(null);
+    setHarvestErrors({});
+    setHarvestTarget(planting);
+  };
+  const openEditHarvest = (harvest) => {
+    const { amount, unit, date, notes } = harvest;
+    // An orphaned harvest can still be corrected; it just has no planting to show.
+    const planting = plantings.find((p) => p.id === harvest.plantingId) || { id: harvest.plantingId, plantTypeId: null, plantedAt: "" };
+    setHarvestInput({ amount: String(amount), unit, date, notes });
+    setEditingHarvestId(harvest.id);
+    setHarvestErrors({});
     setHarvestTarget(planting);
   };
+  const closeHarvest = () => {
+    setHarvestTarget(null);
+    setEditingHarvestId(null);
+  };
   const logHarvest = () => {
     if (!harvestTarget) return;
-    const { amount, unit, date, notes } = harvestInput;
-    if (!amount || amount <= 0) return;
-    const entry = { id: uid(), plantingId: harvestTarget.id, amount: Number(amount), unit, date, notes };
-    setHarvests((arr) => [entry, ...arr]);
-    setHarvestTarget(null);
+    const quantity = parseQuantity(harvestInput.amount, harvestInput.unit);
+    const input = quantity.error ? { ...harvestInput, amount: 0 } : { ...harvestInput, amount: quantity.amount, unit: quantity.unit };
+    const errors = validateHarvest(input, harvestTarget);
+    if (quantity.error && harvestInput.amount.trim()) errors.amount = t("harvest.error.amount", { error: quantity.error });
+    setHarvestErrors(errors);
+    if (Object.keys(errors).length) return;
+    const { amount, unit, date, notes } = input;
+    const fields = { amount: Number(amount), unit, date, notes };
+    if (editingHarvestId) {
+      commit(t("history.editHarvest"), (d) => ({ harvests: d.harvests.map((h) => (h.id === editingHarvestId ? { ...h, ...fields } : h)) }));
+    } else {
+      commit(t("history.logHarvest"), (d) => ({ harvests: [{ id: uid(), plantingId: harvestTarget.id, ...fields }, ...d.harvests] }));
+    }
+    closeHarvest();
+  };
+
+  // -------- Beds --------
+  /** Create (or reuse, by name) a bed; returns its id. */
+  const addBed = (name) => {
+    const existing = findBedByName(beds, name);
+    if (existing) return existing.id;
+    const bed = newBed(name, beds.length);
+    commit(t("history.addBed", { name: bed.name }), (d) => ({ beds: [...d.beds, bed] }));
+    return bed.id;
+  };
+  const updateBed = (id, patch) => commit(t("history.editBed", { name: bedById[id]?.name }), (d) => ({
+    beds: d.beds.map((b) => (b.id === id ? { ...b, ...patch } : b)),
+  }), { coalesceKey: `bed:${id}:${Object.keys(patch).join()}` });
+  const deleteBed = (id) => {
+    const bed = bedById[id];
+    if (!bed) return;
+    const users = plantings.filter((p) => p.bedId === id).length;
+    if (users && !confirm(t("beds.confirmDelete", { count: users, name: bed.name }))) return;
+    commit(t("history.deleteBed", { name: bed.name }), (d) => ({
+      beds: d.beds.filter((b) => b.id !== id),
+      trash: [toTrash("bed", bed), ...d.trash],
+    }), { notify: true });
+  };
+
+  const addSuccession = (series) => {
+    const name = nameOf(plantTypeById[series[0]?.plantTypeId]);
+    commit(t("history.addSuccession", { count: series.length, name }), (d) => ({ plantings: [...[...series].reverse(), ...d.plantings] }), { notify: true });
+    setTab("track");
   };
 
-  const deletePlanting = (id) => setPlantings((arr) => arr.filter((p) => p.id !== id));
-  const deleteHarvest = (id) => setHarvests((arr) => arr.filter((h) => h.id !== id));
+  // Deletes move records to Trash; a planting takes its harvests with it so nothing is orphaned.
+  const deletePlanting = (id) => {
+    const planting = plantings.find((p) => p.id === id);
+    if (!planting) return;
+    const linked = harvests.filter((h) => h.plantingId === id);
+    const name = nameOf(plantTypeById[planting.plantTypeId]);
+    if (linked.length && !confirm(t("tracker.confirmDelete", { name, count: linked.length }))) return;
+    commit(t("history.deletePlanting", { name }), (d) => ({
+      plantings: d.plantings.filter((p) => p.id !== id),
+      harvests: d.harvests.filter((h) => h.plantingId !== id),
+      trash: [toTrash("planting", planting, { harvests: linked }), ...d.trash],
+    }), { notify: true });
+  };
+  const deleteHarvest = (id) => {
+    const harvest = harvests.find((h) => h.id === id);
+    if (!harvest) return;
+    commit(t("history.deleteHarvest"), (d) => ({
+      harvests: d.harvests.filter((h) => h.id !== id),
+      trash: [toTrash("harvest", harvest), ...d.trash],
+    }), { notify: true });
+  };
+
+  // -------- Observations --------
+  const [observingId, setObservingId] = useState(null); // plantingId | null
+  const observing = plantingById[observingId] || null;
+  const addObservation = (obs) => commit(t("history.logObservation", { what: observationLabel(obs.type).toLowerCase() }), (d) => ({
+    plantings: d.plantings.map((p) => (p.id === observingId ? { ...p, observations: [...(p.observations || []), obs] } : p)),
+  }));
+  const deleteObservation = (id) => commit(t("history.deleteObservation"), (d) => ({
+    plantings: d.plantings.map((p) => (p.id === observingId ? { ...p, observations: (p.observations || []).filter((o) => o.id !== id) } : p)),
+  }), { notify: true });
+
+  const toggleArchive = (id) => {
+    const planting = plantings.find((p) => p.id === id);
+    commit(planting?.archived ? t("history.unarchivePlanting") : t("history.archivePlanting"), (d) => ({
+      plantings: d.plantings.map((p) => (p.id === id ? { ...p, archived: !p.archived } : p)),
+    }), { notify: true });
+  };
+
+  // -------- Bulk actions (see ./bulk) --------
+  // Each batch is one commit, so one Undo (from the toast or Ctrl+Z) puts it all back.
+  const [selectedPlantings, setSelectedPlantings] = useState([]); // plantingIds
+  const [selectedHarvests, setSelectedHarvests] = useState([]); // harvestIds
+  useEffect(() => {
+    setSelectedPlantings([]);
+    setSelectedHarvests([]);
+  }, [gardenId]);
+  const toggleSelected = (setter, id) => setter((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]));
+
+  // `key` names the history label; it gets the number of records as {count}.
+  const bulkPlantings = (key, vars, change) => {
+    const ids = selectedPlantings.filter((id) => plantingById[id]);
+    if (!ids.length) return;
+    commit(t(key, { ...vars, count: ids.length }), (d) => change(d, ids), { notify: true });
+    setSelectedPlantings([]);
+  };
+  const archiveSelected = (archived) => bulkPlantings(archived ? "bulk.archive" : "bulk.unarchive", {}, (d, ids) => archivePlantings(d, ids, archived));
+  const moveSelected = (bedId) => bulkPlantings("bulk.move", { bed: bedById[bedId]?.name || t("bulk.noBed") }, (d, ids) => movePlantings(d, ids, bedId));
+  const retypeSelected = (plantTypeId) => {
+    if (!plantTypeById[plantTypeId]) return;
+    bulkPlantings("bulk.retype", { name: nameOf(plantTypeById[plantTypeId]) }, (d, ids) => retypePlantings(d, ids, plantTypeId));
+  };
+  const deleteSelectedPlantings = () => {
+    const chosen = new Set(selectedPlantings);
+    const linked = harvests.filter((h) => chosen.has(h.plantingId)).length;
+    if (linked && !confirm(t("bulk.confirmDelete", { plantings: t("count.plantings", { count: chosen.size }), harvests: t("count.harvestRecords", { count: linked }) }))) return;
+    bulkPlantings("bulk.deletePlantings", {}, (d, ids) => trashPlantings(d, ids));
+  };
 
-  const toggleArchive = (id) => setPlantings((arr) => arr.map((p) => (p.id === id ? { ...p, archived: !p.archived } : p)));
+  const bulkHarvests = (key, vars, change) => {
+    const ids = selectedHarvests.filter((id) => harvests.some((h) => h.id === id));
+    if (!ids.length) return;
+    commit(t(key, { ...vars, count: ids.length }), (d) => change(d, ids), { notify: true });
+    setSelectedHarvests([]);
+  };
+  const deleteSelectedHarvests = () => bulkHarvests("bulk.deleteHarvests", {}, (d, ids) => trashHarvests(d, ids));
+  const moveSelectedHarvests = (plantingId) => {
+    if (!plantingById[plantingId]) return;
+    bulkHarvests("bulk.moveHarvests", { name: nameOf(plantTypeById[plantingById[plantingId].plantTypeId]) }, (d, ids) => moveHarvests(d, ids, plantingId));
+  };
+
+  const finishedForArchive = () => finishedPlantings(plantings, phaseFor, todayISO(), settings.autoArchiveDays);
+  const autoArchive = () => {
+    const ids = finishedForArchive().map((p) => p.id);
+    if (!ids.length) return;
+    commit(t("bulk.autoArchive", { count: ids.length }), (d) => archivePlantings(d, ids, true), { notify: true });
+  };
+
+  // -------- Trash --------
+  const trashLabel = (entry) => {
+    const { kind, item } = entry;
+    if (kind === "plantType") return t("trash.plantType", { name: nameOf(item) });
+    if (kind === "planting") {
+      const label = t("trash.planting", { name: nameOf(plantTypeById[item.plantTypeId]), date: formatDate(item.plantedAt) });
+      return bedName(item) ? `${label} • ${bedName(item)}` : label;
+    }
+    if (kind === "bed") return t("trash.bed", { name: item.name });
+    return t("trash.harvest", { amount: formatAmount(item.amount, item.unit), date: formatDate(item.date) });
+  };
+  const restoreEntry = (entry) => commit(t("history.restore", { label: trashLabel(entry) }), (d) => restoreFromTrash(entry, d), { notify: true });
+  const purgeEntry = (entry) => {
+    if (!confirm(t("trash.confirmPurge", { label: trashLabel(entry) }))) return;
+    commit(t("history.purge"), (d) => ({ trash: d.trash.filter((e) => e !== entry) }), { notify: true });
+  };
+  const emptyTrash = () => {
+    if (!confirm(t("trash.confirmEmpty", { count: trash.length }))) return;
+    commit(t("history.emptyTrash"), () => ({ trash: [] }), { notify: true });
+  };
 
   // -------- Estimation logic --------
-  const phaseFor = (planting) => {
-    const pt = plantTypeById[planting.plantTypeId];
-    if (!pt) return null;
-    const now = todayISO();
-    const elapsed = Math.max(0, daysBetween(planting.plantedAt, now));
-    const germAvg = (pt.germinationMinDays + pt.germinationMaxDays) / 2;
-    const g1 = germAvg; // germination len
-    const g2 = Math.max(1, pt.maturityDays - g1); // growth len
-    const g3 = Math.max(1, pt.harvestWindowDays); // harvest window len
-
-    const total = g1 + g2 + g3;
-    const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
-
-    const p1 = clamp((elapsed / g1) * 100, 0, 100);
-    const p2 = clamp(((elapsed - g1) / g2) * 100, 0, 100);
-    const p3 = clamp(((elapsed - g1 - g2) / g3) * 100, 0, 100);
-
-    return {
-      germinationPct: p1,
-      growthPct: p2,
-      harvestPct: p3,
-      expected: {
-        germinationStart: addDays(planting.plantedAt, pt.germinationMinDays),
-        germinationEnd: addDays(planting.plantedAt, pt.germinationMaxDays),
-        firstHarvest: addDays(planting.plantedAt, pt.maturityDays),
-        lastHarvest: addDays(planting.plantedAt, pt.maturityDays + pt.harvestWindowDays),
+  const monthlyMeans = settings.phaseModel === "gdd" ? monthlyMeansFor(settings.climate) : null;
+  const phaseFor = (planting) => computePhase(planting, plantTypeById[planting.plantTypeId], { today: todayISO(), monthlyMeans });
+
+  // -------- Today's pick --------
+  // Plantings in their harvest window, each with its most recent harvest.
+  const pickRows = useMemo(() => {
+    if (tab !== "pick") return [];
+    const last = {};
+    for (const h of harvests) if (!last[h.plantingId] || h.date > last[h.plantingId].date) last[h.plantingId] = h;
+    return plantings
+      .filter((p) => !p.archived)
+      .map((p) => ({ planting: p, phase: phaseFor(p) }))
+      .filter((r) => phaseStage(r.phase) === "harvest")
+      .map(({ planting, phase }) => {
+        const pt = plantTypeById[planting.plantTypeId];
+        const variety = varietyOf(pt, planting);
+        return {
+          planting,
+          name: `${nameOf(pt)}${variety ? ` — ${variety.name}` : ""}`,
+          bed: bedName(planting),
+          harvestPct: phase.harvestPct,
+          defaultUnit: pt?.defaultUnit || "kg",
+          last: last[planting.id] || null,
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name) || (a.planting.plantedAt < b.planting.plantedAt ? -1 : 1));
+  }, [tab, plantings, harvests, plantTypeById, bedById, settings.phaseModel, settings.climate]);
+
+  const logHarvests = (list, date) =>
+    commit(t("history.logHarvests", { count: list.length }), (d) => ({
+      harvests: [...list.map((e) => ({ id: uid(), plantingId: e.plantingId, amount: e.amount, unit: e.unit, date, notes: "" })), ...d.harvests],
+    }), { notify: true });
+
+  // -------- Agenda & reminders --------
+  const harvestedIds = useMemo(() => new Set(harvests.map((h) => h.plantingId)), [harvests]);
+  const agendaFor = (today) => agendaEvents(plantings, harvestedIds, phaseFor, { today, horizonDays: settings.agenda.horizonDays });
+  const snoozeEvent = (id, days) => setReminders((r) => ({ ...r, snoozed: { ...r.snoozed, [id]: addDays(todayISO(), days) } }));
+  const dismissEvent = (id) => setReminders((r) => ({ ...r, dismissed: [...r.dismissed, id] }));
+  const restoreDismissed = () => setReminders((r) => ({ ...r, dismissed: [], snoozed: {} }));
+
+  // Re-check when the app comes back to the foreground and once an hour while open.
+  const [reminderTick, setReminderTick] = useState(0);
+  useEffect(() => {
+    const bump = () => document.visibilityState === "visible" && setReminderTick((n) => n + 1);
+    const timer = setInterval(bump, 60 * 60 * 1000);
+    document.addEventListener("visibilitychange", bump);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", bump);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!hydrated || !settings.agenda.notifications) return;
+    const today = todayISO();
+    const due = dueForNotification(agendaFor(today), reminders, settings.agenda.leadDays, today);
+    if (!due.length) return;
+    const describe = (e) => {
+      const p = plantingById[e.plantingId];
+      const name = bedName(p) ? `${nameOf(plantTypeById[p?.plantTypeId])} (${bedName(p)})` : nameOf(plantTypeById[p?.plantTypeId]);
+      return t("agenda.notify.line", { name, what: agendaLabel(e.kind).toLowerCase(), when: e.date === today ? t("agenda.today") : formatDate(e.date) });
+    };
+    // One notification per event is noisy after a few days away — summarise instead.
+    const note = due.length === 1
+      ? { title: agendaLabel(due[0].kind), body: describe(due[0]), tag: due[0].id }
+      : { title: t("agenda.notify.title", { count: due.length }), body: due.slice(0, 4).map(describe).join("\n"), tag: "kai-keeper-agenda" };
+    showNotification(note).then((shown) => {
+      if (shown) setReminders((r) => ({ ...r, notified: [...r.notified, ...due.map((e) => e.id)] }));
+    });
+  }, [hydrated, settings.agenda, plantings, harvests, reminders, reminderTick]);
+
+  // -------- Offline app --------
+  const [applyUpdate, setApplyUpdate] = useState(null); // () => void when a new build is waiting
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [storageState, setStorageState] = useState("unsupported"); // see storageStatus()
+  useEffect(() => {
+    watchForUpdates((apply) => setApplyUpdate(() => apply));
+    const onChange = () => setOnline(navigator.onLine);
+    window.addEventListener("online", onChange);
+    window.addEventListener("offline", onChange);
+    return () => {
+      window.removeEventListener("online", onChange);
+      window.removeEventListener("offline", onChange);
+    };
+  }, []);
+  // Once there's data worth keeping, ask the browser not to evict it.
+  useEffect(() => {
+    if (!hydrated) return;
+    storageStatus().then((status) => (status === "best-effort" ? requestPersistentStorage() : status)).then(setStorageState);
+  }, [hydrated]);
+  const keepStorage = () => requestPersistentStorage().then(setStorageState);
+
+  // -------- Sync --------
+  // syncRef is the live copy: a sync runs across several awaits and must see edits made meanwhile.
+  const syncRef = useRef(syncState);
+  const [syncStatus, setSyncStatus] = useState({ running: false, error: null });
+  const syncingRef = useRef(false);
+  const gardenRef = useRef(gardenId);
+  gardenRef.current = gardenId;
+  const writeSync = (next) => {
+    syncRef.current = next;
+    setSyncState(next);
+  };
+  useEffect(() => {
+    if (hydrated) syncRef.current = syncState;
+  }, [hydrated]);
+
+  // Every change, whatever made it (forms, undo, import, restore), gets a new version here.
+  useEffect(() => {
+    if (!hydrated) return;
+    const next = trackChanges(syncRef.current, { plantTypes, plantings, harvests, beds });
+    if (next !== syncRef.current) writeSync(next);
+  }, [hydrated, plantTypes, plantings, harvests, beds]);
+
+  const TRASH_KIND = { plantTypes: "plantType", beds: "bed", plantings: "planting", harvests: "harvest" };
+  const runSync = async () => {
+    if (!hydrated || !settings.sync.url || syncingRef.current) return;
+    const startedIn = gardenId;
+    syncingRef.current = true;
+    setSyncStatus({ running: true, error: null });
+    const io = {
+      read: () => {
+        const state = trackChanges(syncRef.current, dataRef.current);
+        if (state !== syncRef.current) writeSync(state);
+        return { state, data: dataRef.current };
+      },
+      write: ({ state, patch, removed }) => {
+        if (gardenRef.current !== startedIn) throw new Error(t("sync.error.gardenChanged"));
+        writeSync(state);
+        if (patch && Object.keys(patch).length) {
+          writeData(patch);
+          // Undo entries hold whole collections from before; replaying one would undo the other devices' work too.
+          setHistory(emptyHistory());
+        }
+        // Deleted elsewhere → Trash here, so it can still be brought back.
+        if (removed?.length) writeData({ trash: [...removed.map((r) => toTrash(TRASH_KIND[r.collection], r.record)), ...dataRef.current.trash] });
       },
-      done: elapsed > total,
-      elapsed,
-      total,
     };
+    try {
+      const result = await syncOnce(createHttpAdapter(settings.sync), io);
+      setSyncStatus({ running: false, error: null });
+      if (result.pulled || result.conflicts) {
+        const pulled = t("sync.pulled", { count: result.pulled });
+        setToast({ id: uid(), message: result.conflicts ? `${pulled} • ${t("sync.conflictsToReview", { count: result.conflicts })}` : pulled });
+      }
+    } catch (e) {
+      setSyncStatus({ running: false, error: e.message });
+    } finally {
+      syncingRef.current = false;
+    }
+  };
+
+  // Automatic sync: on start, hourly/when resumed (reminderTick), on reconnect, and after changes settle.
+  const hasPending = pendingCount(syncState) > 0;
+  useEffect(() => {
+    if (!hydrated || !settings.sync.url || !settings.sync.auto || !online) return;
+    const timer = setTimeout(runSync, 1000);
+    return () => clearTimeout(timer);
+  }, [hydrated, settings.sync.url, settings.sync.token, settings.sync.auto, online, reminderTick]);
+  useEffect(() => {
+    if (!hydrated || !settings.sync.url || !settings.sync.auto || !online || !hasPending) return;
+    const timer = setTimeout(runSync, 15000);
+    return () => clearTimeout(timer);
+  }, [syncState.meta]);
+
+  const syncRecordLabel = (collection, r) =>
+    collection === "plantings" ? t("sync.record.planting", { name: nameOf(plantTypeById[r.plantTypeId]), date: formatDate(r.plantedAt) })
+    : collection === "harvests" ? t("trash.harvest", { amount: formatAmount(r.amount, r.unit), date: formatDate(r.date) })
+    : collection === "beds" ? t("trash.bed", { name: r.name })
+    : t("trash.plantType", { name: nameOf(r) });
+  const resolveSyncConflict = (k, side) => {
+    const record = side === "local" ? k.local : k.remote;
+    if (side !== k.kept) {
+      commit(t(side === "local" ? "history.keepLocal" : "history.keepRemote", { label: syncRecordLabel(k.collection, k.local || k.remote).toLowerCase() }), (d) => {
+        const others = d[k.collection].filter((r) => r.id !== k.recordId);
+        return { [k.collection]: record ? (others.length < d[k.collection].length ? d[k.collection].map((r) => (r.id === k.recordId ? record : r)) : [record, ...others]) : others };
+      }, { notify: true });
+    }
+    writeSync({ ...syncRef.current, conflicts: syncRef.current.conflicts.filter((x) => x.id !== k.id) });
+  };
+
+  // Tapping a notification while the app is open switches to the Agenda.
+  useEffect(() => {
+    if (!("serviceWorker" in navigator)) return;
+    const onMessage = (e) => e.data?.type === "open-tab" && setTab(e.data.tab);
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+  }, []);
+
+  const toggleNotifications = async (on) => {
+    if (on && !(await requestNotificationPermission())) {
+      setToast({ id: uid(), message: t("agenda.notify.blocked") });
+      return;
+    }
+    if (on) await registerServiceWorker();
+    setSettings((s) => ({ ...s, agenda: { ...s.agenda, notifications: on } }));
   };
 
   // -------- Reports data --------
+  const harvestKg = (h) => toKg(h.amount, h.unit, plantTypeById[plantingById[h.plantingId]?.plantTypeId]);
+  // Grams are shown as kg; other units keep their own figures.
+  const harvestAmount = (h) => exactKg(h.amount, h.unit) ?? h.amount;
+
+  // One period for every report view (see ./periods).
+  const [reportFilter, setReportFilter] = useState(DEFAULT_REPORT_FILTER);
+  const reportRange = useMemo(() => filterRange(reportFilter), [reportFilter]);
+  const reportHarvests = useMemo(() => harvests.filter((h) => inRange(h.date, reportRange)), [harvests, reportRange]);
+  const reportPlantings = useMemo(() => plantings.filter((p) => inRange(p.plantedAt, reportRange)), [plantings, reportRange]);
+
+  // By unit: weights together as kg, then one group per other unit in use.
   const harvestsByUnit = useMemo(() => {
-    const kg = harvests.filter((h) => h.unit === "kg");
-    const count = harvests.filter((h) => h.unit === "count");
-    return { kg, count };
-  }, [harvests]);
+    const groups = { kg: [], count: [] };
+    for (const h of reportHarvests) {
+      const unit = exactKg(1, h.unit) != null ? "kg" : h.unit;
+      (groups[unit] = groups[unit] || []).push(h);
+    }
+    return groups;
+  }, [reportHarvests]);
+  // Same figures as harvestsByUnit, flattened: amounts in kg for weights, else as logged.
+  const inUnits = (list) => list.map((h) => (exactKg(1, h.unit) != null ? { ...h, amount: harvestAmount(h), unit: "kg" } : h));
+
+  // All in kg: counts, bunches etc. converted with the plant's average weight (flagged
+  // `estimated`); harvests with no weight to go on are listed as left out.
+  const inKgRows = (list) => {
+    const rows = [];
+    const skipped = new Map();
+    for (const h of list) {
+      const weight = harvestKg(h);
+      if (weight) {
+        rows.push({ ...h, amount: weight.kg, unit: "kg", estimated: weight.estimated });
+        continue;
+      }
+      const name = nameOf(plantTypeById[plantingById[h.plantingId]?.plantTypeId]);
+      const key = `${name}|${h.unit}`;
+      skipped.set(key, { name, unit: h.unit, harvests: (skipped.get(key)?.harvests || 0) + 1 });
+    }
+    return { rows, skipped: Array.from(skipped.values()) };
+  };
+  const harvestsInKg = useMemo(() => inKgRows(reportHarvests), [reportHarvests, plantingById, plantTypeById]);
 
   const monthKey = (iso) => iso.slice(0, 7); // YYYY-MM
 
+  // { month, total, estimated } — estimated is the part of total that came from average weights.
   const monthlyTotals = (subset) => {
     const map = new Map();
     for (const h of subset) {
       const k = monthKey(h.date);
-      map.set(k, (map.get(k) || 0) + h.amount);
+      const row = map.get(k) || { month: k, total: 0, estimated: 0 };
+      row.total += harvestAmount(h);
+      if (h.estimated) row.estimated += h.amount;
+      map.set(k, row);
     }
-    return Array.from(map.entries())
-      .sort(([a], [b]) => (a < b ? -1 : 1))
-      .map(([month, total]) => ({ month, total }));
+    return Array.from(map.values())
+      .sort((a, b) => (a.month < b.month ? -1 : 1))
+      .map((r) => ({ ...r, total: +r.total.toFixed(2), weighed: +(r.total - r.estimated).toFixed(2), estimated: +r.estimated.toFixed(2) }));
   };
 
   const totalsByPlantType = (subset) => {
@@ -301,306 +2141,1014 @@ useEffect(() => { save("harvests",  harvests ); }, [harvests]);
       const planting = plantings.find((p) => p.id === h.plantingId);
       if (!planting) continue;
       const pt = plantTypeById[planting.plantTypeId];
-      const key = pt?.name || "Unknown";
-      map.set(key, (map.get(key) || 0) + h.amount);
+      const key = nameOf(pt);
+      const row = map.get(key) || { name: key, total: 0, estimated: false };
+      row.total += harvestAmount(h);
+      row.estimated = row.estimated || !!h.estimated;
+      map.set(key, row);
+    }
+    return Array.from(map.values())
+      .sort((a, b) => b.total - a.total)
+      .map((r) => ({ ...r, total: +r.total.toFixed(2), name: r.estimated ? `${r.name} ≈` : r.name }));
+  };
+
+  // Expected yield only counts plantings that have reached their harvest window,
+  // so crops still growing don't drag the "achieved" figure down.
+  // With inKg, both sides are converted to kg where the catalogue allows; `approx` marks a
+  // harvested figure that includes estimated weights, `unweighed` the harvests left out.
+  // Plantings sown in the report period, and all their harvests.
+  const yieldVsExpected = (inKg = false) => {
+    const rows = new Map();
+    for (const p of reportPlantings) {
+      const pt = plantTypeById[p.plantTypeId];
+      if (!pt) continue;
+      const row = rows.get(pt.id) || { id: pt.id, name: nameOf(pt), unit: pt.defaultUnit, plantings: 0, plants: 0, expected: 0, estimated: 0, actual: 0, approx: false, unweighed: 0 };
+      row.plantings += 1;
+      row.plants += Number(p.quantityPlanted) || 0;
+      const exp = expectedYieldFor(pt, p);
+      if (exp != null && (phaseFor(p)?.harvestPct ?? 0) > 0) {
+        row.expected += exp;
+        row.estimated += 1;
+      }
+      rows.set(pt.id, row);
+    }
+    if (inKg) {
+      for (const row of rows.values()) {
+        const expected = toKg(row.expected, row.unit, plantTypeById[row.id]);
+        row.expected = expected?.kg ?? 0;
+        if (!expected) row.estimated = 0;
+        row.unit = "kg";
+      }
     }
-    return Array.from(map.entries())
-      .sort((a, b) => b[1] - a[1])
-      .map(([name, total]) => ({ name, total }));
+    for (const h of harvests) {
+      const planting = plantingById[h.plantingId];
+      const row = rows.get(planting?.plantTypeId);
+      if (!row || !inRange(planting.plantedAt, reportRange)) continue;
+      if (inKg) {
+        const weight = harvestKg(h);
+        if (!weight) row.unweighed += 1;
+        else {
+          row.actual += weight.kg;
+          row.approx = row.approx || weight.estimated;
+        }
+      } else if (h.unit === row.unit) row.actual += h.amount;
+      else if (row.unit === "kg" && exactKg(h.amount, h.unit) != null) row.actual += exactKg(h.amount, h.unit);
+    }
+    return Array.from(rows.values()).sort((a, b) => a.name.localeCompare(b.name));
   };
 
   // -------- Export / Import --------
-  const exportJSON = () => {
-    const blob = new Blob(
-      [
-        JSON.stringify(
-          { plantTypes, plantings, harvests, exportedAt: new Date().toISOString() },
-          null,
-          2
-        ),
-      ],
-      { type: "application/json" }
+  const downloadBackup = (name, data) =>
+    downloadFile(
+      `kai-keeper-${gardens.list.length > 1 ? `${gardenSlug(name)}-` : ""}backup-${fileStamp()}.json`,
+      JSON.stringify({ garden: name, plantTypes: data.plantTypes, plantings: data.plantings, harvests: data.harvests, beds: data.beds, exportedAt: new Date().toISOString() }, null, 2),
+      "application/json"
     );
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `kai-keeper-backup-${toISO(new Date()).replaceAll("-", "")}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+  const exportJSON = () => downloadBackup(gardenName(gardens, gardenId), { plantTypes, plantings, harvests, beds });
+
+  // -------- Gardens --------
+  // The open garden's data is in state; any other is read from (or written to) its stored keys.
+  const gardenData = (id) =>
+    id === gardenId ? Promise.resolve({ plantTypes, plantings, harvests, beds }) : loadGarden(id, { plantTypes: DEFAULT_PLANT_TYPES, plantings: [], harvests: [], beds: [] });
+  const switchGarden = (id) => {
+    if (id === gardenId) return;
+    setGardens((g) => ({ ...g, active: id }));
+  };
+  const addGarden = async (name, catalogueFrom) => {
+    const garden = newGarden(name);
+    // Settings (climate, rotation…) start as this garden's; the sync server doesn't.
+    await saveGarden(garden.id, "settings", { ...settings, sync: DEFAULT_SYNC });
+    if (catalogueFrom) await saveGarden(garden.id, "plantTypes", (await gardenData(catalogueFrom)).plantTypes);
+    setGardens((g) => ({ ...g, list: [...g.list, garden] }));
+    setToast({ id: uid(), message: t("gardens.added", { name: garden.name }) });
+  };
+  const renameGarden = (id, name) => setGardens((g) => ({ ...g, list: g.list.map((x) => (x.id === id ? { ...x, name } : x)) }));
+  const deleteGarden = async (id) => {
+    if (id === gardenId) return;
+    if (!confirm(t("gardens.confirmDelete", { name: gardenName(gardens, id) }))) return;
+    await removeGarden(id, GARDEN_KEYS);
+    setGardens((g) => ({ ...g, list: g.list.filter((x) => x.id !== id) }));
+  };
+  const exportGarden = async (id) => downloadBackup(gardenName(gardens, id), await gardenData(id));
+  const copyCatalogue = async (fromId, toId, entries) => {
+    const label = t("history.copyCatalogue", { count: entries.length, garden: gardenName(gardens, toId) });
+    if (toId === gardenId) {
+      commit(label, (d) => ({ plantTypes: copyPlantTypes(d.plantTypes, entries).plantTypes }), { notify: true });
+      return;
+    }
+    const { plantTypes: next, added, replaced } = copyPlantTypes(withDefaultFields((await gardenData(toId)).plantTypes), entries);
+    await saveGarden(toId, "plantTypes", next);
+    setToast({ id: uid(), message: t("gardens.copied", { label, added, replaced }) });
+  };
+
+  // -------- CSV --------
+  // Names instead of ids so the sheets make sense on their own. Headers and names stay in
+  // English whatever the UI language, so exports read back in through the CSV importer.
+  const csvPlantName = (p) => plantTypeById[p?.plantTypeId]?.name || t("common.unknown");
+  const varietyName = (p) => varietyOf(plantTypeById[p?.plantTypeId], p || {})?.name || "";
+  const CSV_EXPORTS = {
+    harvests: () =>
+      toCSV([...harvests].sort((a, b) => (a.date < b.date ? -1 : 1)), [
+        { header: "Date", value: (h) => nzDateCell(h.date) },
+        { header: "Plant", value: (h) => csvPlantName(plantingById[h.plantingId]) },
+        { header: "Variety", value: (h) => varietyName(plantingById[h.plantingId]) },
+        { header: "Bed", value: (h) => bedName(plantingById[h.plantingId]) || "" },
+        { header: "Amount", value: (h) => h.amount },
+        { header: "Unit", value: (h) => h.unit },
+        { header: "kg", value: (h) => { const w = harvestKg(h); return w ? +w.kg.toFixed(3) : ""; } },
+        { header: "kg estimated", value: (h) => (harvestKg(h)?.estimated ? "yes" : "") },
+        { header: "Planted", value: (h) => nzDateCell(plantingById[h.plantingId]?.plantedAt) },
+        { header: "Notes", value: (h) => h.notes },
+      ]),
+    plantings: () =>
+      toCSV([...plantings].sort((a, b) => (a.plantedAt < b.plantedAt ? -1 : 1)), [
+        { header: "Plant", value: csvPlantName },
+        { header: "Variety", value: varietyName },
+        { header: "Method", value: (p) => p.method || "direct" },
+        { header: "Planted", value: (p) => nzDateCell(p.plantedAt) },
+        { header: "Bed", value: (p) => bedName(p) || "" },
+        { header: "Quantity", value: (p) => p.quantityPlanted },
+        { header: "Growing", value: plantCount },
+        { header: "First harvest (est.)", value: (p) => nzDateCell(phaseFor(p)?.expected.firstHarvest) },
+        { header: "Last harvest (est.)", value: (p) => nzDateCell(phaseFor(p)?.expected.lastHarvest) },
+        { header: "Archived", value: (p) => (p.archived ? "yes" : "") },
+        { header: "Notes", value: (p) => p.notes },
+      ]),
+    catalogue: () =>
+      toCSV(plantTypes, [
+        { header: "Plant", value: (p) => p.name },
+        { header: "Family", value: (p) => (p.family ? familyLabel(p.family) : "") },
+        { header: "Germination min (days)", value: (p) => p.germinationMinDays },
+        { header: "Germination max (days)", value: (p) => p.germinationMaxDays },
+        { header: "Maturity (days)", value: (p) => p.maturityDays },
+        { header: "Maturity from transplant (days)", value: (p) => p.transplantMaturityDays ?? "" },
+        { header: "Harvest window (days)", value: (p) => p.harvestWindowDays },
+        { header: "Default unit", value: (p) => p.defaultUnit },
+        { header: "Usually", value: (p) => p.defaultMethod || "direct" },
+        { header: "In-row spacing (cm)", value: (p) => p.spacingInRowCm ?? "" },
+        { header: "Row spacing (cm)", value: (p) => p.spacingRowCm ?? "" },
+        { header: "Yield per plant", value: (p) => p.yieldPerPlant ?? "" },
+        { header: "Yield per m²", value: (p) => p.yieldPerM2 ?? "" },
+        { header: "Average weights (kg)", value: (p) => Object.entries(p.unitWeightsKg || {}).map(([unit, kg]) => `${unit} ${kg}`).join("; ") },
+        { header: "Varieties", value: (p) => (p.varieties || []).map((v) => v.name).join("; ") },
+      ]),
+  };
+  const exportCSV = (kind) => downloadFile(`kai-keeper-${kind}-${fileStamp()}.csv`, CSV_EXPORTS[kind](), "text/csv;charset=utf-8");
+
+  const [csvImportOpen, setCsvImportOpen] = useState(false);
+  const importCSV = (additions, count) => {
+    setCsvImportOpen(false);
+    commit(t("history.importCsv", { count }), (d) => ({
+      plantTypes: [...d.plantTypes, ...additions.plantTypes],
+      beds: [...d.beds, ...additions.beds],
+      plantings: [...additions.plantings, ...d.plantings],
+      harvests: [...additions.harvests, ...d.harvests],
+    }), { notify: true });
   };
 
+  // Nothing is written until the preview is confirmed; a restore point is taken first.
+  const [jsonImport, setJsonImport] = useState(null); // { name, errors, warnings, data }
   const importJSON = async (file) => {
-    const text = await file.text();
+    let raw;
     try {
-      const data = JSON.parse(text);
-      if (data.plantTypes && data.plantings && data.harvests) {
-        setPlantTypes(data.plantTypes);
-        setPlantings(data.plantings);
-        setHarvests(data.harvests);
-        alert("Import successful ✔");
-      } else {
-        alert("Invalid backup file");
-      }
+      raw = JSON.parse(await file.text());
     } catch (e) {
-      alert("Import failed: " + e.message);
+      return setJsonImport({ name: file.name, errors: [t("jsonImport.notJson", { error: e.message })], warnings: [], data: null });
     }
+    setJsonImport({ name: file.name, ...validateBackup(raw) });
+  };
+  const confirmJsonImport = (plan, choices) => {
+    const name = jsonImport.name;
+    setJsonImport(null);
+    saveRestorePoint("import", t("restore.beforeImport", { name }));
+    commit(t("history.importJson", { name, mode: IMPORT_MODES.find((m) => m.id === plan.mode).label.toLowerCase() }), (d) => applyImport(d, plan, choices), { notify: true });
+  };
+  const lastImportSnapshot = latestSnapshot(snapshots, "import");
+
+  // -------- Restore points --------
+  // Kept in the store next to the data (see ./snapshots); restoring takes a restore point first too.
+  const saveRestorePoint = (reason, label) =>
+    setSnapshots((list) => addSnapshot(list, takeSnapshot(dataRef.current, reason, label), settings.snapshots.keep));
+  const restoreSnapshot = (point) => {
+    const when = formatDateTime(point.createdAt);
+    if (!confirm(t("restore.confirm", { when, label: point.label.toLowerCase() }))) return;
+    saveRestorePoint("restore", t("restore.beforeRestore", { when }));
+    commit(t("history.restoreData", { when }), () => ({ ...point.data }), { notify: true });
   };
+  const downloadSnapshot = (point) =>
+    downloadFile(
+      `kai-keeper-restore-point-${point.createdAt.slice(0, 16).replace(/\D/g, "")}.json`,
+      JSON.stringify({ ...point.data, exportedAt: point.createdAt }, null, 2),
+      "application/json"
+    );
+  const setSnapshotKeep = (keep) => {
+    setSettings((s) => ({ ...s, snapshots: { ...s.snapshots, keep } }));
+    setSnapshots((list) => list.slice(0, keep));
+  };
+
+  // Once a day (on load, or when the app is resumed on a new day), unless nothing has changed.
+  useEffect(() => {
+    if (!hydrated || !settings.snapshots.daily) return;
+    if (needsDailySnapshot(snapshots, dataRef.current, todayISO())) saveRestorePoint("daily", t("restore.daily"));
+  }, [hydrated, settings.snapshots.daily, reminderTick]);
+
+  // Only worked out while Settings is open: it compares every record.
+  const snapshotDiffs = useMemo(
+    () => (tab === "settings" ? Object.fromEntries(snapshots.map((s) => [s.id, diffSnapshot(s, { plantTypes, beds, plantings, harvests })])) : {}),
+    [tab, snapshots, plantTypes, beds, plantings, harvests]
+  );
+
+  // Reset merges built-ins back in by id (see ./catalogue); the preview is shown first.
+  const [catalogueDiff, setCatalogueDiff] = useState(null);
 
   const resetToDefaults = () => {
-    if (!confirm("Reset plant catalogue to defaults? (Does not change your plantings/harvests)")) return;
-    setPlantTypes(DEFAULT_PLANT_TYPES.map((p) => ({ ...p, id: uid() })));
+    const diff = diffWithDefaults(plantTypes);
+    if (!diff.restored.length && !diff.updated.length) {
+      alert(t("catalogue.alreadyDefaults"));
+      return;
+    }
+    setCatalogueDiff(diff);
+  };
+  const applyCatalogueDiff = () => {
+    const diff = catalogueDiff;
+    setCatalogueDiff(null);
+    saveRestorePoint("reset", t("restore.beforeReset"));
+    commit(t("history.resetCatalogue"), (d) => ({ plantTypes: mergeDefaults(d.plantTypes, diff) }), { notify: true });
   };
 
   // ---------------- UI Sections ----------------------------
   const PlantForm = () => (
     <Section
-      title="Add a Planting"
+      title={editingPlantingId ? t("plant.editTitle") : t("plant.addTitle")}
       icon={<Sprout className="w-5 h-5 text-emerald-600" />}
-      actions={<Button kind="ghost" onClick={() => setTab("track")}><Calendar className="w-4 h-4" /> View Tracker</Button>}
+      actions={
+        <>
+          {!editingPlantingId && <Button kind="ghost" onClick={() => setTab("succession")}><Layers className="w-4 h-4" /> {t("plant.succession")}</Button>}
+          <Button kind="ghost" onClick={() => setTab("track")}><Calendar className="w-4 h-4" /> {t("plant.viewTracker")}</Button>
+        </>
+      }
     >
       <form onSubmit={addPlanting} className="grid md:grid-cols-2 gap-4">
         <div>
-          <label className="text-sm text-slate-600">Plant type</label>
+          <label className="text-sm text-slate-600">{t("common.plantType")}</label>
           <Select
             value={newPlanting.plantTypeId}
-            onChange={(e) => setNewPlanting((s) => ({ ...s, plantTypeId: e.target.value }))}
+            onChange={(e) => {
+              const pt = plantTypeById[e.target.value];
+              setNewPlanting((s) => ({ ...s, plantTypeId: e.target.value, varietyId: "", method: pt?.defaultMethod || "direct" }));
+            }}
           >
             {plantTypes.map((p) => (
-              <option key={p.id} value={p.id}>{p.name}</option>
+              <option key={p.id} value={p.id}>{nameOf(p)}</option>
             ))}
           </Select>
+          <FieldError>{plantingErrors.plantTypeId}</FieldError>
           <div className="mt-2 text-xs text-slate-500">
-            Can't find it? Add it in <button type="button" onClick={() => setTab("settings")} className="underline">Settings → Plants</button>.
+            {tNodes("plant.cantFind", { link: <button type="button" onClick={() => setTab("settings")} className="underline">{t("plant.settingsPlants")}</button> })}
+          </div>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="text-sm text-slate-600">{t("common.variety")}</label>
+            <Select value={newPlanting.varietyId} onChange={(e) => setNewPlanting((s) => ({ ...s, varietyId: e.target.value }))}>
+              <option value="">—</option>
+              {(plantTypeById[newPlanting.plantTypeId]?.varieties || []).map((v) => (
+                <option key={v.id} value={v.id}>{v.name}</option>
+              ))}
+            </Select>
+            <FieldError>{plantingErrors.varietyId}</FieldError>
+          </div>
+          <div>
+            <label className="text-sm text-slate-600">{t("common.method")}</label>
+            <Select value={newPlanting.method} onChange={(e) => setNewPlanting((s) => ({ ...s, method: e.target.value }))}>
+              <option value="direct">{t("method.direct")}</option>
+              <option value="transplant">{t("method.transplant")}</option>
+            </Select>
+            <FieldError>{plantingErrors.method}</FieldError>
           </div>
         </div>
         <div>
-          <label className="text-sm text-slate-600">Planted date</label>
+          <label className="text-sm text-slate-600">{newPlanting.method === "transplant" ? t("plant.transplantedDate") : t("plant.sownDate")}</label>
           <Input type="date" value={newPlanting.plantedAt} onChange={(e) => setNewPlanting((s) => ({ ...s, plantedAt: e.target.value }))} />
+          <FieldError>{plantingErrors.plantedAt}</FieldError>
+          {(() => {
+            const warning = isISODate(newPlanting.plantedAt) && sowingWarning(plantTypeById[newPlanting.plantTypeId], newPlanting.method, newPlanting.plantedAt);
+            return warning ? (
+              <div className="mt-1 flex items-start gap-1 text-xs text-amber-700">
+                <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+                <span>{warning} <button type="button" className="underline" onClick={() => setTab("calendar")}>{t("plant.seeCalendar")}</button></span>
+              </div>
+            ) : null;
+          })()}
         </div>
         <div>
-          <label className="text-sm text-slate-600">Location / Bed</label>
-          <Input placeholder="e.g., Bed A, Tunnelhouse, Pā gardens" value={newPlanting.location} onChange={(e) => setNewPlanting((s) => ({ ...s, location: e.target.value }))} />
+          <label className="text-sm text-slate-600">{t("common.bed")}</label>
+          <Select
+            value={newPlanting.bedId}
+            onChange={(e) => {
+              let bedId = e.target.value;
+              if (bedId === "__new__") {
+                const name = prompt(t("beds.newPrompt"));
+                bedId = name?.trim() ? addBed(name) : newPlanting.bedId;
+              }
+              setNewPlanting((s) => ({ ...s, bedId, region: null }));
+            }}
+          >
+            <option value="">{t("common.noBed")}</option>
+            {beds.map((b) => <option key={b.id} value={b.id}>{b.name}</option>)}
+            <option value="__new__">{t("beds.newOption")}</option>
+          </Select>
+          {bedById[newPlanting.bedId] && (
+            <div className="mt-2">
+              <BedRegionPicker bed={bedById[newPlanting.bedId]} region={newPlanting.region} onChange={(region) => setNewPlanting((s) => ({ ...s, region }))} />
+            </div>
+          )}
+          {(() => {
+            const clash = isISODate(newPlanting.plantedAt) && rotationConflict({ ...newPlanting, id: editingPlantingId }, plantings, plantTypeById, settings.rotation);
+            return clash ? (
+              <div className="mt-1 flex items-start gap-1 text-xs text-amber-700">
+                <AlertTriangle className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+                <span>
+                  {t("plant.rotationClash", { family: familyLabel(clash.family), name: nameOf(plantTypeById[clash.planting.plantTypeId]), bed: bedName(newPlanting), date: formatDate(clash.planting.plantedAt), count: settings.rotation.yearsBetween })}{" "}
+                  <button type="button" className="underline" onClick={() => setTab("garden")}>{t("plant.rotationPlan")}</button>
+                </span>
+              </div>
+            ) : null;
+          })()}
         </div>
         <div>
-          <label className="text-sm text-slate-600">Qty planted</label>
+          <label className="text-sm text-slate-600">{t("plant.qty")}</label>
           <Input type="number" min={1} value={newPlanting.quantityPlanted} onChange={(e) => setNewPlanting((s) => ({ ...s, quantityPlanted: Number(e.target.value || 0) }))} />
+          <FieldError>{plantingErrors.quantityPlanted}</FieldError>
         </div>
+        {(() => {
+          const pt = plantTypeById[newPlanting.plantTypeId];
+          if (!pt) return null;
+          const timing = resolveTiming(pt, newPlanting);
+          const expected = expectedYieldFor(pt, { ...newPlanting, quantityPlanted: Number(newPlanting.quantityPlanted) || 0 });
+          return (
+            <div className="md:col-span-2 flex flex-wrap gap-2 text-xs">
+              <Tag>{t("plant.firstHarvestIn", { count: timing.maturityDays })}</Tag>
+              {pt.spacingInRowCm && pt.spacingRowCm && <Tag>{t("plant.spacing", { inRow: pt.spacingInRowCm, row: pt.spacingRowCm })}</Tag>}
+              {expected != null && <Tag>{t("plant.expected", { amount: formatAmount(+expected.toFixed(2), pt.defaultUnit) })}</Tag>}
+            </div>
+          );
+        })()}
         <div className="md:col-span-2">
-          <label className="text-sm text-slate-600">Notes</label>
-          <TextArea rows={3} placeholder="Sow depth, seed source, companion plants, etc." value={newPlanting.notes} onChange={(e) => setNewPlanting((s) => ({ ...s, notes: e.target.value }))} />
+          <label className="text-sm text-slate-600">{t("common.notes")}</label>
+          <TextArea rows={3} placeholder={t("plant.notesPlaceholder")} value={newPlanting.notes} onChange={(e) => setNewPlanting((s) => ({ ...s, notes: e.target.value }))} />
         </div>
         <div className="md:col-span-2 flex items-center justify-end gap-2">
-          <Button kind="ghost" onClick={() => setNewPlanting({ plantTypeId: plantTypes[0]?.id || "", plantedAt: todayISO(), location: "", quantityPlanted: 1, notes: "" })}>Clear</Button>
-          <Button type="submit"><Plus className="w-4 h-4" /> Add Planting</Button>
+          <Button kind="ghost" onClick={resetPlantingForm}>{editingPlantingId ? t("plant.cancelEdit") : t("plant.clear")}</Button>
+          {editingPlantingId
+            ? <Button type="submit"><Check className="w-4 h-4" /> {t("common.saveChanges")}</Button>
+            : <Button type="submit"><Plus className="w-4 h-4" /> {t("plant.add")}</Button>}
         </div>
       </form>
     </Section>
   );
 
-  const Tracker = () => (
-    <Section
-      title="Tracker"
-      icon={<Calendar className="w-5 h-5 text-emerald-600" />}
-      actions={<Button kind="ghost" onClick={() => setTab("plant")}><Plus className="w-4 h-4" /> New Planting</Button>}
-    >
-      {plantings.length === 0 ? (
-        <div className="text-slate-600 text-sm">No plantings yet — add your first in the <b>Plant</b> tab.</div>
-      ) : (
-        <div className="grid md:grid-cols-2 xl:grid-cols-3 gap-4">
-          {plantings.map((p) => {
-            const pt = plantTypeById[p.plantTypeId];
-            const ph = phaseFor(p);
-            return (
-              <motion.div key={p.id} layout className={`border rounded-2xl p-4 bg-white ${p.archived ? "opacity-60" : ""}`}>
-                <div className="flex items-start justify-between gap-3">
-                  <div>
-                    <div className="flex items-center gap-2">
-                      <Leaf className="w-4 h-4 text-emerald-600" />
-                      <div className="font-semibold">{pt?.name || "Unknown"}</div>
-                      {p.archived && <Tag>Archived</Tag>}
+  // Only worked out while their tab is open.
+  const trackerPlantings = useMemo(
+    () => (tab === "track" ? queryPlantings(plantings, trackerQuery, { plantTypeById, bedName, phaseOf: phaseFor }) : []),
+    [tab, plantings, trackerQuery, plantTypeById, bedById, settings.phaseModel, settings.climate]
+  );
+  const ledgerHarvests = useMemo(
+    () => (tab === "harvest" ? queryHarvests(harvests, ledgerQuery, { plantingById, plantTypeById, bedName, sizeOf: (h) => harvestKg(h)?.kg ?? h.amount }) : []),
+    [tab, harvests, ledgerQuery, plantingById, plantTypeById, bedById]
+  );
+
+  const Tracker = () => {
+    const shown = trackerPlantings;
+    const selected = new Set(selectedPlantings);
+    return (
+      <Section
+        title={t("tracker.title")}
+        icon={<Calendar className="w-5 h-5 text-emerald-600" />}
+        actions={<Button kind="ghost" onClick={() => { resetPlantingForm(); setTab("plant"); }}><Plus className="w-4 h-4" /> {t("tracker.new")}</Button>}
+      >
+        {plantings.length === 0 ? (
+          <div className="text-slate-600 text-sm">{tNodes("tracker.empty", { tab: <b>{t("nav.plant")}</b> })}</div>
+        ) : shown.length === 0 ? (
+          <div className="text-slate-600 text-sm">
+            {t("tracker.noMatch")}{" "}
+            <button type="button" className="underline" onClick={() => setTrackerQuery({ ...DEFAULT_TRACKER_QUERY, show: "all" })}>{t("tracker.showAll")}</button>
+          </div>
+        ) : (
+          <div className="grid md:grid-cols-2 xl:grid-cols-3 gap-4">
+            {shown.map((p) => {
+              const pt = plantTypeById[p.plantTypeId];
+              const variety = varietyOf(pt, p);
+              const ph = phaseFor(p);
+              return (
+                <motion.div key={p.id} layout className={`border rounded-2xl p-4 bg-white ${p.archived ? "opacity-60" : ""} ${selected.has(p.id) ? "ring-2 ring-emerald-500" : ""}`}>
+                  <div className="flex items-start justify-between gap-3">
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <input type="checkbox" checked={selected.has(p.id)} onChange={() => toggleSelected(setSelectedPlantings, p.id)} title={t("common.select")} />
+                        <Leaf className="w-4 h-4 text-emerald-600" />
+                        <div className="font-semibold">{nameOf(pt)}{variety ? ` — ${variety.name}` : ""}</div>
+                        {p.successionId && <Tag>{t("tracker.succession", { n: p.successionIndex + 1 })}</Tag>}
+                        {p.archived && <Tag>{t("tracker.archived")}</Tag>}
+                      </div>
+                      <div className="text-xs text-slate-500 mt-1">
+                        {t(p.method === "transplant" ? "tracker.transplanted" : "tracker.sown", { date: formatDate(p.plantedAt) })} • {bedName(p) || t("common.noBed")}{p.region ? ` ${t("tracker.part")}` : ""} • {plantCount(p) === p.quantityPlanted ? t("tracker.qty", { qty: p.quantityPlanted }) : t("tracker.qtyOf", { growing: plantCount(p), planted: p.quantityPlanted })}
+                      </div>
                     </div>
-                    <div className="text-xs text-slate-500 mt-1">
-                      Planted {nzDate(p.plantedAt)} • {p.location || "No location"} • Qty {p.quantityPlanted}
+                    <div className="flex items-center gap-2">
+                      <Button kind="ghost" onClick={() => setObservingId(p.id)}>{t("tracker.log")}</Button>
+                      <Button kind="ghost" onClick={() => openHarvest(p)}>{t("tracker.harvest")}</Button>
+                      <Button kind="ghost" onClick={() => toggleArchive(p.id)}>{p.archived ? t("common.unarchive") : t("common.archive")}</Button>
+                      <button className="p-2 text-slate-500 hover:text-emerald-700" onClick={() => startEditPlanting(p)} title={t("common.edit")}><Edit3 className="w-4 h-4" /></button>
+                      <button className="p-2 text-slate-500 hover:text-red-600" onClick={() => deletePlanting(p.id)} title={t("common.delete")}><Trash2 className="w-4 h-4" /></button>
                     </div>
                   </div>
-                  <div className="flex items-center gap-2">
-                    <Button kind="ghost" onClick={() => openHarvest(p)}>Harvest</Button>
-                    <Button kind="ghost" onClick={() => toggleArchive(p.id)}>{p.archived ? "Unarchive" : "Archive"}</Button>
-                    <button className="p-2 text-slate-500 hover:text-red-600" onClick={() => deletePlanting(p.id)} title="Delete"><Trash2 className="w-4 h-4" /></button>
+                  {ph && (
+                    <div className="mt-4 space-y-3" title={ph.model === "gdd" ? t("tracker.model.gdd") : t("tracker.model.days")}>
+                      {ph.method !== "transplant" && <Progress value={ph.germinationPct} label={ph.emergedAt ? t("tracker.emerged", { date: formatDate(ph.emergedAt) }) : t("tracker.germination", { from: formatDate(ph.expected.germinationStart), to: formatDate(ph.expected.germinationEnd) })} />}
+                      <Progress value={ph.growthPct} label={t("tracker.growth", { date: formatDate(ph.expected.firstHarvest) })} />
+                      <Progress value={ph.harvestPct} label={t("tracker.window", { date: formatDate(ph.expected.lastHarvest) })} />
+                    </div>
+                  )}
+                  <div className="mt-4 text-xs text-slate-500">
+                    {t("tracker.elapsed", { count: ph?.elapsed ?? 0 })}{ph?.model === "gdd" ? ` • ${t("tracker.heatBased")}` : ""} • {t("tracker.notes", { notes: p.notes || "—" })}
                   </div>
-                </div>
-                {ph && (
-                  <div className="mt-4 space-y-3">
-                    <Progress value={ph.germinationPct} label={`Germination (${nzDate(ph.expected.germinationStart)}–${nzDate(ph.expected.germinationEnd)})`} />
-                    <Progress value={ph.growthPct} label={`Growth → first harvest ~ ${nzDate(ph.expected.firstHarvest)}`} />
-                    <Progress value={ph.harvestPct} label={`Harvest window until ~ ${nzDate(ph.expected.lastHarvest)}`} />
+                  {p.observations?.length > 0 && (() => {
+                    const last = [...p.observations].sort((a, b) => (a.date < b.date ? 1 : -1))[0];
+                    return (
+                      <button className="mt-2 text-xs text-slate-600 text-left hover:underline" onClick={() => setObservingId(p.id)}>
+                        {t("tracker.lastSeen", { date: formatDate(last.date), what: last.notes ? `${observationLabel(last.type)} — ${last.notes}` : observationLabel(last.type), count: p.observations.length })}
+                      </button>
+                    );
+                  })()}
+                  {ph?.heatShortfall && (
+                    <div className="mt-2 text-xs text-amber-700">{t("tracker.heatShortfall")}</div>
+                  )}
+                </motion.div>
+              );
+            })}
+          </div>
+        )}
+      </Section>
+    );
+  };
+
+  const HarvestModal = () => (
+    <AnimatePresence>
+      {harvestTarget && (
+        <motion.div
+          className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+        >
+          <motion.div
+            initial={{ y: 20, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            exit={{ y: 20, opacity: 0 }}
+            className="bg-white rounded-2xl p-4 md:p-6 w-full max-w-md"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center gap-2">
+                <Sprout className="w-5 h-5 text-emerald-600" />
+                <div className="font-semibold">{t(editingHarvestId ? "harvest.editTitle" : "harvest.logTitle", { name: nameOf(plantTypeById[harvestTarget.plantTypeId]) })}</div>
+              </div>
+              <button className="p-2" onClick={closeHarvest} title={t("common.close")}>✕</button>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div className="col-span-2">
+                <label className="text-sm text-slate-600">{t("common.date")}</label>
+                <Input type="date" value={harvestInput.date} onChange={(e) => setHarvestInput((s) => ({ ...s, date: e.target.value }))} />
+                <FieldError>{harvestErrors.date}</FieldError>
+              </div>
+              <div>
+                <label className="text-sm text-slate-600">{t("harvest.amount")}</label>
+                <Input
+                  inputMode="decimal"
+                  placeholder={t("harvest.amountPlaceholder")}
+                  value={harvestInput.amount}
+                  onChange={(e) => {
+                    const text = e.target.value;
+                    const quantity = parseQuantity(text, null);
+                    setHarvestInput((s) => ({ ...s, amount: text, ...(quantity.unitGiven ? { unit: quantity.unit } : {}) }));
+                  }}
+                  onBlur={() => setHarvestInput((s) => {
+                    const quantity = parseQuantity(s.amount, s.unit);
+                    return quantity.unitGiven ? { ...s, amount: String(quantity.amount), unit: quantity.unit } : s;
+                  })}
+                />
+                <FieldError>{harvestErrors.amount}</FieldError>
+              </div>
+              <div>
+                <label className="text-sm text-slate-600">{t("harvest.unit")}</label>
+                <Select value={harvestInput.unit} onChange={(e) => setHarvestInput((s) => ({ ...s, unit: /** @type {Unit} */(e.target.value) }))}>
+                  {UNITS.map((u) => <option key={u.id} value={u.id}>{unitLabel(u.id)}</option>)}
+                </Select>
+                <FieldError>{harvestErrors.unit}</FieldError>
+              </div>
+              {(() => {
+                const quantity = parseQuantity(harvestInput.amount, harvestInput.unit);
+                const pt = plantTypeById[harvestTarget.plantTypeId];
+                if (quantity.error || !ESTIMATED_UNITS.includes(quantity.unit)) return null;
+                const weight = toKg(quantity.amount, quantity.unit, pt);
+                return (
+                  <div className="col-span-2 text-xs text-slate-500">
+                    {weight
+                      ? t("harvest.estimate", { kg: formatNumber(+weight.kg.toFixed(2)), each: formatNumber(pt.unitWeightsKg[quantity.unit]), unit: unitLabel(quantity.unit, 1) })
+                      : t("harvest.noWeight", { unit: unitLabel(quantity.unit, 1) })}
                   </div>
-                )}
-                <div className="mt-4 text-xs text-slate-500">
-                  Elapsed {phaseFor(p)?.elapsed} days • Notes: {p.notes || "—"}
-                </div>
-              </motion.div>
-            );
-          })}
-        </div>
+                );
+              })()}
+              <div className="col-span-2">
+                <label className="text-sm text-slate-600">{t("common.notes")}</label>
+                <TextArea rows={2} placeholder={t("harvest.notesPlaceholder")} value={harvestInput.notes} onChange={(e) => setHarvestInput((s) => ({ ...s, notes: e.target.value }))} />
+              </div>
+            </div>
+            <div className="flex items-center justify-end gap-2 mt-4">
+              <Button kind="ghost" onClick={closeHarvest}>{t("common.cancel")}</Button>
+              <Button onClick={logHarvest}><Check className="w-4 h-4" /> {t("harvest.save")}</Button>
+            </div>
+          </motion.div>
+        </motion.div>
       )}
+    </AnimatePresence>
+  );
 
-      {/* Harvest modal */}
-      <AnimatePresence>
-        {harvestTarget && (
+  const formatField = (v) => (Array.isArray(v) || (v && typeof v === "object") ? JSON.stringify(v) : String(v ?? "—"));
+
+  const CatalogueResetModal = () => (
+    <AnimatePresence>
+      {catalogueDiff && (
+        <motion.div
+          className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+        >
           <motion.div
-            className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4"
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
+            initial={{ y: 20, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            exit={{ y: 20, opacity: 0 }}
+            className="bg-white rounded-2xl p-4 md:p-6 w-full max-w-lg max-h-[85vh] overflow-y-auto"
           >
-            <motion.div
-              initial={{ y: 20, opacity: 0 }}
-              animate={{ y: 0, opacity: 1 }}
-              exit={{ y: 20, opacity: 0 }}
-              className="bg-white rounded-2xl p-4 md:p-6 w-full max-w-md"
-            >
-              <div className="flex items-center justify-between mb-4">
-                <div className="flex items-center gap-2">
-                  <Sprout className="w-5 h-5 text-emerald-600" />
-                  <div className="font-semibold">Log harvest — {plantTypeById[harvestTarget.plantTypeId]?.name}</div>
-                </div>
-                <button className="p-2" onClick={() => setHarvestTarget(null)}>✕</button>
-              </div>
-              <div className="grid grid-cols-2 gap-3">
-                <div className="col-span-2">
-                  <label className="text-sm text-slate-600">Date</label>
-                  <Input type="date" value={harvestInput.date} onChange={(e) => setHarvestInput((s) => ({ ...s, date: e.target.value }))} />
-                </div>
+            <div className="flex items-center justify-between mb-4">
+              <div className="font-semibold">{t("catalogue.reset.title")}</div>
+              <button className="p-2" onClick={() => setCatalogueDiff(null)} title={t("common.close")}>✕</button>
+            </div>
+            <div className="space-y-4 text-sm">
+              {catalogueDiff.restored.length > 0 && (
                 <div>
-                  <label className="text-sm text-slate-600">Amount</label>
-                  <Input type="number" step="0.01" min={0} value={harvestInput.amount} onChange={(e) => setHarvestInput((s) => ({ ...s, amount: Number(e.target.value || 0) }))} />
+                  <div className="font-medium text-emerald-700">{t("catalogue.reset.restore", { count: catalogueDiff.restored.length })}</div>
+                  <div className="text-slate-600">{catalogueDiff.restored.map(nameOf).join(", ")}</div>
                 </div>
+              )}
+              {catalogueDiff.updated.length > 0 && (
                 <div>
-                  <label className="text-sm text-slate-600">Unit</label>
-                  <Select value={harvestInput.unit} onChange={(e) => setHarvestInput((s) => ({ ...s, unit: /** @type {Unit} */(e.target.value) }))}>
-                    <option value="kg">kg</option>
-                    <option value="count">count</option>
-                  </Select>
-                </div>
-                <div className="col-span-2">
-                  <label className="text-sm text-slate-600">Notes</label>
-                  <TextArea rows={2} placeholder="e.g., first pick of the season, great size" value={harvestInput.notes} onChange={(e) => setHarvestInput((s) => ({ ...s, notes: e.target.value }))} />
+                  <div className="font-medium text-amber-700">{t("catalogue.reset.update", { count: catalogueDiff.updated.length })}</div>
+                  <ul className="mt-1 space-y-1">
+                    {catalogueDiff.updated.map(({ current, changes }) => (
+                      <li key={current.id}>
+                        <span className="font-medium">{nameOf(current)}</span>
+                        <span className="text-slate-500"> — {changes.map((c) => `${c.field}: ${formatField(c.from)} → ${formatField(c.to)}`).join("; ")}</span>
+                      </li>
+                    ))}
+                  </ul>
                 </div>
+              )}
+              <div className="text-slate-500">
+                {t("catalogue.reset.kept", { builtIn: catalogueDiff.unchanged.length, custom: catalogueDiff.custom.length })}
               </div>
-              <div className="flex items-center justify-end gap-2 mt-4">
-                <Button kind="ghost" onClick={() => setHarvestTarget(null)}>Cancel</Button>
-                <Button onClick={logHarvest}><Check className="w-4 h-4" /> Save harvest</Button>
-              </div>
-            </motion.div>
+            </div>
+            <div className="flex items-center justify-end gap-2 mt-4">
+              <Button kind="ghost" onClick={() => setCatalogueDiff(null)}>{t("common.cancel")}</Button>
+              <Button onClick={applyCatalogueDiff}><Check className="w-4 h-4" /> {t("common.apply")}</Button>
+            </div>
           </motion.div>
-        )}
-      </AnimatePresence>
-    </Section>
+        </motion.div>
+      )}
+    </AnimatePresence>
   );
 
-  const HarvestLedger = () => (
-    <Section title="Harvest Ledger" icon={<Leaf className="w-5 h-5 text-emerald-600" />}> 
-      {harvests.length === 0 ? (
-        <div className="text-sm text-slate-600">No harvests yet. Use the <b>Harvest</b> button on any planting in the tracker.</div>
-      ) : (
-        <div className="overflow-x-auto">
-          <table className="w-full text-sm">
-            <thead>
-              <tr className="text-left text-slate-500">
-                <th className="py-2">Date</th>
-                <th className="py-2">Plant</th>
-                <th className="py-2">Location</th>
-                <th className="py-2">Amount</th>
-                <th className="py-2">Notes</th>
-                <th className="py-2"></th>
-              </tr>
-            </thead>
-            <tbody>
-              {harvests.map((h) => {
-                const planting = plantings.find((p) => p.id === h.plantingId);
-                const pt = planting ? plantTypeById[planting.plantTypeId] : null;
-                return (
-                  <tr key={h.id} className="border-t">
-                    <td className="py-2">{nzDate(h.date)}</td>
-                    <td className="py-2">{pt?.name || "Unknown"}</td>
-                    <td className="py-2 text-slate-500">{planting?.location || "—"}</td>
-                    <td className="py-2 font-medium">{h.amount} {h.unit}</td>
-                    <td className="py-2 text-slate-500">{h.notes || "—"}</td>
-                    <td className="py-2 text-right">
-                      <button className="p-2 text-slate-500 hover:text-red-600" onClick={() => deleteHarvest(h.id)} title="Delete"><Trash2 className="w-4 h-4" /></button>
-                    </td>
+  const Agenda = () => {
+    const today = todayISO();
+    const all = agendaFor(today);
+    const events = visibleEvents(all, reminders, today);
+    const hidden = all.length - events.length;
+    const groups = [
+      { title: t("agenda.group.overdue"), items: events.filter((e) => e.kind === "overdue") },
+      { title: t("agenda.group.now"), items: events.filter((e) => e.kind !== "overdue" && e.date <= today) },
+      { title: t("agenda.group.week"), items: events.filter((e) => e.kind !== "overdue" && e.date > today && e.date <= addDays(today, 7)) },
+      { title: t("agenda.group.later"), items: events.filter((e) => e.kind !== "overdue" && e.date > addDays(today, 7)) },
+    ];
+    return (
+      <Section
+        title={t("agenda.title")}
+        icon={<Bell className="w-5 h-5 text-emerald-600" />}
+        actions={hidden > 0 && <Button kind="ghost" onClick={restoreDismissed}>{t("agenda.showHidden", { count: hidden })}</Button>}
+      >
+        {events.length === 0 ? (
+          <div className="text-sm text-slate-600">{t("agenda.empty", { count: settings.agenda.horizonDays })}</div>
+        ) : (
+          <div className="space-y-5">
+            {groups.filter((g) => g.items.length).map((g) => (
+              <div key={g.title}>
+                <div className="text-sm font-medium text-slate-600 mb-2">{g.title}</div>
+                <ul className="space-y-2">
+                  {g.items.map((e) => {
+                    const p = plantingById[e.plantingId];
+                    const kind = AGENDA_KINDS.find((k) => k.id === e.kind);
+                    return (
+                      <li key={e.id} className="flex flex-wrap items-center justify-between gap-2 border rounded-xl p-3 bg-white">
+                        <div className="flex items-center gap-3">
+                          <span className={`w-2.5 h-2.5 rounded-full ${kind.color}`} />
+                          <div>
+                            <div className="text-sm font-medium">{nameOf(plantTypeById[p.plantTypeId])} — {kind.label}</div>
+                            <div className="text-xs text-slate-500">
+                              {e.kind === "overdue" ? t("agenda.expectedFrom", { date: formatDate(phaseFor(p).expected.firstHarvest) }) : formatDate(e.date)} • {bedName(p) || t("common.noBed")} • {t("agenda.planted", { date: formatDate(p.plantedAt) })}
+                            </div>
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-1">
+                          {e.kind === "germination" ? (
+                            <Button kind="ghost" onClick={() => setObservingId(p.id)}>{t("tracker.log")}</Button>
+                          ) : (
+                            <Button kind="ghost" onClick={() => openHarvest(p)}>{t("tracker.harvest")}</Button>
+                          )}
+                          <Button kind="ghost" onClick={() => snoozeEvent(e.id, 1)}>{t("agenda.tomorrow")}</Button>
+                          <Button kind="ghost" onClick={() => snoozeEvent(e.id, 7)}>{t("agenda.nextWeek")}</Button>
+                          <button className="p-2 text-slate-500 hover:text-red-600" title={t("agenda.dismiss")} onClick={() => dismissEvent(e.id)}>✕</button>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="text-xs text-slate-500 mt-3">
+          {t("agenda.hint", { overdue: AGENDA_KINDS.find((k) => k.id === "overdue").label, count: OVERDUE_GRACE_DAYS })}
+        </div>
+      </Section>
+    );
+  };
+
+  const SowingCalendar = () => {
+    const month = monthOf(todayISO());
+    const now = sowNow(plantTypes, month);
+    const startPlanting = (pt, method) => {
+      resetPlantingForm();
+      setNewPlanting((s) => ({ ...s, plantTypeId: pt.id, method }));
+      setTab("plant");
+    };
+    return (
+      <div className="grid gap-4">
+        <Section title={t("calendar.sowNow", { month: monthName(month, "long") })} icon={<Sprout className="w-5 h-5 text-emerald-600" />}>
+          <div className="grid md:grid-cols-3 gap-4">
+            {SOWING_KINDS.map((k) => (
+              <div key={k.id}>
+                <div className="flex items-center gap-2 text-sm font-medium mb-2">
+                  <span className={`w-3 h-3 rounded-sm ${k.color}`} /> {k.label}
+                </div>
+                {now[k.id].length === 0 ? (
+                  <div className="text-sm text-slate-500">{t("calendar.nothing")}</div>
+                ) : (
+                  <div className="flex flex-wrap gap-2">
+                    {now[k.id].map((pt) =>
+                      k.id === "indoor" ? (
+                        <Tag key={pt.id}>{nameOf(pt)}</Tag>
+                      ) : (
+                        <button key={pt.id} onClick={() => startPlanting(pt, k.id)} title={t("calendar.addPlanting")}>
+                          <Tag>{nameOf(pt)} +</Tag>
+                        </button>
+                      )
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </Section>
+        <Section title={t("calendar.title")} icon={<CalendarDays className="w-5 h-5 text-emerald-600" />}>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-slate-500">
+                  <th className="py-2 text-left">{t("calendar.plant")}</th>
+                  {MONTH_NUMBERS.map((m) => (
+                    <th key={m} className={`py-2 px-1 text-center font-normal ${m === month ? "text-emerald-700 font-semibold" : ""}`}>{monthName(m)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {plantTypes.map((pt) => (
+                  <tr key={pt.id} className="border-t">
+                    <td className="py-2 pr-2 whitespace-nowrap">{nameOf(pt)}</td>
+                    {MONTH_NUMBERS.map((m) => (
+                      <td key={m} className={`py-1 px-1 ${m === month ? "bg-emerald-50" : ""}`}>
+                        <div className="flex flex-col gap-0.5">
+                          {SOWING_KINDS.map((k) => (
+                            <div key={k.id} className={`h-1.5 rounded-full ${windowFor(pt, k.id).includes(m) ? k.color : "bg-transparent"}`} />
+                          ))}
+                        </div>
+                      </td>
+                    ))}
                   </tr>
-                );
-              })}
-            </tbody>
-          </table>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex flex-wrap items-center gap-4 mt-3 text-xs text-slate-500">
+            {SOWING_KINDS.map((k) => (
+              <span key={k.id} className="flex items-center gap-1"><span className={`w-3 h-1.5 rounded-full ${k.color}`} /> {k.label}</span>
+            ))}
+            <span>{t("calendar.hint")}</span>
+          </div>
+        </Section>
+      </div>
+    );
+  };
+
+  // Paged, so thousands of rows stay quick to render.
+  const HarvestLedger = () => {
+    const matching = ledgerHarvests;
+    const { items, page, pages } = paginate(matching, ledgerQuery.page);
+    const goTo = (n) => setLedgerQuery((q) => ({ ...q, page: String(n) }));
+    const selected = new Set(selectedHarvests);
+    const pageSelected = items.length > 0 && items.every((h) => selected.has(h.id));
+    const togglePage = () => setSelectedHarvests((ids) => (pageSelected ? ids.filter((id) => !items.some((h) => h.id === id)) : Array.from(new Set([...ids, ...items.map((h) => h.id)]))));
+    return (
+      <Section
+        title={t("ledger.title")}
+        icon={<Leaf className="w-5 h-5 text-emerald-600" />}
+        actions={
+        <div className="flex items-center gap-2">
+          <Button kind="ghost" onClick={() => setTab("pick")}><ShoppingBasket className="w-4 h-4" /> {t("pick.title")}</Button>
+          {harvests.length > 0 && <Button kind="ghost" onClick={() => exportCSV("harvests")}><FileSpreadsheet className="w-4 h-4" /> CSV</Button>}
         </div>
-      )}
-    </Section>
-  );
+      }
+      >
+        {harvests.length === 0 ? (
+          <div className="text-sm text-slate-600">{tNodes("ledger.empty", { button: <b>{t("tracker.harvest")}</b> })}</div>
+        ) : matching.length === 0 ? (
+          <div className="text-sm text-slate-600">
+            {t("ledger.noMatch")}{" "}
+            <button type="button" className="underline" onClick={() => setLedgerQuery({ ...DEFAULT_LEDGER_QUERY, sort: ledgerQuery.sort })}>{t("query.clear")}</button>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th className="py-2 w-8"><input type="checkbox" checked={pageSelected} onChange={togglePage} title={t("ledger.selectPage")} /></th>
+                  <th className="py-2">{t("common.date")}</th>
+                  <th className="py-2">{t("calendar.plant")}</th>
+                  <th className="py-2">{t("common.bed")}</th>
+                  <th className="py-2">{t("harvest.amount")}</th>
+                  <th className="py-2">{t("common.notes")}</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((h) => {
+                  const planting = plantingById[h.plantingId];
+                  const pt = planting ? plantTypeById[planting.plantTypeId] : null;
+                  return (
+                    <tr key={h.id} className={`border-t ${selected.has(h.id) ? "bg-emerald-50" : ""}`}>
+                      <td className="py-2"><input type="checkbox" checked={selected.has(h.id)} onChange={() => toggleSelected(setSelectedHarvests, h.id)} title={t("common.select")} /></td>
+                      <td className="py-2">{formatDate(h.date)}</td>
+                      <td className="py-2">{nameOf(pt)}</td>
+                      <td className="py-2 text-slate-500">{bedName(planting) || "—"}</td>
+                      <td className="py-2 font-medium">{formatAmount(h.amount, h.unit)}</td>
+                      <td className="py-2 text-slate-500">{h.notes || "—"}</td>
+                      <td className="py-2 text-right whitespace-nowrap">
+                        <button className="p-2 text-slate-500 hover:text-emerald-700" onClick={() => openEditHarvest(h)} title={t("common.edit")}><Edit3 className="w-4 h-4" /></button>
+                        <button className="p-2 text-slate-500 hover:text-red-600" onClick={() => deleteHarvest(h.id)} title={t("common.delete")}><Trash2 className="w-4 h-4" /></button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {pages > 1 && (
+              <div className="flex items-center justify-end gap-2 mt-3 text-sm">
+                <Button kind="ghost" disabled={page === 1} onClick={() => goTo(page - 1)}>{t("ledger.previous")}</Button>
+                <span className="text-slate-600">{t("ledger.page", { page, pages })}</span>
+                <Button kind="ghost" disabled={page === pages} onClick={() => goTo(page + 1)}>{t("ledger.next")}</Button>
+              </div>
+            )}
+          </div>
+        )}
+      </Section>
+    );
+  };
 
   const Reports = () => {
-    const kgMonthly = monthlyTotals(harvestsByUnit.kg);
-    const ctMonthly = monthlyTotals(harvestsByUnit.count);
-    const kgByType = totalsByPlantType(harvestsByUnit.kg);
-    const ctByType = totalsByPlantType(harvestsByUnit.count);
+    const inKg = settings.reportUnits === "kg";
+    // kg and count always get their panels (with an empty note); other units only once used.
+    const groups = inKg
+      ? [["kg", harvestsInKg.rows]]
+      : Object.entries(harvestsByUnit).filter(([unit, list]) => list.length || unit === "kg" || unit === "count");
+    const yieldRows = yieldVsExpected(inKg);
+    // Year over year ignores the period's edges and compares the same months across years.
+    const comparison = comparisonFor(reportFilter, harvests.map((h) => h.date));
+    const allRows = inKg ? inKgRows(harvests).rows : inUnits(harvests);
+    const yoy = yearOverYear(allRows.filter((h) => h.unit === "kg"), comparison);
+    const yoyHasData = yoy.some((r) => comparison.years.some((y) => r[y] > 0));
+    const crops = cropYields(allRows, plantingById, plantTypeById, comparison);
+    const yearLabel = (y) => periodYearLabel(comparison.months, y);
+    const germRows = germinationStats(reportPlantings, (p) => {
+      // The model's own estimate, ignoring what was observed.
+      const ph = computePhase({ ...p, observations: [] }, plantTypeById[p.plantTypeId], { today: todayISO(), monthlyMeans });
+      return ph ? (daysBetween(p.plantedAt, ph.expected.germinationStart) + daysBetween(p.plantedAt, ph.expected.germinationEnd)) / 2 : 0;
+    })
+      .map((r) => ({ ...r, name: nameOf(plantTypeById[r.plantTypeId]) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
 
     return (
       <div className="grid xl:grid-cols-2 gap-4">
-        <Section title="Harvest by Month (kg)" icon={<BarChart3 className="w-5 h-5 text-emerald-600" />}>
-          {kgMonthly.length === 0 ? <div className="text-sm text-slate-600">No kg-based harvest data yet.</div> : (
-            <div className="h-64">
-              <ResponsiveContainer width="100%" height="100%">
-                <BarChart data={kgMonthly}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="month" />
-                  <YAxis />
-                  <Tooltip />
-                  <Legend />
-                  <Bar dataKey="total" name="kg" />
-                </BarChart>
-              </ResponsiveContainer>
-            </div>
-          )}
-        </Section>
-        <Section title="Harvest by Month (count)" icon={<BarChart3 className="w-5 h-5 text-emerald-600" />}>
-          {ctMonthly.length === 0 ? <div className="text-sm text-slate-600">No count-based harvest data yet.</div> : (
+        {reportFilter.kind !== "all" && (
+          <div className="xl:col-span-2 text-xs text-slate-500">
+            {t("reports.periodHint", { period: filterLabel(reportFilter) })}
+          </div>
+        )}
+        {inKg && (
+          <div className="xl:col-span-2 text-xs text-slate-500">
+            {t("reports.estimateHint")}
+            {harvestsInKg.skipped.length > 0 && (
+              <> {t("reports.leftOut", { list: harvestsInKg.skipped.map((r) => t("reports.leftOutItem", { name: r.name, count: r.harvests, unit: unitLabel(r.unit, 1) })).join(", ") })}</>
+            )}
+          </div>
+        )}
+        {groups.map(([unit, list]) => {
+          const monthly = monthlyTotals(list);
+          const byType = totalsByPlantType(list);
+          const label = unitLabel(unit);
+          return (
+            <React.Fragment key={unit}>
+              <Section title={t("reports.byMonth", { unit: label })} icon={<BarChart3 className="w-5 h-5 text-emerald-600" />}>
+                {monthly.length === 0 ? <div className="text-sm text-slate-600">{t("reports.noMonthly", { unit: label })}</div> : (
+                  <div className="h-64">
+                    <ResponsiveContainer width="100%" height="100%">
+                      {unit === "kg" ? (
+                        <BarChart data={monthly}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="month" />
+                          <YAxis />
+                          <Tooltip />
+                          <Legend />
+                          {inKg ? [
+                            <Bar key="weighed" dataKey="weighed" name={t("compare.kg")} stackId="kg" />,
+                            <Bar key="estimated" dataKey="estimated" name={t("reports.kgEstimated")} stackId="kg" fillOpacity={0.4} />,
+                          ] : <Bar dataKey="total" name={unitLabel("kg")} />}
+                        </BarChart>
+                      ) : (
+                        <LineChart data={monthly}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="month" />
+                          <YAxis />
+                          <Tooltip />
+                          <Legend />
+                          <Line type="monotone" dataKey="total" name={label} />
+                        </LineChart>
+                      )}
+                    </ResponsiveContainer>
+                  </div>
+                )}
+              </Section>
+              <Section title={t("reports.byType", { unit: label })} icon={<BarChart3 className="w-5 h-5 text-emerald-600" />}>
+                {byType.length === 0 ? <div className="text-sm text-slate-600">{t("reports.noByType", { unit: label })}</div> : (
+                  <div className="h-64">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <PieChart>
+                        <Pie data={byType} dataKey="total" nameKey="name" outerRadius={90} label />
+                        <Tooltip />
+                      </PieChart>
+                    </ResponsiveContainer>
+                  </div>
+                )}
+              </Section>
+            </React.Fragment>
+          );
+        })}
+        <Section title={inKg ? t("reports.yoyEstimated") : t("reports.yoy")} icon={<BarChart3 className="w-5 h-5 text-emerald-600" />}>
+          {!yoyHasData ? <div className="text-sm text-slate-600">{t("reports.noYoy")}</div> : (
             <div className="h-64">
               <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={ctMonthly}>
+                <LineChart data={yoy}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="month" />
                   <YAxis />
                   <Tooltip />
                   <Legend />
-                  <Line type="monotone" dataKey="total" name="count" />
+                  {comparison.years.map((y, i) => (
+                    <Line key={y} type="monotone" dataKey={y} name={yearLabel(y)} stroke={GARDEN_COLORS[(comparison.years.length - 1 - i) % GARDEN_COLORS.length]} />
+                  ))}
                 </LineChart>
               </ResponsiveContainer>
             </div>
           )}
         </Section>
-        <Section title="Totals by Plant Type (kg)" icon={<BarChart3 className="w-5 h-5 text-emerald-600" />}>
-          {kgByType.length === 0 ? <div className="text-sm text-slate-600">No kg-based harvests yet.</div> : (
-            <div className="h-64">
-              <ResponsiveContainer width="100%" height="100%">
-                <PieChart>
-                  <Pie data={kgByType} dataKey="total" nameKey="name" outerRadius={90} label />
-                  <Tooltip />
-                </PieChart>
-              </ResponsiveContainer>
+        <div className="xl:col-span-2">
+          <Section title={t("reports.perPlanting")} icon={<Sprout className="w-5 h-5 text-emerald-600" />}>
+            {crops.length === 0 ? <div className="text-sm text-slate-600">{t("reports.noCrops")}</div> : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-slate-500">
+                      <th className="py-2">{t("calendar.plant")}</th>
+                      {comparison.years.map((y) => <th key={y} className="py-2">{yearLabel(y)}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {crops.map((r) => (
+                      <tr key={r.key} className="border-t align-top">
+                        <td className="py-2">{r.name}</td>
+                        {comparison.years.map((y) => {
+                          const c = r.years[y];
+                          const approx = c?.estimated ? "≈ " : "";
+                          return (
+                            <td key={y} className="py-2">
+                              {!c ? <span className="text-slate-400">—</span> : (
+                                <>
+                                  <div className="font-medium">{approx}{formatAmount(c.total, r.unit)}</div>
+                                  <div className="text-xs text-slate-500">
+                                    {approx}{t("reports.perPlantingCell", { amount: formatNumber(c.perPlanting), count: c.plantings })}{c.perPlant != null && <> · {approx}{t("reports.perPlantCell", { amount: formatNumber(c.perPlant) })}</>}
+                                  </div>
+                                </>
+                              )}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="text-xs text-slate-500 mt-2">
+                  {t("reports.perPlantingHint", { scope: reportFilter.kind === "season" ? t("reports.seasonOnly", { season: seasonFor(reportFilter.season).label }) : t("reports.growingYears") })}
+                </div>
+              </div>
+            )}
+          </Section>
+        </div>
+        <Section title={t("reports.vsExpected")} icon={<BarChart3 className="w-5 h-5 text-emerald-600" />}>
+          {yieldRows.length === 0 ? <div className="text-sm text-slate-600">{t("reports.noPlantings")}</div> : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-slate-500">
+                    <th className="py-2">{t("calendar.plant")}</th>
+                    <th className="py-2">{t("reports.plants")}</th>
+                    <th className="py-2">{t("reports.harvested")}</th>
+                    <th className="py-2">{t("reports.expectedSoFar")}</th>
+                    <th className="py-2">{t("reports.achieved")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {yieldRows.map((r) => (
+                    <tr key={r.id} className="border-t">
+                      <td className="py-2">{r.name}</td>
+                      <td className="py-2 text-slate-500">{r.plants} <span className="text-xs">({t("count.plantings", { count: r.plantings })})</span></td>
+                      <td className="py-2 font-medium">
+                        {r.approx ? "≈ " : ""}{formatAmount(+r.actual.toFixed(2), r.unit)}
+                        {r.unweighed > 0 && <span className="text-xs text-slate-500 font-normal"> {t("reports.unweighed", { count: r.unweighed })}</span>}
+                      </td>
+                      <td className="py-2 text-slate-500">{r.estimated ? formatAmount(+r.expected.toFixed(2), r.unit) : "—"}</td>
+                      <td className="py-2">{r.estimated && r.expected > 0 ? `${Math.round((r.actual / r.expected) * 100)}%` : "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="text-xs text-slate-500 mt-2">{t("reports.expectedHint")}{inKg ? ` ${t("reports.expectedHintKg")}` : ""}</div>
             </div>
           )}
         </Section>
-        <Section title="Totals by Plant Type (count)" icon={<BarChart3 className="w-5 h-5 text-emerald-600" />}>
-          {ctByType.length === 0 ? <div className="text-sm text-slate-600">No count-based harvests yet.</div> : (
-            <div className="h-64">
-              <ResponsiveContainer width="100%" height="100%">
-                <PieChart>
-                  <Pie data={ctByType} dataKey="total" nameKey="name" outerRadius={90} label />
-                  <Tooltip />
-                </PieChart>
-              </ResponsiveContainer>
+        <Section title={t("reports.germination")} icon={<Sprout className="w-5 h-5 text-emerald-600" />}>
+          {germRows.length === 0 ? <div className="text-sm text-slate-600">{t("reports.noGermination")}</div> : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-slate-500">
+                    <th className="py-2">{t("calendar.plant")}</th>
+                    <th className="py-2">{t("succession.sowings")}</th>
+                    <th className="py-2">{t("reports.germRate")}</th>
+                    <th className="py-2">{t("reports.expectedDays")}</th>
+                    <th className="py-2">{t("reports.actualDays")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {germRows.map((r) => (
+                    <tr key={r.plantTypeId} className="border-t">
+                      <td className="py-2">{r.name}</td>
+                      <td className="py-2 text-slate-500">{r.plantings}</td>
+                      <td className="py-2 font-medium">{r.rate != null ? `${Math.round(r.rate * 100)}%` : "—"} {r.rate != null && <span className="text-xs text-slate-500">{t("reports.emergedOf", { emerged: r.emerged, sown: r.sown })}</span>}</td>
+                      <td className="py-2 text-slate-500">{Math.round(r.expectedDays)}</td>
+                      <td className={`py-2 ${r.actualDays > r.expectedDays + 2 ? "text-amber-700" : ""}`}>{Math.round(r.actualDays)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="text-xs text-slate-500 mt-2">{t("reports.germHint", { emerged: observationLabel("emerged") })}</div>
             </div>
           )}
         </Section>
@@ -608,82 +3156,473 @@ useEffect(() => { save("harvests",  harvests ); }, [harvests]);
     );
   };
 
-  const Settings = () => {
-    const [draft, setDraft] = useState({ name: "", germinationMinDays: 7, germinationMaxDays: 14, maturityDays: 60, harvestWindowDays: 21, defaultUnit: /** @type {Unit} */("kg") });
+  // The add-a-plant-type draft lives in App: Settings is redefined on every render, so state
+  // inside it would be lost whenever a commit, sync or toast re-renders the app mid-typing.
+  const blankTypeDraft = { name: "", family: "", germinationMinDays: 7, germinationMaxDays: 14, maturityDays: 60, harvestWindowDays: 21, defaultUnit: /** @type {Unit} */("kg"), defaultMethod: /** @type {SowMethod} */("direct"), transplantMaturityDays: "", spacingInRowCm: "", spacingRowCm: "", yieldPerPlant: "", yieldPerM2: "", baseTempC: "", gddGermination: "", gddMaturity: "", gddHarvestWindow: "" };
+  const [typeDraft, setTypeDraft] = useState(blankTypeDraft);
 
+  const Settings = () => {
     const addType = () => {
-      if (!draft.name.trim()) return;
-      setPlantTypes((arr) => [
-        { id: uid(), ...draft, germinationMinDays: Number(draft.germinationMinDays), germinationMaxDays: Number(draft.germinationMaxDays), maturityDays: Number(draft.maturityDays), harvestWindowDays: Number(draft.harvestWindowDays) },
-        ...arr,
-      ]);
-      setDraft({ name: "", germinationMinDays: 7, germinationMaxDays: 14, maturityDays: 60, harvestWindowDays: 21, defaultUnit: "kg" });
+      if (!typeDraft.name.trim()) return;
+      commit(t("history.addPlantType", { name: typeDraft.name.trim() }), (d) => ({
+        plantTypes: [
+          {
+            id: uid(), ...typeDraft, name: typeDraft.name.trim(), germinationMinDays: Number(typeDraft.germinationMinDays), germinationMaxDays: Number(typeDraft.germinationMaxDays), maturityDays: Number(typeDraft.maturityDays), harvestWindowDays: Number(typeDraft.harvestWindowDays),
+            transplantMaturityDays: numOrNull(typeDraft.transplantMaturityDays), spacingInRowCm: numOrNull(typeDraft.spacingInRowCm), spacingRowCm: numOrNull(typeDraft.spacingRowCm), yieldPerPlant: numOrNull(typeDraft.yieldPerPlant), yieldPerM2: numOrNull(typeDraft.yieldPerM2),
+            baseTempC: numOrNull(typeDraft.baseTempC), gddGermination: numOrNull(typeDraft.gddGermination), gddMaturity: numOrNull(typeDraft.gddMaturity), gddHarvestWindow: numOrNull(typeDraft.gddHarvestWindow), sowingWindows: { direct: [], indoor: [], transplant: [] }, unitWeightsKg: {}, aliases: {}, varieties: [],
+          },
+          ...d.plantTypes,
+        ],
+      }));
+      setTypeDraft(blankTypeDraft);
+    };
+
+    // Typing into one field coalesces into a single undo step.
+    const updateType = (id, patch) => commit(t("history.editPlantType", { name: nameOf(plantTypeById[id]) }), (d) => ({
+      plantTypes: d.plantTypes.map((p) => (p.id === id ? { ...p, ...patch } : p)),
+    }), { coalesceKey: `plantType:${id}:${Object.keys(patch).join()}` });
+    const removeType = (id) => {
+      const pt = plantTypeById[id];
+      if (!pt) return;
+      const users = plantings.filter((p) => p.plantTypeId === id).length;
+      if (users && !confirm(t("catalogue.confirmDelete", { count: users, name: nameOf(pt), unknown: t("common.unknown") }))) return;
+      commit(t("history.deletePlantType", { name: nameOf(pt) }), (d) => ({
+        plantTypes: d.plantTypes.filter((p) => p.id !== id),
+        trash: [toTrash("plantType", pt), ...d.trash],
+      }), { notify: true });
     };
 
-    const updateType = (id, patch) => setPlantTypes((arr) => arr.map((p) => (p.id === id ? { ...p, ...patch } : p)));
-    const removeType = (id) => setPlantTypes((arr) => arr.filter((p) => p.id !== id));
+    // -------- Learned timings --------
+    const learning = settings.learning;
+    const samples = timingSamples(plantings, harvests, plantTypeById, (p) => p.archived || Boolean(phaseFor(p)?.done));
+    const suggestions = suggestTimings(samples, plantTypeById, learning).sort((a, b) =>
+      (nameOf(plantTypeById[a.plantTypeId]) + a.field).localeCompare(nameOf(plantTypeById[b.plantTypeId]) + b.field)
+    );
+    const setLearning = (patch) => setSettings((s) => ({ ...s, learning: { ...s.learning, ...patch } }));
+    // Split suggestions can't be applied: the catalogue has one value per plant type, not per bed or season.
+    const splitSuggestions = learning.byBed || learning.bySeason;
+    const acceptSuggestion = (sg) => commit(t("history.useLearned", { field: FIELD_LABELS[sg.field].toLowerCase(), name: nameOf(plantTypeById[sg.plantTypeId]) }), (d) => ({
+      plantTypes: d.plantTypes.map((p) => (p.id === sg.plantTypeId ? { ...p, [sg.field]: sg.suggested } : p)),
+    }), { notify: true });
+    const rejectSuggestion = (sg) => setLearning({ rejected: [...learning.rejected, sg.key] });
+
+    const toggleWindowMonth = (pt, kind, month) => {
+      const months = windowFor(pt, kind);
+      const next = months.includes(month) ? months.filter((m) => m !== month) : [...months, month].sort((a, b) => a - b);
+      updateType(pt.id, { sowingWindows: { direct: [], indoor: [], transplant: [], ...pt.sowingWindows, [kind]: next } });
+    };
+    const addVariety = (pt) => updateType(pt.id, { varieties: [...(pt.varieties || []), { id: uid(), name: t("catalogue.newVariety"), maturityDays: null, transplantMaturityDays: null, harvestWindowDays: null, yieldPerPlant: null }] });
+    const updateVariety = (pt, varietyId, patch) => updateType(pt.id, { varieties: pt.varieties.map((v) => (v.id === varietyId ? { ...v, ...patch } : v)) });
+    const removeVariety = (pt, varietyId) => {
+      const users = plantings.filter((p) => p.plantTypeId === pt.id && p.varietyId === varietyId).length;
+      if (users && !confirm(t("catalogue.confirmRemoveVariety", { count: users, name: nameOf(pt) }))) return;
+      updateType(pt.id, { varieties: pt.varieties.filter((v) => v.id !== varietyId) });
+    };
 
     return (
       <div className="grid xl:grid-cols-2 gap-4">
-        <Section title="Plant Catalogue" icon={<Edit3 className="w-5 h-5 text-emerald-600" />} actions={<Button kind="ghost" onClick={resetToDefaults}>Reset to defaults</Button>}>
+        <Section title={t("catalogue.title")} icon={<Edit3 className="w-5 h-5 text-emerald-600" />} actions={<Button kind="ghost" onClick={resetToDefaults}>{t("catalogue.resetDefaults")}</Button>}>
+          <div className="border rounded-2xl p-4 bg-emerald-50/50 mb-4 text-sm">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="font-medium">{t("learned.title")}</div>
+              <div className="flex items-center gap-3 text-xs text-slate-600">
+                <label className="flex items-center gap-1"><input type="checkbox" checked={learning.byBed} onChange={(e) => setLearning({ byBed: e.target.checked })} /> {t("learned.byBed")}</label>
+                <label className="flex items-center gap-1"><input type="checkbox" checked={learning.bySeason} onChange={(e) => setLearning({ bySeason: e.target.checked })} /> {t("learned.bySeason")}</label>
+                {learning.rejected.length > 0 && <button className="underline" onClick={() => setLearning({ rejected: [] })}>{t("learned.showDismissed")}</button>}
+              </div>
+            </div>
+            {suggestions.length === 0 ? (
+              <div className="text-slate-600 mt-2">
+                {t("learned.empty", { count: MIN_SAMPLES })}
+              </div>
+            ) : (
+              <ul className="mt-2 space-y-2">
+                {suggestions.map((sg) => (
+                  <li key={sg.key} className="flex flex-wrap items-center justify-between gap-2 border-t pt-2">
+                    <div>
+                      <span className="font-medium">{nameOf(plantTypeById[sg.plantTypeId])}</span>
+                      {learning.byBed && <span className="text-slate-500"> • {bedById[sg.bedId]?.name || t("common.noBed")}</span>}
+                      {sg.season && <span className="text-slate-500"> • {SOWING_SEASONS.find((x) => x.id === sg.season).label}</span>}
+                      <div className="text-slate-700">
+                        {tNodes("learned.change", { field: FIELD_LABELS[sg.field], current: sg.current ?? "—", suggested: <b>{sg.suggested}</b> })}
+                      </div>
+                      <div className="text-xs text-slate-500">
+                        {t("learned.stats", { n: sg.stats.n, p25: Math.round(sg.stats.p25), p75: Math.round(sg.stats.p75), min: sg.stats.min, max: sg.stats.max })}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button kind="ghost" onClick={() => rejectSuggestion(sg)}>{t("learned.dismiss")}</Button>
+                      <Button onClick={() => acceptSuggestion(sg)} disabled={splitSuggestions}><Check className="w-4 h-4" /> {t("learned.use")}</Button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {splitSuggestions && suggestions.length > 0 && <div className="text-xs text-slate-500 mt-2">{t("learned.splitHint")}</div>}
+            {settings.phaseModel === "gdd" && suggestions.length > 0 && (
+              <div className="text-xs text-slate-500 mt-2">{t("learned.gddHint")}</div>
+            )}
+          </div>
           <div className="grid md:grid-cols-2 gap-4">
             {plantTypes.map((p) => (
               <div key={p.id} className="border rounded-2xl p-4 bg-white">
-                <div className="font-semibold mb-2">{p.name}</div>
+                <div className="flex items-center justify-between gap-2 mb-2">
+                  <div className="font-semibold">{nameOf(p)}{nameOf(p) !== p.name && <span className="font-normal text-slate-500"> ({p.name})</span>}</div>
+                  {isBuiltIn(p) && <Tag>{t("catalogue.builtIn")}</Tag>}
+                </div>
                 <div className="grid grid-cols-2 gap-2 text-sm">
-                  <label className="text-slate-600">Germ min
+                  {LOCALES.filter((l) => l.id !== "en").map((l) => (
+                    <label key={l.id} className="text-slate-600 col-span-2">{t("catalogue.alias", { language: l.label })}
+                      <Input value={p.aliases?.[l.id] ?? ""} placeholder={p.name} onChange={(e) => {
+                        const { [l.id]: _, ...rest } = p.aliases || {};
+                        const alias = e.target.value.trim() ? e.target.value : null;
+                        updateType(p.id, { aliases: alias ? { ...rest, [l.id]: alias } : rest });
+                      }} />
+                    </label>
+                  ))}
+                  <label className="text-slate-600">{t("catalogue.germMin")}
                     <Input type="number" min={0} value={p.germinationMinDays} onChange={(e) => updateType(p.id, { germinationMinDays: Number(e.target.value || 0) })} />
                   </label>
-                  <label className="text-slate-600">Germ max
+                  <label className="text-slate-600">{t("catalogue.germMax")}
                     <Input type="number" min={0} value={p.germinationMaxDays} onChange={(e) => updateType(p.id, { germinationMaxDays: Number(e.target.value || 0) })} />
                   </label>
-                  <label className="text-slate-600">Maturity
+                  <label className="text-slate-600">{t("catalogue.maturity")}
                     <Input type="number" min={1} value={p.maturityDays} onChange={(e) => updateType(p.id, { maturityDays: Number(e.target.value || 0) })} />
                   </label>
-                  <label className="text-slate-600">Harvest window
+                  <label className="text-slate-600">{t("catalogue.harvestWindow")}
                     <Input type="number" min={1} value={p.harvestWindowDays} onChange={(e) => updateType(p.id, { harvestWindowDays: Number(e.target.value || 0) })} />
                   </label>
-                  <label className="text-slate-600 col-span-2">Default unit
+                  <label className="text-slate-600">{t("catalogue.defaultUnit")}
                     <Select value={p.defaultUnit} onChange={(e) => updateType(p.id, { defaultUnit: /** @type {Unit} */(e.target.value) })}>
-                      <option value="kg">kg</option>
-                      <option value="count">count</option>
+                      {UNITS.map((u) => <option key={u.id} value={u.id}>{unitLabel(u.id)}</option>)}
+                    </Select>
+                  </label>
+                  <label className="text-slate-600 col-span-2">{t("catalogue.family")}
+                    <Select value={p.family || ""} onChange={(e) => updateType(p.id, { family: e.target.value })}>
+                      <option value="">—</option>
+                      {PLANT_FAMILIES.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+                    </Select>
+                  </label>
+                  <label className="text-slate-600">{t("catalogue.usually")}
+                    <Select value={p.defaultMethod || "direct"} onChange={(e) => updateType(p.id, { defaultMethod: /** @type {SowMethod} */(e.target.value) })}>
+                      <option value="direct">{t("catalogue.directSown")}</option>
+                      <option value="transplant">{t("catalogue.transplanted")}</option>
                     </Select>
                   </label>
+                  <label className="text-slate-600 col-span-2">{t("catalogue.transplantMaturity")}
+                    <Input type="number" min={1} placeholder={t("catalogue.sameAsMaturity")} value={p.transplantMaturityDays ?? ""} onChange={(e) => updateType(p.id, { transplantMaturityDays: numOrNull(e.target.value) })} />
+                  </label>
+                  <label className="text-slate-600">{t("catalogue.inRowSpacing")}
+                    <Input type="number" min={0} value={p.spacingInRowCm ?? ""} onChange={(e) => updateType(p.id, { spacingInRowCm: numOrNull(e.target.value) })} />
+                  </label>
+                  <label className="text-slate-600">{t("catalogue.rowSpacing")}
+                    <Input type="number" min={0} value={p.spacingRowCm ?? ""} onChange={(e) => updateType(p.id, { spacingRowCm: numOrNull(e.target.value) })} />
+                  </label>
+                  <label className="text-slate-600">{t("catalogue.yieldPerPlant", { unit: unitLabel(p.defaultUnit) })}
+                    <Input type="number" min={0} step="0.01" value={p.yieldPerPlant ?? ""} onChange={(e) => updateType(p.id, { yieldPerPlant: numOrNull(e.target.value) })} />
+                  </label>
+                  <label className="text-slate-600">{t("catalogue.yieldPerM2", { unit: unitLabel(p.defaultUnit) })}
+                    <Input type="number" min={0} step="0.01" value={p.yieldPerM2 ?? ""} onChange={(e) => updateType(p.id, { yieldPerM2: numOrNull(e.target.value) })} />
+                  </label>
+                  {ESTIMATED_UNITS.map((unit) => (
+                    <label key={unit} className="text-slate-600">{t("catalogue.kgPer", { unit: unitLabel(unit, 1) })}
+                      <Input
+                        type="number"
+                        min={0}
+                        step="0.01"
+                        placeholder="—"
+                        value={p.unitWeightsKg?.[unit] ?? ""}
+                        onChange={(e) => {
+                          const { [unit]: _, ...rest } = p.unitWeightsKg || {};
+                          const kg = numOrNull(e.target.value);
+                          updateType(p.id, { unitWeightsKg: kg ? { ...rest, [unit]: kg } : rest });
+                        }}
+                      />
+                    </label>
+                  ))}
+                  <label className="text-slate-600">{t("catalogue.baseTemp")}
+                    <Input type="number" step="0.5" value={p.baseTempC ?? ""} onChange={(e) => updateType(p.id, { baseTempC: numOrNull(e.target.value) })} />
+                  </label>
+                  <label className="text-slate-600">{t("catalogue.gddGermination")}
+                    <Input type="number" min={0} value={p.gddGermination ?? ""} onChange={(e) => updateType(p.id, { gddGermination: numOrNull(e.target.value) })} />
+                  </label>
+                  <label className="text-slate-600">{t("catalogue.gddMaturity")}
+                    <Input type="number" min={0} value={p.gddMaturity ?? ""} onChange={(e) => updateType(p.id, { gddMaturity: numOrNull(e.target.value) })} />
+                  </label>
+                  <label className="text-slate-600">{t("catalogue.gddHarvestWindow")}
+                    <Input type="number" min={0} value={p.gddHarvestWindow ?? ""} onChange={(e) => updateType(p.id, { gddHarvestWindow: numOrNull(e.target.value) })} />
+                  </label>
+                </div>
+                <div className="mt-3 text-sm">
+                  <div className="text-slate-600 mb-1">{t("catalogue.sowingMonths")}</div>
+                  {SOWING_KINDS.map((k) => (
+                    <div key={k.id} className="flex items-center gap-1 mt-1">
+                      <span className="w-24 text-xs text-slate-500">{k.label}</span>
+                      {MONTH_NUMBERS.map((m) => {
+                        const on = windowFor(p, k.id).includes(m);
+                        return (
+                          <button
+                            key={m}
+                            title={monthName(m, "long")}
+                            className={`w-5 h-5 rounded text-[10px] border ${on ? `${k.color} text-white border-transparent` : "bg-white text-slate-400"}`}
+                            onClick={() => toggleWindowMonth(p, k.id, m)}
+                          >
+                            {monthName(m)[0]}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  ))}
+                </div>
+                <div className="mt-3 text-sm">
+                  <div className="flex items-center justify-between">
+                    <span className="text-slate-600">{t("catalogue.varieties")}</span>
+                    <button className="text-xs underline text-emerald-700" onClick={() => addVariety(p)}>{t("catalogue.addVariety")}</button>
+                  </div>
+                  {(p.varieties || []).map((v) => (
+                    <div key={v.id} className="grid grid-cols-[1fr_5rem_5rem_auto] gap-2 items-end mt-2">
+                      <label className="text-xs text-slate-500">{t("catalogue.name")}
+                        <Input value={v.name} onChange={(e) => updateVariety(p, v.id, { name: e.target.value })} />
+                      </label>
+                      <label className="text-xs text-slate-500">{t("catalogue.maturity")}
+                        <Input type="number" min={1} placeholder={String(p.maturityDays)} value={v.maturityDays ?? ""} onChange={(e) => updateVariety(p, v.id, { maturityDays: numOrNull(e.target.value) })} />
+                      </label>
+                      <label className="text-xs text-slate-500">{t("catalogue.varietyYield")}
+                        <Input type="number" min={0} step="0.01" placeholder={p.yieldPerPlant != null ? String(p.yieldPerPlant) : ""} value={v.yieldPerPlant ?? ""} onChange={(e) => updateVariety(p, v.id, { yieldPerPlant: numOrNull(e.target.value) })} />
+                      </label>
+                      <button className="p-2 text-slate-500 hover:text-red-600" title={t("catalogue.removeVariety")} onClick={() => removeVariety(p, v.id)}><Trash2 className="w-4 h-4" /></button>
+                    </div>
+                  ))}
                 </div>
                 <div className="flex justify-end mt-2">
-                  <button className="p-2 text-slate-500 hover:text-red-600" title="Remove" onClick={() => removeType(p.id)}><Trash2 className="w-4 h-4" /></button>
+                  <button className="p-2 text-slate-500 hover:text-red-600" title={t("catalogue.remove")} onClick={() => removeType(p.id)}><Trash2 className="w-4 h-4" /></button>
                 </div>
               </div>
             ))}
           </div>
         </Section>
-        <Section title="Add Plant Type" icon={<Plus className="w-5 h-5 text-emerald-600" />}>
+        <Section title={t("catalogue.addTitle")} icon={<Plus className="w-5 h-5 text-emerald-600" />}>
           <div className="grid grid-cols-2 gap-3">
-            <label className="col-span-2 text-slate-600">Name<Input placeholder="e.g., Kawakawa" value={draft.name} onChange={(e) => setDraft((s) => ({ ...s, name: e.target.value }))} /></label>
-            <label className="text-slate-600">Germ min<Input type="number" min={0} value={draft.germinationMinDays} onChange={(e) => setDraft((s) => ({ ...s, germinationMinDays: Number(e.target.value || 0) }))} /></label>
-            <label className="text-slate-600">Germ max<Input type="number" min={0} value={draft.germinationMaxDays} onChange={(e) => setDraft((s) => ({ ...s, germinationMaxDays: Number(e.target.value || 0) }))} /></label>
-            <label className="text-slate-600">Maturity<Input type="number" min={1} value={draft.maturityDays} onChange={(e) => setDraft((s) => ({ ...s, maturityDays: Number(e.target.value || 0) }))} /></label>
-            <label className="text-slate-600">Harvest window<Input type="number" min={1} value={draft.harvestWindowDays} onChange={(e) => setDraft((s) => ({ ...s, harvestWindowDays: Number(e.target.value || 0) }))} /></label>
-            <label className="text-slate-600 col-span-2">Default unit
-              <Select value={draft.defaultUnit} onChange={(e) => setDraft((s) => ({ ...s, defaultUnit: /** @type {Unit} */(e.target.value) }))}>
-                <option value="kg">kg</option>
-                <option value="count">count</option>
+            <label className="col-span-2 text-slate-600">{t("catalogue.name")}<Input placeholder={t("catalogue.namePlaceholder")} value={typeDraft.name} onChange={(e) => setTypeDraft((s) => ({ ...s, name: e.target.value }))} /></label>
+            <label className="text-slate-600">{t("catalogue.germMin")}<Input type="number" min={0} value={typeDraft.germinationMinDays} onChange={(e) => setTypeDraft((s) => ({ ...s, germinationMinDays: Number(e.target.value || 0) }))} /></label>
+            <label className="text-slate-600">{t("catalogue.germMax")}<Input type="number" min={0} value={typeDraft.germinationMaxDays} onChange={(e) => setTypeDraft((s) => ({ ...s, germinationMaxDays: Number(e.target.value || 0) }))} /></label>
+            <label className="text-slate-600">{t("catalogue.maturity")}<Input type="number" min={1} value={typeDraft.maturityDays} onChange={(e) => setTypeDraft((s) => ({ ...s, maturityDays: Number(e.target.value || 0) }))} /></label>
+            <label className="text-slate-600">{t("catalogue.harvestWindow")}<Input type="number" min={1} value={typeDraft.harvestWindowDays} onChange={(e) => setTypeDraft((s) => ({ ...s, harvestWindowDays: Number(e.target.value || 0) }))} /></label>
+            <label className="text-slate-600">{t("catalogue.defaultUnit")}
+              <Select value={typeDraft.defaultUnit} onChange={(e) => setTypeDraft((s) => ({ ...s, defaultUnit: /** @type {Unit} */(e.target.value) }))}>
+                {UNITS.map((u) => <option key={u.id} value={u.id}>{unitLabel(u.id)}</option>)}
+              </Select>
+            </label>
+            <label className="text-slate-600 col-span-2">{t("catalogue.family")}
+              <Select value={typeDraft.family} onChange={(e) => setTypeDraft((s) => ({ ...s, family: e.target.value }))}>
+                <option value="">—</option>
+                {PLANT_FAMILIES.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+              </Select>
+            </label>
+            <label className="text-slate-600">{t("catalogue.usually")}
+              <Select value={typeDraft.defaultMethod} onChange={(e) => setTypeDraft((s) => ({ ...s, defaultMethod: /** @type {SowMethod} */(e.target.value) }))}>
+                <option value="direct">{t("catalogue.directSown")}</option>
+                <option value="transplant">{t("catalogue.transplanted")}</option>
               </Select>
             </label>
+            <label className="text-slate-600 col-span-2">{t("catalogue.transplantMaturity")}<Input type="number" min={1} placeholder={t("catalogue.sameAsMaturity")} value={typeDraft.transplantMaturityDays} onChange={(e) => setTypeDraft((s) => ({ ...s, transplantMaturityDays: e.target.value }))} /></label>
+            <label className="text-slate-600">{t("catalogue.inRowSpacing")}<Input type="number" min={0} value={typeDraft.spacingInRowCm} onChange={(e) => setTypeDraft((s) => ({ ...s, spacingInRowCm: e.target.value }))} /></label>
+            <label className="text-slate-600">{t("catalogue.rowSpacing")}<Input type="number" min={0} value={typeDraft.spacingRowCm} onChange={(e) => setTypeDraft((s) => ({ ...s, spacingRowCm: e.target.value }))} /></label>
+            <label className="text-slate-600">{t("catalogue.draftYieldPerPlant")}<Input type="number" min={0} step="0.01" value={typeDraft.yieldPerPlant} onChange={(e) => setTypeDraft((s) => ({ ...s, yieldPerPlant: e.target.value }))} /></label>
+            <label className="text-slate-600">{t("catalogue.draftYieldPerM2")}<Input type="number" min={0} step="0.01" value={typeDraft.yieldPerM2} onChange={(e) => setTypeDraft((s) => ({ ...s, yieldPerM2: e.target.value }))} /></label>
+            <label className="text-slate-600">{t("catalogue.baseTemp")}<Input type="number" step="0.5" placeholder={t("common.optional")} value={typeDraft.baseTempC} onChange={(e) => setTypeDraft((s) => ({ ...s, baseTempC: e.target.value }))} /></label>
+            <label className="text-slate-600">{t("catalogue.gddGermination")}<Input type="number" min={0} placeholder={t("common.optional")} value={typeDraft.gddGermination} onChange={(e) => setTypeDraft((s) => ({ ...s, gddGermination: e.target.value }))} /></label>
+            <label className="text-slate-600">{t("catalogue.gddMaturity")}<Input type="number" min={0} placeholder={t("common.optional")} value={typeDraft.gddMaturity} onChange={(e) => setTypeDraft((s) => ({ ...s, gddMaturity: e.target.value }))} /></label>
+            <label className="text-slate-600">{t("catalogue.gddHarvestWindow")}<Input type="number" min={0} placeholder={t("common.optional")} value={typeDraft.gddHarvestWindow} onChange={(e) => setTypeDraft((s) => ({ ...s, gddHarvestWindow: e.target.value }))} /></label>
             <div className="col-span-2 flex justify-end">
-              <Button onClick={addType}><Plus className="w-4 h-4" /> Add Type</Button>
+              <Button onClick={addType}><Plus className="w-4 h-4" /> {t("catalogue.addType")}</Button>
+            </div>
+          </div>
+        </Section>
+        <Section title={t("language.title")} icon={<Languages className="w-5 h-5 text-emerald-600" />}>
+          <div className="space-y-3 text-sm">
+            <label className="block text-slate-600">{t("language.label")}
+              <Select value={locale} onChange={(e) => changeLocale(e.target.value)}>
+                {LOCALES.map((l) => <option key={l.id} value={l.id}>{l.label}</option>)}
+              </Select>
+            </label>
+            {untranslated(locale).length > 0 && (
+              <div className="text-xs text-slate-500">{t("language.partial", { count: untranslated(locale).length })}</div>
+            )}
+            <div className="text-xs text-slate-500">{t("language.hint")}</div>
+          </div>
+        </Section>
+        <Section title={t("climate.title")} icon={<Sprout className="w-5 h-5 text-emerald-600" />}>
+          <div className="space-y-3 text-sm">
+            <label className="flex items-center gap-2 text-slate-700">
+              <input type="checkbox" checked={settings.phaseModel === "gdd"} onChange={(e) => setSettings((s) => ({ ...s, phaseModel: e.target.checked ? "gdd" : "days" }))} />
+              {t("climate.useGdd")}
+            </label>
+            <label className="block text-slate-600">{t("climate.region")}
+              <Select value={settings.climate.regionId} onChange={(e) => setSettings((s) => ({ ...s, climate: { regionId: e.target.value, monthlyMeanC: null } }))}>
+                {CLIMATE_PROFILES.map((c) => (
+                  <option key={c.id} value={c.id}>{c.name}</option>
+                ))}
+              </Select>
+            </label>
+            <div>
+              <div className="flex items-center justify-between text-slate-600">
+                <span>{t("climate.monthlyMeans")}</span>
+                {settings.climate.monthlyMeanC && (
+                  <button className="text-xs underline" onClick={() => setSettings((s) => ({ ...s, climate: { ...s.climate, monthlyMeanC: null } }))}>{t("climate.useRegion")}</button>
+                )}
+              </div>
+              <div className="grid grid-cols-4 md:grid-cols-6 gap-2 mt-1">
+                {monthlyMeansFor(settings.climate).map((mean, i) => (
+                  <label key={i} className="text-xs text-slate-500">{monthName(i + 1)}
+                    <Input
+                      type="number"
+                      step="0.1"
+                      value={mean}
+                      onChange={(e) => {
+                        const next = [...monthlyMeansFor(settings.climate)];
+                        next[i] = Number(e.target.value || 0);
+                        setSettings((s) => ({ ...s, climate: { ...s.climate, monthlyMeanC: next } }));
+                      }}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+            <label className="block text-slate-600">{t("climate.rotationYears")}
+              <Input type="number" min={0} max={10} value={settings.rotation.yearsBetween} onChange={(e) => setSettings((s) => ({ ...s, rotation: { ...s.rotation, yearsBetween: Math.max(0, Number(e.target.value || 0)) } }))} />
+            </label>
+            <div className="text-xs text-slate-500">
+              {t("climate.hint")}
             </div>
           </div>
         </Section>
-        <Section title="Backup & Restore" icon={<Download className="w-5 h-5 text-emerald-600" />}>
+        <Section title={t("backupPanel.title")} icon={<Download className="w-5 h-5 text-emerald-600" />}>
           <div className="flex flex-wrap items-center gap-2">
-            <Button onClick={exportJSON}><Download className="w-4 h-4" /> Export JSON</Button>
+            <Button onClick={exportJSON}><Download className="w-4 h-4" /> {t("backupPanel.exportJson")}</Button>
             <label className="inline-flex items-center gap-2 px-3 py-2 rounded-xl text-sm border bg-white cursor-pointer">
-              <Upload className="w-4 h-4" /> Import JSON
+              <Upload className="w-4 h-4" /> {t("backupPanel.importJson")}
               <input type="file" accept="application/json" className="hidden" onChange={(e) => e.target.files?.[0] && importJSON(e.target.files[0])} />
             </label>
           </div>
-          <div className="text-xs text-slate-500 mt-2">Data is also saved locally in your browser.</div>
+          <div className="flex flex-wrap items-center gap-2 mt-3">
+            <span className="text-sm text-slate-600">{t("backupPanel.spreadsheets")}</span>
+            <Button kind="ghost" onClick={() => exportCSV("harvests")}><FileSpreadsheet className="w-4 h-4" /> {t("backupPanel.harvests")}</Button>
+            <Button kind="ghost" onClick={() => exportCSV("plantings")}><FileSpreadsheet className="w-4 h-4" /> {t("backupPanel.plantings")}</Button>
+            <Button kind="ghost" onClick={() => exportCSV("catalogue")}><FileSpreadsheet className="w-4 h-4" /> {t("backupPanel.catalogue")}</Button>
+            <Button kind="ghost" onClick={() => setCsvImportOpen(true)}><Upload className="w-4 h-4" /> {t("backupPanel.importCsv")}</Button>
+          </div>
+          {lastImportSnapshot && (
+            <div className="flex flex-wrap items-center gap-2 mt-3 text-sm text-slate-600">
+              <span>{t("backupPanel.lastImport", { when: formatDateTime(lastImportSnapshot.createdAt) })}</span>
+              <Button kind="ghost" onClick={() => restoreSnapshot(lastImportSnapshot)}><RotateCcw className="w-4 h-4" /> {t("backupPanel.rollBack")}</Button>
+            </div>
+          )}
+          <div className="text-xs text-slate-500 mt-2">
+            {t("backupPanel.local")}{" "}
+            {storageState === "persisted" && t("backupPanel.persisted")}
+            {storageState === "best-effort" && tNodes("backupPanel.bestEffort", { link: <button className="underline" onClick={keepStorage}>{t("backupPanel.askToKeep")}</button> })}
+          </div>
+        </Section>
+        <Section title={t("remindersPanel.title")} icon={<Bell className="w-5 h-5 text-emerald-600" />}>
+          <div className="space-y-3 text-sm">
+            <label className="block text-slate-600">{t("remindersPanel.horizon")}
+              <Input type="number" min={1} max={365} value={settings.agenda.horizonDays} onChange={(e) => setSettings((s) => ({ ...s, agenda: { ...s.agenda, horizonDays: Math.max(1, Number(e.target.value || 1)) } }))} />
+            </label>
+            <label className="flex items-center gap-2 text-slate-700">
+              <input type="checkbox" disabled={!notificationsSupported()} checked={settings.agenda.notifications} onChange={(e) => toggleNotifications(e.target.checked)} />
+              {t("remindersPanel.notifications")} {!notificationsSupported() && <span className="text-xs text-slate-500">{t("remindersPanel.unsupported")}</span>}
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              {AGENDA_KINDS.map((k) => (
+                <label key={k.id} className="text-slate-600">{t("remindersPanel.lead", { kind: k.label })}
+                  <Input
+                    type="number"
+                    min={0}
+                    value={settings.agenda.leadDays[k.id] ?? 0}
+                    onChange={(e) => setSettings((s) => ({ ...s, agenda: { ...s.agenda, leadDays: { ...s.agenda.leadDays, [k.id]: Math.max(0, Number(e.target.value || 0)) } } }))}
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="text-xs text-slate-500">{t("remindersPanel.hint")}</div>
+          </div>
+        </Section>
+        <Section
+          title={t("restore.title")}
+          icon={<History className="w-5 h-5 text-emerald-600" />}
+          actions={<Button kind="ghost" onClick={() => saveRestorePoint("manual", t("restore.manual"))}>{t("restore.saveNow")}</Button>}
+        >
+          <div className="grid sm:grid-cols-2 gap-3 text-sm">
+            <label className="flex items-center gap-2 text-slate-700">
+              <input type="checkbox" checked={settings.snapshots.daily} onChange={(e) => setSettings((s) => ({ ...s, snapshots: { ...s.snapshots, daily: e.target.checked } }))} />
+              {t("restore.daily.toggle")}
+            </label>
+            <label className="text-slate-600">{t("restore.keep")}
+              <Input type="number" min={1} max={50} value={settings.snapshots.keep} onChange={(e) => setSnapshotKeep(Math.min(50, Math.max(1, Number(e.target.value || 1))))} />
+            </label>
+          </div>
+          <div className="text-xs text-slate-500 mt-2">
+            {t("restore.hint")}
+          </div>
+          {snapshots.length === 0 ? (
+            <div className="text-sm text-slate-600 mt-3">{t("restore.empty")}</div>
+          ) : (
+            <ul className="divide-y mt-3 text-sm">
+              {snapshots.map((point) => {
+                const counts = snapshotCounts(point);
+                const diff = snapshotDiffs[point.id];
+                const changes = diff
+                  ? BACKUP_COLLECTIONS.filter((c) => diff[c].added || diff[c].removed || diff[c].changed).map((c) =>
+                      [COLLECTION_LABELS[c], diff[c].added && `+${diff[c].added}`, diff[c].removed && `−${diff[c].removed}`, diff[c].changed && `~${diff[c].changed}`].filter(Boolean).join(" ")
+                    )
+                  : [];
+                return (
+                  <li key={point.id} className="py-2 flex items-center justify-between gap-3">
+                    <div>
+                      <div className="font-medium">{formatDateTime(point.createdAt)} <span className="font-normal text-slate-500">• {point.label}</span></div>
+                      <div className="text-xs text-slate-500">{BACKUP_COLLECTIONS.map((c) => t("restore.collectionCount", { count: counts[c], what: COLLECTION_LABELS[c] })).join(" • ")}</div>
+                      <div className="text-xs text-slate-600">{changes.length ? t("restore.vsNow", { changes: changes.join(" • ") }) : t("restore.sameAsNow")}</div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <button className="p-2 text-slate-500 hover:text-emerald-700" onClick={() => downloadSnapshot(point)} title={t("restore.download")}><Download className="w-4 h-4" /></button>
+                      <Button kind="ghost" onClick={() => restoreSnapshot(point)}>{t("restore.restore")}</Button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </Section>
+        <Section
+          title={t("trash.title")}
+          icon={<Trash2 className="w-5 h-5 text-emerald-600" />}
+          actions={trash.length > 0 && <Button kind="ghost" onClick={emptyTrash}>{t("history.emptyTrash")}</Button>}
+        >
+          <label className="text-sm text-slate-600">{t("trash.retention")}
+            <Input type="number" min={1} value={settings.trashRetentionDays} onChange={(e) => setSettings((s) => ({ ...s, trashRetentionDays: Math.max(1, Number(e.target.value || 1)) }))} />
+          </label>
+          {trash.length === 0 ? (
+            <div className="text-sm text-slate-600 mt-3">{t("trash.empty")}</div>
+          ) : (
+            <ul className="divide-y mt-3 text-sm">
+              {trash.map((e) => (
+                <li key={`${e.kind}-${e.id}-${e.deletedAt}`} className="py-2 flex items-center justify-between gap-3">
+                  <div>
+                    <div className="font-medium">{trashLabel(e)}</div>
+                    <div className="text-xs text-slate-500">
+                      {t("trash.dates", { deleted: formatDate(toISO(e.deletedAt)), expires: formatDate(toISO(expiresAt(e, settings.trashRetentionDays))) })}
+                      {e.related?.harvests?.length ? ` • ${t("trash.includes", { count: e.related.harvests.length })}` : ""}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Button kind="ghost" onClick={() => restoreEntry(e)}>{t("restore.restore")}</Button>
+                    <button className="p-2 text-slate-500 hover:text-red-600" onClick={() => purgeEntry(e)} title={t("history.purge")}><Trash2 className="w-4 h-4" /></button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
         </Section>
       </div>
     );
@@ -704,6 +3643,27 @@ const NavButton = ({ id, title, icon }) => (
   </button>
 );
 
+const Toast = () => (
+  <div className="fixed inset-x-0 bottom-24 md:bottom-6 z-50 flex justify-center pointer-events-none px-4">
+    <AnimatePresence>
+      {toast && (
+        <motion.div
+          key={toast.id}
+          initial={{ y: 20, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          exit={{ y: 20, opacity: 0 }}
+          className="pointer-events-auto flex items-center gap-3 px-4 py-3 rounded-2xl bg-slate-900 text-white text-sm shadow-lg"
+        >
+          <span>{toast.message}</span>
+          {toast.action === "undo" && <button className="font-semibold text-emerald-300" onClick={undoLast}>{t("history.undo")}</button>}
+          {toast.action === "redo" && <button className="font-semibold text-emerald-300" onClick={redoLast}>{t("history.redo")}</button>}
+          <button className="text-slate-400" onClick={() => setToast(null)} title={t("common.close")}>✕</button>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  </div>
+);
+
 // Mobile bottom nav (only shows on small screens)
 const MobileNav = () => (
   <nav
@@ -711,11 +3671,11 @@ const MobileNav = () => (
     style={{ paddingBottom: `calc(env(safe-area-inset-bottom, 0px) + 8px)` }}
   >
     <div className="grid grid-cols-5 gap-2">
-      <button onClick={() => setTab('plant')}   className={`flex flex-col items-center rounded-xl py-2 ${tab==='plant'   ?'bg-emerald-600 text-white':'text-slate-700 bg-slate-50'}`}><Plus className="w-4 h-4"/><span className="text-[10px] mt-1">Plant</span></button>
-      <button onClick={() => setTab('track')}   className={`flex flex-col items-center rounded-xl py-2 ${tab==='track'   ?'bg-emerald-600 text-white':'text-slate-700 bg-slate-50'}`}><Calendar className="w-4 h-4"/><span className="text-[10px] mt-1">Track</span></button>
-      <button onClick={() => setTab('harvest')} className={`flex flex-col items-center rounded-xl py-2 ${tab==='harvest' ?'bg-emerald-600 text-white':'text-slate-700 bg-slate-50'}`}><Leaf className="w-4 h-4"/><span className="text-[10px] mt-1">Harvest</span></button>
-      <button onClick={() => setTab('reports')} className={`flex flex-col items-center rounded-xl py-2 ${tab==='reports' ?'bg-emerald-600 text-white':'text-slate-700 bg-slate-50'}`}><BarChart3 className="w-4 h-4"/><span className="text-[10px] mt-1">Reports</span></button>
-      <button onClick={() => setTab('settings')}className={`flex flex-col items-center rounded-xl py-2 ${tab==='settings'?'bg-emerald-600 text-white':'text-slate-700 bg-slate-50'}`}><Edit3 className="w-4 h-4"/><span className="text-[10px] mt-1">Settings</span></button>
+      <button onClick={() => setTab('plant')}   className={`flex flex-col items-center rounded-xl py-2 ${tab==='plant'   ?'bg-emerald-600 text-white':'text-slate-700 bg-slate-50'}`}><Plus className="w-4 h-4"/><span className="text-[10px] mt-1">{t("nav.plant")}</span></button>
+      <button onClick={() => setTab('track')}   className={`flex flex-col items-center rounded-xl py-2 ${tab==='track'   ?'bg-emerald-600 text-white':'text-slate-700 bg-slate-50'}`}><Calendar className="w-4 h-4"/><span className="text-[10px] mt-1">{t("nav.track")}</span></button>
+      <button onClick={() => setTab('harvest')} className={`flex flex-col items-center rounded-xl py-2 ${tab==='harvest' ?'bg-emerald-600 text-white':'text-slate-700 bg-slate-50'}`}><Leaf className="w-4 h-4"/><span className="text-[10px] mt-1">{t("nav.harvests")}</span></button>
+      <button onClick={() => setTab('reports')} className={`flex flex-col items-center rounded-xl py-2 ${tab==='reports' ?'bg-emerald-600 text-white':'text-slate-700 bg-slate-50'}`}><BarChart3 className="w-4 h-4"/><span className="text-[10px] mt-1">{t("nav.reports")}</span></button>
+      <button onClick={() => setTab('settings')}className={`flex flex-col items-center rounded-xl py-2 ${tab==='settings'?'bg-emerald-600 text-white':'text-slate-700 bg-slate-50'}`}><Edit3 className="w-4 h-4"/><span className="text-[10px] mt-1">{t("nav.settings")}</span></button>
     </div>
   </nav>
 );
@@ -724,34 +3684,228 @@ const MobileNav = () => (
   return (
     <div className="min-h-screen bg-gradient-to-b from-emerald-50 to-white">
       <header className="max-w-7xl mx-auto px-4 md:px-6 pt-6 pb-3">
-        <div className="flex items-center justify-between">
+        <div className="flex flex-wrap items-center justify-between gap-3">
           <div className="flex items-center gap-3">
             <div className="w-10 h-10 rounded-2xl bg-emerald-600 text-white grid place-items-center"><Leaf className="w-6 h-6" /></div>
             <div>
-              <h1 className="text-2xl md:text-3xl font-bold">Kai Keeper</h1>
-              <div className="text-slate-500 text-sm">Plant • Track • Harvest • Report</div>
+              <div className="flex flex-wrap items-center gap-2">
+                <h1 className="text-2xl md:text-3xl font-bold">Kai Keeper</h1>
+                {gardens && (
+                  <select
+                    className="px-2 py-1 border rounded-xl bg-white text-sm"
+                    title={t("gardens.switch")}
+                    value={gardenId}
+                    onChange={(e) => (e.target.value === "+" ? setTab("settings") : switchGarden(e.target.value))}
+                  >
+                    {gardens.list.map((g) => <option key={g.id} value={g.id}>{g.name || t("gardens.untitled")}</option>)}
+                    <option value="+">{t("gardens.addOption")}</option>
+                  </select>
+                )}
+              </div>
+              <div className="text-slate-500 text-sm">{t("app.tagline")}{!online && <span className="ml-2 text-amber-700">• {t("app.offline")}</span>}</div>
             </div>
           </div>
-          <div className="flex items-center gap-2">
-            <NavButton id="plant" title="Plant" icon={<Plus className="w-4 h-4" />} />
-            <NavButton id="track" title="Track" icon={<Calendar className="w-4 h-4" />} />
-            <NavButton id="harvest" title="Harvests" icon={<Leaf className="w-4 h-4" />} />
-            <NavButton id="reports" title="Reports" icon={<BarChart3 className="w-4 h-4" />} />
-            <NavButton id="settings" title="Settings" icon={<Edit3 className="w-4 h-4" />} />
+          <div className="flex flex-wrap items-center gap-2">
+            <button className="p-2 rounded-xl text-slate-600 hover:bg-white disabled:opacity-30" onClick={undoLast} disabled={!canUndo(history)} title={t("history.undoShortcut")}><Undo2 className="w-4 h-4" /></button>
+            <button className="p-2 rounded-xl text-slate-600 hover:bg-white disabled:opacity-30" onClick={redoLast} disabled={!canRedo(history)} title={t("history.redoShortcut")}><Redo2 className="w-4 h-4" /></button>
+            <NavButton id="plant" title={t("nav.plant")} icon={<Plus className="w-4 h-4" />} />
+            <NavButton id="track" title={t("nav.track")} icon={<Calendar className="w-4 h-4" />} />
+            <NavButton id="pick" title={t("pick.title")} icon={<ShoppingBasket className="w-4 h-4" />} />
+            <NavButton id="agenda" title={t("agenda.title")} icon={<Bell className="w-4 h-4" />} />
+            <NavButton id="calendar" title={t("nav.calendar")} icon={<CalendarDays className="w-4 h-4" />} />
+            <NavButton id="garden" title={t("nav.garden")} icon={<LayoutGrid className="w-4 h-4" />} />
+            <NavButton id="harvest" title={t("nav.harvests")} icon={<Leaf className="w-4 h-4" />} />
+            <NavButton id="reports" title={t("nav.reports")} icon={<BarChart3 className="w-4 h-4" />} />
+            <NavButton id="settings" title={t("nav.settings")} icon={<Edit3 className="w-4 h-4" />} />
           </div>
         </div>
       </header>
 
       <main className="max-w-7xl mx-auto px-4 md:px-6 pb-16 space-y-4">
-        {tab === "plant" && <PlantForm />}
-        {tab === "track" && <Tracker />}
-        {tab === "harvest" && <HarvestLedger />}
-        {tab === "reports" && <Reports />}
-        {tab === "settings" && <Settings />}
+        {applyUpdate && (
+          <div className="flex flex-wrap items-center justify-between gap-2 border border-emerald-200 bg-white rounded-2xl px-4 py-3 text-sm">
+            <span>{t("app.updateReady")}</span>
+            <div className="flex gap-2">
+              <Button kind="ghost" onClick={() => setApplyUpdate(null)}>{t("app.updateLater")}</Button>
+              <Button onClick={applyUpdate}>{t("app.reload")}</Button>
+            </div>
+          </div>
+        )}
+        {loadError ? (
+          <div className="border border-red-200 bg-red-50 text-red-700 rounded-2xl p-4 text-sm">
+            {t("app.loadError", { error: loadError.message })}
+          </div>
+        ) : !hydrated ? (
+          <div className="text-sm text-slate-500">{t("app.loading")}</div>
+        ) : (
+          <>
+            {tab === "plant" && <PlantForm />}
+            {tab === "track" && (
+              <div className="grid gap-4">
+                {plantings.length > 0 && (
+                  <QueryBar
+                    query={trackerQuery}
+                    defaults={DEFAULT_TRACKER_QUERY}
+                    onChange={setTrackerQuery}
+                    plantTypes={plantTypes}
+                    beds={beds}
+                    sorts={TRACKER_SORTS}
+                    dateLabel={t("query.planted")}
+                    shown={trackerPlantings.length}
+                    total={plantings.length}
+                    countKey="count.plantings"
+                  />
+                )}
+                {selectedPlantings.length > 0 ? (
+                  <BulkBar
+                    count={selectedPlantings.length}
+                    countKey="count.plantings"
+                    total={trackerPlantings.length}
+                    onSelectAll={() => setSelectedPlantings(trackerPlantings.map((p) => p.id))}
+                    onClear={() => setSelectedPlantings([])}
+                  >
+                    <Button kind="ghost" onClick={() => archiveSelected(true)}>{t("common.archive")}</Button>
+                    <Button kind="ghost" onClick={() => archiveSelected(false)}>{t("common.unarchive")}</Button>
+                    <PickAction placeholder={t("bulk.moveToBed")} onPick={(id) => moveSelected(id === "none" ? null : id)}>
+                      {beds.map((b) => <option key={b.id} value={b.id}>{b.name}</option>)}
+                      <option value="none">{t("common.noBed")}</option>
+                    </PickAction>
+                    <PickAction placeholder={t("bulk.changeType")} onPick={retypeSelected}>
+                      {[...plantTypes].sort((a, b) => nameOf(a).localeCompare(nameOf(b))).map((p) => <option key={p.id} value={p.id}>{nameOf(p)}</option>)}
+                    </PickAction>
+                    <Button kind="ghost" className="text-red-600" onClick={deleteSelectedPlantings}><Trash2 className="w-4 h-4" /> {t("common.delete")}</Button>
+                  </BulkBar>
+                ) : (
+                  plantings.some((p) => !p.archived) && (
+                    <AutoArchive
+                      days={settings.autoArchiveDays}
+                      onDays={(autoArchiveDays) => setSettings((s) => ({ ...s, autoArchiveDays }))}
+                      found={finishedForArchive().length}
+                      onArchive={autoArchive}
+                    />
+                  )
+                )}
+                <Tracker />
+              </div>
+            )}
+            {tab === "pick" && <TodaysPick key={gardenId} rows={pickRows} onSave={logHarvests} onOpenTracker={() => setTab("track")} />}
+            {tab === "agenda" && <Agenda />}
+            {tab === "calendar" && <SowingCalendar />}
+            {tab === "garden" && (
+              <div className="grid gap-4">
+                <GardenPlan
+                  beds={beds}
+                  plantings={plantings}
+                  plantTypeById={plantTypeById}
+                  lastDayOf={(p) => phaseFor(p)?.expected.lastHarvest}
+                  onAddBed={addBed}
+                  onUpdateBed={updateBed}
+                  onDeleteBed={deleteBed}
+                />
+                <RotationPlan beds={beds} plantings={plantings} plantTypeById={plantTypeById} rule={settings.rotation} />
+              </div>
+            )}
+            {tab === "succession" && (
+              <SuccessionPlanner plantTypes={plantTypes} plantTypeById={plantTypeById} beds={beds} monthlyMeans={monthlyMeans} onCreate={addSuccession} onCancel={() => setTab("plant")} />
+            )}
+            {tab === "harvest" && (
+              <div className="grid gap-4">
+                {harvests.length > 0 && (
+                  <QueryBar
+                    query={ledgerQuery}
+                    defaults={DEFAULT_LEDGER_QUERY}
+                    onChange={setLedgerQuery}
+                    plantTypes={plantTypes}
+                    beds={beds}
+                    sorts={LEDGER_SORTS}
+                    dateLabel={t("query.harvested")}
+                    shown={ledgerHarvests.length}
+                    total={harvests.length}
+                    countKey="count.harvests"
+                  />
+                )}
+                {selectedHarvests.length > 0 && (
+                  <BulkBar
+                    count={selectedHarvests.length}
+                    countKey="count.harvests"
+                    total={ledgerHarvests.length}
+                    onSelectAll={() => setSelectedHarvests(ledgerHarvests.map((h) => h.id))}
+                    onClear={() => setSelectedHarvests([])}
+                  >
+                    <PickAction placeholder={t("bulk.moveToPlanting")} onPick={moveSelectedHarvests}>
+                      {[...plantings].sort((a, b) => (a.plantedAt < b.plantedAt ? 1 : -1)).map((p) => (
+                        <option key={p.id} value={p.id}>{nameOf(plantTypeById[p.plantTypeId])} • {formatDate(p.plantedAt)}{bedName(p) ? ` • ${bedName(p)}` : ""}</option>
+                      ))}
+                    </PickAction>
+                    <Button kind="ghost" className="text-red-600" onClick={deleteSelectedHarvests}><Trash2 className="w-4 h-4" /> {t("common.delete")}</Button>
+                  </BulkBar>
+                )}
+                <HarvestLedger />
+              </div>
+            )}
+            {tab === "reports" && (
+              <div className="grid gap-4">
+                <ReportFilters
+                  filter={reportFilter}
+                  onChange={setReportFilter}
+                  units={settings.reportUnits}
+                  onUnits={(reportUnits) => setSettings((s) => ({ ...s, reportUnits }))}
+                  dates={harvests.map((h) => h.date)}
+                />
+                <Reports />
+                {gardens.list.length > 1 && <GardenComparison gardens={gardens} loadData={gardenData} filter={reportFilter} />}
+              </div>
+            )}
+            {tab === "settings" && (
+              <div className="grid gap-4">
+                <Settings />
+                <GardenManager
+                  gardens={gardens}
+                  loadCatalogue={async (id) => (await gardenData(id)).plantTypes}
+                  onSwitch={switchGarden}
+                  onAdd={addGarden}
+                  onRename={renameGarden}
+                  onDelete={deleteGarden}
+                  onExport={exportGarden}
+                  onCopy={copyCatalogue}
+                />
+                <SyncPanel
+                  key={gardenId}
+                  config={settings.sync}
+                  state={syncState}
+                  status={syncStatus}
+                  describe={syncRecordLabel}
+                  onConfig={(patch) => setSettings((s) => ({ ...s, sync: { ...s.sync, ...patch } }))}
+                  onSyncNow={runSync}
+                  onResolve={resolveSyncConflict}
+                />
+              </div>
+            )}
+          </>
+        )}
       </main>
 
+      <HarvestModal />
+      {csvImportOpen && (
+        <CsvImport plantTypes={plantTypes} plantings={plantings} beds={beds} onImport={importCSV} onClose={() => setCsvImportOpen(false)} />
+      )}
+      {jsonImport && (
+        <JsonImport file={jsonImport} current={dataRef.current} onImport={confirmJsonImport} onClose={() => setJsonImport(null)} />
+      )}
+      {observing && (
+        <ObservationLog
+          planting={observing}
+          plantType={plantTypeById[observing.plantTypeId]}
+          onAdd={addObservation}
+          onDelete={deleteObservation}
+          onClose={() => setObservingId(null)}
+        />
+      )}
+      <CatalogueResetModal />
+      <Toast />
+
       <footer className="max-w-7xl mx-auto px-4 md:px-6 py-8 text-center text-xs text-slate-500">
-        Built for Aotearoa growers • Uses localStorage for data • Tip: export a JSON backup after big updates.
+        {t("app.footer")}
       </footer>
     </div>
   );
@@ -0,0 +1,74 @@
+import { addDays, daysBetween } from "./dates";
+import { localised } from "./i18n";
+
+// ------------------------------------------------------------
+// Agenda: upcoming milestones for every planting in the ground,
+// built from the phase estimates. Dismiss/snooze/notified state
+// is kept by event id, which includes the date — if an estimate
+// moves, it's a new event.
+// ------------------------------------------------------------
+
+/** @typedef {"germination" | "firstHarvest" | "windowClosing" | "overdue"} AgendaKind */
+
+export const AGENDA_KINDS = localised("agendaKind", [
+  { id: "germination", color: "bg-amber-400" },
+  { id: "firstHarvest", color: "bg-emerald-500" },
+  { id: "windowClosing", color: "bg-sky-500" },
+  { id: "overdue", color: "bg-red-500" },
+]);
+
+// A crop this many days past its first-harvest estimate with no harvest logged is overdue.
+export const OVERDUE_GRACE_DAYS = 7;
+
+export const DEFAULT_AGENDA = {
+  horizonDays: 30,
+  notifications: false,
+  leadDays: { germination: 0, firstHarvest: 3, windowClosing: 3, overdue: 0 },
+};
+
+export const emptyReminders = () => ({ dismissed: [], snoozed: {}, notified: [] });
+
+export const agendaLabel = (kind) => AGENDA_KINDS.find((k) => k.id === kind)?.label || kind;
+
+/**
+ * Events for non-archived plantings that haven't passed yet (overdue ones stay until handled):
+ * [{ id, plantingId, kind, date }], soonest first.
+ * `phaseOf(planting)` returns phaseFor(...) for the planting; `harvested` is a Set of planting ids.
+ */
+export const agendaEvents = (plantings, harvested, phaseOf, { today, horizonDays = DEFAULT_AGENDA.horizonDays }) => {
+  const until = addDays(today, horizonDays);
+  const events = [];
+  const add = (p, kind, date) => events.push({ id: `${p.id}:${kind}:${date}`, plantingId: p.id, kind, date });
+  for (const p of plantings) {
+    if (p.archived) continue;
+    const ph = phaseOf(p);
+    if (!ph) continue;
+    const { germinationStart, germinationEnd, firstHarvest, lastHarvest } = ph.expected;
+    const picked = harvested.has(p.id);
+    if (ph.method !== "transplant" && !ph.emergedAt && germinationEnd >= today) add(p, "germination", germinationStart);
+    if (!picked && firstHarvest >= today) add(p, "firstHarvest", firstHarvest);
+    if (lastHarvest >= today) add(p, "windowClosing", lastHarvest);
+    const overdueFrom = addDays(firstHarvest, OVERDUE_GRACE_DAYS);
+    if (!picked && overdueFrom <= today) add(p, "overdue", overdueFrom);
+  }
+  return events.filter((e) => e.date <= until).sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+};
+
+/** Hide dismissed events and those snoozed past today. */
+export const visibleEvents = (events, reminders, today) =>
+  events.filter((e) => !reminders.dismissed.includes(e.id) && !(reminders.snoozed[e.id] > today));
+
+/** Events whose lead time has arrived and that haven't been notified, dismissed or snoozed. */
+export const dueForNotification = (events, reminders, leadDays, today) =>
+  visibleEvents(events, reminders, today).filter((e) => !reminders.notified.includes(e.id) && daysBetween(today, e.date) <= (leadDays[e.kind] ?? 0));
+
+/** Drop state for events more than `keepDays` in the past so the store doesn't grow forever. */
+export const pruneReminders = (reminders, today, keepDays = 60) => {
+  const cutoff = addDays(today, -keepDays);
+  const live = (id) => id.slice(id.lastIndexOf(":") + 1) >= cutoff;
+  return {
+    dismissed: reminders.dismissed.filter(live),
+    snoozed: Object.fromEntries(Object.entries(reminders.snoozed).filter(([id, until]) => live(id) || until > today)),
+    notified: reminders.notified.filter(live),
+  };
+};
@@ -0,0 +1,252 @@
+import { isISODate } from "./dates";
+import { uid } from "./ids";
+import { withDefaultFields } from "./catalogue";
+import { assignBeds, normaliseName } from "./beds";
+import { UNIT_IDS, isUnit } from "./units";
+import { t, localised, localisedMap } from "./i18n";
+
+// ------------------------------------------------------------
+// JSON backups: validate a file field by field, then plan how it
+// joins the current data before anything is written.
+// - replace: the backup's collections take over
+// - merge:   records match by id; new ones are added, fields only
+//            one side has are filled in, real differences are
+//            conflicts for the user to settle
+// - append:  every planting/harvest is added as a new record
+// Plant types and beds with a different id but the same name are
+// treated as the same thing, so two households' logs line up.
+// ------------------------------------------------------------
+
+/** @typedef {"replace" | "merge" | "append"} ImportMode */
+
+export const IMPORT_MODES = localised("importMode", [{ id: "merge" }, { id: "append" }, { id: "replace" }], ["label", "hint"]);
+
+// Order matters: references point at earlier collections.
+export const BACKUP_COLLECTIONS = ["plantTypes", "beds", "plantings", "harvests"];
+
+export const COLLECTION_LABELS = localisedMap("collection", BACKUP_COLLECTIONS);
+
+const MAX_ERRORS = 50;
+
+const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isStr = (v) => typeof v === "string";
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const optNum = (v) => v == null || (isNum(v) && v >= 0);
+
+// field → [check, rule]; the rule's message is backup.rule.<rule> in the catalogues.
+// Every record is also checked for a string id.
+const SCHEMAS = {
+  plantTypes: {
+    name: [(v) => isStr(v) && v.trim() !== "", "name"],
+    germinationMinDays: [(v) => isNum(v) && v >= 0, "days"],
+    germinationMaxDays: [(v) => isNum(v) && v >= 0, "days"],
+    maturityDays: [(v) => isNum(v) && v > 0, "daysAboveZero"],
+    harvestWindowDays: [(v) => isNum(v) && v >= 0, "days"],
+    defaultUnit: [isUnit, "unit"],
+    unitWeightsKg: [(v) => v == null || (isObj(v) && Object.entries(v).every(([u, kg]) => isUnit(u) && optNum(kg))), "unitWeights"],
+    aliases: [(v) => v == null || (isObj(v) && Object.values(v).every(isStr)), "aliases"],
+    transplantMaturityDays: [optNum, "optionalDays"],
+    varieties: [(v) => v == null || (Array.isArray(v) && v.every((x) => isObj(x) && isStr(x.id) && isStr(x.name))), "varieties"],
+  },
+  beds: {
+    name: [(v) => isStr(v) && v.trim() !== "", "name"],
+    widthM: [(v) => isNum(v) && v > 0, "width"],
+    lengthM: [(v) => isNum(v) && v > 0, "length"],
+  },
+  plantings: {
+    plantTypeId: [isStr, "plantTypeId"],
+    plantedAt: [isISODate, "date"],
+    quantityPlanted: [(v) => Number.isInteger(v) && v >= 1, "quantity"],
+    method: [(v) => v == null || v === "direct" || v === "transplant", "method"],
+    bedId: [(v) => v == null || isStr(v), "bedId"],
+    observations: [(v) => v == null || (Array.isArray(v) && v.every((o) => isObj(o) && isStr(o.id) && isISODate(o.date))), "observations"],
+  },
+  harvests: {
+    plantingId: [isStr, "plantingId"],
+    date: [isISODate, "date"],
+    amount: [(v) => isNum(v) && v > 0, "amount"],
+    unit: [isUnit, "unit"],
+  },
+};
+
+const show = (v) => (v === undefined ? t("backup.missing") : JSON.stringify(v)?.slice(0, 40));
+
+/**
+ * Check a parsed backup. Returns { errors, warnings, data }:
+ * errors are "plantings[3].plantedAt: must be a date (YYYY-MM-DD) — got "2025-13-01"" strings
+ * (data is null when there are any); warnings don't block the import.
+ */
+export const validateBackup = (raw) => {
+  const errors = [];
+  const warnings = [];
+  const err = (msg) => errors.length < MAX_ERRORS && errors.push(msg);
+  if (!isObj(raw)) return { errors: [t("backup.notBackup")], warnings, data: null };
+  for (const key of ["plantTypes", "plantings", "harvests"]) {
+    if (!Array.isArray(raw[key])) err(`${key}: ${raw[key] === undefined ? t("backup.missing") : t("backup.rule.list")}`);
+  }
+  if (raw.beds !== undefined && !Array.isArray(raw.beds)) err(`beds: ${t("backup.rule.list")}`);
+  if (errors.length) return { errors, warnings, data: null };
+
+  for (const key of BACKUP_COLLECTIONS) {
+    const seen = new Set();
+    (raw[key] || []).forEach((rec, i) => {
+      const at = `${key}[${i}]`;
+      if (!isObj(rec)) return err(`${at}: ${t("backup.rule.object")}`);
+      if (!isStr(rec.id) || !rec.id) err(`${at}.id: ${t("backup.got", { rule: t("backup.rule.id"), value: show(rec.id) })}`);
+      else if (seen.has(rec.id)) err(`${at}.id: ${t("backup.usedTwice", { id: rec.id })}`);
+      seen.add(rec.id);
+      for (const [field, [ok, rule]] of Object.entries(SCHEMAS[key])) {
+        if (!ok(rec[field])) err(`${at}.${field}: ${t("backup.got", { rule: t(`backup.rule.${rule}`, { units: UNIT_IDS.join(", ") }), value: show(rec[field]) })}`);
+      }
+    });
+  }
+  if (errors.length) return { errors, warnings, data: null };
+
+  // Older backups have free-text locations instead of beds.
+  const moved = assignBeds(raw.plantings, raw.beds || []);
+  const data = { plantTypes: withDefaultFields(raw.plantTypes), beds: moved.beds, plantings: moved.plantings, harvests: raw.harvests };
+
+  const typeIds = new Set(data.plantTypes.map((p) => p.id));
+  const plantingIds = new Set(data.plantings.map((p) => p.id));
+  const unknownTypes = data.plantings.filter((p) => !typeIds.has(p.plantTypeId)).length;
+  const orphans = data.harvests.filter((h) => !plantingIds.has(h.plantingId)).length;
+  if (unknownTypes) warnings.push(t("backup.unknownTypes", { count: unknownTypes }));
+  if (orphans) warnings.push(t("backup.orphans", { count: orphans }));
+  return { errors, warnings, data };
+};
+
+// -------- Comparing records --------
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isEmpty = (v) => v == null || v === "" || (Array.isArray(v) && v.length === 0);
+const idList = (v) => Array.isArray(v) && v.length > 0 && v.every((x) => isObj(x) && isStr(x.id));
+
+/**
+ * Field-by-field merge of one record: { merged, filled: fields taken from theirs, conflicts: [{ field, mine, theirs }] }.
+ * Lists of records with ids (observations, varieties) are unioned when their shared items agree.
+ */
+export const mergeRecord = (mine, theirs) => {
+  const merged = { ...mine };
+  const filled = [];
+  const conflicts = [];
+  for (const field of new Set([...Object.keys(mine), ...Object.keys(theirs)])) {
+    const a = mine[field];
+    const b = theirs[field];
+    if (field === "id" || same(a, b) || isEmpty(b)) continue;
+    if (isEmpty(a)) {
+      merged[field] = b;
+      filled.push(field);
+    } else if (idList(a) && idList(b) && b.every((x) => { const m = a.find((y) => y.id === x.id); return !m || same(m, x); })) {
+      const extra = b.filter((x) => !a.some((y) => y.id === x.id));
+      if (extra.length) {
+        merged[field] = [...a, ...extra];
+        filled.push(field);
+      }
+    } else conflicts.push({ field, mine: a, theirs: b });
+  }
+  return { merged, filled, conflicts };
+};
+
+// Plant types and beds can be the same thing under different ids.
+const findByName = (list, rec) => list.find((x) => normaliseName(x.name) === normaliseName(rec.name));
+
+/**
+ * Work out what an import would do.
+ * @param {{ plantTypes, beds, plantings, harvests, trash }} current
+ * @param {{ plantTypes, beds, plantings, harvests }} incoming // from validateBackup
+ * @param {ImportMode} mode
+ * @returns {{ mode, added, updated, conflicts, unchanged, skipped, removed }}
+ *   added / updated: { [collection]: records }; conflicts: [{ key, collection, id, current, incoming, merged, fields }];
+ *   removed (replace only): { [collection]: count }; skipped: records left out because they're in Trash,
+ *   along with the harvests of a planting that's in Trash
+ */
+export const planImport = (current, incoming, mode) => {
+  const plan = { mode, added: {}, updated: {}, conflicts: [], unchanged: 0, skipped: 0, removed: {} };
+  for (const c of BACKUP_COLLECTIONS) {
+    plan.added[c] = [];
+    plan.updated[c] = [];
+  }
+  if (mode === "replace") {
+    for (const c of BACKUP_COLLECTIONS) {
+      plan.removed[c] = current[c].length;
+      plan.added[c] = incoming[c];
+    }
+    return plan;
+  }
+
+  const trashed = new Set((current.trash || []).map((e) => e.item?.id));
+  // Harvests of a skipped planting go with it, or they'd be added without their planting.
+  const skippedPlantings = new Set();
+  const remap = { plantTypes: {}, beds: {}, plantings: {} }; // incoming id → id used here
+  const refs = {
+    plantTypeId: (id) => remap.plantTypes[id] ?? id,
+    bedId: (id) => (id == null ? id : remap.beds[id] ?? id),
+    plantingId: (id) => remap.plantings[id] ?? id,
+  };
+  const relink = (rec) => {
+    const out = { ...rec };
+    for (const [field, fn] of Object.entries(refs)) if (field in out) out[field] = fn(out[field]);
+    return out;
+  };
+
+  for (const c of BACKUP_COLLECTIONS) {
+    const byId = new Map(current[c].map((r) => [r.id, r]));
+    const named = c === "plantTypes" || c === "beds";
+    for (const raw of incoming[c]) {
+      const rec = relink(raw);
+      if (trashed.has(rec.id) || (c === "harvests" && skippedPlantings.has(raw.plantingId))) {
+        if (c === "plantings") skippedPlantings.add(raw.id);
+        plan.skipped += 1;
+        continue;
+      }
+      let mine = byId.get(rec.id);
+      if (!mine && named) {
+        mine = findByName(current[c], rec);
+        if (mine) remap[c][rec.id] = mine.id;
+      }
+      if (mode === "append" && !named) {
+        // Fresh ids, so nothing collides with what's already here.
+        const id = uid();
+        if (c === "plantings") remap.plantings[rec.id] = id;
+        plan.added[c].push({ ...rec, id });
+        continue;
+      }
+      if (!mine) {
+        plan.added[c].push(rec);
+        continue;
+      }
+      // In append mode a same-named plant type or bed is reused as it is.
+      if (mode === "append") {
+        plan.unchanged += 1;
+        continue;
+      }
+      const { merged, filled, conflicts } = mergeRecord(mine, { ...rec, id: mine.id });
+      if (conflicts.length) plan.conflicts.push({ key: `${c}:${mine.id}`, collection: c, id: mine.id, current: mine, incoming: rec, merged, fields: conflicts });
+      else if (filled.length) plan.updated[c].push({ current: mine, next: merged, fields: filled });
+      else plan.unchanged += 1;
+    }
+  }
+  return plan;
+};
+
+/**
+ * The collections after an import. `choices` maps conflict key → "mine" | "theirs" (default "mine").
+ * Returns only the collections the import touches, ready for commit().
+ */
+export const applyImport = (current, plan, choices = {}) => {
+  if (plan.mode === "replace") return Object.fromEntries(BACKUP_COLLECTIONS.map((c) => [c, plan.added[c]]));
+  const out = {};
+  for (const c of BACKUP_COLLECTIONS) {
+    const replaced = new Map(plan.updated[c].map((u) => [u.current.id, u.next]));
+    for (const k of plan.conflicts.filter((x) => x.collection === c)) {
+      replaced.set(k.id, choices[k.key] === "theirs" ? { ...k.merged, ...Object.fromEntries(k.fields.map((f) => [f.field, f.theirs])) } : k.merged);
+    }
+    out[c] = [...current[c].map((r) => replaced.get(r.id) ?? r), ...plan.added[c]];
+  }
+  return out;
+};
+
+/** Number of records an import adds/updates, for labels. */
+export const planCounts = (plan) => {
+  const sum = (group) => BACKUP_COLLECTIONS.reduce((n, c) => n + group[c].length, 0);
+  return { added: sum(plan.added), updated: sum(plan.updated), conflicts: plan.conflicts.length, unchanged: plan.unchanged, skipped: plan.skipped };
+};
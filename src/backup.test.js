@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { applyImport, planCounts, planImport } from "./backup";
+
+const current = () => ({
+  plantTypes: [{ id: "potato", name: "Potato" }],
+  beds: [],
+  plantings: [{ id: "p1", plantTypeId: "potato", plantedAt: "2025-09-01" }],
+  harvests: [{ id: "h1", plantingId: "p1", date: "2025-12-20" }],
+  trash: [{ kind: "planting", item: { id: "p2", plantTypeId: "potato", plantedAt: "2025-09-10" } }],
+});
+
+const incoming = () => ({
+  plantTypes: [{ id: "potato", name: "Potato" }],
+  beds: [],
+  plantings: [
+    { id: "p1", plantTypeId: "potato", plantedAt: "2025-09-01" },
+    { id: "p2", plantTypeId: "potato", plantedAt: "2025-09-10" },
+  ],
+  harvests: [
+    { id: "h1", plantingId: "p1", date: "2025-12-20" },
+    { id: "h2", plantingId: "p2", date: "2025-12-28" },
+  ],
+});
+
+describe("planImport", () => {
+  it("in append mode leaves out a trashed planting together with its harvests", () => {
+    const plan = planImport(current(), incoming(), "append");
+    expect(planCounts(plan)).toMatchObject({ added: 2, skipped: 2 });
+
+    const [planting] = plan.added.plantings;
+    expect(planting).toMatchObject({ plantedAt: "2025-09-01" });
+    expect(planting.id).not.toBe("p1");
+    expect(plan.added.harvests).toEqual([{ id: expect.any(String), plantingId: planting.id, date: "2025-12-20" }]);
+
+    const next = applyImport(current(), plan);
+    const plantingIds = new Set(next.plantings.map((p) => p.id));
+    expect(next.harvests.every((h) => plantingIds.has(h.plantingId))).toBe(true);
+  });
+
+  it("in merge mode also skips harvests of a trashed planting", () => {
+    const plan = planImport(current(), incoming(), "merge");
+    expect(planCounts(plan)).toMatchObject({ added: 0, skipped: 2 });
+  });
+});
@@ -0,0 +1,67 @@
+import { uid } from "./ids";
+import { localised } from "./i18n";
+
+// ------------------------------------------------------------
+// Garden beds. Plantings point at a bed (bedId) and optionally a
+// rectangle inside it (region, metres from the bed's top-left).
+// Beds sit on a garden plan at (x, y) metres.
+// ------------------------------------------------------------
+
+/** @typedef {"raised" | "tunnelhouse" | "open"} BedType */
+
+export const BED_TYPES = localised("bedType", [
+  { id: "raised", color: "#d9f99d" },
+  { id: "tunnelhouse", color: "#bae6fd" },
+  { id: "open", color: "#fde68a" },
+]);
+
+export const GRID_M = 0.5; // plan and region snapping
+
+export const snap = (m) => Math.round(m / GRID_M) * GRID_M;
+
+export const normaliseName = (name) => (name || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+export const guessBedType = (name) => (/tunnel|glass ?house|green ?house/i.test(name) ? "tunnelhouse" : /raised/i.test(name) ? "raised" : "open");
+
+/** New bed placed in the next free slot of a simple 4-wide grid on the plan. */
+export const newBed = (name, index = 0) => ({
+  id: uid(),
+  name: name.trim().replace(/\s+/g, " "),
+  type: guessBedType(name),
+  widthM: 1.2,
+  lengthM: 3,
+  x: (index % 4) * 2,
+  y: Math.floor(index / 4) * 4,
+  notes: "",
+});
+
+export const findBedByName = (beds, name) => beds.find((b) => normaliseName(b.name) === normaliseName(name));
+
+/**
+ * Move free-text `location` onto bed records. Names that differ only by case or
+ * spacing ("Bed A" / "bed a ") share one bed. Returns { beds, plantings }.
+ */
+export const assignBeds = (plantings, beds = []) => {
+  const outBeds = [...beds];
+  const outPlantings = plantings.map((p) => {
+    if (p.bedId || !("location" in p)) return p;
+    const { location, ...rest } = p;
+    if (!normaliseName(location)) return { ...rest, bedId: null, region: null };
+    let bed = findBedByName(outBeds, location);
+    if (!bed) {
+      bed = newBed(location, outBeds.length);
+      outBeds.push(bed);
+    }
+    return { ...rest, bedId: bed.id, region: null };
+  });
+  return { beds: outBeds, plantings: outPlantings };
+};
+
+/** Does a planting occupy its bed on this date? `lastDay` is its expected last harvest. */
+export const occupiesOn = (planting, lastDay, iso) => planting.plantedAt <= iso && (!lastDay || iso <= lastDay);
+
+/** Bounding size of the plan in metres (at least 10 × 10). */
+export const planSize = (beds) => ({
+  width: Math.max(10, ...beds.map((b) => b.x + b.widthM + 1)),
+  height: Math.max(10, ...beds.map((b) => b.y + b.lengthM + 1)),
+});
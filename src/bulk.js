@@ -0,0 +1,65 @@
+import { toTrash } from "./trash";
+import { daysBetween } from "./dates";
+
+// ------------------------------------------------------------
+// Bulk changes to plantings and harvests. Each takes the current
+// data and returns the collections to write, so the caller can
+// pass it straight to commit() and the whole batch is one undo.
+// ------------------------------------------------------------
+
+export const DEFAULT_AUTO_ARCHIVE_DAYS = 30;
+
+const mapSelected = (list, ids, fn) => {
+  const chosen = new Set(ids);
+  return list.map((r) => (chosen.has(r.id) ? fn(r) : r));
+};
+
+export const archivePlantings = (data, ids, archived) => ({
+  plantings: mapSelected(data.plantings, ids, (p) => ({ ...p, archived })),
+});
+
+/** Plantings go to Trash with their harvests, one entry each, as deletePlanting does. */
+export const trashPlantings = (data, ids, now = new Date()) => {
+  const chosen = new Set(ids);
+  const entries = data.plantings
+    .filter((p) => chosen.has(p.id))
+    .map((p) => toTrash("planting", p, { harvests: data.harvests.filter((h) => h.plantingId === p.id) }, now));
+  return {
+    plantings: data.plantings.filter((p) => !chosen.has(p.id)),
+    harvests: data.harvests.filter((h) => !chosen.has(h.plantingId)),
+    trash: [...entries, ...data.trash],
+  };
+};
+
+/** A part-of-bed region belongs to the old bed, so moving drops it. */
+export const movePlantings = (data, ids, bedId) => ({
+  plantings: mapSelected(data.plantings, ids, (p) => ({ ...p, bedId: bedId || null, region: null })),
+});
+
+/** Varieties belong to the old plant type, so they're cleared. */
+export const retypePlantings = (data, ids, plantTypeId) => ({
+  plantings: mapSelected(data.plantings, ids, (p) => ({ ...p, plantTypeId, varietyId: "" })),
+});
+
+export const trashHarvests = (data, ids, now = new Date()) => {
+  const chosen = new Set(ids);
+  return {
+    harvests: data.harvests.filter((h) => !chosen.has(h.id)),
+    trash: [...data.harvests.filter((h) => chosen.has(h.id)).map((h) => toTrash("harvest", h, {}, now)), ...data.trash],
+  };
+};
+
+export const moveHarvests = (data, ids, plantingId) => ({
+  harvests: mapSelected(data.harvests, ids, (h) => ({ ...h, plantingId })),
+});
+
+/**
+ * Unarchived plantings that are done (see ./phase) and whose harvest window ended more
+ * than `days` days before `today`.
+ */
+export const finishedPlantings = (plantings, phaseOf, today, days) =>
+  plantings.filter((p) => {
+    if (p.archived) return false;
+    const ph = phaseOf(p);
+    return !!ph?.done && daysBetween(ph.expected.lastHarvest, today) > days;
+  });
@@ -0,0 +1,45 @@
+import { t, localised, monthName } from "./i18n";
+import { plantName } from "./catalogue";
+
+// ------------------------------------------------------------
+// Sowing calendar. Each plant type lists the months (1 = January)
+// it can be sown direct, started indoors, or transplanted out.
+// Built-in windows suit warm-temperate NZ (upper/central North
+// Island); colder regions usually start 2–4 weeks later.
+// ------------------------------------------------------------
+
+/** @typedef {"direct" | "indoor" | "transplant"} SowingKind */
+
+export const SOWING_KINDS = localised("sowingKind", [
+  { id: "direct", color: "bg-emerald-500" },
+  { id: "indoor", color: "bg-amber-400" },
+  { id: "transplant", color: "bg-sky-500" },
+]);
+
+export const MONTH_NUMBERS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+/** 1-based month for an ISO date. */
+export const monthOf = (iso) => Number(iso.slice(5, 7));
+
+export const windowFor = (pt, kind) => pt?.sowingWindows?.[kind] || [];
+
+export const hasSowingWindows = (pt) => SOWING_KINDS.some((k) => windowFor(pt, k.id).length > 0);
+
+/** Plant types that can be sown/started/transplanted this month, grouped by kind. */
+export const sowNow = (plantTypes, month) =>
+  Object.fromEntries(SOWING_KINDS.map((k) => [k.id, plantTypes.filter((pt) => windowFor(pt, k.id).includes(month))]));
+
+/**
+ * Warning text when a planting date falls outside the crop's window for its method,
+ * or null when it's fine (or the type has no windows recorded).
+ * Direct plantings check the direct window; transplants the transplant window.
+ */
+export const sowingWarning = (pt, method, iso) => {
+  if (!pt || !iso || !hasSowingWindows(pt)) return null;
+  const kind = method === "transplant" ? "transplant" : "direct";
+  const months = windowFor(pt, kind);
+  if (!months.length) return t(`sowingWarning.${kind}.never`, { name: plantName(pt) });
+  if (months.includes(monthOf(iso))) return null;
+  const usual = [...months].sort((a, b) => a - b).map((m) => monthName(m)).join(", ");
+  return t(`sowingWarning.${kind}.outside`, { name: plantName(pt), months: usual, month: monthName(monthOf(iso)) });
+};
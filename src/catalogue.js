@@ -0,0 +1,146 @@
+import { getLocale } from "./i18n";
+
+// ------------------------------------------------------------
+// Built-in plant catalogue.
+// Built-in entries use stable slug ids so plantings keep pointing
+// at them across installs, imports and "Reset to defaults".
+// `aliases` are names in other UI languages, by locale id.
+// ------------------------------------------------------------
+
+/** @type {import("./App").PlantType[]} */
+export const DEFAULT_PLANT_TYPES = [
+  { id: "kumara", name: "Kūmara (Sweet Potato)", aliases: { mi: "Kūmara" }, family: "convolvulaceae", germinationMinDays: 10, germinationMaxDays: 20, maturityDays: 140, harvestWindowDays: 21, defaultUnit: "kg", unitWeightsKg: { count: 0.3 }, defaultMethod: "transplant", transplantMaturityDays: 120, spacingInRowCm: 30, spacingRowCm: 75, yieldPerPlant: 0.5, yieldPerM2: null, baseTempC: 12, gddGermination: 50, gddMaturity: 860, gddHarvestWindow: 115, sowingWindows: { direct: [], indoor: [8, 9], transplant: [10, 11, 12] }, varieties: [] },
+  { id: "potato", name: "Potato", aliases: { mi: "Taewa" }, family: "solanaceae", germinationMinDays: 14, germinationMaxDays: 21, maturityDays: 100, harvestWindowDays: 28, defaultUnit: "kg", unitWeightsKg: { count: 0.15 }, defaultMethod: "direct", transplantMaturityDays: null, spacingInRowCm: 30, spacingRowCm: 60, yieldPerPlant: 1, yieldPerM2: null, baseTempC: 7, gddGermination: 95, gddMaturity: 740, gddHarvestWindow: 310, sowingWindows: { direct: [8, 9, 10, 11, 12, 1], indoor: [], transplant: [] }, varieties: [] },
+  { id: "lettuce", name: "Lettuce", aliases: { mi: "Rētihi" }, family: "asteraceae", germinationMinDays: 7, germinationMaxDays: 14, maturityDays: 50, harvestWindowDays: 21, defaultUnit: "count", unitWeightsKg: { count: 0.4 }, defaultMethod: "transplant", transplantMaturityDays: 35, spacingInRowCm: 25, spacingRowCm: 30, yieldPerPlant: 1, yieldPerM2: null, baseTempC: 4, gddGermination: 105, gddMaturity: 530, gddHarvestWindow: 265, sowingWindows: { direct: [9, 10, 11, 12, 1, 2, 3], indoor: [7, 8, 9, 10, 11, 12, 1, 2, 3, 4], transplant: [8, 9, 10, 11, 12, 1, 2, 3, 4] }, varieties: [] },
+  { id: "tomato", name: "Tomato", aliases: { mi: "Tōmato" }, family: "solanaceae", germinationMinDays: 6, germinationMaxDays: 14, maturityDays: 85, harvestWindowDays: 35, defaultUnit: "kg", unitWeightsKg: { count: 0.12, punnet: 0.25 }, defaultMethod: "transplant", transplantMaturityDays: 70, spacingInRowCm: 45, spacingRowCm: 90, yieldPerPlant: 4, yieldPerM2: null, baseTempC: 10, gddGermination: 45, gddMaturity: 550, gddHarvestWindow: 330, sowingWindows: { direct: [], indoor: [7, 8, 9, 10], transplant: [10, 11, 12] }, varieties: [] },
+  { id: "broccoli", name: "Broccoli", aliases: {}, family: "brassicaceae", germinationMinDays: 7, germinationMaxDays: 14, maturityDays: 70, harvestWindowDays: 14, defaultUnit: "count", unitWeightsKg: { count: 0.35 }, defaultMethod: "transplant", transplantMaturityDays: 55, spacingInRowCm: 45, spacingRowCm: 60, yieldPerPlant: 1, yieldPerM2: null, baseTempC: 4, gddGermination: 165, gddMaturity: 910, gddHarvestWindow: 140, sowingWindows: { direct: [1, 2, 3, 9, 10], indoor: [12, 1, 2, 3, 8, 9], transplant: [1, 2, 3, 4, 9, 10] }, varieties: [] },
+  { id: "silverbeet", name: "Silverbeet (Chard)", aliases: {}, family: "amaranthaceae", germinationMinDays: 7, germinationMaxDays: 14, maturityDays: 55, harvestWindowDays: 45, defaultUnit: "kg", unitWeightsKg: { bunch: 0.3 }, defaultMethod: "direct", transplantMaturityDays: 45, spacingInRowCm: 30, spacingRowCm: 45, yieldPerPlant: 1.5, yieldPerM2: null, baseTempC: 4, gddGermination: 105, gddMaturity: 590, gddHarvestWindow: 620, sowingWindows: { direct: [8, 9, 10, 11, 12, 1, 2, 3], indoor: [7, 8, 9, 2, 3], transplant: [9, 10, 11, 3, 4] }, varieties: [] },
+  { id: "corn-sweet", name: "Corn (Sweet)", aliases: { mi: "Kānga" }, family: "poaceae", germinationMinDays: 7, germinationMaxDays: 10, maturityDays: 85, harvestWindowDays: 14, defaultUnit: "count", unitWeightsKg: { count: 0.3 }, defaultMethod: "direct", transplantMaturityDays: 75, spacingInRowCm: 25, spacingRowCm: 75, yieldPerPlant: 2, yieldPerM2: null, baseTempC: 10, gddGermination: 45, gddMaturity: 630, gddHarvestWindow: 135, sowingWindows: { direct: [10, 11, 12], indoor: [9, 10], transplant: [10, 11, 12] }, varieties: [] },
+  { id: "beans-bush", name: "Beans (Bush)", aliases: { mi: "Pīni" }, family: "fabaceae", germinationMinDays: 7, germinationMaxDays: 14, maturityDays: 55, harvestWindowDays: 21, defaultUnit: "kg", unitWeightsKg: { punnet: 0.25, litre: 0.3 }, defaultMethod: "direct", transplantMaturityDays: null, spacingInRowCm: 10, spacingRowCm: 45, yieldPerPlant: 0.15, yieldPerM2: null, baseTempC: 10, gddGermination: 55, gddMaturity: 360, gddHarvestWindow: 185, sowingWindows: { direct: [10, 11, 12, 1], indoor: [], transplant: [] }, varieties: [] },
+  { id: "carrot", name: "Carrot", aliases: { mi: "Kāreti" }, family: "apiaceae", germinationMinDays: 14, germinationMaxDays: 21, maturityDays: 80, harvestWindowDays: 21, defaultUnit: "kg", unitWeightsKg: { count: 0.08, bunch: 0.5 }, defaultMethod: "direct", transplantMaturityDays: null, spacingInRowCm: 5, spacingRowCm: 25, yieldPerPlant: null, yieldPerM2: 3, baseTempC: 4, gddGermination: 175, gddMaturity: 920, gddHarvestWindow: 305, sowingWindows: { direct: [8, 9, 10, 11, 12, 1, 2, 3], indoor: [], transplant: [] }, varieties: [] },
+  { id: "capsicum", name: "Capsicum (Pepper)", aliases: {}, family: "solanaceae", germinationMinDays: 10, germinationMaxDays: 21, maturityDays: 110, harvestWindowDays: 35, defaultUnit: "kg", unitWeightsKg: { count: 0.15 }, defaultMethod: "transplant", transplantMaturityDays: 75, spacingInRowCm: 45, spacingRowCm: 60, yieldPerPlant: 1, yieldPerM2: null, baseTempC: 10, gddGermination: 70, gddMaturity: 780, gddHarvestWindow: 330, sowingWindows: { direct: [], indoor: [7, 8, 9], transplant: [10, 11, 12] }, varieties: [] },
+];
+
+/** Name to show: the alias for the UI language (aliases.mi → "Kūmara") when there is one. */
+export const plantName = (plantType, locale = getLocale()) => plantType?.aliases?.[locale] || plantType?.name || "";
+
+/** Every name a plant type goes by, for search and matching. */
+export const plantNames = (plantType) => [plantType?.name, ...Object.values(plantType?.aliases || {})].filter(Boolean);
+
+export const isBuiltIn = (plantType) => DEFAULT_PLANT_TYPES.some((d) => d.id === plantType.id);
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Fields users add their own entries to. A reset restores the built-in entries (by id or key)
+// and keeps the user's others, so varieties that plantings point at are never dropped.
+const mergeById = (current = [], defaults = []) => [
+  ...current.map((v) => ({ ...v, ...defaults.find((d) => d.id === v.id) })),
+  ...defaults.filter((d) => !current.some((v) => v.id === d.id)),
+];
+const mergeByKey = (current = {}, defaults = {}) => ({ ...current, ...defaults });
+const MERGED_FIELDS = { varieties: mergeById, unitWeightsKg: mergeByKey, aliases: mergeByKey, sowingWindows: mergeByKey };
+
+/**
+ * Compare the catalogue with the built-in defaults.
+ * - restored: built-ins missing from the catalogue
+ * - updated:  built-ins whose fields differ ({ current, next, changes: [{ field, from, to }] })
+ * - unchanged / custom: left as they are
+ */
+export const diffWithDefaults = (plantTypes, defaults = DEFAULT_PLANT_TYPES) => {
+  const byId = new Map(plantTypes.map((p) => [p.id, p]));
+  const diff = { restored: [], updated: [], unchanged: [], custom: [] };
+  for (const d of defaults) {
+    const current = byId.get(d.id);
+    if (!current) {
+      diff.restored.push(d);
+      continue;
+    }
+    const next = { ...current };
+    for (const [field, value] of Object.entries(d)) next[field] = MERGED_FIELDS[field] ? MERGED_FIELDS[field](current[field], value) : value;
+    const changes = Object.keys(d)
+      .filter((field) => field !== "id" && !same(current[field], next[field]))
+      .map((field) => ({ field, from: current[field], to: next[field] }));
+    if (changes.length) diff.updated.push({ current, next, changes });
+    else diff.unchanged.push(current);
+  }
+  diff.custom = plantTypes.filter((p) => !defaults.some((d) => d.id === p.id));
+  return diff;
+};
+
+/**
+ * Fill catalogue fields added in later versions onto stored built-ins.
+ * Only missing keys are added — values the user has set are never touched.
+ */
+export const withDefaultFields = (plantTypes) =>
+  plantTypes.map((p) => {
+    const d = DEFAULT_PLANT_TYPES.find((x) => x.id === p.id);
+    const filled = { family: "", aliases: {}, varieties: [], sowingWindows: { direct: [], indoor: [], transplant: [] }, unitWeightsKg: {}, ...p };
+    if (!d) return filled;
+    for (const [k, v] of Object.entries(d)) if (!(k in filled)) filled[k] = v;
+    return filled;
+  });
+
+/** Apply a diff: built-ins are updated in place (ids kept), missing ones appended, user types untouched. */
+export const mergeDefaults = (plantTypes, diff = diffWithDefaults(plantTypes)) => {
+  const nextById = new Map(diff.updated.map((u) => [u.current.id, u.next]));
+  return [...plantTypes.map((p) => nextById.get(p.id) ?? p), ...diff.restored];
+};
+
+// --------------------- Timing & yield ----------------------
+// Variety fields override the plant type when set.
+const VARIETY_FIELDS = ["maturityDays", "transplantMaturityDays", "harvestWindowDays", "yieldPerPlant"];
+
+export const varietyOf = (pt, planting) => pt?.varieties?.find((v) => v.id === planting.varietyId) || null;
+
+/**
+ * Heat targets (degree-days above baseTempC) for one planting, or null when the type has none.
+ * The catalogue's GDD figures belong to its own day counts, so variety and transplant
+ * day counts scale them proportionally.
+ */
+const gddTargets = (pt, germination, maturityDays, harvestWindowDays) => {
+  if (pt.baseTempC == null || !pt.gddMaturity) return null;
+  const scale = (gdd, days, baseDays) => (gdd && baseDays ? (gdd * days) / baseDays : 0);
+  return {
+    baseC: pt.baseTempC,
+    germination: germination || 0,
+    maturity: scale(pt.gddMaturity, maturityDays, pt.maturityDays),
+    harvestWindow: pt.gddHarvestWindow ? scale(pt.gddHarvestWindow, harvestWindowDays, pt.harvestWindowDays) : 0,
+  };
+};
+
+/**
+ * Day counts for one planting, after variety overrides and sowing method.
+ * Transplants skip germination and use transplantMaturityDays when the type has one.
+ * Plantings saved before methods existed count as direct sown.
+ */
+export const resolveTiming = (pt, planting) => {
+  const variety = varietyOf(pt, planting);
+  const base = { ...pt };
+  for (const f of VARIETY_FIELDS) if (variety?.[f] != null) base[f] = variety[f];
+  const method = planting.method || "direct";
+  if (method === "transplant") {
+    const maturityDays = base.transplantMaturityDays ?? base.maturityDays;
+    return { method, germinationMinDays: 0, germinationMaxDays: 0, maturityDays, harvestWindowDays: base.harvestWindowDays, gdd: gddTargets(pt, 0, maturityDays, base.harvestWindowDays) };
+  }
+  return {
+    method,
+    germinationMinDays: base.germinationMinDays,
+    germinationMaxDays: base.germinationMaxDays,
+    maturityDays: base.maturityDays,
+    harvestWindowDays: base.harvestWindowDays,
+    gdd: gddTargets(pt, pt.gddGermination, base.maturityDays, base.harvestWindowDays),
+  };
+};
+
+/** Area one plant takes up, in m² (null without spacing). */
+export const areaPerPlantM2 = (pt) => (pt?.spacingInRowCm && pt?.spacingRowCm ? (pt.spacingInRowCm * pt.spacingRowCm) / 10000 : null);
+
+/** Expected total yield for a planting in the type's defaultUnit, or null if the catalogue has no estimate. */
+export const expectedYieldFor = (pt, planting) => {
+  if (!pt) return null;
+  const perPlant = varietyOf(pt, planting)?.yieldPerPlant ?? pt.yieldPerPlant;
+  if (perPlant) return perPlant * planting.quantityPlanted;
+  const area = areaPerPlantM2(pt);
+  if (pt.yieldPerM2 && area) return pt.yieldPerM2 * area * planting.quantityPlanted;
+  return null;
+};
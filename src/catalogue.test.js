@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_PLANT_TYPES, diffWithDefaults, mergeDefaults } from "./catalogue";
+
+const builtIn = (id) => structuredClone(DEFAULT_PLANT_TYPES.find((p) => p.id === id));
+
+describe("catalogue reset", () => {
+  it("treats varieties, weights and aliases the user added as theirs, not changes", () => {
+    const tomato = {
+      ...builtIn("tomato"),
+      varieties: [{ id: "v1", name: "Money Maker", maturityDays: 80, transplantMaturityDays: null, harvestWindowDays: null, yieldPerPlant: null }],
+      unitWeightsKg: { ...builtIn("tomato").unitWeightsKg, bunch: 0.6 },
+      aliases: { ...builtIn("tomato").aliases, fr: "Tomate" },
+    };
+    const diff = diffWithDefaults([tomato], [builtIn("tomato")]);
+    expect(diff.updated).toEqual([]);
+    expect(diff.unchanged).toEqual([tomato]);
+  });
+
+  it("keeps a built-in's varieties when its other fields are reset", () => {
+    const variety = { id: "v1", name: "Agria", maturityDays: 120, transplantMaturityDays: null, harvestWindowDays: null, yieldPerPlant: 1.5 };
+    const potato = { ...builtIn("potato"), maturityDays: 90, varieties: [variety], unitWeightsKg: { count: 0.2, bunch: 1 } };
+    const planting = { id: "p1", plantTypeId: "potato", varietyId: "v1" };
+
+    const diff = diffWithDefaults([potato], [builtIn("potato")]);
+    expect(diff.updated).toHaveLength(1);
+    expect(diff.updated[0].changes.map((c) => c.field)).toEqual(["maturityDays", "unitWeightsKg"]);
+
+    const [reset] = mergeDefaults([potato], diff);
+    expect(reset.maturityDays).toBe(builtIn("potato").maturityDays);
+    expect(reset.unitWeightsKg).toEqual({ count: builtIn("potato").unitWeightsKg.count, bunch: 1 });
+    expect(reset.varieties).toEqual([variety]);
+    expect(reset.varieties.some((v) => v.id === planting.varietyId)).toBe(true);
+  });
+
+  it("restores missing built-ins and leaves the user's own types alone", () => {
+    const own = { id: "kawakawa", name: "Kawakawa", varieties: [] };
+    const diff = diffWithDefaults([own], [builtIn("carrot")]);
+    expect(diff.restored.map((p) => p.id)).toEqual(["carrot"]);
+    expect(diff.custom).toEqual([own]);
+    expect(mergeDefaults([own], diff).map((p) => p.id)).toEqual(["kawakawa", "carrot"]);
+  });
+});
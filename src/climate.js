@@ -0,0 +1,76 @@
+// ------------------------------------------------------------
+// Climate profiles and growing-degree-day (GDD) helpers.
+// Monthly mean air temperatures (°C, Jan → Dec) are rounded
+// long-term normals for one station per region — good enough to
+// shift a timeline by season and latitude, not a forecast.
+// ------------------------------------------------------------
+
+/**
+ * @typedef ClimateProfile
+ * @prop {string} id
+ * @prop {string} name
+ * @prop {number[]} monthlyMeanC // 12 values, January first
+ */
+
+/** @type {ClimateProfile[]} */
+export const CLIMATE_PROFILES = [
+  { id: "northland", name: "Northland (Kerikeri)", monthlyMeanC: [19.5, 20.0, 18.7, 16.5, 14.2, 12.2, 11.3, 11.7, 12.8, 14.2, 15.9, 18.0] },
+  { id: "auckland", name: "Auckland", monthlyMeanC: [19.3, 19.8, 18.5, 16.3, 14.0, 11.9, 11.0, 11.4, 12.6, 14.1, 15.7, 17.8] },
+  { id: "waikato", name: "Waikato (Hamilton)", monthlyMeanC: [18.3, 18.8, 17.0, 14.3, 11.5, 9.2, 8.5, 9.4, 11.1, 12.9, 14.7, 16.9] },
+  { id: "bay-of-plenty", name: "Bay of Plenty (Tauranga)", monthlyMeanC: [19.0, 19.4, 18.0, 15.5, 12.9, 10.7, 10.0, 10.6, 12.1, 13.7, 15.5, 17.6] },
+  { id: "gisborne", name: "Tairāwhiti (Gisborne)", monthlyMeanC: [19.0, 19.0, 17.5, 14.9, 12.3, 10.2, 9.5, 10.3, 12.0, 13.8, 15.6, 17.6] },
+  { id: "hawkes-bay", name: "Hawke's Bay (Napier)", monthlyMeanC: [19.5, 19.3, 17.6, 14.8, 12.0, 9.6, 9.0, 9.8, 11.8, 13.8, 15.8, 18.0] },
+  { id: "taranaki", name: "Taranaki (New Plymouth)", monthlyMeanC: [17.6, 18.0, 16.8, 14.6, 12.6, 10.7, 9.8, 10.2, 11.5, 12.9, 14.5, 16.3] },
+  { id: "manawatu", name: "Manawatū (Palmerston North)", monthlyMeanC: [17.8, 17.9, 16.4, 13.7, 11.2, 9.0, 8.3, 9.1, 10.8, 12.4, 14.2, 16.3] },
+  { id: "wellington", name: "Wellington", monthlyMeanC: [16.9, 17.2, 16.0, 13.9, 11.8, 9.9, 9.2, 9.6, 10.8, 12.1, 13.7, 15.6] },
+  { id: "nelson", name: "Nelson", monthlyMeanC: [17.8, 17.8, 16.1, 13.1, 10.2, 7.9, 7.3, 8.5, 10.5, 12.4, 14.3, 16.4] },
+  { id: "marlborough", name: "Marlborough (Blenheim)", monthlyMeanC: [18.4, 18.2, 16.2, 13.0, 10.1, 7.6, 7.0, 8.2, 10.4, 12.4, 14.5, 16.8] },
+  { id: "west-coast", name: "West Coast (Hokitika)", monthlyMeanC: [15.5, 15.8, 14.5, 12.3, 9.9, 7.8, 7.2, 8.0, 9.5, 10.9, 12.4, 14.3] },
+  { id: "canterbury", name: "Canterbury (Christchurch)", monthlyMeanC: [17.3, 16.9, 15.2, 12.2, 9.1, 6.6, 6.1, 7.3, 9.4, 11.5, 13.6, 15.8] },
+  { id: "otago", name: "Otago (Dunedin)", monthlyMeanC: [15.3, 15.1, 13.7, 11.6, 9.2, 7.1, 6.6, 7.6, 9.4, 10.9, 12.6, 14.3] },
+  { id: "central-otago", name: "Central Otago (Alexandra)", monthlyMeanC: [17.8, 17.5, 14.9, 10.8, 6.6, 3.3, 2.5, 4.9, 8.4, 11.3, 14.0, 16.5] },
+  { id: "southland", name: "Southland (Invercargill)", monthlyMeanC: [13.9, 13.7, 12.3, 10.1, 7.8, 5.8, 5.1, 6.3, 8.0, 9.6, 11.2, 12.9] },
+];
+
+export const DEFAULT_CLIMATE = { regionId: "auckland", monthlyMeanC: null }; // null = use the region's bundled values
+
+/** Monthly means for the saved climate setting (custom values win over the bundled region). */
+export const monthlyMeansFor = (climate = DEFAULT_CLIMATE) =>
+  climate.monthlyMeanC ?? (CLIMATE_PROFILES.find((p) => p.id === climate.regionId) ?? CLIMATE_PROFILES[1]).monthlyMeanC;
+
+// Each monthly mean sits mid-month; days in between are linearly interpolated.
+const dailyMean = (monthly, date) => {
+  const m = date.getMonth();
+  const dim = new Date(date.getFullYear(), m + 1, 0).getDate();
+  const pos = (date.getDate() - 0.5) / dim;
+  if (pos < 0.5) {
+    const prev = monthly[(m + 11) % 12];
+    return prev + (monthly[m] - prev) * (pos + 0.5);
+  }
+  const next = monthly[(m + 1) % 12];
+  return monthly[m] + (next - monthly[m]) * (pos - 0.5);
+};
+
+/** Daily mean temperature (°C) for an ISO date. */
+export const dailyMeanTemp = (monthly, iso) => dailyMean(monthly, new Date(iso + "T12:00:00"));
+
+/**
+ * Cumulative GDD from startISO: result[i] is heat accumulated over the first i days
+ * (result[0] = 0). Daily GDD = max(0, mean − base).
+ */
+export const cumulativeGDD = (monthly, baseC, startISO, days) => {
+  const out = new Float64Array(days + 1);
+  const d = new Date(startISO + "T12:00:00");
+  for (let i = 1; i <= days; i++) {
+    out[i] = out[i - 1] + Math.max(0, dailyMean(monthly, d) - baseC);
+    d.setDate(d.getDate() + 1);
+  }
+  return out;
+};
+
+/** First day index whose cumulative GDD reaches target, or null within the series. */
+export const dayReaching = (cumulative, target) => {
+  if (target <= 0) return 0;
+  for (let i = 1; i < cumulative.length; i++) if (cumulative[i] >= target) return i;
+  return null;
+};
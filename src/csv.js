@@ -0,0 +1,110 @@
+import { localised } from "./i18n";
+
+// ------------------------------------------------------------
+// CSV reading and writing for spreadsheet round-trips.
+// Dates go out as NZ dd/mm/yyyy; on the way in the day/month
+// order is detected from the data (or chosen by the user).
+// ------------------------------------------------------------
+
+/** @typedef {"dmy" | "mdy" | "ymd"} DateFormat */
+
+export const DATE_FORMATS = localised("dateFormat", [{ id: "dmy" }, { id: "mdy" }, { id: "ymd" }]);
+
+const escapeCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+};
+
+/**
+ * Rows → CSV text. `columns` is [{ header, value: (row) => any }].
+ * Starts with a BOM so Excel reads macrons (kūmara) as UTF-8.
+ */
+export const toCSV = (rows, columns) =>
+  "\uFEFF" + [columns.map((c) => escapeCell(c.header)), ...rows.map((r) => columns.map((c) => escapeCell(c.value(r))))].map((cells) => cells.join(",")).join("\r\n") + "\r\n";
+
+/** Comma, semicolon or tab — whichever splits the header line most. */
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  return [",", ";", "\t"].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ",");
+};
+
+/**
+ * CSV text → array of rows (arrays of strings). Handles quotes, "" escapes and CRLF. Blank lines are skipped,
+ * so each row also carries `line`: the 1-based file line it starts on, for error messages.
+ */
+export const parseCSV = (text) => {
+  const src = text.replace(/^\uFEFF/, "");
+  const delim = detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const endRow = () => {
+    row.push(cell);
+    if (row.some((c) => c.trim() !== "")) rows.push(Object.assign(row, { line: rowLine }));
+    row = [];
+    cell = "";
+  };
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else {
+        // Line breaks inside a quoted cell still move the file line on.
+        if (ch === "\n" || (ch === "\r" && src[i + 1] !== "\n")) line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") quoted = true;
+    else if (ch === delim) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      endRow();
+      rowLine = ++line;
+    } else cell += ch;
+  }
+  endRow();
+  return rows;
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** ISO date → dd/mm/yyyy. */
+export const nzDateCell = (iso) => (iso ? `${iso.slice(8, 10)}/${iso.slice(5, 7)}/${iso.slice(0, 4)}` : "");
+
+const dateParts = (s) => s.trim().split(/[/.\-\s]+/).map(Number);
+
+/**
+ * Parse a spreadsheet date into ISO, or null. Two-digit years are 20xx.
+ * Time parts ("12/03/2025 10:15") are ignored.
+ */
+export const parseDate = (value, format = "dmy") => {
+  const s = String(value ?? "").trim().split(/[T ]/)[0];
+  const parts = dateParts(s);
+  if (parts.length !== 3 || parts.some((n) => !Number.isInteger(n))) return null;
+  let [y, m, d] = format === "ymd" || parts[0] > 31 ? parts : format === "mdy" ? [parts[2], parts[0], parts[1]] : [parts[2], parts[1], parts[0]];
+  if (y < 100) y += 2000;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return `${y}-${pad(m)}-${pad(d)}`;
+};
+
+/** Best guess at the day/month order of a column of date strings. */
+export const detectDateFormat = (values) => {
+  let dmy = false;
+  let mdy = false;
+  for (const v of values) {
+    const p = dateParts(String(v ?? "").split(/[T ]/)[0]);
+    if (p.length !== 3) continue;
+    if (p[0] > 31) return "ymd";
+    if (p[0] > 12) dmy = true;
+    if (p[1] > 12) mdy = true;
+  }
+  return mdy && !dmy ? "mdy" : "dmy";
+};
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { parseCSV } from "./csv";
+import { guessMapping, planCsvImport } from "./csvImport";
+
+describe("parseCSV", () => {
+  it("skips blank lines but keeps each row's file line", () => {
+    const rows = parseCSV("Plant,Date\r\n\r\nPotato,1/2/2025\r\n   \r\nKale,3/2/2025\r\n");
+    expect(rows.map((r) => [...r])).toEqual([
+      ["Plant", "Date"],
+      ["Potato", "1/2/2025"],
+      ["Kale", "3/2/2025"],
+    ]);
+    expect(rows.map((r) => r.line)).toEqual([1, 3, 5]);
+  });
+
+  it("counts line breaks inside quoted cells", () => {
+    const rows = parseCSV('Plant,Notes\n"Potato","first\nsecond"\nKale,""\n');
+    expect([...rows[1]]).toEqual(["Potato", "first\nsecond"]);
+    expect(rows.map((r) => r.line)).toEqual([1, 2, 4]);
+  });
+});
+
+describe("planCsvImport", () => {
+  it("reports rejected rows on their spreadsheet line", () => {
+    const [header, ...rows] = parseCSV("Plant,Date,Amount\n\nPotato,1/2/2025,2\n\n\nPotato,not a date,1\n");
+    const plan = planCsvImport(
+      { target: "harvests", rows, mapping: guessMapping("harvests", header), dateFormat: "dmy" },
+      { plantTypes: [], plantings: [], beds: [] }
+    );
+    expect(plan.rows.map((r) => [r.line, r.status])).toEqual([
+      [3, "create"],
+      [6, "reject"],
+    ]);
+  });
+});
@@ -0,0 +1,167 @@
+import { addDays } from "./dates";
+import { uid } from "./ids";
+import { parseDate } from "./csv";
+import { findBedByName, newBed } from "./beds";
+import { seasonOf } from "./rotation";
+import { parseQuantity, unitFromText } from "./units";
+import { plantNames } from "./catalogue";
+import { t, localised } from "./i18n";
+
+// ------------------------------------------------------------
+// CSV import: map spreadsheet columns onto harvest or planting
+// fields, then plan what each row would do — match an existing
+// plant type, create a new one, or be rejected (with a reason).
+// Nothing is written until the caller commits the plan.
+// ------------------------------------------------------------
+
+/** @typedef {"harvests" | "plantings"} CsvTarget */
+
+// `aliases` are lower-case header names recognised automatically.
+export const CSV_FIELDS = {
+  harvests: localised("csvField", [
+    { id: "plant", required: true, aliases: ["plant", "plant type", "crop", "vegetable", "veg", "item"] },
+    { id: "date", required: true, aliases: ["date", "harvest date", "harvested", "picked", "day"] },
+    { id: "amount", required: true, aliases: ["amount", "qty", "quantity", "weight", "yield", "kg"] },
+    { id: "unit", aliases: ["unit", "units", "uom"] },
+    { id: "bed", aliases: ["bed", "location", "where", "plot"] },
+    { id: "notes", aliases: ["notes", "note", "comment", "comments"] },
+  ]),
+  plantings: localised("csvField", [
+    { id: "plant", required: true, aliases: ["plant", "plant type", "crop", "vegetable", "veg"] },
+    { id: "plantedAt", required: true, aliases: ["planted", "date", "sown", "sown date", "planted date", "plant date"] },
+    { id: "quantity", aliases: ["quantity", "qty", "plants", "count", "number"] },
+    { id: "method", aliases: ["method", "sowing method", "how"] },
+    { id: "bed", aliases: ["bed", "location", "where", "plot"] },
+    { id: "notes", aliases: ["notes", "note", "comment", "comments"] },
+  ]),
+};
+
+/** { fieldId: columnIndex | -1 } guessed from the header row. */
+export const guessMapping = (target, header) => {
+  const names = header.map((h) => h.trim().toLowerCase());
+  return Object.fromEntries(CSV_FIELDS[target].map((f) => [f.id, names.findIndex((n) => f.aliases.includes(n))]));
+};
+
+/**
+ * "1.2kg", "500 g", "3" (+ optional unit column) → { amount, unit } or { error }.
+ * With no unit anywhere the plant type's default unit is used.
+ */
+export const parseAmount = (amountCell, unitCell, defaultUnit) => {
+  const unitText = String(unitCell ?? "").trim();
+  const columnUnit = unitText ? unitFromText(unitText) : defaultUnit;
+  if (unitText && !columnUnit) return { error: t("unit.error.unknown", { unit: unitText }) };
+  const { unitGiven, ...parsed } = parseQuantity(amountCell, columnUnit);
+  return parsed;
+};
+
+const normalise = (s) => String(s ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+
+/**
+ * Plant type for a spreadsheet name: "Kumara", "kūmara", "sweet potato" all find "Kūmara (Sweet Potato)",
+ * and so does an alias in another language ("Taewa" → Potato).
+ */
+export const matchPlantType = (plantTypes, name) => {
+  const n = normalise(name);
+  if (!n) return null;
+  return (
+    plantTypes.find((p) => plantNames(p).some((x) => normalise(x) === n)) ||
+    plantTypes.find((p) => {
+      const [, base, aside] = normalise(p.name).match(/^(.*?)\s*(?:\((.*)\))?$/);
+      return base === n || aside === n;
+    }) ||
+    null
+  );
+};
+
+const newPlantType = (name, defaultUnit) => ({
+  id: uid(), name, family: "", germinationMinDays: 7, germinationMaxDays: 14, maturityDays: 60, harvestWindowDays: 21, defaultUnit, defaultMethod: "direct",
+  transplantMaturityDays: null, spacingInRowCm: null, spacingRowCm: null, yieldPerPlant: null, yieldPerM2: null,
+  baseTempC: null, gddGermination: null, gddMaturity: null, gddHarvestWindow: null, sowingWindows: { direct: [], indoor: [], transplant: [] }, unitWeightsKg: {}, aliases: {}, varieties: [],
+});
+
+/**
+ * Plan an import.
+ * @param {{ target: CsvTarget, rows: string[][], mapping: Record<string, number>, dateFormat: import("./csv").DateFormat }} input // rows exclude the header; each row's `line` (from parseCSV) is its file line
+ * @param {{ plantTypes: object[], plantings: object[], beds: object[] }} data
+ * @returns {{ rows: { line: number, status: "match" | "create" | "reject", reason?: string, plant: string, summary: string }[],
+ *             additions: { plantTypes: object[], plantings: object[], harvests: object[], beds: object[] } }}
+ */
+export const planCsvImport = ({ target, rows, mapping, dateFormat }, data) => {
+  const additions = { plantTypes: [], plantings: [], harvests: [], beds: [] };
+  const types = () => [...data.plantTypes, ...additions.plantTypes];
+  const allBeds = () => [...data.beds, ...additions.beds];
+  const cell = (row, field) => (mapping[field] >= 0 ? String(row[mapping[field]] ?? "").trim() : "");
+
+  const bedFor = (name) => {
+    if (!name) return null;
+    const existing = findBedByName(allBeds(), name);
+    if (existing) return existing.id;
+    const bed = newBed(name, allBeds().length);
+    additions.beds.push(bed);
+    return bed.id;
+  };
+
+  // Harvest rows join the latest existing planting of that type (and bed) that could still be
+  // cropping on the harvest date; otherwise one planting per type/bed/season is created.
+  const SLACK_DAYS = 90;
+  const created = new Map(); // key → planting
+  const plantingFor = (pt, bedId, date) => {
+    const existing = data.plantings
+      .filter((p) => p.plantTypeId === pt.id && (!bedId || p.bedId === bedId) && p.plantedAt <= date)
+      .filter((p) => date <= addDays(p.plantedAt, pt.maturityDays + pt.harvestWindowDays + SLACK_DAYS))
+      .sort((a, b) => (a.plantedAt < b.plantedAt ? 1 : -1))[0];
+    if (existing) return { planting: existing, isNew: false };
+    const plantedAt = addDays(date, -pt.maturityDays);
+    const key = `${pt.id}|${bedId}|${seasonOf(date)}`;
+    let p = created.get(key);
+    if (!p) {
+      p = { id: uid(), plantTypeId: pt.id, varietyId: "", method: pt.defaultMethod || "direct", plantedAt, bedId, region: null, quantityPlanted: 1, notes: t("csvImport.addedNote"), archived: false, observations: [] };
+      additions.plantings.push(p);
+      created.set(key, p);
+    } else if (plantedAt < p.plantedAt) p.plantedAt = plantedAt;
+    return { planting: p, isNew: true };
+  };
+
+  const out = rows.map((row, i) => {
+    const line = row.line ?? i + 2; // 1-based; falls back to "no blank lines above" for rows not from parseCSV
+    const plant = cell(row, "plant");
+    const reject = (reason) => ({ line, status: "reject", reason, plant, summary: "" });
+    if (!plant) return reject(t("csvImport.noPlant"));
+    const dateField = target === "harvests" ? "date" : "plantedAt";
+    const date = parseDate(cell(row, dateField), dateFormat);
+    if (!date) return reject(t("csvImport.notDate", { text: cell(row, dateField) }));
+
+    let pt = matchPlantType(types(), plant);
+    const status = pt && !additions.plantTypes.includes(pt) ? "match" : "create";
+
+    if (target === "harvests") {
+      const parsed = parseAmount(cell(row, "amount"), cell(row, "unit"), pt?.defaultUnit || "kg");
+      if (parsed.error) return reject(parsed.error);
+      if (!pt) {
+        pt = newPlantType(plant, parsed.unit === "g" ? "kg" : parsed.unit);
+        additions.plantTypes.push(pt);
+      }
+      const { planting, isNew } = plantingFor(pt, bedFor(cell(row, "bed")), date);
+      additions.harvests.push({ id: uid(), plantingId: planting.id, date, amount: parsed.amount, unit: parsed.unit, notes: cell(row, "notes") });
+      return { line, status, plant: pt.name, summary: t(isNew ? "csvImport.harvestNewPlanting" : "csvImport.harvest", { amount: parsed.amount, unit: parsed.unit, date }) };
+    }
+
+    const qtyText = cell(row, "quantity");
+    const quantity = qtyText === "" ? 1 : Number(qtyText);
+    if (!Number.isInteger(quantity) || quantity < 1) return reject(t("csvImport.notQuantity", { text: qtyText }));
+    const methodText = normalise(cell(row, "method"));
+    const method = !methodText ? null : methodText.startsWith("trans") ? "transplant" : methodText.startsWith("direct") || methodText.startsWith("sow") ? "direct" : undefined;
+    if (method === undefined) return reject(t("csvImport.unknownMethod", { text: cell(row, "method") }));
+    if (!pt) {
+      pt = newPlantType(plant, "kg");
+      additions.plantTypes.push(pt);
+    }
+    additions.plantings.push({
+      id: uid(), plantTypeId: pt.id, varietyId: "", method: method || pt.defaultMethod || "direct", plantedAt: date,
+      bedId: bedFor(cell(row, "bed")), region: null, quantityPlanted: quantity, notes: cell(row, "notes"), archived: false, observations: [],
+    });
+    return { line, status, plant: pt.name, summary: t("csvImport.planting", { quantity, date }) };
+  });
+
+  return { rows: out, additions };
+};
@@ -0,0 +1,15 @@
+// --------------------- Date helpers ------------------------
+// Dates are stored as ISO "YYYY-MM-DD" strings.
+export const toISO = (d) => new Date(d).toISOString().slice(0, 10);
+export const todayISO = () => toISO(new Date());
+export const addDays = (iso, days) => {
+  const d = new Date(iso);
+  d.setDate(d.getDate() + days);
+  return toISO(d);
+};
+export const daysBetween = (fromISO, toISODate) => {
+  const a = new Date(fromISO);
+  const b = new Date(toISODate);
+  return Math.floor((b - a) / (24 * 3600 * 1000));
+};
+export const isISODate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || "") && !Number.isNaN(new Date(v).getTime());
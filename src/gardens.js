@@ -0,0 +1,107 @@
+import { uid } from "./ids";
+import { inRange } from "./periods";
+import { normaliseName } from "./beds";
+import { toKg } from "./units";
+import { plantName } from "./catalogue";
+import { t } from "./i18n";
+
+// ------------------------------------------------------------
+// Gardens (workspaces): each one is a separate set of stored
+// keys — its own catalogue, beds, plantings, harvests, trash,
+// settings, restore points and sync state. The first garden
+// keeps the original unprefixed keys, so nothing needs migrating.
+// Only the registry ("gardens") is shared.
+// ------------------------------------------------------------
+
+/**
+ * @typedef Garden
+ * @prop {string} id
+ * @prop {string} name
+ * @prop {string} createdAt // ISO timestamp
+ */
+
+/** @typedef {{ active: string, list: Garden[] }} GardenRegistry */
+
+export const DEFAULT_GARDEN_ID = "home";
+
+export const GARDEN_KEYS = ["plantTypes", "plantings", "harvests", "trash", "beds", "settings", "reminders", "snapshots", "sync"];
+
+/** @returns {GardenRegistry} */
+export const emptyGardens = () => ({ active: DEFAULT_GARDEN_ID, list: [{ id: DEFAULT_GARDEN_ID, name: t("gardens.defaultName"), createdAt: new Date().toISOString() }] });
+
+/** Storage key for one garden's collection. */
+export const gardenKey = (gardenId, key) => (gardenId === DEFAULT_GARDEN_ID ? key : `garden:${gardenId}:${key}`);
+
+/** @returns {Garden} */
+export const newGarden = (name) => ({ id: uid(), name: name.trim(), createdAt: new Date().toISOString() });
+
+export const gardenName = (gardens, id) => gardens.list.find((g) => g.id === id)?.name || t("gardens.untitled");
+
+/** For file names: "Māra kai (Te Aro)" → "mara-kai-te-aro". */
+export const gardenSlug = (name) =>
+  name.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "garden";
+
+/**
+ * Copy plant types into another garden's catalogue. An entry with the same id (or, failing
+ * that, the same name) is overwritten in place; anything else is added.
+ * Returns { plantTypes, added, replaced }.
+ */
+export const copyPlantTypes = (target, entries) => {
+  const next = [...target];
+  let added = 0;
+  let replaced = 0;
+  for (const e of entries) {
+    const byId = next.findIndex((p) => p.id === e.id);
+    const at = byId >= 0 ? byId : next.findIndex((p) => normaliseName(p.name) === normaliseName(e.name));
+    if (at >= 0) {
+      next[at] = { ...structuredClone(e), id: next[at].id };
+      replaced += 1;
+    } else {
+      next.push(structuredClone(e));
+      added += 1;
+    }
+  }
+  return { plantTypes: next, added, replaced };
+};
+
+/**
+ * Side-by-side figures for several gardens. Plant types are matched by name, since each
+ * garden has its own catalogue. Everything is in kg: weighed harvests exactly, the rest
+ * through each plant type's average weights (kept apart as estimatedKg); harvests with no
+ * weight to go on are only counted (unweighed).
+ * @param {{ id: string, name: string, plantTypes: object[], plantings: object[], harvests: object[] }[]} gardens
+ * @param {{ from: string, to: string } | null} [range] // the shared report period (see ./periods); all time when null
+ * @returns {{ totals: { id, name, plantings, harvests, kg, estimatedKg, unweighed }[], byPlant: { name: string, [gardenId: string]: number | string }[] }}
+ */
+export const compareGardens = (gardens, range = null) => {
+  const byPlant = new Map();
+  const totals = gardens.map((g) => {
+    const typeById = Object.fromEntries(g.plantTypes.map((p) => [p.id, p]));
+    const plantingType = Object.fromEntries(g.plantings.map((p) => [p.id, typeById[p.plantTypeId]]));
+    const row = { id: g.id, name: g.name, plantings: 0, harvests: 0, kg: 0, estimatedKg: 0, unweighed: 0 };
+    for (const p of g.plantings) if (inRange(p.plantedAt, range)) row.plantings += 1;
+    for (const h of g.harvests) {
+      if (!inRange(h.date, range)) continue;
+      row.harvests += 1;
+      const pt = plantingType[h.plantingId];
+      const weight = toKg(h.amount, h.unit, pt);
+      if (!weight) {
+        row.unweighed += 1;
+        continue;
+      }
+      row[weight.estimated ? "estimatedKg" : "kg"] += weight.kg;
+      const key = pt?.name || "";
+      const plant = byPlant.get(key) || { name: plantName(pt) || t("common.unknown") };
+      plant[g.id] = +((plant[g.id] || 0) + weight.kg).toFixed(2);
+      byPlant.set(key, plant);
+    }
+    row.kg = +row.kg.toFixed(2);
+    row.estimatedKg = +row.estimatedKg.toFixed(2);
+    return row;
+  });
+  const sum = (p) => gardens.reduce((n, g) => n + (p[g.id] || 0), 0);
+  return {
+    totals,
+    byPlant: Array.from(byPlant.values()).sort((a, b) => sum(b) - sum(a)),
+  };
+};
@@ -0,0 +1,44 @@
+// ------------------------------------------------------------
+// Undo / redo over the app's record collections.
+// An entry stores the collections it replaced (`before`) and the
+// values it wrote (`after`); arrays are immutable so this is cheap.
+// ------------------------------------------------------------
+
+/**
+ * @typedef HistoryEntry
+ * @prop {string} label // shown in the toast, e.g. "Delete planting"
+ * @prop {Record<string, any[]>} before
+ * @prop {Record<string, any[]>} after
+ * @prop {string} [coalesceKey] // consecutive entries with the same key merge (typing in a field)
+ */
+
+export const HISTORY_LIMIT = 100;
+
+export const emptyHistory = () => ({ past: [], future: [] });
+
+export const canUndo = (history) => history.past.length > 0;
+export const canRedo = (history) => history.future.length > 0;
+
+/** Record a new entry; clears the redo stack. */
+export const pushEntry = (history, entry, limit = HISTORY_LIMIT) => {
+  const last = history.past[history.past.length - 1];
+  if (entry.coalesceKey && last?.coalesceKey === entry.coalesceKey) {
+    const merged = { ...last, before: { ...entry.before, ...last.before }, after: { ...last.after, ...entry.after } };
+    return { past: [...history.past.slice(0, -1), merged], future: [] };
+  }
+  return { past: [...history.past, entry].slice(-limit), future: [] };
+};
+
+/** Returns { history, entry } — apply entry.before to undo. */
+export const undo = (history) => {
+  const entry = history.past[history.past.length - 1];
+  if (!entry) return { history, entry: null };
+  return { history: { past: history.past.slice(0, -1), future: [entry, ...history.future] }, entry };
+};
+
+/** Returns { history, entry } — apply entry.after to redo. */
+export const redo = (history) => {
+  const [entry, ...future] = history.future;
+  if (!entry) return { history, entry: null };
+  return { history: { past: [...history.past, entry], future }, entry };
+};
@@ -0,0 +1,117 @@
+import en from "./locales/en";
+import mi from "./locales/mi";
+
+// ------------------------------------------------------------
+// UI language. Messages live in ./locales as flat catalogues
+// of key → text; English is complete and anything a catalogue
+// hasn't translated yet falls back to it. The current locale is
+// module state (setLocale) so helpers outside React can use t().
+//   t("agenda.planted", { date })   → "Planted {date}"
+//   t("gaps", { count: 2 })         → gaps_one / gaps_other
+// ------------------------------------------------------------
+
+/** @typedef {"en" | "mi"} Locale */
+
+/** @type {{ id: Locale, label: string, intl: string }[]} */
+export const LOCALES = [
+  { id: "en", label: "English", intl: "en-NZ" },
+  { id: "mi", label: "Te reo Māori", intl: "mi-NZ" },
+];
+
+export const DEFAULT_LOCALE = "en";
+
+export const CATALOGUES = { en, mi };
+
+let current = DEFAULT_LOCALE;
+
+export const isLocale = (id) => Object.hasOwn(CATALOGUES, id);
+
+export const setLocale = (id) => {
+  current = isLocale(id) ? id : DEFAULT_LOCALE;
+};
+
+export const getLocale = () => current;
+
+/** First of the browser's languages we have ("mi-NZ" → mi), else English. */
+export const localeFromLanguages = (languages = []) =>
+  languages.map((l) => String(l).toLowerCase().split("-")[0]).find(isLocale) || DEFAULT_LOCALE;
+
+// Intl formatting for the locale, or en-NZ where the runtime has no data for it.
+const intlFor = (id) => {
+  const tag = LOCALES.find((l) => l.id === id)?.intl || "en-NZ";
+  return Intl.NumberFormat.supportedLocalesOf(tag).length ? tag : "en-NZ";
+};
+
+/** 1234.5 → "1,234.5"; up to 3 decimal places unless `opts` says otherwise. */
+export const formatNumber = (n, opts) => new Intl.NumberFormat(intlFor(current), { maximumFractionDigits: 3, ...opts }).format(n);
+
+const lookup = (id, key, count) => {
+  const catalogue = CATALOGUES[id];
+  if (count != null) {
+    const form = new Intl.PluralRules(intlFor(id)).select(count);
+    for (const k of [`${key}_${form}`, key, `${key}_other`]) if (Object.hasOwn(catalogue, k)) return catalogue[k];
+  }
+  return Object.hasOwn(catalogue, key) ? catalogue[key] : null;
+};
+
+// "{name}" → vars.name. Numbers are formatted for the locale, ungrouped so years stay "2026".
+const fill = (text, vars) =>
+  vars ? text.replace(/\{(\w+)\}/g, (m, k) => (vars[k] == null ? m : typeof vars[k] === "number" ? formatNumber(vars[k], { useGrouping: false }) : String(vars[k]))) : text;
+
+/**
+ * Message for `key` in the current locale. A numeric `vars.count` picks the plural form
+ * (key_one, key_other…). Falls back to English, then to the key itself.
+ */
+export const t = (key, vars) => {
+  const count = typeof vars?.count === "number" ? vars.count : null;
+  return fill(lookup(current, key, count) ?? lookup(DEFAULT_LOCALE, key, count) ?? key, vars);
+};
+
+/**
+ * Option lists whose text is read from the catalogues each time it's used, so it follows
+ * the locale: localised("season", [{ id: "spring" }]) has label = t("season.spring").
+ * Other `fields` use `${prefix}.${id}.${field}`; an entry with that field null keeps it null.
+ */
+export const localised = (prefix, items, fields = ["label"]) =>
+  items.map((item) =>
+    Object.defineProperties(
+      { ...item },
+      Object.fromEntries(
+        fields
+          .filter((f) => item[f] !== null)
+          .map((f) => [f, { get: () => t(f === "label" ? `${prefix}.${item.id}` : `${prefix}.${item.id}.${f}`), enumerable: true }]),
+      ),
+    ),
+  );
+
+/** { id: text } read from the catalogues the same way: localisedMap("collection", ["beds"]).beds. */
+export const localisedMap = (prefix, ids) =>
+  Object.defineProperties({}, Object.fromEntries(ids.map((id) => [id, { get: () => t(`${prefix}.${id}`), enumerable: true }])));
+
+/** Keys in `base` with no text in `other`; plural forms count as their base key. */
+export const missingKeys = (base, other) => {
+  const stem = (k) => k.replace(/_(zero|one|two|few|many|other)$/, "");
+  const have = new Set(Object.keys(other).filter((k) => other[k]).map(stem));
+  return Array.from(new Set(Object.keys(base).map(stem))).filter((k) => !have.has(k));
+};
+
+/** Untranslated keys for a locale (always none for English). */
+export const untranslated = (id) => (id === DEFAULT_LOCALE || !isLocale(id) ? [] : missingKeys(CATALOGUES[DEFAULT_LOCALE], CATALOGUES[id]));
+
+// --------------------- Dates ------------------------------
+// Month names come from the catalogues rather than Intl, which
+// has no te reo month names in most browsers.
+
+/** 1-based month → "Oct" ("long" → "October"). */
+export const monthName = (m, style = "short") => t(`month.${style}.${m}`);
+
+/** ISO date → "19 Oct 2026" in the current locale. */
+export const formatDate = (iso, style = "short") =>
+  iso ? t(`date.${style}`, { day: Number(iso.slice(8, 10)), month: monthName(Number(iso.slice(5, 7)), style), year: iso.slice(0, 4) }) : "";
+
+/** A timestamp (ms or Date) → local date and time, "19 Oct 2026, 3:05 pm". */
+export const formatDateTime = (when) => {
+  const d = new Date(when);
+  const iso = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  return t("date.withTime", { date: formatDate(iso), time: d.toLocaleTimeString(intlFor(current), { hour: "numeric", minute: "2-digit" }) });
+};
@@ -0,0 +1,101 @@
+import { daysBetween } from "./dates";
+import { varietyOf } from "./catalogue";
+import { localised, localisedMap } from "./i18n";
+
+// ------------------------------------------------------------
+// Learn catalogue timings from harvest history. Each finished
+// planting with harvests gives one sample of "days to first
+// harvest" and "days of harvest"; per plant type the median
+// becomes a suggested catalogue value.
+// ------------------------------------------------------------
+
+export const MIN_SAMPLES = 3;
+// Differences smaller than this aren't worth a suggestion.
+const MIN_CHANGE_DAYS = 3;
+
+export const DEFAULT_LEARNING = { byBed: false, bySeason: false, rejected: [] };
+
+export const SOWING_SEASONS = localised("sownIn", [
+  { id: "spring", months: [9, 10, 11] },
+  { id: "summer", months: [12, 1, 2] },
+  { id: "autumn", months: [3, 4, 5] },
+  { id: "winter", months: [6, 7, 8] },
+]);
+
+export const sowingSeasonOf = (iso) => SOWING_SEASONS.find((s) => s.months.includes(Number(iso.slice(5, 7)))).id;
+
+export const FIELD_LABELS = localisedMap("learnedField", ["maturityDays", "transplantMaturityDays", "harvestWindowDays"]);
+
+const quantile = (sorted, q) => {
+  const i = (sorted.length - 1) * q;
+  const lo = Math.floor(i);
+  return sorted[lo] + (sorted[Math.ceil(i)] - sorted[lo]) * (i - lo);
+};
+
+/** { n, median, p25, p75, min, max } for a list of day counts. */
+export const summarise = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return { n: sorted.length, median: quantile(sorted, 0.5), p25: quantile(sorted, 0.25), p75: quantile(sorted, 0.75), min: sorted[0], max: sorted[sorted.length - 1] };
+};
+
+/**
+ * One sample per finished planting that has harvests:
+ * [{ planting, field, days }] — maturity samples go to transplantMaturityDays for transplants,
+ * and harvest window samples need harvests on at least two different days.
+ * Plantings whose variety overrides a field don't teach the plant type about that field.
+ */
+export const timingSamples = (plantings, harvests, plantTypeById, isFinished) => {
+  const dates = new Map();
+  for (const h of harvests) {
+    const d = dates.get(h.plantingId) || { first: h.date, last: h.date };
+    if (h.date < d.first) d.first = h.date;
+    if (h.date > d.last) d.last = h.date;
+    dates.set(h.plantingId, d);
+  }
+  const samples = [];
+  for (const p of plantings) {
+    const d = dates.get(p.id);
+    const pt = plantTypeById[p.plantTypeId];
+    if (!d || !pt || !isFinished(p)) continue;
+    const variety = varietyOf(pt, p);
+    const transplant = p.method === "transplant";
+    const maturityField = transplant ? "transplantMaturityDays" : "maturityDays";
+    const overrides = (f) => variety?.[f] != null;
+    // Mirrors resolveTiming: a transplant falls back to maturityDays when the type has no transplant figure.
+    const varietyMaturity = transplant ? overrides("transplantMaturityDays") || (overrides("maturityDays") && pt.transplantMaturityDays == null) : overrides("maturityDays");
+    if (!varietyMaturity) samples.push({ planting: p, field: maturityField, days: daysBetween(p.plantedAt, d.first) });
+    // A single picking day says nothing about how long the harvest lasts.
+    if (d.last > d.first && !overrides("harvestWindowDays")) samples.push({ planting: p, field: "harvestWindowDays", days: daysBetween(d.first, d.last) + 1 });
+  }
+  return samples;
+};
+
+/**
+ * Suggested catalogue values, optionally split by bed and/or sowing season:
+ * [{ key, plantTypeId, field, bedId, season, current, suggested, stats }].
+ * `rejected` holds keys the user has turned down; they stay hidden until the suggestion changes.
+ */
+export const suggestTimings = (samples, plantTypeById, { byBed = false, bySeason = false, rejected = [] } = {}) => {
+  const groups = new Map();
+  for (const s of samples) {
+    const bedId = byBed ? s.planting.bedId || null : null;
+    const season = bySeason ? sowingSeasonOf(s.planting.plantedAt) : null;
+    const id = [s.planting.plantTypeId, s.field, bedId, season].join("|");
+    const g = groups.get(id) || { plantTypeId: s.planting.plantTypeId, field: s.field, bedId, season, days: [] };
+    g.days.push(s.days);
+    groups.set(id, g);
+  }
+  const out = [];
+  for (const { days, ...g } of groups.values()) {
+    if (days.length < MIN_SAMPLES) continue;
+    const pt = plantTypeById[g.plantTypeId];
+    const stats = summarise(days);
+    const suggested = Math.max(1, Math.round(stats.median));
+    const current = pt[g.field] ?? (g.field === "transplantMaturityDays" ? pt.maturityDays : null);
+    if (current != null && Math.abs(suggested - current) < MIN_CHANGE_DAYS) continue;
+    const key = `${g.plantTypeId}:${g.field}:${g.bedId ?? ""}:${g.season ?? ""}:${suggested}`;
+    if (rejected.includes(key)) continue;
+    out.push({ key, ...g, current, suggested, stats });
+  }
+  return out;
+};
@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { timingSamples } from "./learning";
+
+const plantTypeById = { potato: { id: "potato", maturityDays: 100, harvestWindowDays: 30, varieties: [] } };
+const plantings = [
+  { id: "p1", plantTypeId: "potato", plantedAt: "2025-09-01" },
+  { id: "p2", plantTypeId: "potato", plantedAt: "2025-09-01" },
+];
+
+describe("timingSamples", () => {
+  it("only learns a harvest window from plantings picked on two or more days", () => {
+    const harvests = [
+      { plantingId: "p1", date: "2025-12-10" },
+      { plantingId: "p1", date: "2025-12-29" },
+      { plantingId: "p2", date: "2025-12-20" },
+      { plantingId: "p2", date: "2025-12-20" },
+    ];
+    const samples = timingSamples(plantings, harvests, plantTypeById, () => true);
+    expect(samples.map((s) => [s.planting.id, s.field, s.days])).toEqual([
+      ["p1", "maturityDays", 100],
+      ["p1", "harvestWindowDays", 20],
+      ["p2", "maturityDays", 110],
+    ]);
+  });
+});
@@ -0,0 +1,871 @@
+// ------------------------------------------------------------
+// English messages — the complete catalogue every other locale
+// falls back to. Keys are "area.name"; "{name}" is filled in by
+// t(), and key_one / key_other are the plural forms for {count}.
+// Run `npm run i18n:check` after adding or renaming keys.
+// ------------------------------------------------------------
+
+export default {
+  // unit
+  "unit.amount": "{amount} {unit}",
+  "unit.kg": "kg",
+  "unit.g": "g",
+  "unit.count": "count",
+  "unit.bunch": "bunch",
+  "unit.bunch_other": "bunches",
+  "unit.punnet": "punnet",
+  "unit.punnet_other": "punnets",
+  "unit.litre": "litre",
+  "unit.litre_other": "litres",
+  "unit.error.notAmount": "\"{text}\" isn't an amount",
+  "unit.error.notPositive": "\"{text}\" isn't a positive amount",
+  "unit.error.noUnit": "No unit",
+  "unit.error.unknown": "Unknown unit \"{unit}\"",
+
+  // sowingKind
+  "sowingKind.direct": "Sow direct",
+  "sowingKind.indoor": "Start indoors",
+  "sowingKind.transplant": "Transplant out",
+
+  // sowingWarning
+  "sowingWarning.direct.never": "{name} isn't usually sown direct.",
+  "sowingWarning.transplant.never": "{name} isn't usually transplanted out.",
+  "sowingWarning.direct.outside": "{name} is usually sown direct in {months} — {month} is outside that window.",
+  "sowingWarning.transplant.outside": "{name} is usually transplanted out in {months} — {month} is outside that window.",
+
+  // month
+  "month.short.1": "Jan",
+  "month.short.2": "Feb",
+  "month.short.3": "Mar",
+  "month.short.4": "Apr",
+  "month.short.5": "May",
+  "month.short.6": "Jun",
+  "month.short.7": "Jul",
+  "month.short.8": "Aug",
+  "month.short.9": "Sep",
+  "month.short.10": "Oct",
+  "month.short.11": "Nov",
+  "month.short.12": "Dec",
+  "month.long.1": "January",
+  "month.long.2": "February",
+  "month.long.3": "March",
+  "month.long.4": "April",
+  "month.long.5": "May",
+  "month.long.6": "June",
+  "month.long.7": "July",
+  "month.long.8": "August",
+  "month.long.9": "September",
+  "month.long.10": "October",
+  "month.long.11": "November",
+  "month.long.12": "December",
+
+  // date
+  "date.short": "{day} {month} {year}",
+  "date.long": "{day} {month} {year}",
+  "date.withTime": "{date}, {time}",
+
+  // season
+  "season.spring": "Spring",
+  "season.summer": "Summer",
+  "season.autumn": "Autumn",
+  "season.winter": "Winter",
+
+  // period
+  "period.growingYear": "{year} growing year",
+  "period.season": "{season} {year}",
+  "period.range": "{from} to {to}",
+  "period.start": "the start",
+  "period.today": "today",
+  "period.all": "All time",
+
+  // common
+  "common.unknown": "Unknown",
+  "common.notes": "Notes",
+  "common.cancel": "Cancel",
+  "common.close": "Close",
+  "common.optional": "optional",
+  "common.save": "Save",
+  "common.add": "Add",
+  "common.noBed": "No bed",
+  "common.to": "to",
+  "common.date": "Date",
+  "common.delete": "Delete",
+  "common.back": "Back",
+  "common.plantType": "Plant type",
+  "common.variety": "Variety",
+  "common.method": "Method",
+  "common.bed": "Bed",
+  "common.days_one": "{count} day",
+  "common.days_other": "{count} days",
+  "common.saveChanges": "Save changes",
+  "common.select": "Select",
+  "common.archive": "Archive",
+  "common.unarchive": "Unarchive",
+  "common.edit": "Edit",
+  "common.apply": "Apply",
+
+  // phase
+  "phase.germinating": "Germinating",
+  "phase.growing": "Growing",
+  "phase.harvest": "In harvest window",
+  "phase.done": "Done",
+
+  // sort
+  "sort.planted-desc": "Newest planted",
+  "sort.planted-asc": "Oldest planted",
+  "sort.harvest-asc": "Next to harvest",
+  "sort.plant": "Plant A–Z",
+  "sort.bed": "Bed A–Z",
+  "sort.date-desc": "Newest first",
+  "sort.date-asc": "Oldest first",
+  "sort.amount-desc": "Largest first",
+
+  // agendaKind
+  "agendaKind.germination": "Germination expected",
+  "agendaKind.firstHarvest": "First harvest",
+  "agendaKind.windowClosing": "Harvest window closes",
+  "agendaKind.overdue": "Ready but nothing logged",
+
+  // observation
+  "observation.emerged": "Emerged",
+  "observation.emerged.count": "Plants up",
+  "observation.thinned": "Thinned",
+  "observation.thinned.count": "Plants left",
+  "observation.transplanted": "Transplanted",
+  "observation.transplanted.count": "Plants moved",
+  "observation.failed": "Failed / lost",
+  "observation.failed.count": "Plants lost (blank = all)",
+  "observation.pest": "Pest / disease seen",
+  "observation.note": "Note",
+
+  // family
+  "family.solanaceae": "Solanaceae (potato, tomato, capsicum)",
+  "family.fabaceae": "Fabaceae (beans, peas)",
+  "family.brassicaceae": "Brassicaceae (broccoli, cabbage)",
+  "family.apiaceae": "Apiaceae (carrot, parsley)",
+  "family.amaranthaceae": "Amaranthaceae (silverbeet, beetroot)",
+  "family.asteraceae": "Asteraceae (lettuce)",
+  "family.alliaceae": "Alliaceae (onion, garlic)",
+  "family.cucurbitaceae": "Cucurbitaceae (pumpkin, courgette)",
+  "family.poaceae": "Poaceae (sweetcorn)",
+  "family.convolvulaceae": "Convolvulaceae (kūmara)",
+  "family.none": "No family",
+
+  // sownIn
+  "sownIn.spring": "Spring sown",
+  "sownIn.summer": "Summer sown",
+  "sownIn.autumn": "Autumn sown",
+  "sownIn.winter": "Winter sown",
+
+  // learnedField
+  "learnedField.maturityDays": "Maturity",
+  "learnedField.transplantMaturityDays": "Maturity from transplant",
+  "learnedField.harvestWindowDays": "Harvest window",
+
+  // bedType
+  "bedType.raised": "Raised bed",
+  "bedType.tunnelhouse": "Tunnelhouse",
+  "bedType.open": "Open ground",
+
+  // dateFormat
+  "dateFormat.dmy": "dd/mm/yyyy (NZ)",
+  "dateFormat.mdy": "mm/dd/yyyy (US)",
+  "dateFormat.ymd": "yyyy-mm-dd",
+
+  // csvField
+  "csvField.plant": "Plant",
+  "csvField.date": "Harvest date",
+  "csvField.amount": "Amount",
+  "csvField.unit": "Unit",
+  "csvField.bed": "Bed / location",
+  "csvField.notes": "Notes",
+  "csvField.plantedAt": "Planted",
+  "csvField.quantity": "Quantity",
+  "csvField.method": "Method",
+
+  // csvImport
+  "csvImport.noPlant": "No plant name",
+  "csvImport.notDate": "\"{text}\" isn't a date",
+  "csvImport.harvest": "{amount} {unit} on {date}",
+  "csvImport.harvestNewPlanting": "{amount} {unit} on {date} (new planting)",
+  "csvImport.notQuantity": "\"{text}\" isn't a whole number of plants",
+  "csvImport.unknownMethod": "Unknown method \"{text}\"",
+  "csvImport.planting": "{quantity} planted {date}",
+  "csvImport.addedNote": "Added by CSV import",
+
+  // importMode
+  "importMode.merge": "Merge by id",
+  "importMode.merge.hint": "Add new records, update matching ones, ask about conflicts.",
+  "importMode.append": "Append as new",
+  "importMode.append.hint": "Add every planting and harvest as a new record — for combining someone else's log.",
+  "importMode.replace": "Replace",
+  "importMode.replace.hint": "Throw away current plant types, beds, plantings and harvests and use the backup's.",
+
+  // collection
+  "collection.plantTypes": "plant types",
+  "collection.beds": "beds",
+  "collection.plantings": "plantings",
+  "collection.harvests": "harvests",
+
+  // backup
+  "backup.notBackup": "The file isn't a Kai Keeper backup (expected a JSON object).",
+  "backup.missing": "missing",
+  "backup.got": "{rule} — got {value}",
+  "backup.usedTwice": "\"{id}\" is used twice",
+  "backup.rule.list": "must be a list",
+  "backup.rule.object": "must be an object",
+  "backup.rule.id": "must be a non-empty string",
+  "backup.rule.name": "needs a name",
+  "backup.rule.days": "must be a number of days",
+  "backup.rule.daysAboveZero": "must be a number of days above 0",
+  "backup.rule.optionalDays": "must be empty or a number of days",
+  "backup.rule.unit": "must be one of {units}",
+  "backup.rule.unitWeights": "must map units to kg each",
+  "backup.rule.aliases": "must map languages to names",
+  "backup.rule.varieties": "must be a list of { id, name }",
+  "backup.rule.width": "must be a width in metres",
+  "backup.rule.length": "must be a length in metres",
+  "backup.rule.plantTypeId": "must be a plant type id",
+  "backup.rule.date": "must be a date (YYYY-MM-DD)",
+  "backup.rule.quantity": "must be a whole number of at least 1",
+  "backup.rule.method": "must be \"direct\" or \"transplant\"",
+  "backup.rule.bedId": "must be a bed id or empty",
+  "backup.rule.observations": "must be a list of dated observations",
+  "backup.rule.plantingId": "must be a planting id",
+  "backup.rule.amount": "must be a number above 0",
+  "backup.unknownTypes_one": "{count} planting uses a plant type that isn't in the backup; it'll show as \"Unknown\" unless you already have it.",
+  "backup.unknownTypes_other": "{count} plantings use a plant type that isn't in the backup; they'll show as \"Unknown\" unless you already have it.",
+  "backup.orphans_one": "{count} harvest belongs to a planting that isn't in the backup; it'll count in totals but not against a planting.",
+  "backup.orphans_other": "{count} harvests belong to a planting that isn't in the backup; they'll count in totals but not against a planting.",
+
+  // sync
+  "sync.error.timeout": "The sync server didn't answer in time.",
+  "sync.error.unreachable": "Couldn't reach the sync server ({message}).",
+  "sync.error.token": "The sync server turned down the access token.",
+  "sync.error.status": "The sync server answered {status}.",
+  "sync.title": "Sync between devices",
+  "sync.now": "Sync now",
+  "sync.server": "Sync server",
+  "sync.token": "Access token",
+  "sync.turnOff": "Turn off",
+  "sync.auto": "Sync automatically (on start, every hour, when back online and shortly after changes)",
+  "sync.thisDevice": "This device: {id}",
+  "sync.lastSynced": "last synced {when}",
+  "sync.never": "not synced yet",
+  "sync.pending_one": "{count} change waiting to send",
+  "sync.pending_other": "{count} changes waiting to send",
+  "sync.sharedHint": "Plant types, beds, plantings and harvests are shared; Trash, reminders, restore points and settings stay on each device.",
+  "sync.gardenHint": "Each garden syncs on its own — give each a different address (…:8787/mara-kai).",
+  "sync.serverHint": "Run {command} on a computer at home for a server to try it with.",
+  "sync.conflicts_one": "{count} conflict to review",
+  "sync.conflicts_other": "{count} conflicts to review",
+  "sync.conflictsHint": "Both devices changed these. The later change was kept; pick the other one if that's wrong.",
+  "sync.keepLocal": "Keep this device's",
+  "sync.keepRemote": "Keep other device's",
+  "sync.deletedRemotely": "Deleted on the other device, edited on this one.",
+  "sync.deletedLocally": "Deleted on this device, edited on the other.",
+  "sync.local": "This device",
+  "sync.remote": "Other device",
+  "sync.error.gardenChanged": "Sync stopped: another garden was opened.",
+  "sync.pulled_one": "Synced {count} change from other devices",
+  "sync.pulled_other": "Synced {count} changes from other devices",
+  "sync.conflictsToReview_one": "{count} conflict to review in Settings",
+  "sync.conflictsToReview_other": "{count} conflicts to review in Settings",
+  "sync.record.planting": "Planting: {name}, {date}",
+
+  // storage
+  "storage.newerSchema": "Stored data is from a newer Kai Keeper (schema v{version}); please update the app.",
+
+  // validate
+  "validate.plantType": "Choose a plant type",
+  "validate.variety": "That variety no longer exists",
+  "validate.method": "Choose direct sow or transplant",
+  "validate.date": "Enter a valid date",
+  "validate.dateTooFar": "Date is more than a year away",
+  "validate.quantity": "Must be a whole number, 1 or more",
+  "validate.amount": "Amount must be more than 0",
+  "validate.beforePlanting": "Harvest is before the planting date",
+  "validate.unit": "Choose a unit",
+  "validate.bedName": "Give the bed a name",
+  "validate.bedNameTaken": "There's already a bed called \"{name}\"",
+
+  // region
+  "region.oppositeCorner": "Now click the opposite corner.",
+  "region.size": "{w} × {h} m at {x}, {y} m",
+  "region.wholeHint": "Whole bed — click two corners to use part of it.",
+  "region.whole": "Whole bed",
+
+  // plan
+  "plan.title": "Garden Plan",
+  "plan.bedName": "Bed name",
+  "plan.addBed": "Bed",
+  "plan.empty": "No beds yet — add one to start your plan.",
+  "plan.hint": "Drag beds to arrange them (snaps to {grid} m). Shaded areas are planted on {date}.",
+  "plan.bed": "Bed",
+  "plan.name": "Name",
+  "plan.type": "Type",
+  "plan.width": "Width (m)",
+  "plan.length": "Length (m)",
+  "plan.deleteBed": "Delete bed",
+  "plan.inTheGround": "In the ground — {date}",
+  "plan.bedEmpty": "empty",
+
+  // rotation
+  "rotation.title": "Rotation plan — {season}",
+  "rotation.noBeds": "Add beds to plan your rotation.",
+  "rotation.bed": "Bed",
+  "rotation.suggested": "Suggested next",
+  "rotation.rest": "Rest it or grow an unrelated family",
+  "rotation.avoid": "Avoid {families}",
+  "rotation.hint_one": "Seasons run July–June. Suggestions follow solanaceae → legumes → brassicas → roots, skipping families grown in the bed in the last {count} year.",
+  "rotation.hint_other": "Seasons run July–June. Suggestions follow solanaceae → legumes → brassicas → roots, skipping families grown in the bed in the last {count} years.",
+
+  // csv
+  "csv.title": "Import CSV",
+  "csv.rowsAre": "Rows are",
+  "csv.harvests": "Harvests",
+  "csv.plantings": "Plantings",
+  "csv.datesLookLike": "Dates look like",
+  "csv.file": "File",
+  "csv.choose": "Choose .csv",
+  "csv.columns": "Columns",
+  "csv.column": "Column {n}",
+  "csv.chooseColumn": "Choose a column for {fields}.",
+  "csv.unitsHint": "Units can be a column or part of the amount (\"1.2kg\", \"500 g\", \"6 each\", \"2 bunches\"); with no unit the plant's default is used.",
+  "csv.matched": "{count} matched to your plants",
+  "csv.created": "{count} with a new plant type",
+  "csv.rejected": "{count} rejected",
+  "csv.line": "Line",
+  "csv.plant": "Plant",
+  "csv.result": "Result",
+  "csv.details": "Details",
+  "csv.status.match": "Matched",
+  "csv.status.create": "New plant type",
+  "csv.status.reject": "Rejected",
+  "csv.alsoAdds": "Will also add {types} and {beds}.",
+  "csv.alsoAddsHarvests": "Will also add {types} and {beds}, and {plantings} for harvests with no matching planting.",
+  "csv.plantTypes_one": "{count} plant type",
+  "csv.plantTypes_other": "{count} plant types",
+  "csv.beds_one": "{count} bed",
+  "csv.beds_other": "{count} beds",
+  "csv.newPlantings_one": "{count} planting",
+  "csv.newPlantings_other": "{count} plantings",
+  "csv.importRows_one": "Import {count} row",
+  "csv.importRows_other": "Import {count} rows",
+
+  // json
+  "json.plantingPlanted": "{name} planted {date}",
+  "json.harvestOn": "{amount} on {date}",
+  "json.items_one": "{count} item",
+  "json.items_other": "{count} items",
+  "json.title": "Import {name}",
+  "json.cantImport": "This file can't be imported. Nothing has been changed.",
+  "json.toAdd": "{count} to add",
+  "json.toUpdate": "{count} to update",
+  "json.conflicts_one": "{count} conflict",
+  "json.conflicts_other": "{count} conflicts",
+  "json.unchanged": "{count} already here",
+  "json.skipped": "{count} skipped (in Trash)",
+  "json.removes": "Removes {list}.",
+  "json.conflictsTitle": "Conflicts — same record, different values",
+  "json.keepAllMine": "Keep all mine",
+  "json.useAllTheirs": "Use all from file",
+  "json.keepMine": "Keep mine",
+  "json.useTheirs": "Use file's",
+  "json.field": "Field",
+  "json.mine": "Mine",
+  "json.file": "File",
+  "json.restoreHint": "A restore point is saved first — Settings → Backup & Restore can roll the import back.",
+  "json.replace": "Replace my data",
+  "json.importRecords_one": "Import {count} record",
+  "json.importRecords_other": "Import {count} records",
+
+  // gardens
+  "gardens.title": "Gardens",
+  "gardens.hint": "Each garden has its own catalogue, beds, plantings, harvests, settings, restore points and sync server — reports only ever count the open one.",
+  "gardens.open": "Open",
+  "gardens.export": "Export this garden as JSON",
+  "gardens.delete": "Delete garden",
+  "gardens.new": "New garden",
+  "gardens.newPlaceholder": "e.g. Māra kai",
+  "gardens.catalogueFrom": "Start its catalogue from",
+  "gardens.builtIn": "Built-in plant types",
+  "gardens.copyOf": "A copy of {name}",
+  "gardens.copyTitle": "Copy plant types between gardens",
+  "gardens.from": "From",
+  "gardens.to": "To",
+  "gardens.copyHint": "Entries with the same name are overwritten with the copied settings.",
+  "gardens.copy_one": "Copy {count} plant type",
+  "gardens.copy_other": "Copy {count} plant types",
+  "gardens.added": "Added {name} — open it from the header or below.",
+  "gardens.confirmDelete": "Delete {name} and everything in it? Export it first if you might want it back — this can't be undone.",
+  "gardens.copied": "{label}: {added} added, {replaced} updated",
+  "gardens.untitled": "Untitled garden",
+  "gardens.addOption": "＋ Add a garden…",
+  "gardens.defaultName": "My garden",
+  "gardens.switch": "Garden",
+
+  // count
+  "count.plantings_one": "{count} planting",
+  "count.plantings_other": "{count} plantings",
+  "count.harvests_one": "{count} harvest",
+  "count.harvests_other": "{count} harvests",
+  "count.harvestRecords_one": "{count} harvest record",
+  "count.harvestRecords_other": "{count} harvest records",
+
+  // query
+  "query.search": "Search plants, beds and notes",
+  "query.allPlants": "All plants",
+  "query.allBeds": "All beds",
+  "query.anyStage": "Any stage",
+  "query.show.active": "Not archived",
+  "query.show.archived": "Archived only",
+  "query.show.all": "Archived too",
+  "query.shownOf": "{shown} of {total}",
+  "query.clear": "Clear filters",
+  "query.planted": "Planted",
+  "query.harvested": "Harvested",
+
+  // pick
+  "pick.title": "Today's pick",
+  "pick.empty": "Nothing is in its harvest window right now.",
+  "pick.seeTracker": "See the tracker",
+  "pick.through": "harvest window {pct}% through",
+  "pick.last": "last {amount} on {date}",
+  "pick.notYet": "not picked yet",
+  "pick.amount": "amount",
+  "pick.sameAsLast": "Same as last",
+  "pick.filled": "{filled} of {total} filled in",
+  "pick.save_one": "Save {count} harvest",
+  "pick.save_other": "Save {count} harvests",
+  "pick.saveNone": "Save harvests",
+
+  // bulk
+  "bulk.selected": "{what} selected",
+  "bulk.selectAll": "Select all {count} shown",
+  "bulk.clear": "Clear",
+  "bulk.archive_one": "Archive {count} planting",
+  "bulk.archive_other": "Archive {count} plantings",
+  "bulk.unarchive_one": "Unarchive {count} planting",
+  "bulk.unarchive_other": "Unarchive {count} plantings",
+  "bulk.move_one": "Move to {bed}: {count} planting",
+  "bulk.move_other": "Move to {bed}: {count} plantings",
+  "bulk.noBed": "no bed",
+  "bulk.retype_one": "Change to {name}: {count} planting",
+  "bulk.retype_other": "Change to {name}: {count} plantings",
+  "bulk.confirmDelete": "Delete {plantings}? {harvests} will move to Trash with them.",
+  "bulk.deletePlantings_one": "Delete {count} planting",
+  "bulk.deletePlantings_other": "Delete {count} plantings",
+  "bulk.deleteHarvests_one": "Delete {count} harvest",
+  "bulk.deleteHarvests_other": "Delete {count} harvests",
+  "bulk.moveHarvests_one": "Move to {name} planting: {count} harvest",
+  "bulk.moveHarvests_other": "Move to {name} planting: {count} harvests",
+  "bulk.autoArchive_one": "Auto-archive {count} finished planting",
+  "bulk.autoArchive_other": "Auto-archive {count} finished plantings",
+  "bulk.moveToBed": "Move to bed…",
+  "bulk.changeType": "Change plant type…",
+  "bulk.moveToPlanting": "Move to planting…",
+
+  // autoArchive
+  "autoArchive.before": "Archive plantings whose harvest window ended more than",
+  "autoArchive.after": "days ago",
+  "autoArchive.none": "None to archive",
+  "autoArchive.archive": "Archive {count}",
+
+  // reportFilter
+  "reportFilter.growing": "Growing year (Jul–Jun)",
+  "reportFilter.season": "Season",
+  "reportFilter.range": "Date range",
+  "reportFilter.show": "Show harvests",
+  "reportFilter.byUnit": "by unit (kg, count, bunch…)",
+  "reportFilter.asKg": "all as kg (with estimates)",
+
+  // compare
+  "compare.title": "Compare gardens",
+  "compare.loading": "Loading gardens…",
+  "compare.garden": "Garden",
+  "compare.plantings": "Plantings",
+  "compare.harvests": "Harvests",
+  "compare.kg": "kg weighed",
+  "compare.estimatedKg": "kg estimated",
+  "compare.unweighed": "Not weighed",
+  "compare.hint": "Plants are matched by name across gardens; plantings count by sowing date, harvests by harvest date. Estimated kg uses each garden's average weights per count, bunch, punnet or litre; harvests in a unit with no weight set are left out of the kg figures.",
+  "compare.empty": "No harvests with a weight to compare.",
+  "compare.series": "{name} (kg, incl. estimates)",
+
+  // observe
+  "observe.error.date": "Enter a valid date.",
+  "observe.error.beforePlanting": "That's before it was planted.",
+  "observe.error.negative": "Count can't be negative.",
+  "observe.error.note": "Add a note about what you saw.",
+  "observe.title": "Observations — {name}",
+  "observe.summary": "Planted {date} • {growing} of {planted} plants growing",
+  "observe.what": "What",
+  "observe.log": "Log it",
+  "observe.empty": "Nothing logged yet.",
+
+  // method
+  "method.direct": "Direct sow",
+  "method.transplant": "Transplant",
+
+  // succession
+  "succession.note": "Succession {n} of {count}",
+  "succession.title": "Succession Planner",
+  "succession.start": "First sowing",
+  "succession.every": "Every (days)",
+  "succession.sowings": "Sowings",
+  "succession.qty": "Qty per sowing",
+  "succession.gapsRow": "Supply gaps",
+  "succession.continuous": "Harvest windows overlap — continuous supply from {date}.",
+  "succession.gaps_one": "{count} gap with nothing to pick ({list}).",
+  "succession.gaps_other": "{count} gaps with nothing to pick ({list}).",
+  "succession.tryEvery": "Try sowing every {count} days or less.",
+  "succession.create_one": "Create {count} planting",
+  "succession.create_other": "Create {count} plantings",
+
+  // history
+  "history.undone": "Undone: {label}",
+  "history.redone": "Redone: {label}",
+  "history.editPlanting": "Edit planting",
+  "history.addPlanting": "Add planting",
+  "history.editHarvest": "Edit harvest",
+  "history.logHarvest": "Log harvest",
+  "history.addBed": "Add bed {name}",
+  "history.editBed": "Edit bed {name}",
+  "history.deleteBed": "Delete bed {name}",
+  "history.addSuccession_one": "Add {count} {name} planting",
+  "history.addSuccession_other": "Add {count} {name} plantings",
+  "history.deletePlanting": "Delete {name} planting",
+  "history.deleteHarvest": "Delete harvest",
+  "history.logObservation": "Log {what}",
+  "history.deleteObservation": "Delete observation",
+  "history.archivePlanting": "Archive planting",
+  "history.unarchivePlanting": "Unarchive planting",
+  "history.restore": "Restore {label}",
+  "history.purge": "Delete forever",
+  "history.emptyTrash": "Empty trash",
+  "history.logHarvests_one": "Log {count} harvest",
+  "history.logHarvests_other": "Log {count} harvests",
+  "history.keepLocal": "Keep this device's {label}",
+  "history.keepRemote": "Keep the other device's {label}",
+  "history.copyCatalogue_one": "Copy {count} plant type to {garden}",
+  "history.copyCatalogue_other": "Copy {count} plant types to {garden}",
+  "history.importCsv_one": "Import {count} row from CSV",
+  "history.importCsv_other": "Import {count} rows from CSV",
+  "history.importJson": "Import {name} ({mode})",
+  "history.restoreData": "Restore data from {when}",
+  "history.resetCatalogue": "Reset catalogue to defaults",
+  "history.addPlantType": "Add {name}",
+  "history.editPlantType": "Edit {name}",
+  "history.deletePlantType": "Delete {name}",
+  "history.useLearned": "Use learned {field} for {name}",
+  "history.undo": "Undo",
+  "history.redo": "Redo",
+  "history.undoShortcut": "Undo (Ctrl+Z)",
+  "history.redoShortcut": "Redo (Ctrl+Shift+Z)",
+
+  // harvest
+  "harvest.error.amount": "{error} — try \"1.2\", \"1.2kg\" or \"12 heads\"",
+  "harvest.logTitle": "Log harvest — {name}",
+  "harvest.editTitle": "Edit harvest — {name}",
+  "harvest.amount": "Amount",
+  "harvest.amountPlaceholder": "e.g., 1.2kg or 12 heads",
+  "harvest.unit": "Unit",
+  "harvest.estimate": "≈ {kg} kg estimated, at {each} kg per {unit}",
+  "harvest.noWeight": "No average weight per {unit} for this plant yet — set one in the catalogue to include it in kg reports.",
+  "harvest.notesPlaceholder": "e.g., first pick of the season, great size",
+  "harvest.save": "Save harvest",
+
+  // beds
+  "beds.confirmDelete_one": "{count} planting is in {name}. It'll show \"No bed\" until you restore the bed from Trash. Delete anyway?",
+  "beds.confirmDelete_other": "{count} plantings are in {name}. They'll show \"No bed\" until you restore the bed from Trash. Delete anyway?",
+  "beds.newPrompt": "New bed name (e.g., Bed A, Tunnelhouse, Pā gardens)",
+  "beds.newOption": "+ New bed…",
+
+  // tracker
+  "tracker.confirmDelete_one": "Delete this {name} planting? Its {count} harvest record will move to Trash with it.",
+  "tracker.confirmDelete_other": "Delete this {name} planting? Its {count} harvest records will move to Trash with it.",
+  "tracker.title": "Tracker",
+  "tracker.new": "New Planting",
+  "tracker.empty": "No plantings yet — add your first in the {tab} tab.",
+  "tracker.noMatch": "No plantings match.",
+  "tracker.showAll": "Show everything",
+  "tracker.succession": "Succession {n}",
+  "tracker.archived": "Archived",
+  "tracker.transplanted": "Transplanted {date}",
+  "tracker.sown": "Sown {date}",
+  "tracker.part": "(part)",
+  "tracker.qty": "Qty {qty}",
+  "tracker.qtyOf": "Qty {growing} of {planted}",
+  "tracker.log": "Log",
+  "tracker.harvest": "Harvest",
+  "tracker.model.gdd": "Estimated from accumulated heat for your climate region",
+  "tracker.model.days": "Estimated from fixed day counts",
+  "tracker.emerged": "Emerged {date}",
+  "tracker.germination": "Germination ({from}–{to})",
+  "tracker.growth": "Growth → first harvest ~ {date}",
+  "tracker.window": "Harvest window until ~ {date}",
+  "tracker.elapsed_one": "Elapsed {count} day",
+  "tracker.elapsed_other": "Elapsed {count} days",
+  "tracker.heatBased": "heat-based estimate",
+  "tracker.notes": "Notes: {notes}",
+  "tracker.heatShortfall": "Your climate region may not get warm enough for this crop — showing a fixed-day estimate.",
+  "tracker.lastSeen": "Last seen {date}: {what} ({count} logged)",
+
+  // trash
+  "trash.plantType": "Plant type: {name}",
+  "trash.planting": "Planting: {name} • planted {date}",
+  "trash.bed": "Bed: {name}",
+  "trash.harvest": "Harvest: {amount} on {date}",
+  "trash.confirmPurge": "Permanently delete \"{label}\"?",
+  "trash.confirmEmpty_one": "Permanently delete the {count} item in Trash?",
+  "trash.confirmEmpty_other": "Permanently delete all {count} items in Trash?",
+  "trash.title": "Trash",
+  "trash.retention": "Keep deleted items for (days)",
+  "trash.empty": "Trash is empty.",
+  "trash.dates": "Deleted {deleted} • gone for good after {expires}",
+  "trash.includes_one": "includes {count} harvest",
+  "trash.includes_other": "includes {count} harvests",
+
+  // agenda
+  "agenda.notify.line": "{name}: {what} {when}",
+  "agenda.today": "today",
+  "agenda.notify.title_one": "{count} garden reminder",
+  "agenda.notify.title_other": "{count} garden reminders",
+  "agenda.notify.blocked": "Notifications are blocked — allow them in your browser's site settings.",
+  "agenda.group.overdue": "Needs attention",
+  "agenda.group.now": "Now",
+  "agenda.group.week": "Next 7 days",
+  "agenda.group.later": "Later",
+  "agenda.title": "Agenda",
+  "agenda.showHidden": "Show {count} hidden",
+  "agenda.empty_one": "Nothing due in the next {count} day.",
+  "agenda.empty_other": "Nothing due in the next {count} days.",
+  "agenda.expectedFrom": "Expected from {date}",
+  "agenda.planted": "Planted {date}",
+  "agenda.tomorrow": "Tomorrow",
+  "agenda.nextWeek": "+1 week",
+  "agenda.dismiss": "Dismiss",
+  "agenda.hint_one": "Dates are estimates for plantings that aren't archived. \"{overdue}\" appears {count} day after the expected first harvest.",
+  "agenda.hint_other": "Dates are estimates for plantings that aren't archived. \"{overdue}\" appears {count} days after the expected first harvest.",
+
+  // jsonImport
+  "jsonImport.notJson": "Not valid JSON: {error}",
+
+  // restore
+  "restore.beforeImport": "Before importing {name}",
+  "restore.confirm": "Restore the data from {when} ({label})? Changes since then are lost, but you can undo this.",
+  "restore.beforeRestore": "Before restoring {when}",
+  "restore.daily": "Daily restore point",
+  "restore.beforeReset": "Before resetting the catalogue",
+  "restore.title": "Restore points",
+  "restore.manual": "Saved by hand",
+  "restore.saveNow": "Save one now",
+  "restore.daily.toggle": "Save one every day",
+  "restore.keep": "Keep the last",
+  "restore.hint": "Also saved before every import, catalogue reset and restore. Compared with now: + comes back, − goes, ~ changes back.",
+  "restore.empty": "No restore points yet.",
+  "restore.collectionCount": "{count} {what}",
+  "restore.vsNow": "vs now: {changes}",
+  "restore.sameAsNow": "Same as now",
+  "restore.download": "Download as JSON",
+  "restore.restore": "Restore",
+
+  // catalogue
+  "catalogue.alreadyDefaults": "The built-in plant types already match the defaults.",
+  "catalogue.reset.title": "Reset built-in plant types",
+  "catalogue.reset.restore": "Restore ({count})",
+  "catalogue.reset.update": "Update ({count})",
+  "catalogue.reset.kept": "Kept as is: {builtIn} built-in, {custom} of your own. Plantings stay linked to their plant types.",
+  "catalogue.confirmDelete_one": "{count} planting uses {name}. It'll show as \"{unknown}\" until you restore the plant type from Trash. Delete anyway?",
+  "catalogue.confirmDelete_other": "{count} plantings use {name}. They'll show as \"{unknown}\" until you restore the plant type from Trash. Delete anyway?",
+  "catalogue.newVariety": "New variety",
+  "catalogue.confirmRemoveVariety_one": "{count} planting uses this variety. It'll fall back to the {name} defaults. Remove it?",
+  "catalogue.confirmRemoveVariety_other": "{count} plantings use this variety. They'll fall back to the {name} defaults. Remove it?",
+  "catalogue.title": "Plant Catalogue",
+  "catalogue.resetDefaults": "Reset to defaults",
+  "catalogue.builtIn": "Built-in",
+  "catalogue.alias": "Name in {language}",
+  "catalogue.germMin": "Germ min",
+  "catalogue.germMax": "Germ max",
+  "catalogue.maturity": "Maturity",
+  "catalogue.harvestWindow": "Harvest window",
+  "catalogue.defaultUnit": "Default unit",
+  "catalogue.family": "Family",
+  "catalogue.usually": "Usually",
+  "catalogue.directSown": "Direct sown",
+  "catalogue.transplanted": "Transplanted",
+  "catalogue.transplantMaturity": "Maturity from transplant (days)",
+  "catalogue.sameAsMaturity": "same as maturity",
+  "catalogue.inRowSpacing": "In-row spacing (cm)",
+  "catalogue.rowSpacing": "Row spacing (cm)",
+  "catalogue.yieldPerPlant": "Yield / plant ({unit})",
+  "catalogue.yieldPerM2": "Yield / m² ({unit})",
+  "catalogue.kgPer": "kg per {unit}",
+  "catalogue.baseTemp": "Base temp (°C)",
+  "catalogue.gddGermination": "GDD to emerge",
+  "catalogue.gddMaturity": "GDD to first harvest",
+  "catalogue.gddHarvestWindow": "GDD harvest window",
+  "catalogue.sowingMonths": "Sowing months",
+  "catalogue.varieties": "Varieties",
+  "catalogue.addVariety": "Add variety",
+  "catalogue.name": "Name",
+  "catalogue.varietyYield": "Yield/plant",
+  "catalogue.removeVariety": "Remove variety",
+  "catalogue.remove": "Remove",
+  "catalogue.addTitle": "Add Plant Type",
+  "catalogue.namePlaceholder": "e.g., Kawakawa",
+  "catalogue.draftYieldPerPlant": "Yield / plant",
+  "catalogue.draftYieldPerM2": "Yield / m²",
+  "catalogue.addType": "Add Type",
+
+  // plant
+  "plant.addTitle": "Add a Planting",
+  "plant.editTitle": "Edit Planting",
+  "plant.succession": "Succession",
+  "plant.viewTracker": "View Tracker",
+  "plant.cantFind": "Can't find it? Add it in {link}.",
+  "plant.settingsPlants": "Settings → Plants",
+  "plant.transplantedDate": "Transplanted date",
+  "plant.sownDate": "Sown date",
+  "plant.seeCalendar": "See calendar",
+  "plant.rotationClash_one": "{family} ({name}) grew in {bed} on {date} — your rule is {count} year between.",
+  "plant.rotationClash_other": "{family} ({name}) grew in {bed} on {date} — your rule is {count} years between.",
+  "plant.rotationPlan": "Rotation plan",
+  "plant.qty": "Qty planted",
+  "plant.firstHarvestIn_one": "First harvest ~{count} day",
+  "plant.firstHarvestIn_other": "First harvest ~{count} days",
+  "plant.spacing": "Spacing {inRow} cm × {row} cm rows",
+  "plant.expected": "Expected ≈ {amount}",
+  "plant.notesPlaceholder": "Sow depth, seed source, companion plants, etc.",
+  "plant.cancelEdit": "Cancel edit",
+  "plant.clear": "Clear",
+  "plant.add": "Add Planting",
+
+  // nav
+  "nav.plant": "Plant",
+  "nav.track": "Track",
+  "nav.reports": "Reports",
+  "nav.settings": "Settings",
+  "nav.calendar": "Calendar",
+  "nav.garden": "Garden",
+  "nav.harvests": "Harvests",
+
+  // calendar
+  "calendar.sowNow": "Sow now — {month}",
+  "calendar.nothing": "Nothing this month.",
+  "calendar.addPlanting": "Add a planting",
+  "calendar.title": "Sowing Calendar",
+  "calendar.plant": "Plant",
+  "calendar.hint": "Defaults suit the upper/central North Island — edit windows in Settings → Plant Catalogue.",
+
+  // ledger
+  "ledger.title": "Harvest Ledger",
+  "ledger.empty": "No harvests yet. Use the {button} button on any planting in the tracker.",
+  "ledger.noMatch": "No harvests match.",
+  "ledger.selectPage": "Select this page",
+  "ledger.previous": "Previous",
+  "ledger.next": "Next",
+  "ledger.page": "Page {page} of {pages}",
+
+  // reports
+  "reports.periodHint": "{period}: harvest charts count harvests by date; yield and germination tables count plantings sown in the period.",
+  "reports.estimateHint": "≈ marks figures that include estimates — counts, bunches, punnets and litres converted with each plant's average weight (set in the catalogue).",
+  "reports.leftOut": "Left out, with no average weight: {list}.",
+  "reports.leftOutItem_one": "{name} ({count} {unit} harvest)",
+  "reports.leftOutItem_other": "{name} ({count} {unit} harvests)",
+  "reports.byMonth": "Harvest by Month ({unit})",
+  "reports.noMonthly": "No {unit}-based harvest data yet.",
+  "reports.kgEstimated": "≈ kg estimated",
+  "reports.byType": "Totals by Plant Type ({unit})",
+  "reports.noByType": "No {unit}-based harvests yet.",
+  "reports.yoy": "Year over Year (kg)",
+  "reports.yoyEstimated": "Year over Year (kg, incl. estimates)",
+  "reports.noYoy": "No kg-based harvests in these months to compare yet.",
+  "reports.perPlanting": "Yield per Planting",
+  "reports.noCrops": "No harvests in these months yet.",
+  "reports.perPlantingCell": "{amount} per planting ({count})",
+  "reports.perPlantCell": "{amount} per plant",
+  "reports.perPlantingHint": "{scope}, counting the plantings harvested from in each. Per plant uses the number planted.",
+  "reports.seasonOnly": "{season} only",
+  "reports.growingYears": "Whole growing years (July–June)",
+  "reports.vsExpected": "Yield vs Expected",
+  "reports.noPlantings": "No plantings yet.",
+  "reports.plants": "Plants",
+  "reports.harvested": "Harvested",
+  "reports.expectedSoFar": "Expected so far",
+  "reports.achieved": "Achieved",
+  "reports.unweighed": "(+{count} not weighed)",
+  "reports.expectedHint": "Expected figures come from the catalogue's yield per plant (or per m² × spacing) and only include plantings that have reached harvest.",
+  "reports.expectedHintKg": "In kg, plants measured by count or bunch use their average weights, so both sides are estimates.",
+  "reports.germination": "Germination",
+  "reports.noGermination": "Log when seedlings emerge (Track → Log) to compare germination with the estimates.",
+  "reports.germRate": "Germination rate",
+  "reports.expectedDays": "Expected days",
+  "reports.actualDays": "Actual days",
+  "reports.emergedOf": "({emerged} of {sown})",
+  "reports.germHint": "Direct-sown plantings with an \"{emerged}\" observation; rates only count observations that include how many came up.",
+
+  // learned
+  "learned.title": "Learned from your harvests",
+  "learned.byBed": "By bed",
+  "learned.bySeason": "By season",
+  "learned.showDismissed": "Show dismissed",
+  "learned.empty": "No suggestions yet — they appear once a plant type has {count} finished (archived or past their window) plantings with harvests and the timings differ from the catalogue.",
+  "learned.change": "{field}: {current} → {suggested} days",
+  "learned.stats": "Median of {n} plantings; middle half {p25}–{p75} days, range {min}–{max}",
+  "learned.use": "Use",
+  "learned.dismiss": "Dismiss",
+  "learned.gddHint": "Heat-based estimates come from the GDD targets; day counts are used where a crop has none.",
+  "learned.splitHint": "Split suggestions are for comparing beds and seasons. The catalogue holds one value per plant type, so untick By bed and By season to use one.",
+
+  // climate
+  "climate.title": "Climate",
+  "climate.useGdd": "Estimate phases from accumulated heat (growing degree days)",
+  "climate.region": "Region",
+  "climate.monthlyMeans": "Monthly mean temperature (°C)",
+  "climate.useRegion": "Use region values",
+  "climate.rotationYears": "Years before the same family goes back in a bed",
+  "climate.hint": "Plant types without a base temperature and GDD targets, or crops that wouldn't get enough heat within two years, fall back to fixed day counts.",
+
+  // backupPanel
+  "backupPanel.title": "Backup & Restore",
+  "backupPanel.exportJson": "Export JSON",
+  "backupPanel.importJson": "Import JSON",
+  "backupPanel.spreadsheets": "Spreadsheets:",
+  "backupPanel.harvests": "Harvests",
+  "backupPanel.plantings": "Plantings",
+  "backupPanel.catalogue": "Catalogue",
+  "backupPanel.importCsv": "Import CSV",
+  "backupPanel.lastImport": "Last import: {when}",
+  "backupPanel.rollBack": "Roll back",
+  "backupPanel.local": "Data is also saved locally in your browser.",
+  "backupPanel.persisted": "The browser has agreed to keep it.",
+  "backupPanel.bestEffort": "The browser may clear it if space runs low — {link} or install the app to your home screen.",
+  "backupPanel.askToKeep": "ask to keep it",
+
+  // remindersPanel
+  "remindersPanel.title": "Reminders",
+  "remindersPanel.horizon": "Agenda looks ahead (days)",
+  "remindersPanel.notifications": "Browser notifications",
+  "remindersPanel.unsupported": "(not supported here)",
+  "remindersPanel.lead": "{kind} — days before",
+  "remindersPanel.hint": "Notifications are checked whenever Kai Keeper is open or brought back to the foreground.",
+
+  // app
+  "app.tagline": "Plant • Track • Harvest • Report",
+  "app.offline": "Offline — changes are saved on this device",
+  "app.updateReady": "A new version of Kai Keeper is ready.",
+  "app.reload": "Reload to update",
+  "app.updateLater": "Later",
+  "app.loadError": "Couldn't load your saved data: {error}. Nothing has been changed.",
+  "app.loading": "Loading your garden…",
+  "app.footer": "Built for Aotearoa growers • Data is stored in this browser • Restore points are kept daily — export a JSON backup to keep a copy elsewhere.",
+
+  // language
+  "language.title": "Language",
+  "language.label": "Show Kai Keeper in",
+  "language.partial_one": "{count} message isn't translated yet and shows in English.",
+  "language.partial_other": "{count} messages aren't translated yet and show in English.",
+  "language.hint": "Applies to every garden on this device. Plant names use the name in this language where the catalogue has one; CSV exports stay in English.",
+};
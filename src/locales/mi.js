@@ -0,0 +1,851 @@
+// ------------------------------------------------------------
+// Te reo Māori messages — every key in ./en.js; a missing one
+// shows in English and fails `npm run i18n:check`. New and
+// changed wording should be reviewed by a fluent speaker before
+// it ships.
+// Plant names are not here — they are catalogue aliases (aliases.mi).
+// ------------------------------------------------------------
+
+export default {
+  // unit
+  "unit.amount": "{amount} {unit}",
+  "unit.kg": "kg",
+  "unit.g": "g",
+  "unit.count": "tatau",
+  "unit.bunch": "paihere",
+  "unit.punnet": "ipu",
+  "unit.litre": "rita",
+  "unit.error.notAmount": "Ehara a \"{text}\" i te rahinga",
+  "unit.error.notPositive": "Ehara a \"{text}\" i te rahinga tōrunga",
+  "unit.error.noUnit": "Kāore he waeine",
+  "unit.error.unknown": "Kāore e mōhiotia te waeine \"{unit}\"",
+
+  // sowingKind
+  "sowingKind.direct": "Whakatō tōtika",
+  "sowingKind.indoor": "Tīmata ki roto",
+  "sowingKind.transplant": "Nuku ki waho",
+
+  // sowingWarning
+  "sowingWarning.direct.never": "Kāore te {name} e whakatōngia tōtikatia i te nuinga o te wā.",
+  "sowingWarning.transplant.never": "Kāore te {name} e nukuhia ki waho i te nuinga o te wā.",
+  "sowingWarning.direct.outside": "Ka whakatōngia tōtikatia te {name} i {months} — kei waho a {month} i taua wā.",
+  "sowingWarning.transplant.outside": "Ka nukuhia te {name} ki waho i {months} — kei waho a {month} i taua wā.",
+
+  // month
+  "month.short.1": "Kohitātea",
+  "month.short.2": "Huitanguru",
+  "month.short.3": "Poutūterangi",
+  "month.short.4": "Paengawhāwhā",
+  "month.short.5": "Haratua",
+  "month.short.6": "Pipiri",
+  "month.short.7": "Hōngongoi",
+  "month.short.8": "Hereturikōkā",
+  "month.short.9": "Mahuru",
+  "month.short.10": "Whiringa-ā-nuku",
+  "month.short.11": "Whiringa-ā-rangi",
+  "month.short.12": "Hakihea",
+  "month.long.1": "Kohitātea",
+  "month.long.2": "Huitanguru",
+  "month.long.3": "Poutūterangi",
+  "month.long.4": "Paengawhāwhā",
+  "month.long.5": "Haratua",
+  "month.long.6": "Pipiri",
+  "month.long.7": "Hōngongoi",
+  "month.long.8": "Hereturikōkā",
+  "month.long.9": "Mahuru",
+  "month.long.10": "Whiringa-ā-nuku",
+  "month.long.11": "Whiringa-ā-rangi",
+  "month.long.12": "Hakihea",
+
+  // date
+  "date.short": "{day} {month} {year}",
+  "date.long": "{day} {month} {year}",
+  "date.withTime": "{date}, {time}",
+
+  // season
+  "season.spring": "Kōanga",
+  "season.summer": "Raumati",
+  "season.autumn": "Ngahuru",
+  "season.winter": "Takurua",
+
+  // period
+  "period.growingYear": "Tau tipu {year}",
+  "period.season": "{season} {year}",
+  "period.range": "{from} ki {to}",
+  "period.start": "te tīmatanga",
+  "period.today": "tēnei rā",
+  "period.all": "Ngā wā katoa",
+
+  // common
+  "common.unknown": "Kāore i te mōhiotia",
+  "common.notes": "Tuhipoka",
+  "common.cancel": "Whakakore",
+  "common.close": "Kati",
+  "common.optional": "kōwhiri noa",
+  "common.save": "Tiaki",
+  "common.add": "Tāpiri",
+  "common.noBed": "Kāore he pārekereke",
+  "common.to": "ki",
+  "common.date": "Rā",
+  "common.delete": "Muku",
+  "common.back": "Hoki",
+  "common.plantType": "Momo tipu",
+  "common.variety": "Momo iti",
+  "common.method": "Tikanga",
+  "common.bed": "Pārekereke",
+  "common.days_one": "{count} rā",
+  "common.days_other": "{count} rā",
+  "common.saveChanges": "Tiaki i ngā panoni",
+  "common.select": "Tīpako",
+  "common.archive": "Whakapūranga",
+  "common.unarchive": "Tango i te pūranga",
+  "common.edit": "Whakatika",
+  "common.apply": "Whakamahia",
+
+  // phase
+  "phase.germinating": "E pihi ana",
+  "phase.growing": "E tipu ana",
+  "phase.harvest": "Kei te wā hauhake",
+  "phase.done": "Kua oti",
+
+  // sort
+  "sort.planted-desc": "Whakatō hou rawa",
+  "sort.planted-asc": "Whakatō tawhito rawa",
+  "sort.harvest-asc": "Hauhake e whai ake",
+  "sort.plant": "Tipu A–Z",
+  "sort.bed": "Pārekereke A–Z",
+  "sort.date-desc": "Hou rawa i te tuatahi",
+  "sort.date-asc": "Tawhito rawa i te tuatahi",
+  "sort.amount-desc": "Nui rawa i te tuatahi",
+
+  // agendaKind
+  "agendaKind.germination": "Ka pihi pea",
+  "agendaKind.firstHarvest": "Hauhake tuatahi",
+  "agendaKind.windowClosing": "Ka kati te wā hauhake",
+  "agendaKind.overdue": "Kua reri, engari kāore anō kia tuhia",
+
+  // observation
+  "observation.emerged": "Kua puta ake",
+  "observation.emerged.count": "Tipu kua puta",
+  "observation.thinned": "Kua whakatāngia",
+  "observation.thinned.count": "Tipu e toe ana",
+  "observation.transplanted": "Kua nukuhia",
+  "observation.transplanted.count": "Tipu kua nukuhia",
+  "observation.failed": "Kua mate / kua ngaro",
+  "observation.failed.count": "Tipu kua ngaro (wātea = katoa)",
+  "observation.pest": "I kitea he riha / he mate",
+  "observation.note": "Tuhipoka",
+
+  // family
+  "family.solanaceae": "Solanaceae (taewa, tōmato, kapikama)",
+  "family.fabaceae": "Fabaceae (pīni, pī)",
+  "family.brassicaceae": "Brassicaceae (porokori, kāpeti)",
+  "family.apiaceae": "Apiaceae (kāreti, pāhiri)",
+  "family.amaranthaceae": "Amaranthaceae (rauwhenua, pīti)",
+  "family.asteraceae": "Asteraceae (rētihi)",
+  "family.alliaceae": "Alliaceae (aniana, kāriki)",
+  "family.cucurbitaceae": "Cucurbitaceae (paukena, kōketi)",
+  "family.poaceae": "Poaceae (kānga)",
+  "family.convolvulaceae": "Convolvulaceae (kūmara)",
+  "family.none": "Kāore he whānau",
+
+  // sownIn
+  "sownIn.spring": "I whakatōngia i te kōanga",
+  "sownIn.summer": "I whakatōngia i te raumati",
+  "sownIn.autumn": "I whakatōngia i te ngahuru",
+  "sownIn.winter": "I whakatōngia i te takurua",
+
+  // learnedField
+  "learnedField.maturityDays": "Pakeke",
+  "learnedField.transplantMaturityDays": "Pakeke mai i te nukunga",
+  "learnedField.harvestWindowDays": "Wā hauhake",
+
+  // bedType
+  "bedType.raised": "Pārekereke hiki",
+  "bedType.tunnelhouse": "Whare kirihou",
+  "bedType.open": "Whenua tuwhera",
+
+  // dateFormat
+  "dateFormat.dmy": "rr/mm/tttt (NZ)",
+  "dateFormat.mdy": "mm/rr/tttt (US)",
+  "dateFormat.ymd": "tttt-mm-rr",
+
+  // csvField
+  "csvField.plant": "Tipu",
+  "csvField.date": "Rā hauhake",
+  "csvField.amount": "Rahinga",
+  "csvField.unit": "Waeine",
+  "csvField.bed": "Pārekereke / wāhi",
+  "csvField.notes": "Tuhipoka",
+  "csvField.plantedAt": "I whakatōngia",
+  "csvField.quantity": "Tatau",
+  "csvField.method": "Tikanga",
+
+  // csvImport
+  "csvImport.noPlant": "Kāore he ingoa tipu",
+  "csvImport.notDate": "Ehara a \"{text}\" i te rā",
+  "csvImport.harvest": "{amount} {unit} i te {date}",
+  "csvImport.harvestNewPlanting": "{amount} {unit} i te {date} (whakatōnga hou)",
+  "csvImport.notQuantity": "Ehara a \"{text}\" i te tau tōpū o ngā tipu",
+  "csvImport.unknownMethod": "Kāore e mōhiotia te tikanga \"{text}\"",
+  "csvImport.planting": "{quantity} i whakatōngia {date}",
+  "csvImport.addedNote": "I tāpirihia e te kawemai CSV",
+
+  // importMode
+  "importMode.merge": "Hanumi mā te id",
+  "importMode.merge.hint": "Tāpirihia ngā pūkete hou, whakahoutia ngā mea ōrite, uia ngā taupatupatu.",
+  "importMode.append": "Tāpiri hei mea hou",
+  "importMode.append.hint": "Tāpirihia ia whakatōnga me ia hauhake hei pūkete hou — hei whakakotahi i te pūkete a tētahi atu.",
+  "importMode.replace": "Whakakapi",
+  "importMode.replace.hint": "Maka atu ngā momo tipu, ngā pārekereke, ngā whakatōnga me ngā hauhake o nāianei, ā, whakamahia ō te taurua.",
+
+  // collection
+  "collection.plantTypes": "momo tipu",
+  "collection.beds": "pārekereke",
+  "collection.plantings": "whakatōnga",
+  "collection.harvests": "hauhake",
+
+  // backup
+  "backup.notBackup": "Ehara te kōnae i te taurua Kai Keeper (i tūmanakohia he ahanoa JSON).",
+  "backup.missing": "kua ngaro",
+  "backup.got": "{rule} — ko {value} kē",
+  "backup.usedTwice": "E rua ngā whakamahinga o \"{id}\"",
+  "backup.rule.list": "me rārangi",
+  "backup.rule.object": "me ahanoa",
+  "backup.rule.id": "me aho kāore i te piako",
+  "backup.rule.name": "me whai ingoa",
+  "backup.rule.days": "me tau rā",
+  "backup.rule.daysAboveZero": "me tau rā nui ake i te 0",
+  "backup.rule.optionalDays": "me wātea, he tau rā rānei",
+  "backup.rule.unit": "me tētahi o {units}",
+  "backup.rule.unitWeights": "me hono ngā waeine ki te kg mō ia mea",
+  "backup.rule.aliases": "me hono ngā reo ki ngā ingoa",
+  "backup.rule.varieties": "me rārangi { id, name }",
+  "backup.rule.width": "me whānui ā-mita",
+  "backup.rule.length": "me roa ā-mita",
+  "backup.rule.plantTypeId": "me id momo tipu",
+  "backup.rule.date": "me rā (YYYY-MM-DD)",
+  "backup.rule.quantity": "me tau tōpū, 1 neke atu",
+  "backup.rule.method": "me \"direct\", me \"transplant\" rānei",
+  "backup.rule.bedId": "me id pārekereke, me wātea rānei",
+  "backup.rule.observations": "me rārangi kitenga whai rā",
+  "backup.rule.plantingId": "me id whakatōnga",
+  "backup.rule.amount": "me tau nui ake i te 0",
+  "backup.unknownTypes_one": "E whakamahi ana te whakatōnga {count} i tētahi momo tipu kāore i te taurua; ka whakaaturia hei \"Kāore i te mōhiotia\" ki te kore anō i a koe.",
+  "backup.unknownTypes_other": "E whakamahi ana ngā whakatōnga {count} i tētahi momo tipu kāore i te taurua; ka whakaaturia hei \"Kāore i te mōhiotia\" ki te kore anō i a koe.",
+  "backup.orphans_one": "Nō tētahi whakatōnga kāore i te taurua te hauhake {count}; ka tatauria ki ngā tapeke engari kāore ki tētahi whakatōnga.",
+  "backup.orphans_other": "Nō tētahi whakatōnga kāore i te taurua ngā hauhake {count}; ka tatauria ki ngā tapeke engari kāore ki tētahi whakatōnga.",
+
+  // sync
+  "sync.error.timeout": "Kāore te tūmau tukutahi i whakautu i te wā tika.",
+  "sync.error.unreachable": "Kāore i taea te toro atu ki te tūmau tukutahi ({message}).",
+  "sync.error.token": "Kua whakakāhoretia te tohu uru e te tūmau tukutahi.",
+  "sync.error.status": "I whakautu te tūmau tukutahi ki te {status}.",
+  "sync.title": "Tukutahi i waenga i ngā pūrere",
+  "sync.now": "Tukutahi ināianei",
+  "sync.server": "Tūmau tukutahi",
+  "sync.token": "Tohu uru",
+  "sync.turnOff": "Whakawetohia",
+  "sync.auto": "Tukutahi aunoa (i te tīmatanga, ia hāora, ina hoki tuihono mai, ā, i muri tata i ngā panoni)",
+  "sync.thisDevice": "Tēnei pūrere: {id}",
+  "sync.lastSynced": "i tukutahi whakamutunga {when}",
+  "sync.never": "kāore anō kia tukutahi",
+  "sync.pending_one": "{count} panoni e tatari ana kia tukuna",
+  "sync.pending_other": "{count} panoni e tatari ana kia tukuna",
+  "sync.sharedHint": "Ka tohaina ngā momo tipu, ngā pārekereke, ngā whakatōnga me ngā hauhake; ka noho te Para, ngā whakamaumahara, ngā ira whakahoki me ngā tautuhinga ki ia pūrere.",
+  "sync.gardenHint": "Ka tukutahi motuhake ia māra — hoatu he wāhitau rerekē ki ia māra (…:8787/mara-kai).",
+  "sync.serverHint": "Whakahaerehia te {command} i tētahi rorohiko i te kāinga hei tūmau hei whakamātau.",
+  "sync.conflicts_one": "{count} taupatupatu hei arotake",
+  "sync.conflicts_other": "{count} taupatupatu hei arotake",
+  "sync.conflictsHint": "I panonitia ēnei e ngā pūrere e rua. I puritia te panoni o muri; kōwhiria tērā atu mēnā he hē tērā.",
+  "sync.keepLocal": "Puritia tā tēnei pūrere",
+  "sync.keepRemote": "Puritia tā tērā atu pūrere",
+  "sync.deletedRemotely": "I mukua i tērā atu pūrere, i whakatikaina i tēnei.",
+  "sync.deletedLocally": "I mukua i tēnei pūrere, i whakatikaina i tērā atu.",
+  "sync.local": "Tēnei pūrere",
+  "sync.remote": "Tērā atu pūrere",
+  "sync.error.gardenChanged": "Kua mutu te tukutahi: i huakina tētahi atu māra.",
+  "sync.pulled_one": "I tukutahia te panoni {count} mai i ētahi atu pūrere",
+  "sync.pulled_other": "I tukutahia ngā panoni {count} mai i ētahi atu pūrere",
+  "sync.conflictsToReview_one": "{count} taupatupatu hei arotake i ngā Tautuhinga",
+  "sync.conflictsToReview_other": "{count} taupatupatu hei arotake i ngā Tautuhinga",
+  "sync.record.planting": "Whakatōnga: {name}, {date}",
+
+  // storage
+  "storage.newerSchema": "Nō tētahi Kai Keeper hou ake ngā raraunga kua tiakina (aronuinga v{version}); whakahoutia te taupānga.",
+
+  // validate
+  "validate.plantType": "Kōwhiria he momo tipu",
+  "validate.variety": "Kua ngaro taua momo iti",
+  "validate.method": "Kōwhiria te whakatō tōtika, te nuku rānei",
+  "validate.date": "Tāurutia he rā tika",
+  "validate.dateTooFar": "Neke atu i te tau te tawhiti o te rā",
+  "validate.quantity": "Me tau tōpū, 1, neke atu rānei",
+  "validate.amount": "Me nui ake te rahinga i te 0",
+  "validate.beforePlanting": "Kei mua te hauhake i te rā whakatō",
+  "validate.unit": "Kōwhiria he waeine",
+  "validate.bedName": "Tapaina te pārekereke",
+  "validate.bedNameTaken": "Kua tapaina kē tētahi pārekereke ko \"{name}\"",
+
+  // region
+  "region.oppositeCorner": "Nā, pāwhiria te kokonga ki tērā taha.",
+  "region.size": "{w} × {h} m kei {x}, {y} m",
+  "region.wholeHint": "Te pārekereke katoa — pāwhiria ngā kokonga e rua kia whakamahia tētahi wāhanga.",
+  "region.whole": "Te pārekereke katoa",
+
+  // plan
+  "plan.title": "Mahere māra",
+  "plan.bedName": "Ingoa pārekereke",
+  "plan.addBed": "Pārekereke",
+  "plan.empty": "Kāore anō he pārekereke — tāpirihia tētahi hei tīmata i tō mahere.",
+  "plan.hint": "Tōia ngā pārekereke hei whakaraupapa (ka hono ki te {grid} m). Ko ngā wāhi kua whakamarumarutia kua whakatōngia i te {date}.",
+  "plan.bed": "Pārekereke",
+  "plan.name": "Ingoa",
+  "plan.type": "Momo",
+  "plan.width": "Whānui (m)",
+  "plan.length": "Roa (m)",
+  "plan.deleteBed": "Muku pārekereke",
+  "plan.inTheGround": "Kei te whenua — {date}",
+  "plan.bedEmpty": "piako",
+
+  // rotation
+  "rotation.title": "Mahere hurihanga — {season}",
+  "rotation.noBeds": "Tāpirihia he pārekereke hei whakamahere i tō hurihanga.",
+  "rotation.bed": "Pārekereke",
+  "rotation.suggested": "Marohi e whai ake",
+  "rotation.rest": "Waiho kia okioki, whakatōngia rānei he whānau kē",
+  "rotation.avoid": "Karo i {families}",
+  "rotation.hint": "Ka rere ngā kaupeka mai i Hōngongoi ki Pipiri. Ka whai ngā marohi i te solanaceae → pīni → brassica → kai pakiaka, me te peke i ngā whānau i tipu ki te pārekereke i ngā tau {count} kua hipa.",
+
+  // csv
+  "csv.title": "Kawemai CSV",
+  "csv.rowsAre": "He aha ngā rārangi",
+  "csv.harvests": "Ngā hauhake",
+  "csv.plantings": "Ngā whakatōnga",
+  "csv.datesLookLike": "Te āhua o ngā rā",
+  "csv.file": "Kōnae",
+  "csv.choose": "Kōwhiria he .csv",
+  "csv.columns": "Ngā tīwae",
+  "csv.column": "Tīwae {n}",
+  "csv.chooseColumn": "Kōwhiria he tīwae mō {fields}.",
+  "csv.unitsHint": "Ka taea te waeine hei tīwae, hei wāhanga rānei o te rahinga (\"1.2kg\", \"500 g\", \"6 each\", \"2 bunches\"); ki te kore he waeine, ka whakamahia te taunoa o te tipu.",
+  "csv.matched": "{count} kua hāngai ki ō tipu",
+  "csv.created": "{count} me tētahi momo tipu hou",
+  "csv.rejected": "{count} kua whakakāhoretia",
+  "csv.line": "Rārangi",
+  "csv.plant": "Tipu",
+  "csv.result": "Hua",
+  "csv.details": "Taipitopito",
+  "csv.status.match": "Kua hāngai",
+  "csv.status.create": "Momo tipu hou",
+  "csv.status.reject": "Kua whakakāhoretia",
+  "csv.alsoAdds": "Ka tāpirihia anō {types} me {beds}.",
+  "csv.alsoAddsHarvests": "Ka tāpirihia anō {types} me {beds}, me {plantings} mō ngā hauhake kāore he whakatōnga hāngai.",
+  "csv.plantTypes": "{count} momo tipu",
+  "csv.beds": "{count} pārekereke",
+  "csv.newPlantings": "{count} whakatōnga",
+  "csv.importRows_one": "Kawemai i te rārangi {count}",
+  "csv.importRows_other": "Kawemai i ngā rārangi {count}",
+
+  // json
+  "json.plantingPlanted": "{name} i whakatōngia {date}",
+  "json.harvestOn": "{amount} i te {date}",
+  "json.items": "{count} mea",
+  "json.title": "Kawemai {name}",
+  "json.cantImport": "Kāore e taea te kawemai i tēnei kōnae. Kāore he mea i panoni.",
+  "json.toAdd": "{count} hei tāpiri",
+  "json.toUpdate": "{count} hei whakahou",
+  "json.conflicts": "{count} taupatupatu",
+  "json.unchanged": "{count} kei konei kē",
+  "json.skipped": "{count} i pekea (kei te Para)",
+  "json.removes": "Ka tangohia {list}.",
+  "json.conflictsTitle": "Taupatupatu — he pūkete kotahi, he uara rerekē",
+  "json.keepAllMine": "Puritia āku katoa",
+  "json.useAllTheirs": "Whakamahia ngā mea katoa o te kōnae",
+  "json.keepMine": "Puritia tāku",
+  "json.useTheirs": "Whakamahia tā te kōnae",
+  "json.field": "Āpure",
+  "json.mine": "Tāku",
+  "json.file": "Kōnae",
+  "json.restoreHint": "Ka tiakina he ira whakahoki i te tuatahi — mā Tautuhinga → Taurua me te Whakahoki e whakahoki te kawemai.",
+  "json.replace": "Whakakapia aku raraunga",
+  "json.importRecords_one": "Kawemai i te pūkete {count}",
+  "json.importRecords_other": "Kawemai i ngā pūkete {count}",
+
+  // gardens
+  "gardens.title": "Ngā māra",
+  "gardens.hint": "Kei ia māra tōna ake rārangi tipu, ōna pārekereke, whakatōnga, hauhake, tautuhinga, ira whakahoki me tōna tūmau tukutahi — ko te māra e tuwhera ana anake e tatauria ana e ngā pūrongo.",
+  "gardens.open": "Huakina",
+  "gardens.export": "Kaweake i tēnei māra hei JSON",
+  "gardens.delete": "Muku māra",
+  "gardens.new": "Māra hou",
+  "gardens.newPlaceholder": "hei tauira, Māra kai",
+  "gardens.catalogueFrom": "Tīmatahia tōna rārangi tipu mai i",
+  "gardens.builtIn": "Ngā momo tipu taketake",
+  "gardens.copyOf": "He kape o {name}",
+  "gardens.copyTitle": "Tāruatia ngā momo tipu i waenga i ngā māra",
+  "gardens.from": "Mai i",
+  "gardens.to": "Ki",
+  "gardens.copyHint": "Ka tuhirūngia ngā tāurunga he ōrite te ingoa ki ngā tautuhinga kua tāruatia.",
+  "gardens.copy_one": "Tāruatia te momo tipu {count}",
+  "gardens.copy_other": "Tāruatia ngā momo tipu {count}",
+  "gardens.added": "Kua tāpirihia a {name} — huakina mai i te pane, i raro iho rānei.",
+  "gardens.confirmDelete": "Me muku a {name} me ngā mea katoa kei roto? Kaweakehia i te tuatahi mēnā ka hiahia anō koe — kāore e taea te whakahoki.",
+  "gardens.copied": "{label}: {added} kua tāpirihia, {replaced} kua whakahoutia",
+  "gardens.untitled": "Māra kāore he ingoa",
+  "gardens.addOption": "＋ Tāpiri māra…",
+  "gardens.defaultName": "Taku māra",
+  "gardens.switch": "Māra",
+
+  // count
+  "count.plantings_one": "{count} whakatōnga",
+  "count.plantings_other": "{count} whakatōnga",
+  "count.harvests_one": "{count} hauhake",
+  "count.harvests_other": "{count} hauhake",
+  "count.harvestRecords_one": "{count} pūkete hauhake",
+  "count.harvestRecords_other": "{count} pūkete hauhake",
+
+  // query
+  "query.search": "Rapua ngā tipu, ngā pārekereke me ngā tuhipoka",
+  "query.allPlants": "Ngā tipu katoa",
+  "query.allBeds": "Ngā pārekereke katoa",
+  "query.anyStage": "Ahakoa te wāhanga",
+  "query.show.active": "Kāore i te pūranga",
+  "query.show.archived": "Ko te pūranga anake",
+  "query.show.all": "Me te pūranga hoki",
+  "query.shownOf": "{shown} o te {total}",
+  "query.clear": "Ūkuia ngā tātari",
+  "query.planted": "I whakatōngia",
+  "query.harvested": "I hauhakea",
+
+  // pick
+  "pick.title": "Te kohi o te rā",
+  "pick.empty": "Kāore he mea kei tōna wā hauhake i tēnei wā.",
+  "pick.seeTracker": "Tirohia te aroturuki",
+  "pick.through": "{pct}% o te wā hauhake kua pahure",
+  "pick.last": "whakamutunga {amount} i te {date}",
+  "pick.notYet": "kāore anō kia kohia",
+  "pick.amount": "rahinga",
+  "pick.sameAsLast": "Ōrite ki tērā o mua",
+  "pick.filled": "{filled} o te {total} kua whakakīia",
+  "pick.save_one": "Tiaki i te hauhake {count}",
+  "pick.save_other": "Tiaki i ngā hauhake {count}",
+  "pick.saveNone": "Tiaki i ngā hauhake",
+
+  // bulk
+  "bulk.selected": "{what} kua tīpakohia",
+  "bulk.selectAll": "Tīpakohia ngā {count} katoa e whakaaturia ana",
+  "bulk.clear": "Ūkui",
+  "bulk.archive": "Whakapūranga i ngā whakatōnga {count}",
+  "bulk.unarchive": "Tango i ngā whakatōnga {count} i te pūranga",
+  "bulk.move": "Nuku ki {bed}: {count} whakatōnga",
+  "bulk.noBed": "kāore he pārekereke",
+  "bulk.retype": "Huri ki {name}: {count} whakatōnga",
+  "bulk.confirmDelete": "Me muku {plantings}? Ka nuku tahi {harvests} ki te Para.",
+  "bulk.deletePlantings": "Muku i ngā whakatōnga {count}",
+  "bulk.deleteHarvests": "Muku i ngā hauhake {count}",
+  "bulk.moveHarvests": "Nuku ki te whakatōnga {name}: {count} hauhake",
+  "bulk.autoArchive": "Whakapūranga aunoa i ngā whakatōnga {count} kua oti",
+  "bulk.moveToBed": "Nuku ki te pārekereke…",
+  "bulk.changeType": "Huri i te momo tipu…",
+  "bulk.moveToPlanting": "Nuku ki te whakatōnga…",
+
+  // autoArchive
+  "autoArchive.before": "Whakapūranga i ngā whakatōnga i mutu tō rātou wā hauhake neke atu i te",
+  "autoArchive.after": "rā ki muri",
+  "autoArchive.none": "Kāore he mea hei whakapūranga",
+  "autoArchive.archive": "Whakapūranga {count}",
+
+  // reportFilter
+  "reportFilter.growing": "Tau tipu (Hōngongoi–Pipiri)",
+  "reportFilter.season": "Kaupeka",
+  "reportFilter.range": "Awhe rā",
+  "reportFilter.show": "Whakaaturia ngā hauhake",
+  "reportFilter.byUnit": "ā-waeine (kg, tatau, paihere…)",
+  "reportFilter.asKg": "katoa hei kg (me ngā whakatau tata)",
+
+  // compare
+  "compare.title": "Whakatairite i ngā māra",
+  "compare.loading": "E uta ana i ngā māra…",
+  "compare.garden": "Māra",
+  "compare.plantings": "Ngā whakatōnga",
+  "compare.harvests": "Ngā hauhake",
+  "compare.kg": "kg kua paunatia",
+  "compare.estimatedKg": "kg whakatau tata",
+  "compare.unweighed": "Kāore i paunatia",
+  "compare.hint": "Ka hāngaitia ngā tipu mā te ingoa puta noa i ngā māra; ka tatauria ngā whakatōnga mā te rā whakatō, ngā hauhake mā te rā hauhake. Ka whakamahia e te kg whakatau tata ngā taumaha toharite o ia māra mō ia tatau, paihere, ipu, rita rānei; ka waiho ngā hauhake kāore he taumaha mō tō rātou waeine i waho o ngā tatauranga kg.",
+  "compare.empty": "Kāore he hauhake whai taumaha hei whakatairite.",
+  "compare.series": "{name} (kg, me ngā whakatau tata)",
+
+  // observe
+  "observe.error.date": "Tāurutia he rā tika.",
+  "observe.error.beforePlanting": "Kei mua tērā i te whakatōnga.",
+  "observe.error.negative": "Kāore e taea te tatau tōraro.",
+  "observe.error.note": "Tāpirihia he tuhipoka mō tāu i kite ai.",
+  "observe.title": "Ngā kitenga — {name}",
+  "observe.summary": "I whakatōngia {date} • {growing} o ngā tipu {planted} e tipu ana",
+  "observe.what": "He aha",
+  "observe.log": "Tuhia",
+  "observe.empty": "Kāore anō he mea kia tuhia.",
+
+  // method
+  "method.direct": "Whakatō tōtika",
+  "method.transplant": "Nuku",
+
+  // succession
+  "succession.note": "Whakatō tāruarua {n} o te {count}",
+  "succession.title": "Kaiwhakamahere whakatō tāruarua",
+  "succession.start": "Whakatōnga tuatahi",
+  "succession.every": "Ia (rā)",
+  "succession.sowings": "Ngā whakatōnga",
+  "succession.qty": "Tatau ia whakatōnga",
+  "succession.gapsRow": "Ngā āputa kai",
+  "succession.continuous": "Ka inaki ngā wā hauhake — he kai tonu mai i {date}.",
+  "succession.gaps_one": "{count} āputa kāore he mea hei kohi ({list}).",
+  "succession.gaps_other": "{count} āputa kāore he mea hei kohi ({list}).",
+  "succession.tryEvery": "Whakamātauria te whakatō ia {count} rā, iti iho rānei.",
+  "succession.create_one": "Waihanga i te whakatōnga {count}",
+  "succession.create_other": "Waihanga i ngā whakatōnga {count}",
+
+  // history
+  "history.undone": "Kua wetekina: {label}",
+  "history.redone": "Kua mahia anōtia: {label}",
+  "history.editPlanting": "Whakatika whakatōnga",
+  "history.addPlanting": "Tāpiri whakatōnga",
+  "history.editHarvest": "Whakatika hauhake",
+  "history.logHarvest": "Tuhia te hauhake",
+  "history.addBed": "Tāpiri pārekereke {name}",
+  "history.editBed": "Whakatika pārekereke {name}",
+  "history.deleteBed": "Muku pārekereke {name}",
+  "history.addSuccession": "Tāpiri whakatōnga {name} {count}",
+  "history.deletePlanting": "Muku whakatōnga {name}",
+  "history.deleteHarvest": "Muku hauhake",
+  "history.logObservation": "Tuhia {what}",
+  "history.deleteObservation": "Muku kitenga",
+  "history.archivePlanting": "Whakapūranga whakatōnga",
+  "history.unarchivePlanting": "Tango whakatōnga i te pūranga",
+  "history.restore": "Whakahoki {label}",
+  "history.purge": "Muku mō ake tonu",
+  "history.emptyTrash": "Whakapiako i te Para",
+  "history.logHarvests_one": "Tuhia te hauhake {count}",
+  "history.logHarvests_other": "Tuhia ngā hauhake {count}",
+  "history.keepLocal": "Puritia te {label} a tēnei pūrere",
+  "history.keepRemote": "Puritia te {label} a tērā atu pūrere",
+  "history.copyCatalogue_one": "Tāruatia te momo tipu {count} ki {garden}",
+  "history.copyCatalogue_other": "Tāruatia ngā momo tipu {count} ki {garden}",
+  "history.importCsv_one": "Kawemai i te rārangi {count} mai i te CSV",
+  "history.importCsv_other": "Kawemai i ngā rārangi {count} mai i te CSV",
+  "history.importJson": "Kawemai {name} ({mode})",
+  "history.restoreData": "Whakahoki raraunga mai i {when}",
+  "history.resetCatalogue": "Tautuhi anō i te rārangi tipu ki ngā taunoa",
+  "history.addPlantType": "Tāpiri {name}",
+  "history.editPlantType": "Whakatika {name}",
+  "history.deletePlantType": "Muku {name}",
+  "history.useLearned": "Whakamahia te {field} i akona mō {name}",
+  "history.undo": "Wetekina",
+  "history.redo": "Mahia anō",
+  "history.undoShortcut": "Wetekina (Ctrl+Z)",
+  "history.redoShortcut": "Mahia anō (Ctrl+Shift+Z)",
+
+  // harvest
+  "harvest.error.amount": "{error} — whakamātauria te \"1.2\", te \"1.2kg\", te \"12 heads\" rānei",
+  "harvest.logTitle": "Tuhia te hauhake — {name}",
+  "harvest.editTitle": "Whakatika i te hauhake — {name}",
+  "harvest.amount": "Rahinga",
+  "harvest.amountPlaceholder": "hei tauira, 1.2kg, 12 heads rānei",
+  "harvest.unit": "Waeine",
+  "harvest.estimate": "≈ {kg} kg pea, kia {each} kg ia {unit}",
+  "harvest.noWeight": "Kāore anō he taumaha toharite mō ia {unit} mō tēnei tipu — tautuhia tētahi ki te rārangi tipu kia whai wāhi ki ngā pūrongo kg.",
+  "harvest.notesPlaceholder": "hei tauira, te kohi tuatahi o te kaupeka, he nui te rahi",
+  "harvest.save": "Tiaki i te hauhake",
+
+  // beds
+  "beds.confirmDelete_one": "Kei {name} te whakatōnga {count}. Ka whakaaturia \"Kāore he pārekereke\" kia whakahokia rā anō te pārekereke i te Para. Me muku tonu?",
+  "beds.confirmDelete_other": "{count} ngā whakatōnga kei {name}. Ka whakaaturia \"Kāore he pārekereke\" kia whakahokia rā anō te pārekereke i te Para. Me muku tonu?",
+  "beds.newPrompt": "Ingoa pārekereke hou (hei tauira, Pārekereke A, Whare kirihou, Māra pā)",
+  "beds.newOption": "+ Pārekereke hou…",
+
+  // tracker
+  "tracker.confirmDelete_one": "Me muku tēnei whakatōnga {name}? Ka nuku tahi tōna pūkete hauhake {count} ki te Para.",
+  "tracker.confirmDelete_other": "Me muku tēnei whakatōnga {name}? Ka nuku tahi ōna pūkete hauhake {count} ki te Para.",
+  "tracker.title": "Aroturuki",
+  "tracker.new": "Whakatōnga hou",
+  "tracker.empty": "Kāore anō he whakatōnga — tāpirihia tō tuatahi ki te ripa {tab}.",
+  "tracker.noMatch": "Kāore he whakatōnga e hāngai ana.",
+  "tracker.showAll": "Whakaaturia katoa",
+  "tracker.succession": "Whakatō tāruarua {n}",
+  "tracker.archived": "Kua whakapūrangatia",
+  "tracker.transplanted": "I nukuhia {date}",
+  "tracker.sown": "I whakatōngia {date}",
+  "tracker.part": "(wāhanga)",
+  "tracker.qty": "Tatau {qty}",
+  "tracker.qtyOf": "Tatau {growing} o te {planted}",
+  "tracker.log": "Tuhia",
+  "tracker.harvest": "Hauhake",
+  "tracker.model.gdd": "He mea whakatau tata mai i te mahana kua kohia mō tō rohe āhuarangi",
+  "tracker.model.days": "He mea whakatau tata mai i ngā rā pūmau",
+  "tracker.emerged": "I puta ake {date}",
+  "tracker.germination": "Pihi ({from}–{to})",
+  "tracker.growth": "Tipu → hauhake tuatahi ~ {date}",
+  "tracker.window": "Wā hauhake tae noa ki ~ {date}",
+  "tracker.elapsed_one": "Kua pahure {count} rā",
+  "tracker.elapsed_other": "Kua pahure {count} rā",
+  "tracker.heatBased": "whakatau tata ā-mahana",
+  "tracker.notes": "Tuhipoka: {notes}",
+  "tracker.heatShortfall": "Kāore pea tō rohe āhuarangi e mahana rawa mō tēnei kai — kei te whakaaturia he whakatau tata ā-rā.",
+  "tracker.lastSeen": "I kitea whakamutunga {date}: {what} ({count} kua tuhia)",
+
+  // trash
+  "trash.plantType": "Momo tipu: {name}",
+  "trash.planting": "Whakatōnga: {name} • i whakatōngia {date}",
+  "trash.bed": "Pārekereke: {name}",
+  "trash.harvest": "Hauhake: {amount} i te {date}",
+  "trash.confirmPurge": "Me muku mō ake tonu a \"{label}\"?",
+  "trash.confirmEmpty_one": "Me muku mō ake tonu te mea {count} kei te Para?",
+  "trash.confirmEmpty_other": "Me muku mō ake tonu ngā mea {count} katoa kei te Para?",
+  "trash.title": "Para",
+  "trash.retention": "Te roa e puritia ai ngā mea kua mukua (rā)",
+  "trash.empty": "Kua piako te Para.",
+  "trash.dates": "I mukua {deleted} • ka ngaro rawa i muri i {expires}",
+  "trash.includes_one": "tae atu ki te hauhake {count}",
+  "trash.includes_other": "tae atu ki ngā hauhake {count}",
+
+  // agenda
+  "agenda.notify.line": "{name}: {what} {when}",
+  "agenda.today": "i tēnei rā",
+  "agenda.notify.title_one": "{count} whakamaumahara māra",
+  "agenda.notify.title_other": "{count} whakamaumahara māra",
+  "agenda.notify.blocked": "Kua aukatia ngā pānui — whakaaetia i ngā tautuhinga pae o tō pūtirotiro.",
+  "agenda.group.overdue": "Me aro atu",
+  "agenda.group.now": "Ināianei",
+  "agenda.group.week": "Ngā rā e 7 e tū mai nei",
+  "agenda.group.later": "Ā muri ake",
+  "agenda.title": "Rārangi mahi",
+  "agenda.showHidden": "Whakaaturia ngā {count} huna",
+  "agenda.empty_one": "Kāore he mea i ngā rā {count} e tū mai nei.",
+  "agenda.empty_other": "Kāore he mea i ngā rā {count} e tū mai nei.",
+  "agenda.expectedFrom": "E tūmanakohia ana mai i {date}",
+  "agenda.planted": "I whakatōngia {date}",
+  "agenda.tomorrow": "Āpōpō",
+  "agenda.nextWeek": "+1 wiki",
+  "agenda.dismiss": "Whakakahore",
+  "agenda.hint": "He whakatau tata ngā rā mō ngā whakatōnga kāore i te pūranga. Ka puta te \"{overdue}\" {count} rā i muri i te hauhake tuatahi e tūmanakohia ana.",
+
+  // jsonImport
+  "jsonImport.notJson": "Ehara i te JSON tika: {error}",
+
+  // restore
+  "restore.beforeImport": "I mua i te kawemai i {name}",
+  "restore.confirm": "Me whakahoki ngā raraunga mai i {when} ({label})? Ka ngaro ngā panoni mai i taua wā, engari ka taea tēnei te wetekina.",
+  "restore.beforeRestore": "I mua i te whakahoki i {when}",
+  "restore.daily": "Ira whakahoki ā-rā",
+  "restore.beforeReset": "I mua i te tautuhi anō i te rārangi tipu",
+  "restore.title": "Ngā ira whakahoki",
+  "restore.manual": "I tiakina ā-ringa",
+  "restore.saveNow": "Tiakina tētahi ināianei",
+  "restore.daily.toggle": "Tiakina tētahi ia rā",
+  "restore.keep": "Puritia ngā mea whakamutunga",
+  "restore.hint": "Ka tiakina anō i mua i ia kawemai, i ia tautuhi anō o te rārangi tipu, i ia whakahokinga. Ka whakatairitea ki nāianei: + ka hoki mai, − ka haere, ~ ka huri whakamuri.",
+  "restore.empty": "Kāore anō he ira whakahoki.",
+  "restore.collectionCount": "{count} {what}",
+  "restore.vsNow": "ki nāianei: {changes}",
+  "restore.sameAsNow": "Ōrite ki nāianei",
+  "restore.download": "Tikiake hei JSON",
+  "restore.restore": "Whakahoki",
+
+  // catalogue
+  "catalogue.alreadyDefaults": "Kua ōrite kē ngā momo tipu taketake ki ngā taunoa.",
+  "catalogue.reset.title": "Tautuhi anō i ngā momo tipu taketake",
+  "catalogue.reset.restore": "Whakahoki ({count})",
+  "catalogue.reset.update": "Whakahou ({count})",
+  "catalogue.reset.kept": "I waiho: {builtIn} taketake, {custom} nāu. Ka hono tonu ngā whakatōnga ki ō rātou momo tipu.",
+  "catalogue.confirmDelete_one": "E whakamahi ana te whakatōnga {count} i a {name}. Ka whakaaturia hei \"{unknown}\" kia whakahokia rā anō te momo tipu i te Para. Me muku tonu?",
+  "catalogue.confirmDelete_other": "E whakamahi ana ngā whakatōnga {count} i a {name}. Ka whakaaturia hei \"{unknown}\" kia whakahokia rā anō te momo tipu i te Para. Me muku tonu?",
+  "catalogue.newVariety": "Momo iti hou",
+  "catalogue.confirmRemoveVariety_one": "E whakamahi ana te whakatōnga {count} i tēnei momo iti. Ka hoki ki ngā taunoa o {name}. Me tango?",
+  "catalogue.confirmRemoveVariety_other": "E whakamahi ana ngā whakatōnga {count} i tēnei momo iti. Ka hoki ki ngā taunoa o {name}. Me tango?",
+  "catalogue.title": "Rārangi tipu",
+  "catalogue.resetDefaults": "Tautuhi anō ki ngā taunoa",
+  "catalogue.builtIn": "Taketake",
+  "catalogue.alias": "Ingoa i te {language}",
+  "catalogue.germMin": "Pihi iti rawa",
+  "catalogue.germMax": "Pihi nui rawa",
+  "catalogue.maturity": "Pakeke",
+  "catalogue.harvestWindow": "Wā hauhake",
+  "catalogue.defaultUnit": "Waeine taunoa",
+  "catalogue.family": "Whānau",
+  "catalogue.usually": "Te nuinga o te wā",
+  "catalogue.directSown": "Whakatō tōtika",
+  "catalogue.transplanted": "Nukuhia",
+  "catalogue.transplantMaturity": "Pakeke mai i te nukunga (rā)",
+  "catalogue.sameAsMaturity": "ōrite ki te pakeke",
+  "catalogue.inRowSpacing": "Mokowā i te rārangi (cm)",
+  "catalogue.rowSpacing": "Mokowā rārangi (cm)",
+  "catalogue.yieldPerPlant": "Hua / tipu ({unit})",
+  "catalogue.yieldPerM2": "Hua / m² ({unit})",
+  "catalogue.kgPer": "kg ia {unit}",
+  "catalogue.baseTemp": "Pāmahana pūtake (°C)",
+  "catalogue.gddGermination": "GDD kia puta ake",
+  "catalogue.gddMaturity": "GDD ki te hauhake tuatahi",
+  "catalogue.gddHarvestWindow": "Wā hauhake GDD",
+  "catalogue.sowingMonths": "Ngā marama whakatō",
+  "catalogue.varieties": "Ngā momo iti",
+  "catalogue.addVariety": "Tāpiri momo iti",
+  "catalogue.name": "Ingoa",
+  "catalogue.varietyYield": "Hua/tipu",
+  "catalogue.removeVariety": "Tango momo iti",
+  "catalogue.remove": "Tango",
+  "catalogue.addTitle": "Tāpiri momo tipu",
+  "catalogue.namePlaceholder": "hei tauira, Kawakawa",
+  "catalogue.draftYieldPerPlant": "Hua / tipu",
+  "catalogue.draftYieldPerM2": "Hua / m²",
+  "catalogue.addType": "Tāpiri momo",
+
+  // plant
+  "plant.addTitle": "Tāpiri whakatōnga",
+  "plant.editTitle": "Whakatika whakatōnga",
+  "plant.succession": "Whakatō tāruarua",
+  "plant.viewTracker": "Tirohia te aroturuki",
+  "plant.cantFind": "Kāore e kitea? Tāpirihia ki {link}.",
+  "plant.settingsPlants": "Tautuhinga → Tipu",
+  "plant.transplantedDate": "Rā i nukuhia",
+  "plant.sownDate": "Rā i whakatōngia",
+  "plant.seeCalendar": "Tirohia te maramataka",
+  "plant.rotationClash": "I tipu te {family} ({name}) ki {bed} i te {date} — ko tō ture, {count} tau te wehenga.",
+  "plant.rotationPlan": "Mahere hurihanga",
+  "plant.qty": "Tatau i whakatōngia",
+  "plant.firstHarvestIn": "Hauhake tuatahi ~{count} rā",
+  "plant.spacing": "Mokowā {inRow} cm × ngā rārangi {row} cm",
+  "plant.expected": "E tūmanakohia ana ≈ {amount}",
+  "plant.notesPlaceholder": "Te hōhonu whakatō, te pūtake kākano, ngā hoa tipu, ērā atu",
+  "plant.cancelEdit": "Whakakore whakatika",
+  "plant.clear": "Ūkui",
+  "plant.add": "Tāpiri whakatōnga",
+
+  // nav
+  "nav.plant": "Whakatō",
+  "nav.track": "Aroturuki",
+  "nav.reports": "Pūrongo",
+  "nav.settings": "Tautuhinga",
+  "nav.calendar": "Maramataka",
+  "nav.garden": "Māra",
+  "nav.harvests": "Ngā hauhake",
+
+  // calendar
+  "calendar.sowNow": "Whakatōngia ināianei — {month}",
+  "calendar.nothing": "Kāore he mea i tēnei marama.",
+  "calendar.addPlanting": "Tāpiri whakatōnga",
+  "calendar.title": "Maramataka Whakatō",
+  "calendar.plant": "Tipu",
+  "calendar.hint": "E hāngai ana ngā taunoa ki te Ika-a-Māui ki runga, ki waenga hoki — whakatikahia ngā wā ki Tautuhinga → Rārangi tipu.",
+
+  // ledger
+  "ledger.title": "Pukapuka hauhake",
+  "ledger.empty": "Kāore anō he hauhake. Pāwhiria te pātene {button} i tētahi whakatōnga i te aroturuki.",
+  "ledger.noMatch": "Kāore he hauhake e hāngai ana.",
+  "ledger.selectPage": "Tīpakohia tēnei whārangi",
+  "ledger.previous": "O mua",
+  "ledger.next": "Panuku",
+  "ledger.page": "Whārangi {page} o te {pages}",
+
+  // reports
+  "reports.periodHint": "{period}: ka tatau ngā kauwhata hauhake i ngā hauhake mā te rā; ka tatau ngā ripanga hua me te pihi i ngā whakatōnga i whakatōngia i taua wā.",
+  "reports.estimateHint": "Ka tohu te ≈ i ngā tatauranga he whakatau tata kei roto — ko ngā tatau, ngā paihere, ngā ipu me ngā rita kua hurihia mā te taumaha toharite o ia tipu (kei te rārangi tipu).",
+  "reports.leftOut": "I waiho i waho, kāore he taumaha toharite: {list}.",
+  "reports.leftOutItem_one": "{name} (hauhake {count} {unit})",
+  "reports.leftOutItem_other": "{name} (ngā hauhake {count} {unit})",
+  "reports.byMonth": "Hauhake ā-marama ({unit})",
+  "reports.noMonthly": "Kāore anō he raraunga hauhake ā-{unit}.",
+  "reports.kgEstimated": "≈ kg whakatau tata",
+  "reports.byType": "Ngā tapeke ā-momo tipu ({unit})",
+  "reports.noByType": "Kāore anō he hauhake ā-{unit}.",
+  "reports.yoy": "Tau ki te tau (kg)",
+  "reports.yoyEstimated": "Tau ki te tau (kg, me ngā whakatau tata)",
+  "reports.noYoy": "Kāore anō he hauhake ā-kg i ēnei marama hei whakatairite.",
+  "reports.perPlanting": "Hua ia whakatōnga",
+  "reports.noCrops": "Kāore anō he hauhake i ēnei marama.",
+  "reports.perPlantingCell": "{amount} ia whakatōnga ({count})",
+  "reports.perPlantCell": "{amount} ia tipu",
+  "reports.perPlantingHint": "{scope}, me te tatau i ngā whakatōnga i hauhakea i ia wā. Ka whakamahia e te ia tipu te tatau i whakatōngia.",
+  "reports.seasonOnly": "{season} anake",
+  "reports.growingYears": "Ngā tau tipu katoa (Hōngongoi–Pipiri)",
+  "reports.vsExpected": "Hua ki te mea i tūmanakohia",
+  "reports.noPlantings": "Kāore anō he whakatōnga.",
+  "reports.plants": "Ngā tipu",
+  "reports.harvested": "Kua hauhakea",
+  "reports.expectedSoFar": "I tūmanakohia i tēnei wā",
+  "reports.achieved": "I tutuki",
+  "reports.unweighed": "(+{count} kāore i paunatia)",
+  "reports.expectedHint": "Ko ngā tatauranga i tūmanakohia i ahu mai i te hua ia tipu o te rārangi tipu (ia m² × mokowā rānei), ā, ko ngā whakatōnga kua tae ki te hauhake anake kei roto.",
+  "reports.expectedHintKg": "I te kg, ka whakamahia e ngā tipu ka inea mā te tatau, mā te paihere rānei ō rātou taumaha toharite, nō reira he whakatau tata ngā taha e rua.",
+  "reports.germination": "Pihi",
+  "reports.noGermination": "Tuhia te putanga ake o ngā pihi (Aroturuki → Tuhia) hei whakatairite i te pihi ki ngā whakatau tata.",
+  "reports.germRate": "Ōwehenga pihi",
+  "reports.expectedDays": "Ngā rā i tūmanakohia",
+  "reports.actualDays": "Ngā rā tūturu",
+  "reports.emergedOf": "({emerged} o te {sown})",
+  "reports.germHint": "Ko ngā whakatōnga tōtika he kitenga \"{emerged}\" ō rātou; ko ngā kitenga anake e whakaatu ana i te tokomaha i puta ake e tatauria ana i ngā ōwehenga.",
+
+  // learned
+  "learned.title": "I akona mai i ō hauhake",
+  "learned.byBed": "Ā-pārekereke",
+  "learned.bySeason": "Ā-kaupeka",
+  "learned.showDismissed": "Whakaaturia ngā mea i whakakahoretia",
+  "learned.empty": "Kāore anō he marohi — ka puta ina {count} ngā whakatōnga kua oti (kua whakapūrangatia, kua pahure rānei tō rātou wā) me ō rātou hauhake mō tētahi momo tipu, ā, he rerekē ngā wā i tō te rārangi tipu.",
+  "learned.change": "{field}: {current} → {suggested} rā",
+  "learned.stats": "Waenga o ngā whakatōnga {n}; hāwhe waenga {p25}–{p75} rā, awhe {min}–{max}",
+  "learned.use": "Whakamahia",
+  "learned.dismiss": "Whakakahore",
+  "learned.gddHint": "Ko ngā whakatau tata ā-mahana i ahu mai i ngā whāinga GDD; ka whakamahia ngā rā ki ngā kai kāore ō rātou.",
+  "learned.splitHint": "Ko ngā marohi kua wehea hei whakatairite i ngā pārekereke me ngā kaupeka. Kotahi anake te uara mō ia momo tipu i te rārangi tipu, nō reira tangohia te tohu i Ā-pārekereke me Ā-kaupeka kia whakamahia tētahi.",
+
+  // climate
+  "climate.title": "Āhuarangi",
+  "climate.useGdd": "Whakatau tata i ngā wāhanga mai i te mahana kua kohia (GDD)",
+  "climate.region": "Rohe",
+  "climate.monthlyMeans": "Pāmahana toharite ā-marama (°C)",
+  "climate.useRegion": "Whakamahia ngā uara o te rohe",
+  "climate.rotationYears": "Ngā tau i mua i te hokinga o te whānau kotahi ki tētahi pārekereke",
+  "climate.hint": "Ko ngā momo tipu kāore he pāmahana pūtake me ngā whāinga GDD, ko ngā kai rānei e kore e whiwhi i te mahana e rawaka ana i roto i ngā tau e rua, ka hoki ki ngā rā pūmau.",
+
+  // backupPanel
+  "backupPanel.title": "Taurua me te Whakahoki",
+  "backupPanel.exportJson": "Kaweake JSON",
+  "backupPanel.importJson": "Kawemai JSON",
+  "backupPanel.spreadsheets": "Ngā ripanga:",
+  "backupPanel.harvests": "Ngā hauhake",
+  "backupPanel.plantings": "Ngā whakatōnga",
+  "backupPanel.catalogue": "Rārangi tipu",
+  "backupPanel.importCsv": "Kawemai CSV",
+  "backupPanel.lastImport": "Kawemai whakamutunga: {when}",
+  "backupPanel.rollBack": "Whakahoki",
+  "backupPanel.local": "Ka tiakina anō ngā raraunga ki roto i tō pūtirotiro.",
+  "backupPanel.persisted": "Kua whakaae te pūtirotiro ki te pupuri.",
+  "backupPanel.bestEffort": "Tērā pea ka ūkuia e te pūtirotiro ki te iti te wāhi — {link}, tāutahia rānei te taupānga ki tō mata kāinga.",
+  "backupPanel.askToKeep": "tonoa kia puritia",
+
+  // remindersPanel
+  "remindersPanel.title": "Whakamaumahara",
+  "remindersPanel.horizon": "Ka titiro whakamua te rārangi mahi (rā)",
+  "remindersPanel.notifications": "Pānui pūtirotiro",
+  "remindersPanel.unsupported": "(kāore e tautokona i konei)",
+  "remindersPanel.lead": "{kind} — ngā rā i mua",
+  "remindersPanel.hint": "Ka tirohia ngā pānui i ngā wā katoa e tuwhera ana a Kai Keeper, e whakahokia mai ana rānei ki mua.",
+
+  // app
+  "app.tagline": "Whakatō • Aroturuki • Hauhake • Pūrongo",
+  "app.offline": "Tuimotu — ka tiakina ngā panoni ki tēnei pūrere",
+  "app.updateReady": "Kua reri he putanga hou o Kai Keeper.",
+  "app.reload": "Uta anō kia whakahou",
+  "app.updateLater": "Ā muri ake",
+  "app.loadError": "Kāore i taea te uta i ō raraunga kua tiakina: {error}. Kāore he mea i panoni.",
+  "app.loading": "E uta ana i tō māra…",
+  "app.footer": "I hangaia mō ngā kaiahuwhenua o Aotearoa • Ka tiakina ngā raraunga ki tēnei pūtirotiro • Ka tiakina he ira whakahoki ia rā — kaweakehia he taurua JSON kia whai kape ki wāhi kē.",
+
+  // language
+  "language.title": "Reo",
+  "language.label": "Whakaaturia a Kai Keeper i te reo",
+  "language.partial_one": "Kāore anō te karere {count} kia whakamāoritia, ā, ka puta i te reo Pākehā.",
+  "language.partial_other": "{count} ngā karere kāore anō kia whakamāoritia, ā, ka puta i te reo Pākehā.",
+  "language.hint": "Ka pā ki ngā māra katoa i tēnei pūrere. Ka whakamahia te ingoa Māori o te tipu ki te whai tētahi i te rārangi tipu; ka noho ngā kaweake CSV ki te reo Pākehā.",
+};
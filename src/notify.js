@@ -0,0 +1,26 @@
+import { registerServiceWorker } from "./pwa";
+
+// ------------------------------------------------------------
+// Browser notifications through the service worker (src/sw.js).
+// Without a push server the browser can't wake the app, so
+// reminders are checked whenever Kai Keeper is open or resumed.
+// ------------------------------------------------------------
+
+export const notificationsSupported = () => typeof window !== "undefined" && "Notification" in window && "serviceWorker" in navigator;
+
+/** Ask for permission; resolves to true when notifications may be shown. */
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return false;
+  if (Notification.permission === "granted") return true;
+  if (Notification.permission === "denied") return false;
+  return (await Notification.requestPermission()) === "granted";
+};
+
+/** Show a notification; `tag` collapses repeats of the same reminder. */
+export const showNotification = async ({ title, body, tag, data }) => {
+  if (!notificationsSupported() || Notification.permission !== "granted") return false;
+  const reg = await registerServiceWorker();
+  if (!reg) return false;
+  await reg.showNotification(title, { body, tag, data, icon: "/icon.svg", badge: "/icon.svg" });
+  return true;
+};
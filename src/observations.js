@@ -0,0 +1,63 @@
+import { daysBetween } from "./dates";
+import { localised } from "./i18n";
+
+// ------------------------------------------------------------
+// Observations: what actually happened to a planting, logged by
+// date. Emergence re-anchors phase estimates; counts track how
+// many plants are still in the ground.
+// ------------------------------------------------------------
+
+/** @typedef {"emerged" | "thinned" | "transplanted" | "failed" | "pest" | "note"} ObservationType */
+
+// `count` says what the number means for that event.
+export const OBSERVATION_TYPES = localised(
+  "observation",
+  [{ id: "emerged" }, { id: "thinned" }, { id: "transplanted" }, { id: "failed" }, { id: "pest", count: null }, { id: "note", count: null }],
+  ["label", "count"],
+);
+
+export const observationLabel = (type) => OBSERVATION_TYPES.find((t) => t.id === type)?.label || type;
+
+const byDate = (obs) => [...(obs || [])].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+/** Earliest "emerged" observation, or null. */
+export const emergenceOf = (planting) => byDate(planting.observations).find((o) => o.type === "emerged") || null;
+
+/** Plants still growing after replaying the log over quantityPlanted. */
+export const plantCount = (planting) => {
+  let count = planting.quantityPlanted;
+  for (const o of byDate(planting.observations)) {
+    if (o.type === "failed") count = o.count == null ? 0 : Math.max(0, count - o.count);
+    else if (o.count != null && (o.type === "emerged" || o.type === "thinned" || o.type === "transplanted")) count = o.count;
+  }
+  return count;
+};
+
+/**
+ * Germination by plant type, from plantings with an emergence observation:
+ * [{ plantTypeId, plantings, sown, emerged, rate, expectedDays, actualDays }].
+ * `expectedDaysOf(planting)` supplies the model's days to emergence (so climate is respected).
+ */
+export const germinationStats = (plantings, expectedDaysOf) => {
+  const groups = new Map();
+  for (const p of plantings) {
+    const e = emergenceOf(p);
+    if (!e || p.method === "transplant") continue;
+    const g = groups.get(p.plantTypeId) || { plantTypeId: p.plantTypeId, plantings: 0, sown: 0, emerged: 0, counted: 0, expected: 0, actual: 0 };
+    g.plantings += 1;
+    g.expected += expectedDaysOf(p);
+    g.actual += daysBetween(p.plantedAt, e.date);
+    if (e.count != null) {
+      g.sown += p.quantityPlanted;
+      g.emerged += e.count;
+      g.counted += 1;
+    }
+    groups.set(p.plantTypeId, g);
+  }
+  return [...groups.values()].map(({ counted, expected, actual, ...g }) => ({
+    ...g,
+    rate: counted && g.sown ? g.emerged / g.sown : null,
+    expectedDays: expected / g.plantings,
+    actualDays: actual / g.plantings,
+  }));
+};
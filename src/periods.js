@@ -0,0 +1,152 @@
+import { seasonOf, seasonLabel } from "./rotation";
+import { plantName } from "./catalogue";
+import { t, localised, monthName } from "./i18n";
+
+// ------------------------------------------------------------
+// Report periods: one filter shared by every report view —
+// all time, a growing year (July–June), an NZ season or a date
+// range — plus year-over-year figures that line the same months
+// of different years up against each other.
+// ------------------------------------------------------------
+
+/**
+ * @typedef ReportFilter
+ * @prop {"all" | "growing" | "season" | "range"} kind
+ * @prop {number} [year] // growing year or season, by the year it starts in
+ * @prop {string} [season] // NZ_SEASONS id
+ * @prop {string} [from] // ISO date, range only ("" = open)
+ * @prop {string} [to]
+ */
+
+/** @type {ReportFilter} */
+export const DEFAULT_REPORT_FILTER = { kind: "all" };
+
+export const NZ_SEASONS = localised("season", [
+  { id: "spring", months: [9, 10, 11] },
+  { id: "summer", months: [12, 1, 2] },
+  { id: "autumn", months: [3, 4, 5] },
+  { id: "winter", months: [6, 7, 8] },
+]);
+
+export const GROWING_YEAR_MONTHS = [7, 8, 9, 10, 11, 12, 1, 2, 3, 4, 5, 6];
+
+const pad = (n) => String(n).padStart(2, "0");
+const monthOfISO = (iso) => Number(iso.slice(5, 7));
+// Day 0 of the next month is the last day of this one.
+const lastDayOf = (year, month) => `${year}-${pad(month)}-${pad(new Date(Date.UTC(year, month, 0)).getUTCDate())}`;
+
+export const seasonFor = (id) => NZ_SEASONS.find((s) => s.id === id) || NZ_SEASONS[0];
+
+/** The NZ season an ISO date is in. */
+export const nzSeasonOf = (iso) => NZ_SEASONS.find((s) => s.months.includes(monthOfISO(iso)));
+
+/** Year a period starting in `startMonth` began, for a date inside it (Jan 2026 → summer 2025). */
+export const periodYear = (iso, startMonth) => (monthOfISO(iso) >= startMonth ? Number(iso.slice(0, 4)) : Number(iso.slice(0, 4)) - 1);
+
+/** "2025–26" when the months cross New Year, else "2025". */
+export const periodYearLabel = (months, year) => (months.some((m) => m < months[0]) ? seasonLabel(year) : String(year));
+
+/** Years with any of `dates` in a period starting in `startMonth`, newest first. */
+export const periodYears = (dates, startMonth) =>
+  Array.from(new Set(dates.filter(Boolean).map((d) => periodYear(d, startMonth)))).sort((a, b) => b - a);
+
+/** Filter for the period containing `today` (or an open range ending today). */
+export const filterFor = (kind, today) => {
+  if (kind === "growing") return { kind, year: seasonOf(today) };
+  if (kind === "season") {
+    const season = nzSeasonOf(today);
+    return { kind, season: season.id, year: periodYear(today, season.months[0]) };
+  }
+  if (kind === "range") return { kind, from: "", to: today };
+  return DEFAULT_REPORT_FILTER;
+};
+
+/** Inclusive { from, to } ISO dates, or null for all time. */
+export const filterRange = (filter) => {
+  if (filter.kind === "growing") return { from: `${filter.year}-07-01`, to: `${filter.year + 1}-06-30` };
+  if (filter.kind === "season") {
+    const { months } = seasonFor(filter.season);
+    const end = months[months.length - 1];
+    return { from: `${filter.year}-${pad(months[0])}-01`, to: lastDayOf(end < months[0] ? filter.year + 1 : filter.year, end) };
+  }
+  if (filter.kind === "range") return { from: filter.from || "0000-01-01", to: filter.to || "9999-12-31" };
+  return null;
+};
+
+export const inRange = (iso, range) => !range || (!!iso && iso >= range.from && iso <= range.to);
+
+export const filterLabel = (filter) => {
+  if (filter.kind === "growing") return t("period.growingYear", { year: seasonLabel(filter.year) });
+  if (filter.kind === "season") {
+    const season = seasonFor(filter.season);
+    return t("period.season", { season: season.label, year: periodYearLabel(season.months, filter.year) });
+  }
+  if (filter.kind === "range") return t("period.range", { from: filter.from || t("period.start"), to: filter.to || t("period.today") });
+  return t("period.all");
+};
+
+/**
+ * Which months and years a year-over-year view compares under a filter: a season compares
+ * its three months, anything else whole growing years. A chosen year is shown against the
+ * one before it; otherwise the latest `maxYears` years with data.
+ * @returns {{ months: number[], years: number[] }}
+ */
+export const comparisonFor = (filter, dates, maxYears = 5) => {
+  const months = filter.kind === "season" ? seasonFor(filter.season).months : GROWING_YEAR_MONTHS;
+  if (filter.kind === "season" || filter.kind === "growing") return { months, years: [filter.year - 1, filter.year] };
+  return { months, years: periodYears(dates, months[0]).slice(0, maxYears).reverse() };
+};
+
+/**
+ * Totals by month, one column per year, lined up month against month.
+ * @param {{ date: string, amount: number }[]} items
+ * @returns {{ month: string, [year: number]: number }[]}
+ */
+export const yearOverYear = (items, { months, years }) => {
+  const totals = new Map();
+  for (const it of items) {
+    const m = monthOfISO(it.date);
+    const y = periodYear(it.date, months[0]);
+    if (!months.includes(m) || !years.includes(y)) continue;
+    totals.set(`${y}-${m}`, (totals.get(`${y}-${m}`) || 0) + it.amount);
+  }
+  return months.map((m) => ({ month: monthName(m), ...Object.fromEntries(years.map((y) => [y, +(totals.get(`${y}-${m}`) || 0).toFixed(2)])) }));
+};
+
+/**
+ * Per crop and unit, per year: what was harvested, from how many plantings and plants, and
+ * the yield per planting and per plant planted. Only plantings harvested in that period count.
+ * @param {{ date: string, amount: number, unit: string, plantingId: string, estimated?: boolean }[]} items
+ * @returns {{ key: string, name: string, unit: string, years: Record<number, { total, estimated, plantings, plants, perPlanting, perPlant }> }[]}
+ */
+export const cropYields = (items, plantingById, plantTypeById, { months, years }) => {
+  const rows = new Map();
+  for (const h of items) {
+    const y = periodYear(h.date, months[0]);
+    const planting = plantingById[h.plantingId];
+    if (!planting || !months.includes(monthOfISO(h.date)) || !years.includes(y)) continue;
+    const pt = plantTypeById[planting.plantTypeId];
+    const key = `${planting.plantTypeId}|${h.unit}`;
+    const row = rows.get(key) || { key, name: plantName(pt) || t("common.unknown"), unit: h.unit, years: {} };
+    const cell = row.years[y] || (row.years[y] = { total: 0, estimated: false, seen: new Set(), plants: 0 });
+    cell.total += h.amount;
+    cell.estimated = cell.estimated || !!h.estimated;
+    if (!cell.seen.has(planting.id)) {
+      cell.seen.add(planting.id);
+      cell.plants += Number(planting.quantityPlanted) || 0;
+    }
+    rows.set(key, row);
+  }
+  for (const row of rows.values()) {
+    for (const [y, { seen, ...cell }] of Object.entries(row.years)) {
+      row.years[y] = {
+        ...cell,
+        total: +cell.total.toFixed(2),
+        plantings: seen.size,
+        perPlanting: +(cell.total / seen.size).toFixed(2),
+        perPlant: cell.plants ? +(cell.total / cell.plants).toFixed(3) : null,
+      };
+    }
+  }
+  return Array.from(rows.values()).sort((a, b) => a.name.localeCompare(b.name) || a.unit.localeCompare(b.unit));
+};
@@ -0,0 +1,98 @@
+import { addDays, daysBetween } from "./dates";
+import { resolveTiming } from "./catalogue";
+import { cumulativeGDD, dayReaching } from "./climate";
+import { emergenceOf } from "./observations";
+
+// ------------------------------------------------------------
+// Phase estimation: Germination → Growth → Harvest Window.
+// With a climate profile and GDD targets, milestones fall on the
+// day enough heat has accumulated; otherwise (or if the heat is
+// never reached) the catalogue's fixed day counts are used.
+// A logged emergence replaces the germination estimate and the
+// later milestones are measured from it.
+// ------------------------------------------------------------
+
+const MAX_GDD_DAYS = 730;
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+// Milestones as day offsets from plantedAt; `emerged` is the observed day, if any.
+const daySchedule = (t, emerged) => {
+  const germination = (t.germinationMinDays + t.germinationMaxDays) / 2;
+  if (emerged != null) {
+    const shift = emerged - germination;
+    return {
+      germinationStart: emerged,
+      germinationEnd: emerged,
+      germination: emerged,
+      firstHarvest: Math.max(emerged, t.maturityDays + shift),
+      lastHarvest: Math.max(emerged, t.maturityDays + t.harvestWindowDays + shift),
+    };
+  }
+  return {
+    germinationStart: t.germinationMinDays,
+    germinationEnd: t.germinationMaxDays,
+    germination,
+    firstHarvest: t.maturityDays,
+    lastHarvest: t.maturityDays + t.harvestWindowDays,
+  };
+};
+
+const gddSchedule = (plantedAt, t, monthlyMeans, emerged) => {
+  const { gdd } = t;
+  const cum = cumulativeGDD(monthlyMeans, gdd.baseC, plantedAt, MAX_GDD_DAYS);
+  const germAvg = (t.germinationMinDays + t.germinationMaxDays) / 2;
+  const germAt = (days) => (germAvg > 0 ? dayReaching(cum, (gdd.germination * days) / germAvg) : 0);
+  // After an observed emergence the crop still needs its post-emergence heat.
+  const offset = emerged == null ? 0 : cum[Math.min(emerged, MAX_GDD_DAYS)] - gdd.germination;
+  const firstHarvest = dayReaching(cum, gdd.maturity + offset);
+  const lastHarvest = gdd.harvestWindow ? dayReaching(cum, gdd.maturity + gdd.harvestWindow + offset) : firstHarvest == null ? null : firstHarvest + t.harvestWindowDays;
+  const sched = {
+    germinationStart: emerged ?? germAt(t.germinationMinDays),
+    germinationEnd: emerged ?? germAt(t.germinationMaxDays),
+    germination: emerged ?? germAt(germAvg),
+    firstHarvest,
+    lastHarvest,
+  };
+  return Object.values(sched).some((v) => v == null) ? null : sched;
+};
+
+/**
+ * @param {object} planting
+ * @param {object} pt // plant type
+ * @param {{ today: string, monthlyMeans?: number[] | null }} opts // monthlyMeans null = fixed days only
+ */
+export const phaseFor = (planting, pt, { today, monthlyMeans = null }) => {
+  if (!pt) return null;
+  const t = resolveTiming(pt, planting);
+  // Transplants skip germination, so an emergence note doesn't move them.
+  const emergence = t.method === "transplant" ? null : emergenceOf(planting);
+  const emerged = emergence ? Math.max(0, daysBetween(planting.plantedAt, emergence.date)) : null;
+  const heat = monthlyMeans && t.gdd ? gddSchedule(planting.plantedAt, t, monthlyMeans, emerged) : null;
+  const sched = heat ?? daySchedule(t, emerged);
+  const elapsed = Math.max(0, daysBetween(planting.plantedAt, today));
+
+  const g1 = sched.germination; // germination len (0 for transplants)
+  const g2 = Math.max(1, sched.firstHarvest - g1); // growth len
+  const g3 = Math.max(1, sched.lastHarvest - sched.firstHarvest); // harvest window len
+  const total = g1 + g2 + g3;
+
+  return {
+    model: heat ? "gdd" : "days",
+    heatShortfall: Boolean(monthlyMeans && t.gdd && !heat), // the region never gets warm enough
+    method: t.method,
+    emergedAt: emergence?.date ?? null,
+    germinationPct: g1 > 0 ? clamp((elapsed / g1) * 100, 0, 100) : 100,
+    growthPct: clamp(((elapsed - g1) / g2) * 100, 0, 100),
+    harvestPct: clamp(((elapsed - g1 - g2) / g3) * 100, 0, 100),
+    expected: {
+      germinationStart: addDays(planting.plantedAt, sched.germinationStart),
+      germinationEnd: addDays(planting.plantedAt, sched.germinationEnd),
+      firstHarvest: addDays(planting.plantedAt, sched.firstHarvest),
+      lastHarvest: addDays(planting.plantedAt, sched.lastHarvest),
+    },
+    done: elapsed > total,
+    elapsed,
+    total,
+  };
+};
@@ -0,0 +1,50 @@
+// ------------------------------------------------------------
+// Installable, offline-first app: service worker registration,
+// "new version ready" detection and persistent storage.
+// The worker itself is src/sw.js (built by vite.config.js).
+// ------------------------------------------------------------
+
+export const SW_URL = "/sw.js";
+
+let registration = null;
+
+/** Register the service worker once; resolves to the registration (or null when unsupported). */
+export const registerServiceWorker = () => {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return Promise.resolve(null);
+  if (!registration) registration = navigator.serviceWorker.register(SW_URL).catch(() => null);
+  return registration;
+};
+
+/**
+ * Call `onReady(apply)` when a new build has installed and is waiting.
+ * `apply()` activates it and reloads the page once it has taken over.
+ */
+export const watchForUpdates = async (onReady) => {
+  const reg = await registerServiceWorker();
+  if (!reg) return;
+  const apply = (worker) => () => {
+    navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+    worker.postMessage({ type: "skip-waiting" });
+  };
+  // Only an update if a worker already controls the page — the first install isn't.
+  const offer = (worker) => navigator.serviceWorker.controller && onReady(apply(worker));
+  if (reg.waiting) offer(reg.waiting);
+  reg.addEventListener("updatefound", () => {
+    const worker = reg.installing;
+    worker?.addEventListener("statechange", () => worker.state === "installed" && offer(worker));
+  });
+  // Long-lived tabs (it's often left open in the shed) check now and then.
+  setInterval(() => reg.update().catch(() => {}), 60 * 60 * 1000);
+};
+
+/** "persisted" | "best-effort" | "unsupported" */
+export const storageStatus = async () => {
+  if (!navigator.storage?.persisted) return "unsupported";
+  return (await navigator.storage.persisted()) ? "persisted" : "best-effort";
+};
+
+/** Ask the browser not to evict our data; resolves to the resulting status. */
+export const requestPersistentStorage = async () => {
+  if (!navigator.storage?.persist) return "unsupported";
+  return (await navigator.storage.persist()) ? "persisted" : "best-effort";
+};
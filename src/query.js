@@ -0,0 +1,134 @@
+import { plantName, plantNames } from "./catalogue";
+import { t, localised } from "./i18n";
+
+// ------------------------------------------------------------
+// Query bar for the Tracker and Harvest Ledger: filter, sort and
+// page plantings and harvests. A query is a flat object of
+// strings so it can live in the URL (?tab=track&phase=harvest)
+// and a view can be bookmarked; only values that differ from
+// the defaults are written.
+// ------------------------------------------------------------
+
+/**
+ * @typedef TrackerQuery
+ * @prop {string} q // text in plant (any of its names), variety, bed or notes
+ * @prop {string} plant // plant type id ("" = any)
+ * @prop {string} bed // bed id, "none" for no bed ("" = any)
+ * @prop {string} phase // PHASES id ("" = any)
+ * @prop {string} show // "active" | "archived" | "all"
+ * @prop {string} from // planted on or after (ISO, "" = open)
+ * @prop {string} to
+ * @prop {string} sort // TRACKER_SORTS id
+ */
+
+/**
+ * @typedef LedgerQuery
+ * @prop {string} q
+ * @prop {string} plant
+ * @prop {string} bed
+ * @prop {string} from // harvested on or after
+ * @prop {string} to
+ * @prop {string} sort // LEDGER_SORTS id
+ * @prop {string} page // 1-based, kept as text like the rest
+ */
+
+/** @type {TrackerQuery} */
+export const DEFAULT_TRACKER_QUERY = { q: "", plant: "", bed: "", phase: "", show: "active", from: "", to: "", sort: "planted-desc" };
+
+/** @type {LedgerQuery} */
+export const DEFAULT_LEDGER_QUERY = { q: "", plant: "", bed: "", from: "", to: "", sort: "date-desc", page: "1" };
+
+export const LEDGER_PAGE_SIZE = 50;
+
+export const PHASES = localised("phase", [{ id: "germinating" }, { id: "growing" }, { id: "harvest" }, { id: "done" }]);
+
+export const TRACKER_SORTS = localised("sort", [{ id: "planted-desc" }, { id: "planted-asc" }, { id: "harvest-asc" }, { id: "plant" }, { id: "bed" }]);
+
+export const LEDGER_SORTS = localised("sort", [{ id: "date-desc" }, { id: "date-asc" }, { id: "amount-desc" }, { id: "plant" }]);
+
+/** Where a planting is up to, from its phase (see ./phase); null when it can't be worked out. */
+export const phaseStage = (ph) => {
+  if (!ph) return null;
+  if (ph.done) return "done";
+  if (ph.harvestPct > 0) return "harvest";
+  if (ph.method === "transplant" || ph.emergedAt || ph.germinationPct >= 100) return "growing";
+  return "germinating";
+};
+
+/** Query from URL search params; unknown keys are ignored, missing ones take the default. */
+export const readQuery = (search, defaults) => {
+  const params = new URLSearchParams(search);
+  return Object.fromEntries(Object.entries(defaults).map(([k, v]) => [k, params.get(k) ?? v]));
+};
+
+/** Params for a query: only what differs from the defaults. */
+export const queryParams = (query, defaults) =>
+  Object.entries(query).filter(([k, v]) => v !== defaults[k]);
+
+/** How many fields are narrowing the results (sort and page don't count). */
+export const activeFilters = (query, defaults) =>
+  Object.keys(query).filter((k) => k !== "sort" && k !== "page" && query[k] !== defaults[k]).length;
+
+const text = (s) => String(s ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+const matches = (needle, ...haystack) => !needle || haystack.some((h) => text(h).includes(needle));
+const inDates = (iso, from, to) => (!from || iso >= from) && (!to || iso <= to);
+const byText = (a, b) => a.localeCompare(b);
+
+/**
+ * @param {{ plantTypeById, bedName: (p) => string | null, phaseOf: (p) => object | null }} ctx
+ */
+export const queryPlantings = (plantings, query, { plantTypeById, bedName, phaseOf }) => {
+  const needle = text(query.q.trim());
+  const rows = plantings
+    .filter((p) => (query.show === "all" ? true : query.show === "archived" ? p.archived : !p.archived))
+    .filter((p) => !query.plant || p.plantTypeId === query.plant)
+    .filter((p) => !query.bed || (query.bed === "none" ? !p.bedId : p.bedId === query.bed))
+    .filter((p) => inDates(p.plantedAt, query.from, query.to))
+    .map((p) => ({ planting: p, phase: phaseOf(p), name: plantName(plantTypeById[p.plantTypeId]) || t("common.unknown"), bed: bedName(p) || "" }))
+    .filter((r) => !query.phase || phaseStage(r.phase) === query.phase)
+    .filter((r) => {
+      const p = r.planting;
+      const variety = plantTypeById[p.plantTypeId]?.varieties?.find((v) => v.id === p.varietyId)?.name;
+      return matches(needle, r.name, ...plantNames(plantTypeById[p.plantTypeId]), variety, r.bed, p.notes, ...(p.observations || []).map((o) => o.notes));
+    });
+  const nextHarvest = (r) => r.phase?.expected.firstHarvest || "9999";
+  const compare = {
+    "planted-desc": (a, b) => byText(b.planting.plantedAt, a.planting.plantedAt),
+    "planted-asc": (a, b) => byText(a.planting.plantedAt, b.planting.plantedAt),
+    "harvest-asc": (a, b) => byText(nextHarvest(a), nextHarvest(b)),
+    plant: (a, b) => byText(a.name, b.name),
+    bed: (a, b) => byText(a.bed || "~", b.bed || "~") || byText(a.name, b.name),
+  }[query.sort] || (() => 0);
+  return rows.sort(compare).map((r) => r.planting);
+};
+
+/**
+ * @param {{ plantingById, plantTypeById, bedName: (p) => string | null, sizeOf: (h) => number }} ctx
+ *   sizeOf ranks "Largest first" (kg where it can be worked out)
+ */
+export const queryHarvests = (harvests, query, { plantingById, plantTypeById, bedName, sizeOf }) => {
+  const needle = text(query.q.trim());
+  const rows = harvests
+    .map((h) => {
+      const planting = plantingById[h.plantingId];
+      return { harvest: h, planting, name: plantName(plantTypeById[planting?.plantTypeId]) || t("common.unknown"), bed: bedName(planting) || "" };
+    })
+    .filter((r) => !query.plant || r.planting?.plantTypeId === query.plant)
+    .filter((r) => !query.bed || (query.bed === "none" ? !r.planting?.bedId : r.planting?.bedId === query.bed))
+    .filter((r) => inDates(r.harvest.date, query.from, query.to))
+    .filter((r) => matches(needle, r.name, ...plantNames(plantTypeById[r.planting?.plantTypeId]), r.bed, r.harvest.notes));
+  const compare = {
+    "date-desc": (a, b) => byText(b.harvest.date, a.harvest.date),
+    "date-asc": (a, b) => byText(a.harvest.date, b.harvest.date),
+    "amount-desc": (a, b) => sizeOf(b.harvest) - sizeOf(a.harvest),
+    plant: (a, b) => byText(a.name, b.name) || byText(b.harvest.date, a.harvest.date),
+  }[query.sort] || (() => 0);
+  return rows.sort(compare).map((r) => r.harvest);
+};
+
+/** One page of a list; the page number is clamped to what exists. */
+export const paginate = (list, page, size = LEDGER_PAGE_SIZE) => {
+  const pages = Math.max(1, Math.ceil(list.length / size));
+  const current = Math.min(Math.max(1, Math.floor(Number(page)) || 1), pages);
+  return { items: list.slice((current - 1) * size, current * size), page: current, pages };
+};
@@ -0,0 +1,87 @@
+import { addDays, daysBetween } from "./dates";
+import { t, localised } from "./i18n";
+
+// ------------------------------------------------------------
+// Crop rotation. Each plant type belongs to a botanical family;
+// growing the same family in the same bed too often builds up
+// its pests and diseases (e.g. blight and psyllid in solanaceae).
+// Rotation is tracked per bed, by season (1 July – 30 June).
+// ------------------------------------------------------------
+
+export const PLANT_FAMILIES = localised(
+  "family",
+  ["solanaceae", "fabaceae", "brassicaceae", "apiaceae", "amaranthaceae", "asteraceae", "alliaceae", "cucurbitaceae", "poaceae", "convolvulaceae"].map((id) => ({ id })),
+);
+
+/** Classic four-course rotation: heavy feeders → legumes → brassicas → roots → heavy feeders. */
+export const ROTATION_CYCLE = ["solanaceae", "fabaceae", "brassicaceae", "apiaceae"];
+
+export const DEFAULT_ROTATION = { yearsBetween: 3 };
+
+export const familyLabel = (id) => PLANT_FAMILIES.find((f) => f.id === id)?.label.replace(/ \(.*\)$/, "") || t("family.none");
+
+/** Start year of the NZ growing season an ISO date falls in (July–June). */
+export const seasonOf = (iso) => {
+  const year = Number(iso.slice(0, 4));
+  return Number(iso.slice(5, 7)) >= 7 ? year : year - 1;
+};
+
+export const seasonLabel = (year) => `${year}–${String(year + 1).slice(2)}`;
+
+const familyOf = (planting, plantTypeById) => plantTypeById[planting.plantTypeId]?.family || "";
+
+/**
+ * Families grown in a bed, newest season first: [{ season, families: [{ family, plantings }] }].
+ */
+export const rotationHistory = (bedId, plantings, plantTypeById) => {
+  const bySeason = new Map();
+  for (const p of plantings) {
+    const family = familyOf(p, plantTypeById);
+    if (p.bedId !== bedId || !family) continue;
+    const season = seasonOf(p.plantedAt);
+    const families = bySeason.get(season) || new Map();
+    families.set(family, [...(families.get(family) || []), p]);
+    bySeason.set(season, families);
+  }
+  return [...bySeason.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([season, families]) => ({ season, families: [...families.entries()].map(([family, list]) => ({ family, plantings: list })) }));
+};
+
+/**
+ * The closest earlier-or-later planting of the same family in the same bed within the rule,
+ * or null when the planting is fine. `planting.id` is skipped so edits don't clash with themselves.
+ */
+export const rotationConflict = (planting, plantings, plantTypeById, rule = DEFAULT_ROTATION) => {
+  const family = familyOf(planting, plantTypeById);
+  if (!planting.bedId || !family || !rule.yearsBetween) return null;
+  const limit = Math.round(rule.yearsBetween * 365.25);
+  let closest = null;
+  for (const p of plantings) {
+    if (p.id === planting.id || p.bedId !== planting.bedId || familyOf(p, plantTypeById) !== family) continue;
+    const gap = Math.abs(daysBetween(p.plantedAt, planting.plantedAt));
+    if (gap < limit && (!closest || gap < closest.days)) closest = { planting: p, days: gap };
+  }
+  return closest && { family, planting: closest.planting, years: closest.days / 365.25 };
+};
+
+/**
+ * What to grow in each bed in the season starting `season` (a year):
+ * [{ bed, last: family | null, blocked: family[], suggested: family | null }].
+ * The suggestion follows ROTATION_CYCLE from the bed's most recent cycle family,
+ * skipping families the rule still blocks.
+ */
+export const suggestRotation = (beds, plantings, plantTypeById, season, rule = DEFAULT_ROTATION) => {
+  const start = `${season}-07-01`;
+  const from = addDays(start, -Math.round(rule.yearsBetween * 365.25));
+  return beds.map((bed) => {
+    const recent = plantings
+      .filter((p) => p.bedId === bed.id && familyOf(p, plantTypeById) && p.plantedAt >= from && p.plantedAt < start)
+      .sort((a, b) => (a.plantedAt < b.plantedAt ? 1 : -1));
+    const blocked = [...new Set(recent.map((p) => familyOf(p, plantTypeById)))];
+    const last = recent.map((p) => familyOf(p, plantTypeById)).find((f) => ROTATION_CYCLE.includes(f)) || null;
+    const offset = last ? ROTATION_CYCLE.indexOf(last) + 1 : 0;
+    const order = ROTATION_CYCLE.map((_, i) => ROTATION_CYCLE[(offset + i) % ROTATION_CYCLE.length]);
+    return { bed, last, blocked, suggested: order.find((f) => !blocked.includes(f)) || null };
+  });
+};
@@ -0,0 +1,73 @@
+import { uid } from "./ids";
+import { toISO } from "./dates";
+import { BACKUP_COLLECTIONS } from "./backup";
+
+// ------------------------------------------------------------
+// Local restore points: copies of the record collections taken
+// once a day and before anything replaces a lot of data at once
+// (imports, catalogue resets, restoring another snapshot).
+// Newest first; only the last `keep` are stored.
+// ------------------------------------------------------------
+
+/** @typedef {"daily" | "import" | "reset" | "restore" | "manual"} SnapshotReason */
+
+/**
+ * @typedef Snapshot
+ * @prop {string} id
+ * @prop {string} createdAt // ISO timestamp
+ * @prop {SnapshotReason} reason
+ * @prop {string} label // e.g. "Before importing kai-keeper-backup-20250301.json"
+ * @prop {{ plantTypes: object[], beds: object[], plantings: object[], harvests: object[] }} data
+ */
+
+// The same collections a JSON backup holds, so a snapshot downloads as one.
+export const SNAPSHOT_COLLECTIONS = BACKUP_COLLECTIONS;
+export const DEFAULT_SNAPSHOTS = { keep: 10, daily: true };
+
+/** @returns {Snapshot} */
+export const takeSnapshot = (data, reason, label, now = new Date()) => ({
+  id: uid(),
+  createdAt: now.toISOString(),
+  reason,
+  label,
+  data: Object.fromEntries(SNAPSHOT_COLLECTIONS.map((c) => [c, data[c] || []])),
+});
+
+/** Add a snapshot to the front of the list, dropping the oldest beyond `keep`. */
+export const addSnapshot = (list, snapshot, keep = DEFAULT_SNAPSHOTS.keep) => [snapshot, ...list].slice(0, Math.max(1, keep));
+
+/** Newest snapshot taken for `reason`, or null. */
+export const latestSnapshot = (list, reason) => list.find((s) => s.reason === reason) || null;
+
+const sameData = (a, b) => SNAPSHOT_COLLECTIONS.every((c) => JSON.stringify(a[c] || []) === JSON.stringify(b[c] || []));
+
+/**
+ * Is today's daily snapshot still to be taken? Not when one exists for `today`,
+ * or when nothing has changed since the newest snapshot.
+ */
+export const needsDailySnapshot = (list, data, today) => {
+  if (list.some((s) => s.reason === "daily" && toISO(s.createdAt) === today)) return false;
+  return !list[0] || !sameData(list[0].data, data);
+};
+
+/** { [collection]: number of records } */
+export const snapshotCounts = (snapshot) => Object.fromEntries(SNAPSHOT_COLLECTIONS.map((c) => [c, snapshot.data[c]?.length || 0]));
+
+/**
+ * What restoring `snapshot` would change, per collection:
+ * { added: records only in the snapshot, removed: records only in `current`, changed: same id, different content }.
+ */
+export const diffSnapshot = (snapshot, current) =>
+  Object.fromEntries(
+    SNAPSHOT_COLLECTIONS.map((c) => {
+      const now = new Map((current[c] || []).map((r) => [r.id, r]));
+      const then = new Map((snapshot.data[c] || []).map((r) => [r.id, r]));
+      let added = 0, removed = 0, changed = 0;
+      for (const [id, r] of then) {
+        if (!now.has(id)) added += 1;
+        else if (JSON.stringify(now.get(id)) !== JSON.stringify(r)) changed += 1;
+      }
+      for (const id of now.keys()) if (!then.has(id)) removed += 1;
+      return [c, { added, removed, changed }];
+    })
+  );
@@ -1,9 +1,189 @@
 import localforage from "localforage";
+import { assignBeds } from "./beds";
+import { gardenKey } from "./gardens";
+import { t } from "./i18n";
 
-localforage.config({ name: "kai-keeper" });
+// ------------------------------------------------------------
+// Versioned persistence for Kai Keeper.
+// - Backend is anything with async getItem/setItem/removeItem
+//   (localforage in the app, createMemoryBackend() elsewhere).
+// - SCHEMA_KEY records which migrations have run; MIGRATIONS are
+//   applied in order, once, before the first load() resolves.
+// ------------------------------------------------------------
+
+export const SCHEMA_KEY = "schemaVersion";
+
+// Keys used by the pre-localforage build (JSON strings in localStorage).
+export const LEGACY_LS_KEYS = {
+  plantTypes: "kaiKeeper_plantTypes",
+  plantings: "kaiKeeper_plantings",
+  harvests: "kaiKeeper_harvests",
+};
+
+const readLegacy = (ls, key) => {
+  try {
+    const raw = ls?.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
 
-export const save = (key, value) => localforage.setItem(key, value);
-export const load = async (key, fallback) => {
-  const v = await localforage.getItem(key);
-  return v ?? fallback;
+/**
+ * @typedef Migration
+ * @prop {number} version // schema version after this migration runs
+ * @prop {string} description
+ * @prop {(backend: object, ctx: { legacy?: Storage }) => Promise<void>} up
+ */
+
+/** @type {Migration[]} */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Copy legacy kaiKeeper_* localStorage data into the store",
+    up: async (backend, { legacy }) => {
+      for (const [key, lsKey] of Object.entries(LEGACY_LS_KEYS)) {
+        // Never clobber data that already lives in the store.
+        if ((await backend.getItem(key)) != null) continue;
+        const value = readLegacy(legacy, lsKey);
+        if (Array.isArray(value)) await backend.setItem(key, value);
+      }
+    },
+  },
+  {
+    version: 2,
+    description: "Give built-in plant types stable slug ids and repoint plantings",
+    up: async (backend) => {
+      // Frozen copy of the v2 built-in names: migrations must not follow later catalogue edits.
+      const slugs = {
+        "Kūmara (Sweet Potato)": "kumara",
+        Potato: "potato",
+        Lettuce: "lettuce",
+        Tomato: "tomato",
+        Broccoli: "broccoli",
+        "Silverbeet (Chard)": "silverbeet",
+        "Corn (Sweet)": "corn-sweet",
+        "Beans (Bush)": "beans-bush",
+        Carrot: "carrot",
+        "Capsicum (Pepper)": "capsicum",
+      };
+      const types = await backend.getItem("plantTypes");
+      if (!Array.isArray(types)) return;
+      const taken = new Set(types.map((t) => t.id));
+      const idMap = {};
+      const next = types.map((t) => {
+        const slug = slugs[t.name];
+        if (!slug || taken.has(slug)) return t;
+        taken.add(slug);
+        idMap[t.id] = slug;
+        return { ...t, id: slug };
+      });
+      if (!Object.keys(idMap).length) return;
+      const repoint = (p) => (idMap[p.plantTypeId] ? { ...p, plantTypeId: idMap[p.plantTypeId] } : p);
+      await backend.setItem("plantTypes", next);
+      const plantings = await backend.getItem("plantings");
+      if (Array.isArray(plantings)) await backend.setItem("plantings", plantings.map(repoint));
+      const trash = await backend.getItem("trash");
+      if (Array.isArray(trash)) await backend.setItem("trash", trash.map((e) => (e.kind === "planting" ? { ...e, item: repoint(e.item) } : e)));
+    },
+  },
+  {
+    version: 3,
+    description: "Turn free-text planting locations into bed records",
+    up: async (backend) => {
+      const plantings = (await backend.getItem("plantings")) || [];
+      const trash = (await backend.getItem("trash")) || [];
+      const trashed = trash.filter((e) => e.kind === "planting").map((e) => e.item);
+      const { beds, plantings: moved } = assignBeds([...plantings, ...trashed], (await backend.getItem("beds")) || []);
+      const byId = new Map(moved.map((p) => [p.id, p]));
+      await backend.setItem("beds", beds);
+      await backend.setItem("plantings", plantings.map((p) => byId.get(p.id)));
+      if (trashed.length) await backend.setItem("trash", trash.map((e) => (e.kind === "planting" ? { ...e, item: byId.get(e.item.id) } : e)));
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/** In-memory backend with the localforage surface we use (tests, previews). */
+export const createMemoryBackend = (initial = {}) => {
+  const map = new Map(Object.entries(initial));
+  const clone = (v) => (v == null ? null : structuredClone(v));
+  return {
+    getItem: async (key) => clone(map.get(key)),
+    setItem: async (key, value) => {
+      map.set(key, clone(value));
+      return value;
+    },
+    removeItem: async (key) => {
+      map.delete(key);
+    },
+    keys: async () => Array.from(map.keys()),
+  };
 };
+
+export const createStorage = ({ backend, legacy, migrations = MIGRATIONS } = {}) => {
+  let ready = null;
+
+  const migrate = async () => {
+    const from = (await backend.getItem(SCHEMA_KEY)) ?? 0;
+    const target = migrations.length ? migrations[migrations.length - 1].version : 0;
+    if (from > target) throw new Error(t("storage.newerSchema", { version: from }));
+    for (const m of migrations) {
+      if (m.version <= from) continue;
+      await m.up(backend, { legacy });
+      await backend.setItem(SCHEMA_KEY, m.version);
+    }
+    return target;
+  };
+
+  // Memoised so StrictMode double effects and parallel loads share one run.
+  const whenReady = () => {
+    if (!ready) ready = migrate().catch((e) => { ready = null; throw e; });
+    return ready;
+  };
+
+  const save = async (key, value) => {
+    await whenReady();
+    return backend.setItem(key, value);
+  };
+
+  const load = async (key, fallback) => {
+    await whenReady();
+    const v = await backend.getItem(key);
+    return v ?? fallback;
+  };
+
+  /** Load several keys at once: { key: fallback } → { key: value }. */
+  const loadAll = async (fallbacks) => {
+    const entries = await Promise.all(Object.entries(fallbacks).map(async ([k, fb]) => [k, await load(k, fb)]));
+    return Object.fromEntries(entries);
+  };
+
+  const remove = async (key) => {
+    await whenReady();
+    return backend.removeItem(key);
+  };
+
+  // Per-garden versions: the same keys, stored under that garden's prefix (see ./gardens).
+  const saveGarden = (gardenId, key, value) => save(gardenKey(gardenId, key), value);
+  const loadGarden = async (gardenId, fallbacks) => {
+    const entries = await Promise.all(Object.entries(fallbacks).map(async ([k, fb]) => [k, await load(gardenKey(gardenId, k), fb)]));
+    return Object.fromEntries(entries);
+  };
+  const removeGarden = (gardenId, keys) => Promise.all(keys.map((k) => remove(gardenKey(gardenId, k))));
+
+  return { save, load, loadAll, remove, saveGarden, loadGarden, removeGarden, ready: whenReady, backend };
+};
+
+localforage.config({ name: "kai-keeper" });
+
+const store = createStorage({ backend: localforage, legacy: typeof localStorage === "undefined" ? undefined : localStorage });
+
+export const save = store.save;
+export const load = store.load;
+export const loadAll = store.loadAll;
+export const saveGarden = store.saveGarden;
+export const loadGarden = store.loadGarden;
+export const removeGarden = store.removeGarden;
+export const ready = store.ready;
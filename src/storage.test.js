@@ -0,0 +1,199 @@
+import { describe, expect, it } from "vitest";
+import { LEGACY_LS_KEYS, MIGRATIONS, SCHEMA_KEY, SCHEMA_VERSION, createMemoryBackend, createStorage } from "./storage";
+
+// Stand-in for window.localStorage holding the pre-localforage JSON strings.
+const fakeLocalStorage = (items) => ({ getItem: (key) => (key in items ? items[key] : null) });
+
+// Run only the migrations up to `version`, so each step can be checked on the data it expects.
+const upTo = (version) => MIGRATIONS.filter((m) => m.version <= version);
+
+describe("createStorage migrations", () => {
+  it("runs migrations in order, once, and records the schema version", async () => {
+    const calls = [];
+    const migrations = [1, 2, 3].map((version) => ({ version, description: `m${version}`, up: async () => void calls.push(version) }));
+    const backend = createMemoryBackend();
+
+    const store = createStorage({ backend, migrations });
+    await Promise.all([store.load("plantings", []), store.load("harvests", []), store.ready()]);
+    expect(calls).toEqual([1, 2, 3]);
+    expect(await backend.getItem(SCHEMA_KEY)).toBe(3);
+
+    // A fresh store over the same data (next app start) has nothing left to run.
+    await createStorage({ backend, migrations }).ready();
+    expect(calls).toEqual([1, 2, 3]);
+  });
+
+  it("only runs migrations newer than the stored version", async () => {
+    const calls = [];
+    const migrations = [1, 2, 3].map((version) => ({ version, description: `m${version}`, up: async () => void calls.push(version) }));
+    const backend = createMemoryBackend({ [SCHEMA_KEY]: 1 });
+
+    await createStorage({ backend, migrations }).ready();
+    expect(calls).toEqual([2, 3]);
+  });
+
+  it("refuses data written by a newer schema and leaves it untouched", async () => {
+    const backend = createMemoryBackend({ [SCHEMA_KEY]: SCHEMA_VERSION + 1, plantings: [{ id: "p1" }] });
+    const store = createStorage({ backend });
+
+    await expect(store.load("plantings", [])).rejects.toThrow(String(SCHEMA_VERSION + 1));
+    await expect(store.save("plantings", [])).rejects.toThrow();
+    expect(await backend.getItem("plantings")).toEqual([{ id: "p1" }]);
+    expect(await backend.getItem(SCHEMA_KEY)).toBe(SCHEMA_VERSION + 1);
+  });
+
+  it("holds writes until migrations have finished", async () => {
+    let finish;
+    const gate = new Promise((resolve) => (finish = resolve));
+    const migrations = [
+      {
+        version: 1,
+        description: "slow",
+        up: async (backend) => {
+          await gate;
+          await backend.setItem("plantings", [{ id: "migrated" }]);
+        },
+      },
+    ];
+    const backend = createMemoryBackend();
+    const store = createStorage({ backend, migrations });
+
+    const saving = store.save("harvests", [{ id: "h1" }]);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(await backend.getItem("harvests")).toBeNull();
+    expect(await backend.getItem(SCHEMA_KEY)).toBeNull();
+
+    finish();
+    await saving;
+    expect(await backend.getItem("harvests")).toEqual([{ id: "h1" }]);
+    expect(await store.load("plantings", [])).toEqual([{ id: "migrated" }]);
+  });
+});
+
+describe("v1: legacy localStorage import", () => {
+  it("copies kaiKeeper_* arrays into the store", async () => {
+    const legacy = fakeLocalStorage({
+      [LEGACY_LS_KEYS.plantTypes]: JSON.stringify([{ id: "1", name: "Potato" }]),
+      [LEGACY_LS_KEYS.plantings]: JSON.stringify([{ id: "p1", plantTypeId: "1" }]),
+      [LEGACY_LS_KEYS.harvests]: JSON.stringify([{ id: "h1", plantingId: "p1" }]),
+    });
+    const store = createStorage({ backend: createMemoryBackend(), legacy, migrations: upTo(1) });
+
+    expect(await store.loadAll({ plantTypes: [], plantings: [], harvests: [] })).toEqual({
+      plantTypes: [{ id: "1", name: "Potato" }],
+      plantings: [{ id: "p1", plantTypeId: "1" }],
+      harvests: [{ id: "h1", plantingId: "p1" }],
+    });
+  });
+
+  it("never overwrites data already in the store and skips unreadable entries", async () => {
+    const legacy = fakeLocalStorage({
+      [LEGACY_LS_KEYS.plantings]: JSON.stringify([{ id: "old" }]),
+      [LEGACY_LS_KEYS.harvests]: "{not json",
+      [LEGACY_LS_KEYS.plantTypes]: JSON.stringify({ not: "an array" }),
+    });
+    const backend = createMemoryBackend({ plantings: [{ id: "current" }] });
+    const store = createStorage({ backend, legacy, migrations: upTo(1) });
+
+    expect(await store.load("plantings", [])).toEqual([{ id: "current" }]);
+    expect(await store.load("harvests", "none")).toBe("none");
+    expect(await store.load("plantTypes", "none")).toBe("none");
+  });
+
+  it("runs without a legacy store", async () => {
+    const store = createStorage({ backend: createMemoryBackend(), migrations: upTo(1) });
+    expect(await store.load("plantings", [])).toEqual([]);
+  });
+});
+
+describe("v2: slug ids for built-in plant types", () => {
+  const seed = () =>
+    createMemoryBackend({
+      [SCHEMA_KEY]: 1,
+      plantTypes: [
+        { id: "1", name: "Potato" },
+        { id: "2", name: "Tomato" },
+        { id: "3", name: "Yams" },
+      ],
+      plantings: [
+        { id: "p1", plantTypeId: "1" },
+        { id: "p2", plantTypeId: "2" },
+        { id: "p3", plantTypeId: "3" },
+      ],
+      harvests: [
+        { id: "h1", plantingId: "p1" },
+        { id: "h2", plantingId: "p2" },
+      ],
+      trash: [
+        { kind: "planting", item: { id: "p4", plantTypeId: "2" } },
+        { kind: "harvest", item: { id: "h3", plantingId: "p4" } },
+      ],
+    });
+
+  it("renames built-ins, repoints plantings and keeps harvests linked", async () => {
+    const store = createStorage({ backend: seed(), migrations: upTo(2) });
+    const { plantTypes, plantings, harvests, trash } = await store.loadAll({ plantTypes: [], plantings: [], harvests: [], trash: [] });
+
+    expect(plantTypes.map((t) => t.id)).toEqual(["potato", "tomato", "3"]);
+    expect(plantings.map((p) => p.plantTypeId)).toEqual(["potato", "tomato", "3"]);
+    expect(trash[0].item.plantTypeId).toBe("tomato");
+    expect(trash[1]).toEqual({ kind: "harvest", item: { id: "h3", plantingId: "p4" } });
+
+    // Harvests point at planting ids, which don't change, so each still reaches a renamed type.
+    const typeOf = (h) => plantTypes.find((t) => t.id === plantings.find((p) => p.id === h.plantingId)?.plantTypeId);
+    expect(harvests.map((h) => typeOf(h)?.name)).toEqual(["Potato", "Tomato"]);
+  });
+
+  it("leaves a type alone when its slug is already taken", async () => {
+    const backend = createMemoryBackend({
+      [SCHEMA_KEY]: 1,
+      plantTypes: [
+        { id: "potato", name: "My potatoes" },
+        { id: "1", name: "Potato" },
+      ],
+      plantings: [{ id: "p1", plantTypeId: "1" }],
+    });
+    const store = createStorage({ backend, migrations: upTo(2) });
+
+    expect((await store.load("plantTypes", [])).map((t) => t.id)).toEqual(["potato", "1"]);
+    expect((await store.load("plantings", []))[0].plantTypeId).toBe("1");
+  });
+});
+
+describe("v3: beds from free-text locations", () => {
+  it("merges locations that differ only by case or spacing into one bed", async () => {
+    const backend = createMemoryBackend({
+      [SCHEMA_KEY]: 2,
+      plantings: [
+        { id: "p1", location: "Bed A" },
+        { id: "p2", location: "  bed   a " },
+        { id: "p3", location: "Tunnel house" },
+        { id: "p4", location: "" },
+      ],
+      trash: [{ kind: "planting", item: { id: "p5", location: "BED A" } }],
+    });
+    const store = createStorage({ backend, migrations: upTo(3) });
+    const { beds, plantings, trash } = await store.loadAll({ beds: [], plantings: [], trash: [] });
+
+    expect(beds.map((b) => [b.name, b.type])).toEqual([
+      ["Bed A", "open"],
+      ["Tunnel house", "tunnelhouse"],
+    ]);
+    const [bedA, tunnel] = beds;
+    expect(plantings.map((p) => p.bedId)).toEqual([bedA.id, bedA.id, tunnel.id, null]);
+    expect(plantings.every((p) => !("location" in p))).toBe(true);
+    expect(trash[0].item.bedId).toBe(bedA.id);
+  });
+
+  it("reuses beds that already exist", async () => {
+    const backend = createMemoryBackend({
+      [SCHEMA_KEY]: 2,
+      beds: [{ id: "b1", name: "Bed A" }],
+      plantings: [{ id: "p1", location: "bed a" }],
+    });
+    const store = createStorage({ backend, migrations: upTo(3) });
+
+    expect(await store.load("beds", [])).toEqual([{ id: "b1", name: "Bed A" }]);
+    expect((await store.load("plantings", []))[0].bedId).toBe("b1");
+  });
+});
@@ -0,0 +1,42 @@
+import { addDays, daysBetween } from "./dates";
+import { phaseFor } from "./phase";
+
+// ------------------------------------------------------------
+// Succession planting: a series of sowings every N days so the
+// harvest windows overlap and supply stays continuous.
+// ------------------------------------------------------------
+
+export const MAX_SUCCESSIONS = 26;
+
+/**
+ * Dates and expected windows for each sowing in the series.
+ * `template` holds the planting fields shared by every sowing (plantTypeId, method, ...).
+ */
+export const planSuccession = ({ plantType, template, start, intervalDays, count }, { monthlyMeans = null } = {}) =>
+  Array.from({ length: count }, (_, i) => {
+    const plantedAt = addDays(start, i * intervalDays);
+    const phase = phaseFor({ ...template, plantedAt }, plantType, { today: plantedAt, monthlyMeans });
+    return { index: i, plantedAt, firstHarvest: phase?.expected.firstHarvest, lastHarvest: phase?.expected.lastHarvest };
+  });
+
+/** Stretches between the first and last harvest date with nothing in its window. */
+export const supplyGaps = (windows) => {
+  const sorted = windows.filter((w) => w.firstHarvest).sort((a, b) => (a.firstHarvest < b.firstHarvest ? -1 : 1));
+  const gaps = [];
+  let coveredTo = null;
+  for (const w of sorted) {
+    if (coveredTo && w.firstHarvest > addDays(coveredTo, 1)) {
+      const from = addDays(coveredTo, 1);
+      const to = addDays(w.firstHarvest, -1);
+      gaps.push({ from, to, days: daysBetween(from, to) + 1 });
+    }
+    if (!coveredTo || w.lastHarvest > coveredTo) coveredTo = w.lastHarvest;
+  }
+  return gaps;
+};
+
+/** Interval that would make each window start as the previous one ends (fixed-day model). */
+export const suggestedInterval = (windows) => {
+  if (windows.length < 1 || !windows[0].firstHarvest) return null;
+  return Math.max(1, daysBetween(windows[0].firstHarvest, windows[0].lastHarvest));
+};
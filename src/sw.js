@@ -0,0 +1,69 @@
+// Kai Keeper service worker.
+// - Precaches the app shell so the app opens with no signal. The build
+//   (see vite.config.js) fills in PRECACHE and VERSION; a new VERSION
+//   is what makes the browser notice an update.
+// - A new worker waits until the app asks it to take over, so the page
+//   can offer "Reload to update" instead of swapping code mid-edit.
+// - Shows reminder notifications and opens the Agenda when one is tapped.
+
+const VERSION = "__KK_VERSION__";
+const PRECACHE = __KK_PRECACHE__;
+const CACHE = `kai-keeper-${VERSION}`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(keys.filter((k) => k.startsWith("kai-keeper-") && k !== CACHE).map((k) => caches.delete(k)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "skip-waiting") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Dev server (nothing precached) and other origins go straight to the network.
+  if (!PRECACHE.length || request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (request.mode === "navigate") {
+    // Single-page app: every navigation gets the cached shell.
+    event.respondWith(caches.match("/index.html").then((cached) => cached || fetch(request)));
+    return;
+  }
+  event.respondWith(
+    caches.match(request).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE).then((cache) => cache.put(request, copy));
+          }
+          return response;
+        })
+    )
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      const open = windows[0];
+      if (open) {
+        open.postMessage({ type: "open-tab", tab: "agenda" });
+        return open.focus();
+      }
+      return self.clients.openWindow("/?tab=agenda");
+    })()
+  );
+});
@@ -0,0 +1,277 @@
+import { uid } from "./ids";
+import { BACKUP_COLLECTIONS, mergeRecord } from "./backup";
+
+// ------------------------------------------------------------
+// Multi-device sync. Records themselves are untouched; each one
+// has a metadata entry kept next to the data in the store:
+//   { version, hash, base, updatedAt, deviceId, deleted, dirty }
+// - version: the server's version this device last saw
+// - hash:    content hash, so any edit (wherever it came from)
+//            is noticed by trackChanges() and marked dirty
+// - base:    per-field hashes of that server version, so edits
+//            to different fields on two devices merge cleanly
+// - deleted: a tombstone, so deletes reach other devices
+// A sync pulls changes since a cursor (in pages), then pushes
+// dirty records with the version they were based on; the server
+// rejects stale ones and they come back on the next pull.
+// Both the cursor and the dirty flags are stored, so an
+// interrupted or offline sync carries on where it stopped.
+// Trash, reminders, snapshots and settings stay per device.
+// ------------------------------------------------------------
+
+/**
+ * @typedef RecordMeta
+ * @prop {number} version // server version this device last saw (0 = never synced)
+ * @prop {string | null} hash // content hash; null for tombstones
+ * @prop {Record<string, string> | null} [base] // field → hash as last seen on the server
+ * @prop {string} updatedAt // ISO timestamp of the last change
+ * @prop {string} deviceId // device that made it
+ * @prop {boolean} deleted
+ * @prop {boolean} dirty // changed here and not yet accepted by the server
+ */
+
+/**
+ * @typedef Change // what travels between devices and the server
+ * @prop {string} collection
+ * @prop {string} id
+ * @prop {number} version // pushed: the version it's based on; pulled: the server's version
+ * @prop {string} updatedAt
+ * @prop {string} deviceId
+ * @prop {boolean} deleted
+ * @prop {object | null} record
+ */
+
+/**
+ * @typedef SyncConflict // both sides changed a record in ways that can't be merged field by field
+ * @prop {string} id // `${collection}:${recordId}`
+ * @prop {string} collection
+ * @prop {string} recordId
+ * @prop {object | null} local // null = deleted here
+ * @prop {object | null} remote // null = deleted on the other device
+ * @prop {"local" | "remote"} kept // which one was applied: the later edit (device id breaks ties)
+ * @prop {{ field: string, local: any, remote: any }[]} fields
+ * @prop {string} at
+ */
+
+/**
+ * @typedef SyncAdapter
+ * @prop {string} name
+ * @prop {(cursor: number, limit: number) => Promise<{ changes: Change[], cursor: number, more: boolean }>} pull
+ * @prop {(deviceId: string, changes: Change[]) => Promise<{ accepted: { collection: string, id: string, version: number }[], rejected: { collection: string, id: string }[] }>} push
+ */
+
+export const SYNC_COLLECTIONS = BACKUP_COLLECTIONS;
+export const SYNC_PAGE_SIZE = 200;
+
+export const DEFAULT_SYNC = { url: "", token: "", auto: true };
+
+export const emptySyncState = () => ({
+  deviceId: uid(),
+  cursor: 0,
+  meta: Object.fromEntries(SYNC_COLLECTIONS.map((c) => [c, {}])),
+  conflicts: [],
+  lastSyncAt: null,
+});
+
+// FNV-1a over the JSON; records are immutable, so each object is hashed once.
+const hashText = (s = "") => {
+  let x = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) x = Math.imul(x ^ s.charCodeAt(i), 0x01000193);
+  return (x >>> 0).toString(36) + s.length.toString(36);
+};
+const hashes = new WeakMap();
+export const hashOf = (record) => {
+  let h = hashes.get(record);
+  if (!h) hashes.set(record, (h = hashText(JSON.stringify(record))));
+  return h;
+};
+const fieldHashes = (record) => (record ? Object.fromEntries(Object.entries(record).map(([k, v]) => [k, hashText(JSON.stringify(v))])) : null);
+
+/**
+ * Three-way merge against the fields last seen on the server: a field changed on one side only
+ * takes that side; changed differently on both is a conflict. Without a base, falls back to
+ * mergeRecord() (fill gaps, union lists). Returns { merged, conflicts: [{ field, mine, theirs }] }.
+ */
+export const mergeChanges = (base, local, remote) => {
+  if (!base) return mergeRecord(local, remote);
+  const merged = { ...local };
+  const conflicts = [];
+  for (const field of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+    const a = local[field];
+    const b = remote[field];
+    const was = base[field] ?? hashText(undefined);
+    const ha = hashText(JSON.stringify(a));
+    const hb = hashText(JSON.stringify(b));
+    if (ha === hb || hb === was) continue;
+    if (ha === was) {
+      if (b === undefined) delete merged[field];
+      else merged[field] = b;
+    } else conflicts.push({ field, mine: a, theirs: b });
+  }
+  return { merged, conflicts };
+};
+
+/**
+ * Bring the metadata up to date with the data: new or edited records and new tombstones become dirty.
+ * Returns the same object when nothing changed.
+ */
+export const trackChanges = (state, data, now = new Date().toISOString()) => {
+  let meta = state.meta;
+  for (const c of SYNC_COLLECTIONS) {
+    const before = state.meta[c] || {};
+    let after = before;
+    const edit = (id, entry) => {
+      if (after === before) after = { ...before };
+      after[id] = entry;
+    };
+    const seen = new Set();
+    for (const rec of data[c] || []) {
+      seen.add(rec.id);
+      const m = before[rec.id];
+      const hash = hashOf(rec);
+      if (m && !m.deleted && m.hash === hash) continue;
+      edit(rec.id, { version: m?.version ?? 0, hash, base: m?.base ?? null, updatedAt: now, deviceId: state.deviceId, deleted: false, dirty: true });
+    }
+    for (const [id, m] of Object.entries(before)) {
+      if (!seen.has(id) && !m.deleted) edit(id, { ...m, hash: null, updatedAt: now, deviceId: state.deviceId, deleted: true, dirty: true });
+    }
+    if (after !== before) meta = { ...meta, [c]: after };
+  }
+  return meta === state.meta ? state : { ...state, meta };
+};
+
+/** Dirty records as changes to push, oldest edit first. */
+export const pendingChanges = (state, data) => {
+  const out = [];
+  for (const c of SYNC_COLLECTIONS) {
+    const byId = new Map((data[c] || []).map((r) => [r.id, r]));
+    for (const [id, m] of Object.entries(state.meta[c] || {})) {
+      if (!m.dirty) continue;
+      out.push({ collection: c, id, version: m.version, updatedAt: m.updatedAt, deviceId: m.deviceId, deleted: m.deleted, record: m.deleted ? null : byId.get(id) ?? null });
+    }
+  }
+  return out.sort((a, b) => (a.updatedAt < b.updatedAt ? -1 : a.updatedAt > b.updatedAt ? 1 : 0));
+};
+
+export const pendingCount = (state) => SYNC_COLLECTIONS.reduce((n, c) => n + Object.values(state.meta[c] || {}).filter((m) => m.dirty).length, 0);
+
+/**
+ * Apply pulled changes. Returns { state, patch: { [collection]: records } for the collections
+ * that changed, removed: [{ collection, record }] (records deleted by another device), applied, conflicted }.
+ * - not changed here: the remote version is taken
+ * - changed on both: merged field by field when the edits don't overlap; otherwise the later
+ *   edit wins (device id breaks ties) and a conflict is kept for review
+ */
+export const applyPull = (state, data, changes, now = new Date().toISOString()) => {
+  const meta = { ...state.meta };
+  const lists = {}; // collection → Map(id → record), made on first write
+  const list = (c) => (lists[c] ??= new Map((data[c] || []).map((r) => [r.id, r])));
+  const setMeta = (c, id, m) => {
+    if (meta[c] === state.meta[c]) meta[c] = { ...state.meta[c] };
+    meta[c][id] = m;
+  };
+  const removed = [];
+  const put = (c, id, record) => {
+    const current = list(c).get(id);
+    if (record) list(c).set(id, record);
+    else if (current) {
+      list(c).delete(id);
+      removed.push({ collection: c, record: current });
+    }
+  };
+  let conflicts = state.conflicts;
+  let applied = 0;
+  let conflicted = 0;
+
+  for (const ch of changes) {
+    const c = ch.collection;
+    if (!SYNC_COLLECTIONS.includes(c)) continue;
+    const m = meta[c]?.[ch.id];
+    if (m && m.version >= ch.version) continue; // already have it (often our own push)
+    applied += 1;
+    const remote = ch.deleted ? null : ch.record;
+    const remoteMeta = { version: ch.version, hash: remote ? hashOf(remote) : null, base: fieldHashes(remote), updatedAt: ch.updatedAt, deviceId: ch.deviceId, deleted: ch.deleted, dirty: false };
+    if (!m?.dirty) {
+      put(c, ch.id, remote);
+      setMeta(c, ch.id, remoteMeta);
+      continue;
+    }
+    const local = m.deleted ? null : list(c).get(ch.id) ?? null;
+    if (!local && !remote) {
+      setMeta(c, ch.id, remoteMeta);
+      continue;
+    }
+    let fields = [];
+    if (local && remote) {
+      const merge = mergeChanges(m.base, local, remote);
+      if (!merge.conflicts.length) {
+        const hash = hashOf(merge.merged);
+        put(c, ch.id, merge.merged);
+        setMeta(c, ch.id, hash === remoteMeta.hash ? remoteMeta : { ...m, version: ch.version, hash, base: remoteMeta.base, updatedAt: now });
+        continue;
+      }
+      fields = merge.conflicts.map((f) => ({ field: f.field, local: f.mine, remote: f.theirs }));
+    }
+    const localWins = m.updatedAt > ch.updatedAt || (m.updatedAt === ch.updatedAt && m.deviceId > ch.deviceId);
+    if (localWins) setMeta(c, ch.id, { ...m, version: ch.version, base: remoteMeta.base });
+    else {
+      put(c, ch.id, remote);
+      setMeta(c, ch.id, remoteMeta);
+    }
+    const id = `${c}:${ch.id}`;
+    conflicted += 1;
+    conflicts = [...conflicts.filter((k) => k.id !== id), { id, collection: c, recordId: ch.id, local, remote, kept: localWins ? "local" : "remote", fields, at: now }];
+  }
+
+  const patch = Object.fromEntries(Object.entries(lists).map(([c, map]) => [c, Array.from(map.values())]));
+  return { state: { ...state, meta, conflicts }, patch, removed, applied, conflicted };
+};
+
+/** Mark pushed records as accepted. Records edited again since they were sent stay dirty. */
+export const acknowledgePush = (state, sent, accepted) => {
+  const meta = { ...state.meta };
+  const sentBy = new Map(sent.map((s) => [`${s.collection}:${s.id}`, s]));
+  for (const a of accepted) {
+    const m = meta[a.collection]?.[a.id];
+    if (!m) continue;
+    const s = sentBy.get(`${a.collection}:${a.id}`);
+    if (meta[a.collection] === state.meta[a.collection]) meta[a.collection] = { ...state.meta[a.collection] };
+    meta[a.collection][a.id] = { ...m, version: a.version, base: fieldHashes(s?.record), dirty: m.dirty && m.updatedAt !== s?.updatedAt };
+  }
+  return { ...state, meta };
+};
+
+/**
+ * One full sync: pull every page, push what's dirty, and go round once more if the server
+ * turned anything away (someone else got there first).
+ * `io.read()` returns the latest { state, data }; `io.write({ state, patch?, removed? })` stores them.
+ * Throws on network/server errors — whatever was already pulled or pushed is kept.
+ */
+export const syncOnce = async (adapter, io, { pageSize = SYNC_PAGE_SIZE } = {}) => {
+  const summary = { pulled: 0, pushed: 0, conflicts: 0 };
+  for (let round = 0; round < 2; round++) {
+    for (;;) {
+      const from = io.read().state.cursor;
+      const page = await adapter.pull(from, pageSize);
+      const { state, data } = io.read(); // may have moved on while waiting
+      const result = applyPull(state, data, page.changes);
+      summary.pulled += result.applied;
+      summary.conflicts += result.conflicted;
+      io.write({ state: { ...result.state, cursor: page.cursor }, patch: result.patch, removed: result.removed });
+      if (!page.more || page.cursor === from) break;
+    }
+    let rejected = 0;
+    const { state, data } = io.read();
+    const pending = pendingChanges(state, data);
+    for (let i = 0; i < pending.length; i += pageSize) {
+      const batch = pending.slice(i, i + pageSize);
+      const res = await adapter.push(state.deviceId, batch);
+      io.write({ state: acknowledgePush(io.read().state, batch, res.accepted) });
+      summary.pushed += res.accepted.length;
+      rejected += res.rejected.length;
+    }
+    if (!rejected) break;
+  }
+  io.write({ state: { ...io.read().state, lastSyncAt: new Date().toISOString() } });
+  return summary;
+};
@@ -0,0 +1,127 @@
+import { describe, expect, it } from "vitest";
+import { emptySyncState, pendingCount, syncOnce, trackChanges } from "./sync";
+import { createSyncHub, hubAdapter } from "./syncHub";
+
+const empty = () => ({ plantTypes: [], beds: [], plantings: [], harvests: [] });
+const planting = (over = {}) => ({ id: "p1", plantTypeId: "potato", plantedAt: "2026-09-01", quantityPlanted: 10, notes: "", ...over });
+
+// A device as App holds it: the data plus its sync state, read and written by syncOnce through `io`.
+const createDevice = (deviceId) => {
+  const device = {
+    state: { ...emptySyncState(), deviceId },
+    data: empty(),
+    removed: [],
+    io: {
+      read: () => ({ state: device.state, data: device.data }),
+      write: ({ state, patch, removed }) => {
+        device.state = state;
+        if (patch) device.data = { ...device.data, ...patch };
+        if (removed) device.removed.push(...removed);
+      },
+    },
+    /** Local edit at `at`, noticed the way App's effect does it. */
+    edit: (collection, change, at) => {
+      device.data = { ...device.data, [collection]: change(device.data[collection]) };
+      device.state = trackChanges(device.state, device.data, at);
+    },
+    sync: (adapter) => syncOnce(adapter, device.io),
+  };
+  return device;
+};
+
+const setup = async () => {
+  const hub = createSyncHub();
+  const adapter = hubAdapter(hub);
+  const a = createDevice("device-a");
+  const b = createDevice("device-b");
+  a.edit("plantings", () => [planting()], "2026-10-01T08:00:00.000Z");
+  await a.sync(adapter);
+  await b.sync(adapter);
+  return { hub, adapter, a, b };
+};
+
+const updatePlanting = (patch) => (list) => list.map((p) => (p.id === "p1" ? { ...p, ...patch } : p));
+
+describe("sync between two devices", () => {
+  it("copies a new record to the other device", async () => {
+    const { a, b } = await setup();
+    expect(b.data.plantings).toEqual([planting()]);
+    expect(pendingCount(a.state)).toBe(0);
+    expect(pendingCount(b.state)).toBe(0);
+  });
+
+  it("merges edits to different fields without a conflict", async () => {
+    const { adapter, a, b } = await setup();
+    a.edit("plantings", updatePlanting({ notes: "mulched" }), "2026-10-02T08:00:00.000Z");
+    b.edit("plantings", updatePlanting({ quantityPlanted: 12 }), "2026-10-02T09:00:00.000Z");
+
+    await a.sync(adapter);
+    const summary = await b.sync(adapter);
+    await a.sync(adapter);
+
+    expect(summary.conflicts).toBe(0);
+    expect(b.state.conflicts).toEqual([]);
+    expect(a.data.plantings).toEqual([planting({ notes: "mulched", quantityPlanted: 12 })]);
+    expect(b.data.plantings).toEqual(a.data.plantings);
+  });
+
+  it("keeps the later edit when both change the same field and records the conflict", async () => {
+    const { adapter, a, b } = await setup();
+    a.edit("plantings", updatePlanting({ notes: "from a" }), "2026-10-02T08:00:00.000Z");
+    b.edit("plantings", updatePlanting({ notes: "from b" }), "2026-10-02T09:00:00.000Z");
+
+    await a.sync(adapter);
+    const summary = await b.sync(adapter);
+    await a.sync(adapter);
+
+    expect(summary.conflicts).toBe(1);
+    expect(b.state.conflicts).toMatchObject([{ id: "plantings:p1", kept: "local", fields: [{ field: "notes", local: "from b", remote: "from a" }] }]);
+    expect(a.data.plantings[0].notes).toBe("from b");
+    expect(b.data.plantings[0].notes).toBe("from b");
+  });
+
+  it("sends deletes as tombstones, and a later delete beats an edit", async () => {
+    const { hub, adapter, a, b } = await setup();
+    b.edit("plantings", updatePlanting({ notes: "edited first" }), "2026-10-02T08:00:00.000Z");
+    a.edit("plantings", () => [], "2026-10-02T09:00:00.000Z");
+    expect(a.state.meta.plantings.p1).toMatchObject({ deleted: true, dirty: true, hash: null });
+
+    await a.sync(adapter);
+    expect(hub.dump().records["plantings/p1"]).toMatchObject({ deleted: true, record: null });
+
+    await b.sync(adapter);
+    expect(b.data.plantings).toEqual([]);
+    expect(b.removed.map((r) => r.record.notes)).toEqual(["edited first"]);
+    expect(b.state.conflicts).toMatchObject([{ id: "plantings:p1", kept: "remote", remote: null }]);
+    expect(b.state.meta.plantings.p1).toMatchObject({ deleted: true, dirty: false });
+  });
+
+  it("turns away a push based on an old version", () => {
+    const hub = createSyncHub();
+    const change = { collection: "plantings", id: "p1", version: 0, updatedAt: "2026-10-01T08:00:00.000Z", deleted: false, record: planting() };
+    expect(hub.push("device-a", [change]).accepted).toEqual([{ collection: "plantings", id: "p1", version: 1 }]);
+    expect(hub.push("device-b", [change]).rejected).toEqual([{ collection: "plantings", id: "p1" }]);
+  });
+
+  it("carries on an interrupted push where it stopped", async () => {
+    const hub = createSyncHub();
+    const adapter = hubAdapter(hub);
+    const a = createDevice("device-a");
+    a.edit("plantings", () => ["p1", "p2", "p3"].map((id, i) => planting({ id, quantityPlanted: i + 1 })), "2026-10-01T08:00:00.000Z");
+
+    let pushes = 0;
+    const flaky = { ...adapter, push: async (...args) => (++pushes > 1 ? Promise.reject(new Error("offline")) : adapter.push(...args)) };
+    await expect(syncOnce(flaky, a.io, { pageSize: 1 })).rejects.toThrow("offline");
+    expect(Object.keys(hub.dump().records)).toHaveLength(1);
+    expect(pendingCount(a.state)).toBe(2);
+
+    const summary = await syncOnce(adapter, a.io, { pageSize: 1 });
+    expect(summary.pushed).toBe(2);
+    expect(pendingCount(a.state)).toBe(0);
+    expect(Object.values(hub.dump().records).map((r) => [r.id, r.version])).toEqual([
+      ["p1", 1],
+      ["p2", 1],
+      ["p3", 1],
+    ]);
+  });
+});
@@ -0,0 +1,43 @@
+import { t } from "./i18n";
+
+// ------------------------------------------------------------
+// Reference sync adapter over plain HTTP + JSON.
+//   GET  {url}/changes?since=<cursor>&limit=<n> → { changes, cursor, more }
+//   POST {url}/changes { deviceId, changes }   → { accepted, rejected }
+// Any server that keeps those two promises will do; see
+// server/sync-server.js for a small one to run at home.
+// ------------------------------------------------------------
+
+// Errors carry the HTTP status (0 = never reached the server).
+const fail = (message, status) => Object.assign(new Error(message), { status });
+
+/** @returns {import("./sync").SyncAdapter} */
+export const createHttpAdapter = ({ url, token = "", fetchImpl = globalThis.fetch, timeoutMs = 20000 }) => {
+  const base = url.replace(/\/+$/, "");
+
+  const request = async (path, init = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    try {
+      res = await fetchImpl(`${base}/${path}`, {
+        ...init,
+        signal: controller.signal,
+        headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      });
+    } catch (e) {
+      throw fail(e.name === "AbortError" ? t("sync.error.timeout") : t("sync.error.unreachable", { message: e.message }), 0);
+    } finally {
+      clearTimeout(timer);
+    }
+    if (res.status === 401 || res.status === 403) throw fail(t("sync.error.token"), res.status);
+    if (!res.ok) throw fail(t("sync.error.status", { status: `${res.status} ${res.statusText}` }), res.status);
+    return res.json();
+  };
+
+  return {
+    name: "http",
+    pull: (cursor, limit) => request(`changes?since=${encodeURIComponent(cursor)}&limit=${encodeURIComponent(limit)}`),
+    push: (deviceId, changes) => request("changes", { method: "POST", body: JSON.stringify({ deviceId, changes }) }),
+  };
+};
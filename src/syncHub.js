@@ -0,0 +1,70 @@
+// ------------------------------------------------------------
+// The server side of sync, without any transport: keeps the
+// latest version of every record with a sequence number, so a
+// pull "since N" is everything that changed after N.
+// Used by server/sync-server.js and, in memory, by hubAdapter()
+// (tests, previews). No imports, so Node can load it directly.
+// ------------------------------------------------------------
+
+/**
+ * @typedef HubState
+ * @prop {number} seq // last sequence number handed out
+ * @prop {Record<string, import("./sync").Change & { seq: number }>} records // by `${collection}/${id}`
+ */
+
+export const MAX_PULL = 1000;
+
+/** @param {HubState} [initial] */
+export const createSyncHub = (initial = { seq: 0, records: {} }) => {
+  const state = { seq: initial.seq, records: { ...initial.records } };
+
+  const pull = (since = 0, limit = 200) => {
+    const n = Math.min(Math.max(1, limit), MAX_PULL);
+    const newer = Object.values(state.records)
+      .filter((r) => r.seq > since)
+      .sort((a, b) => a.seq - b.seq);
+    const page = newer.slice(0, n);
+    return {
+      changes: page.map(({ seq, ...change }) => change),
+      cursor: page.length ? page[page.length - 1].seq : since,
+      more: newer.length > n,
+    };
+  };
+
+  // A change is accepted only if it was based on the version held here; otherwise the
+  // device has to pull first and settle it.
+  const push = (deviceId, changes = []) => {
+    const accepted = [];
+    const rejected = [];
+    for (const c of changes) {
+      const key = `${c.collection}/${c.id}`;
+      const current = state.records[key];
+      if ((current?.version ?? 0) !== c.version) {
+        rejected.push({ collection: c.collection, id: c.id });
+        continue;
+      }
+      const version = c.version + 1;
+      state.records[key] = {
+        collection: c.collection,
+        id: c.id,
+        version,
+        updatedAt: c.updatedAt,
+        deviceId: c.deviceId || deviceId,
+        deleted: !!c.deleted,
+        record: c.deleted ? null : c.record,
+        seq: ++state.seq,
+      };
+      accepted.push({ collection: c.collection, id: c.id, version });
+    }
+    return { accepted, rejected };
+  };
+
+  return { pull, push, dump: () => state };
+};
+
+/** @returns {import("./sync").SyncAdapter} an adapter talking to a hub in this page. */
+export const hubAdapter = (hub) => ({
+  name: "memory",
+  pull: async (cursor, limit) => structuredClone(hub.pull(cursor, limit)),
+  push: async (deviceId, changes) => hub.push(deviceId, structuredClone(changes)),
+});
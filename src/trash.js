@@ -0,0 +1,49 @@
+// ------------------------------------------------------------
+// Soft-delete trash. Deleted records are kept (with any records
+// that were removed alongside them) until the retention period ends.
+// ------------------------------------------------------------
+
+/** @typedef {"plantType" | "planting" | "harvest" | "bed"} TrashKind */
+
+/**
+ * @typedef TrashEntry
+ * @prop {string} id // same as the deleted record's id
+ * @prop {TrashKind} kind
+ * @prop {object} item
+ * @prop {{ harvests?: object[] }} related // dependents deleted with it
+ * @prop {string} deletedAt // ISO timestamp
+ */
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/** @returns {TrashEntry} */
+export const toTrash = (kind, item, related = {}, now = new Date()) => ({
+  id: item.id,
+  kind,
+  item,
+  related,
+  deletedAt: now.toISOString(),
+});
+
+export const expiresAt = (entry, retentionDays) => new Date(new Date(entry.deletedAt).getTime() + retentionDays * DAY_MS);
+
+export const purgeExpired = (trash, retentionDays, now = new Date()) => trash.filter((e) => expiresAt(e, retentionDays) > now);
+
+const COLLECTIONS = { plantType: "plantTypes", planting: "plantings", harvest: "harvests", bed: "beds" };
+
+/**
+ * Put a trashed record (and its dependents) back. Records whose id already
+ * exists are left alone so a restore never duplicates anything.
+ * Returns the collections to write.
+ */
+export const restoreFromTrash = (entry, data) => {
+  const missing = (arr, item) => !arr.some((x) => x.id === item.id);
+  const out = { trash: data.trash.filter((e) => e !== entry) };
+  const key = COLLECTIONS[entry.kind];
+  if (key !== "harvests" && missing(data[key], entry.item)) out[key] = [entry.item, ...data[key]];
+  const restoredHarvests = [...(entry.kind === "harvest" ? [entry.item] : []), ...(entry.related?.harvests || [])].filter((h) => missing(data.harvests, h));
+  if (restoredHarvests.length) out.harvests = [...restoredHarvests, ...data.harvests];
+  return out;
+};
@@ -0,0 +1,86 @@
+import { t, formatNumber } from "./i18n";
+
+// ------------------------------------------------------------
+// Harvest units. Weights convert exactly; counts, bunches,
+// punnets and litres only become kg through the plant type's
+// average weight (unitWeightsKg), and those figures are
+// estimates — callers get an `estimated` flag to show it.
+// ------------------------------------------------------------
+
+/** @typedef {"kg" | "g" | "count" | "bunch" | "punnet" | "litre"} Unit */
+
+/** Names are in the message catalogues (unit.bunch, unit.bunch_other…). @type {{ id: Unit, kg?: number }[]} */
+export const UNITS = [
+  { id: "kg", kg: 1 },
+  { id: "g", kg: 0.001 },
+  { id: "count" },
+  { id: "bunch" },
+  { id: "punnet" },
+  { id: "litre" },
+];
+
+export const UNIT_IDS = UNITS.map((u) => u.id);
+
+/** Units that need a per-crop average weight to become kg. */
+export const ESTIMATED_UNITS = UNITS.filter((u) => u.kg == null).map((u) => u.id);
+
+const unitById = Object.fromEntries(UNITS.map((u) => [u.id, u]));
+
+export const isUnit = (v) => Object.hasOwn(unitById, v);
+
+/** "bunch"; with a count, the form for that many ("bunches"). */
+export const unitLabel = (unit, count) => (isUnit(unit) ? t(`unit.${unit}`, count == null ? undefined : { count }) : unit);
+
+/** "1.5 kg", "1 bunch", "3 bunches" */
+export const formatAmount = (amount, unit) => {
+  const n = +Number(amount).toFixed(3);
+  return t("unit.amount", { amount: formatNumber(n), unit: unitLabel(unit, n) });
+};
+
+/** kg for weight units, null for the rest. */
+export const exactKg = (amount, unit) => (unitById[unit]?.kg != null ? amount * unitById[unit].kg : null);
+
+/**
+ * An amount in kg: exact for kg and g, estimated from the plant type's average weight
+ * for the other units. Null when the plant type has no weight for that unit.
+ * @returns {{ kg: number, estimated: boolean } | null}
+ */
+export const toKg = (amount, unit, plantType) => {
+  const exact = exactKg(amount, unit);
+  if (exact != null) return { kg: exact, estimated: false };
+  const each = plantType?.unitWeightsKg?.[unit];
+  return each > 0 ? { kg: amount * each, estimated: true } : null;
+};
+
+// Words people type after a number → unit.
+const UNIT_ALIASES = {
+  kg: "kg", kgs: "kg", kilo: "kg", kilos: "kg", kilogram: "kg", kilograms: "kg",
+  g: "g", gm: "g", gms: "g", gram: "g", grams: "g",
+  count: "count", ea: "count", each: "count", pcs: "count", pc: "count", pieces: "count", x: "count", head: "count", heads: "count",
+  bunch: "bunch", bunches: "bunch", bn: "bunch",
+  punnet: "punnet", punnets: "punnet", pun: "punnet",
+  l: "litre", ltr: "litre", litre: "litre", litres: "litre", liter: "litre", liters: "litre",
+};
+
+/** The unit a word stands for ("heads" → count, "L" → litre), or null. */
+export const unitFromText = (word) => {
+  const w = String(word ?? "").trim().toLowerCase();
+  return Object.hasOwn(UNIT_ALIASES, w) ? UNIT_ALIASES[w] : null;
+};
+
+/**
+ * "1.2kg", "12 heads", "2 bunches", "3" → { amount, unit, unitGiven } or { error }.
+ * With no unit in the text, `defaultUnit` is used (an error when there's none).
+ */
+export const parseQuantity = (text, defaultUnit) => {
+  const m = String(text ?? "").trim().match(/^(-?[\d.,]+)\s*([a-zA-Z]*)\.?$/);
+  if (!m) return { error: t("unit.error.notAmount", { text }) };
+  // "1,5" from semicolon-separated exports is a decimal comma; "1,500" is thousands.
+  const raw = m[1].includes(".") || !/,\d{1,2}$/.test(m[1]) ? m[1].replaceAll(",", "") : m[1].replace(",", ".");
+  const amount = Number(raw);
+  if (!Number.isFinite(amount) || amount <= 0) return { error: t("unit.error.notPositive", { text }) };
+  if (!m[2]) return defaultUnit ? { amount, unit: defaultUnit, unitGiven: false } : { error: t("unit.error.noUnit") };
+  const unit = unitFromText(m[2]);
+  if (!unit) return { error: t("unit.error.unknown", { unit: m[2] }) };
+  return { amount, unit, unitGiven: true };
+};
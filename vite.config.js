@@ -1,3 +1,39 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
-export default defineConfig({ plugins: [react()] })
+import { createHash } from 'node:crypto'
+import { existsSync, readFileSync, readdirSync } from 'node:fs'
+import { resolve } from 'node:path'
+
+// Builds src/sw.js with the list of files to precache. The version is a hash
+// of that list (asset names are content-hashed), so every real change ships
+// a byte-different sw.js and the browser offers the update.
+const serviceWorker = () => {
+  const template = () => readFileSync(resolve(__dirname, 'src/sw.js'), 'utf8')
+  const render = (files) =>
+    template()
+      .replace('"__KK_VERSION__"', JSON.stringify(createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)))
+      .replace('__KK_PRECACHE__', JSON.stringify(files))
+  let publicDir = ''
+  return {
+    name: 'kai-keeper-sw',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    // In dev nothing is precached and the worker leaves requests alone.
+    configureServer(server) {
+      server.middlewares.use('/sw.js', (req, res) => {
+        res.setHeader('Content-Type', 'text/javascript')
+        res.end(render([]))
+      })
+    },
+    generateBundle(_, bundle) {
+      const files = ['/', ...Object.keys(bundle), ...(existsSync(publicDir) ? readdirSync(publicDir) : [])]
+        .filter((f) => !f.endsWith('.map'))
+        .map((f) => (f.startsWith('/') ? f : `/${f}`))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source: render(files) })
+    },
+  }
+}
+
+export default defineConfig({ plugins: [react(), serviceWorker()] })